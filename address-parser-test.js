@@ -0,0 +1,61 @@
+/**
+ * Unit tests for address-parser.js
+ */
+
+TestSuite.describe('AddressParser', () => {
+  
+  TestSuite.describe('parse', () => {
+    TestSuite.it('should split a full address into parts', () => {
+      const parts = AddressParser.parse('1250 Churn Creek Rd Ste 4, Redding, CA 96002-1234');
+      
+      TestSuite.assert.equal(parts.houseNumber, 1250, 'House number should be parsed');
+      TestSuite.assert.equal(parts.street, 'Churn Creek Rd', 'Street should not include number or unit');
+      TestSuite.assert.equal(parts.unit, '4', 'Unit should be parsed');
+      TestSuite.assert.equal(parts.city, 'Redding', 'City should be parsed');
+      TestSuite.assert.equal(parts.state, 'CA', 'State should be parsed');
+      TestSuite.assert.equal(parts.zip, '96002', 'ZIP should drop the +4 part');
+    });
+    
+    TestSuite.it('should handle units as their own segment and missing parts', () => {
+      const withUnit = AddressParser.parse('12 Main St, Suite 4, Anderson');
+      TestSuite.assert.equal(withUnit.unit, '4', 'Unit segment should be parsed');
+      TestSuite.assert.equal(withUnit.city, 'Anderson', 'City should follow the unit');
+      
+      const poBox = AddressParser.parse('PO Box 5, Redding');
+      TestSuite.assert.equal(poBox.houseNumber, null, 'PO boxes have no house number');
+      TestSuite.assert.equal(poBox.zip, '', 'Missing ZIP should be blank');
+    });
+    
+    TestSuite.it('should find the unit and city in an address without commas', () => {
+      const parts = AddressParser.parse('3 Main St Suite 200 Redding CA 96001');
+      
+      TestSuite.assert.equal(parts.houseNumber, 3, 'House number should be parsed');
+      TestSuite.assert.equal(parts.street, 'Main St', 'Street should stop before the unit');
+      TestSuite.assert.equal(parts.unit, '200', 'Unit should be parsed');
+      TestSuite.assert.equal(parts.city, 'Redding', 'City should follow the unit');
+      TestSuite.assert.equal(parts.state, 'CA', 'State should be parsed');
+      
+      const noUnit = AddressParser.parse('1250 Churn Creek Rd N Palo Cedro CA 96073');
+      TestSuite.assert.equal(noUnit.street, 'Churn Creek Rd N', 'Street should end after its suffix and direction');
+      TestSuite.assert.equal(noUnit.city, 'Palo Cedro', 'City should follow the street');
+      
+      const unitLast = AddressParser.parse('12 Main St Apt 4 96001');
+      TestSuite.assert.equal(`${unitLast.street}|${unitLast.unit}|${unitLast.city}`, 'Main St|4|', 'A unit with nothing after it is not followed by a city');
+    });
+  });
+  
+  TestSuite.describe('normalizeAddress', () => {
+    TestSuite.it('should abbreviate street words', () => {
+      TestSuite.assert.equal(AddressParser.normalizeAddress('Churn Creek Road.'), 'churn creek rd', 'Road should become rd');
+      TestSuite.assert.equal(AddressParser.normalizeStreet('North Market Street'), 'n market st', 'Directions and suffixes should be abbreviated');
+    });
+  });
+  
+  TestSuite.describe('compareAddresses', () => {
+    TestSuite.it('should sort by street, then house number', () => {
+      const sorted = ['20 B St', '100 A St', '9 A Street'].sort(AddressParser.compareAddresses);
+      
+      TestSuite.assert.equal(sorted.join('|'), '9 A Street|100 A St|20 B St', 'Numbers should sort numerically on the same street');
+    });
+  });
+});
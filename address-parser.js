@@ -0,0 +1,223 @@
+/**
+ * address-parser.js
+ * Splits street addresses into parts for Route 33 Guide
+ * Used by area rules (house-number ranges, ZIP codes), stop sorting and search
+ */
+
+const AddressParser = (function() {
+  // Street suffixes and directions, normalized to their usual abbreviation
+  const STREET_WORDS = {
+    avenue: "ave", av: "ave",
+    boulevard: "blvd",
+    circle: "cir",
+    court: "ct",
+    drive: "dr",
+    highway: "hwy",
+    lane: "ln",
+    parkway: "pkwy",
+    place: "pl",
+    road: "rd",
+    street: "st",
+    terrace: "ter",
+    trail: "trl",
+    way: "way",
+    north: "n", south: "s", east: "e", west: "w"
+  };
+  
+  // Words that start a unit designator ("Suite 200", "Apt 4B", "#12")
+  const UNIT_PATTERN = /(?:^|\s)(?:#|(?:apt|apartment|unit|ste|suite|bldg|building|rm|room|spc|space)\.?\s*#?)\s*([\w-]+)\s*$/i;
+  
+  // A unit designator with more words after it, which are the city when
+  // there are no commas ("Main St Suite 200 Redding")
+  const RUN_ON_UNIT_PATTERN = /(?:^|\s)(?:#|(?:apt|apartment|unit|ste|suite|bldg|building|rm|room|spc|space)\.?\s*#?)\s*([\w-]+)\s+(\S.*)$/i;
+  
+  // Street suffixes in either spelling, which end the street name
+  const SUFFIX_WORDS = new Set(Object.entries(STREET_WORDS)
+    .filter(([, abbreviation]) => abbreviation.length > 1)
+    .flatMap(entry => entry));
+  
+  // Safe string handling
+  function safeString(str) {
+    return (str !== undefined && str !== null) ? String(str).trim() : "";
+  }
+  
+  /**
+   * Lowercase text, drop punctuation and abbreviate street words, so
+   * "Churn Creek Road" and "churn creek rd." compare equal
+   */
+  function normalizeAddress(text) {
+    return safeString(text)
+      .toLowerCase()
+      .replace(/[.,]/g, ' ')
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(word => STREET_WORDS[word] || word)
+      .join(' ');
+  }
+  
+  /**
+   * Normalize a street name (see normalizeAddress)
+   */
+  function normalizeStreet(street) {
+    return normalizeAddress(street);
+  }
+  
+  /**
+   * Regular expression source matching a street however its suffix and
+   * directions are written: "Oak St" -> \boak\s+(?:st|street)\.?\b
+   */
+  function streetPattern(street) {
+    const words = normalizeStreet(street).split(' ').filter(Boolean);
+    const source = words.map(word => {
+      const spellings = [word, ...Object.keys(STREET_WORDS).filter(full => STREET_WORDS[full] === word && full !== word)];
+      const escaped = spellings.map(spelling => spelling.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+      return escaped.length > 1 ? `(?:${escaped.join('|')})\\.?` : escaped[0];
+    }).join('\\s+');
+    return source ? `\\b${source}\\b` : '';
+  }
+  
+  /**
+   * Split a street part that has the city run on after it, as addresses
+   * written without commas do. The city starts after a unit designator or,
+   * failing that, after the last street suffix (keeping a direction that
+   * follows the suffix with the street):
+   * "3 Main St Suite 200 Redding" -> street "3 Main St", unit "200", city "Redding"
+   */
+  function splitRunOnCity(streetPart) {
+    if (UNIT_PATTERN.test(streetPart)) {
+      return { street: streetPart, unit: "", city: "" };
+    }
+    
+    const unitMatch = streetPart.match(RUN_ON_UNIT_PATTERN);
+    if (unitMatch) {
+      return { street: streetPart.slice(0, unitMatch.index).trim(), unit: unitMatch[1], city: unitMatch[2].trim() };
+    }
+    
+    const words = streetPart.split(/\s+/);
+    const bare = word => word.toLowerCase().replace(/\.$/, '');
+    let end = -1;
+    words.forEach((word, index) => {
+      if (index > 0 && SUFFIX_WORDS.has(bare(word))) {
+        end = index + 1;
+      }
+    });
+    if (end < 0 || end >= words.length) {
+      return { street: streetPart, unit: "", city: "" };
+    }
+    if (end + 1 < words.length && (STREET_WORDS[bare(words[end])] || bare(words[end])).length === 1) {
+      end++;
+    }
+    
+    return { street: words.slice(0, end).join(' '), unit: "", city: words.slice(end).join(' ') };
+  }
+  
+  /**
+   * Parse an address into its parts
+   * "1250 Churn Creek Rd Ste 4, Redding, CA 96002" ->
+   *   { houseNumber: 1250, street: "Churn Creek Rd", unit: "4",
+   *     city: "Redding", state: "CA", zip: "96002" }
+   * Without commas the city is found only when a ZIP follows it
+   * ("3 Main St Suite 200 Redding CA 96001"); see splitRunOnCity.
+   * Missing parts are empty strings (houseNumber is null)
+   */
+  function parse(address) {
+    const full = safeString(address);
+    const result = {
+      full,
+      houseNumber: null,
+      houseNumberText: "",
+      street: "",
+      unit: "",
+      city: "",
+      state: "",
+      zip: ""
+    };
+    if (!full) {
+      return result;
+    }
+    
+    // State and ZIP at the end: "CA 96002" or "96002-1234"
+    let rest = full;
+    const tail = rest.match(/,?\s*(?:\b([A-Za-z]{2})\s+)?(\d{5})(?:-\d{4})?\s*$/);
+    if (tail) {
+      result.state = tail[1] ? tail[1].toUpperCase() : "";
+      result.zip = tail[2];
+      rest = rest.slice(0, tail.index);
+    }
+    
+    const segments = rest.split(',').map(segment => segment.trim()).filter(Boolean);
+    let streetPart = segments.shift() || "";
+    
+    // A unit can be its own segment: "12 Main St, Suite 4, Redding"
+    if (segments.length > 0 && UNIT_PATTERN.test(` ${segments[0]}`) && /^(#|apt|apartment|unit|ste|suite|bldg|building|rm|room|spc|space)\b/i.test(segments[0])) {
+      result.unit = segments.shift().match(UNIT_PATTERN)[1];
+    }
+    
+    // City is the next segment, without a trailing state
+    if (segments.length > 0) {
+      const cityPart = segments.shift();
+      const cityState = cityPart.match(/^(.*?)\s+([A-Za-z]{2})$/);
+      if (cityState && !result.state && segments.length === 0) {
+        result.city = cityState[1];
+        result.state = cityState[2].toUpperCase();
+      } else {
+        result.city = cityPart;
+      }
+    }
+    
+    // No commas: the unit and city run on after the street
+    if (!result.city && !result.unit && result.zip) {
+      const split = splitRunOnCity(streetPart);
+      streetPart = split.street;
+      result.unit = split.unit;
+      result.city = split.city;
+    }
+    
+    // Unit at the end of the street part
+    const unitMatch = streetPart.match(UNIT_PATTERN);
+    if (unitMatch && !result.unit) {
+      result.unit = unitMatch[1];
+      streetPart = streetPart.slice(0, unitMatch.index).trim();
+    }
+    
+    // House number at the start: "1250", "1250B", "1250-B"
+    const numberMatch = streetPart.match(/^(\d+)(?:-?([A-Za-z]))?\s+/);
+    if (numberMatch) {
+      result.houseNumber = parseInt(numberMatch[1], 10);
+      result.houseNumberText = numberMatch[0].trim();
+      streetPart = streetPart.slice(numberMatch[0].length);
+    }
+    
+    result.street = streetPart.trim();
+    return result;
+  }
+  
+  /**
+   * Compare two addresses for sorting: by street, then house number
+   */
+  function compareAddresses(a, b) {
+    const first = parse(a);
+    const second = parse(b);
+    
+    const streetOrder = normalizeStreet(first.street).localeCompare(normalizeStreet(second.street));
+    if (streetOrder !== 0) {
+      return streetOrder;
+    }
+    
+    const numberOrder = (first.houseNumber || 0) - (second.houseNumber || 0);
+    if (numberOrder !== 0) {
+      return numberOrder;
+    }
+    
+    return first.full.localeCompare(second.full);
+  }
+  
+  // Public API
+  return {
+    parse,
+    normalizeAddress,
+    normalizeStreet,
+    streetPattern,
+    compareAddresses
+  };
+})();
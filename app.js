@@ -13,10 +13,14 @@ document.addEventListener("DOMContentLoaded", function() {
     searchInput: document.getElementById('searchInput'),
     filterBtn: document.getElementById('filterBtn'),
     filterText: document.getElementById('filterText'),
+    sourceFilter: document.getElementById('sourceFilter'),
     summaryViewBtn: document.getElementById('summaryViewBtn'),
     detailedViewBtn: document.getElementById('detailedViewBtn'),
+    loadListViewBtn: document.getElementById('loadListViewBtn'),
     progressBar: document.getElementById('progressBar'),
     progressText: document.getElementById('progressText'),
+    projectedFinish: document.getElementById('projectedFinish'),
+    splitProgress: document.getElementById('splitProgress'),
     checkAllBtn: document.getElementById('checkAllBtn'),
     uncheckAllBtn: document.getElementById('uncheckAllBtn'),
     statsDisplay: document.getElementById('stats-display'),
@@ -34,7 +38,15 @@ document.addEventListener("DOMContentLoaded", function() {
     exportPdfBtn: document.getElementById('exportPdfBtn'),
     saveLocalBtn: document.getElementById('saveLocalBtn'),
     importCsvBtn: document.getElementById('importCsvBtn'),
+    addRouteBtn: document.getElementById('addRouteBtn'),
+    pasteRouteBtn: document.getElementById('pasteRouteBtn'),
     exportCsvBtn: document.getElementById('exportCsvBtn'),
+    dispatcherSettingsBtn: document.getElementById('dispatcherSettingsBtn'),
+    customFieldsBtn: document.getElementById('customFieldsBtn'),
+    itemCategoriesBtn: document.getElementById('itemCategoriesBtn'),
+    areaSettingsBtn: document.getElementById('areaSettingsBtn'),
+    optimizeRouteBtn: document.getElementById('optimizeRouteBtn'),
+    splitRouteBtn: document.getElementById('splitRouteBtn'),
     resetBtn: document.getElementById('resetBtn'),
     csvFileInput: document.getElementById('csvFileInput'),
     successToast: document.getElementById('successToast'),
@@ -47,6 +59,8 @@ document.addEventListener("DOMContentLoaded", function() {
     view: 'summary',
     filterCompleted: false,
     searchQuery: '',
+    sourceFilter: '',
+    mergeNextImport: false,
     editingReference: false,
     editingTips: false,
     routeData: [],
@@ -68,6 +82,12 @@ document.addEventListener("DOMContentLoaded", function() {
    */
   async function initApp() {
     try {
+      // Load saved display settings (custom field visibility, contacts)
+      UIConfigManager.loadConfigFromStorage();
+      applyDispatcherLinks();
+      ItemClassifier.loadFromStorage();
+      await AreaClassifier.loadFromStorage();
+      
       // Load data
       const data = await DataHandler.initData();
       state.routeData = data.routeData;
@@ -77,6 +97,12 @@ document.addEventListener("DOMContentLoaded", function() {
       // Add event listeners
       setupEventListeners();
       
+      // The projected finishes count from now once stops are being checked off
+      setInterval(() => {
+        updateProjectedFinish();
+        updateSplitProgress();
+      }, 60 * 1000);
+      
       // Check if we have data
       if (state.routeData.length === 0) {
         // Show upload prompt if no data
@@ -87,6 +113,7 @@ document.addEventListener("DOMContentLoaded", function() {
         
         // Update UI
         updateStats();
+        updateSourceFilter();
         renderContent();
         
         // Update the last updated date
@@ -108,18 +135,24 @@ document.addEventListener("DOMContentLoaded", function() {
    */
   function showUploadPrompt() {
     elements.mainContent.innerHTML = `
-      <div class="text-center p-8 animate-fadeIn">
+      <div class="text-center p-8 animate-fadeIn rounded-lg" id="upload-drop-zone">
         <div class="mb-6 text-blue-500">
           <i data-lucide="upload-cloud" class="h-16 w-16 mx-auto"></i>
         </div>
         <h2 class="text-xl font-bold mb-4">Welcome to Route 33 Guide</h2>
         <p class="text-gray-300 mb-6 max-w-md mx-auto">
-          To get started, please upload your route CSV file. Your data will be stored locally and never sent to any server.
+          To get started, upload or drop your route CSV or Excel file here, or paste the route text. Your data will be stored locally and never sent to any server.
         </p>
-        <button id="initialUploadBtn" class="px-6 py-3 bg-blue-600 rounded-lg hover:bg-blue-500 transition-colors text-white font-medium flex items-center gap-2 mx-auto">
-          <i data-lucide="file-text" class="h-5 w-5"></i>
-          Upload Route Data
-        </button>
+        <div class="flex flex-wrap justify-center gap-2">
+          <button id="initialUploadBtn" class="px-6 py-3 bg-blue-600 rounded-lg hover:bg-blue-500 transition-colors text-white font-medium flex items-center gap-2">
+            <i data-lucide="file-text" class="h-5 w-5"></i>
+            Upload Route Data
+          </button>
+          <button id="initialPasteBtn" class="px-6 py-3 bg-gray-700 rounded-lg hover:bg-gray-600 transition-colors text-white font-medium flex items-center gap-2">
+            <i data-lucide="clipboard-paste" class="h-5 w-5"></i>
+            Paste Route Text
+          </button>
+        </div>
         
         <div class="mt-8 bg-gray-800 p-4 rounded-lg max-w-md mx-auto text-left">
           <h3 class="font-medium mb-2 text-blue-400">Accepted Format</h3>
@@ -127,6 +160,7 @@ document.addEventListener("DOMContentLoaded", function() {
           <code class="block bg-gray-900 p-3 rounded text-xs text-gray-300 overflow-x-auto">
             CustomerNumber, AccountName, Address, ItemID, Description, Quantity
           </code>
+          <p class="text-xs text-gray-500 mt-2">Different column names? You'll be asked to match them on import.</p>
         </div>
       </div>
     `;
@@ -138,6 +172,11 @@ document.addEventListener("DOMContentLoaded", function() {
     document.getElementById('initialUploadBtn').addEventListener('click', () => {
       elements.csvFileInput.click();
     });
+    
+    document.getElementById('initialPasteBtn').addEventListener('click', () => showPasteArea());
+    
+    // Files dropped onto the prompt go through the same import
+    setupDropZone(document.getElementById('upload-drop-zone'));
   }
   
   /**
@@ -158,37 +197,15 @@ document.addEventListener("DOMContentLoaded", function() {
     });
     
     // View toggles
-    elements.summaryViewBtn.addEventListener('click', () => {
-      if (state.view !== 'summary') {
-        state.view = 'summary';
-        elements.summaryViewBtn.classList.add('border-blue-500', 'text-blue-500');
-        elements.summaryViewBtn.classList.remove('border-transparent', 'text-gray-400');
-        elements.detailedViewBtn.classList.remove('border-blue-500', 'text-blue-500');
-        elements.detailedViewBtn.classList.add('border-transparent', 'text-gray-400');
-        renderContent();
-      }
-    });
-    
-    elements.detailedViewBtn.addEventListener('click', () => {
-      if (state.view !== 'detailed') {
-        state.view = 'detailed';
-        elements.detailedViewBtn.classList.add('border-blue-500', 'text-blue-500');
-        elements.detailedViewBtn.classList.remove('border-transparent', 'text-gray-400');
-        elements.summaryViewBtn.classList.remove('border-blue-500', 'text-blue-500');
-        elements.summaryViewBtn.classList.add('border-transparent', 'text-gray-400');
-        renderContent();
-      }
-    });
+    elements.summaryViewBtn.addEventListener('click', () => setView('summary'));
+    elements.detailedViewBtn.addEventListener('click', () => setView('detailed'));
+    elements.loadListViewBtn.addEventListener('click', () => setView('loadlist'));
     
     // Toggle reference editing
     elements.editReferenceBtn.addEventListener('click', () => {
       state.editingReference = !state.editingReference;
       
-      const editableElements = elements.areaBreakdown.querySelectorAll('[contenteditable]');
-      editableElements.forEach(el => {
-        el.setAttribute('contenteditable', state.editingReference.toString());
-      });
-      
+      // Area counts come from the stops; only the access notes are edited
       const editableNoteElements = elements.accessNotes.querySelectorAll('[contenteditable]');
       editableNoteElements.forEach(el => {
         el.setAttribute('contenteditable', state.editingReference.toString());
@@ -225,144 +242,1657 @@ document.addEventListener("DOMContentLoaded", function() {
       showToast('All items checked');
     });
     
-    // Uncheck all items
-    elements.uncheckAllBtn.addEventListener('click', () => {
-      state.completionStats = DataHandler.resetCheckedItems();
-      updateStats();
+    // Uncheck all items
+    elements.uncheckAllBtn.addEventListener('click', () => {
+      state.completionStats = DataHandler.resetCheckedItems();
+      updateStats();
+      renderContent();
+      showToast('All items unchecked');
+    });
+    
+    // Menu button
+    elements.menuBtn.addEventListener('click', () => {
+      elements.menuDropdown.classList.toggle('hidden');
+    });
+    
+    // Close menu when clicking elsewhere
+    document.addEventListener('click', (event) => {
+      if (!event.target.closest('#menuBtn') && !event.target.closest('#menuDropdown')) {
+        elements.menuDropdown.classList.add('hidden');
+      }
+    });
+    
+    // Export PDF button
+    elements.exportPdfBtn.addEventListener('click', () => {
+      try {
+        const schedule = getStopSchedule();
+        const etas = {};
+        schedule.stops.forEach(entry => {
+          etas[entry.customerNumber] = RouteSchedule.formatTime(entry.arrival);
+        });
+        
+        const result = ExportUtils.exportToPDF(filterBySource(state.routeData), state.checkedItems, state.completionStats, {
+          customFields: getVisibleCustomFields('detailed'),
+          sourceRoute: state.sourceFilter,
+          areaOrder: DataHandler.getAreaOrder(),
+          etas,
+          projectedFinish: schedule.remaining > 0 ? RouteSchedule.formatTime(schedule.finish) : null
+        });
+        showToast(`PDF saved as ${result.filename}`);
+      } catch (error) {
+        console.error("Error exporting PDF:", error);
+        showToast('Failed to export PDF', true);
+      }
+    });
+    
+    // Save local button
+    elements.saveLocalBtn.addEventListener('click', () => {
+      const saved = DataHandler.saveRouteData();
+      if (saved) {
+        showToast('Progress saved successfully');
+      } else {
+        showToast('Failed to save progress', true);
+      }
+    });
+    
+    // Regroup stops when areas are added, edited or removed
+    document.addEventListener('areas:updated', () => {
+      AreaClassifier.saveToStorage();
+      
+      if (state.routeData.length > 0) {
+        const data = DataHandler.reclassifyAreas();
+        state.routeData = data.routeData;
+        state.customersByArea = data.customersByArea;
+        state.areaStats = data.areaStats;
+        updateStats();
+      }
+      
+      // Stay on the area settings screen while it's being edited
+      if (document.getElementById('area-config')) {
+        showAreaSettings();
+      } else if (state.routeData.length > 0) {
+        renderContent();
+      }
+    });
+    
+    // Source route filter
+    elements.sourceFilter.addEventListener('change', () => {
+      state.sourceFilter = elements.sourceFilter.value;
+      renderContent();
+    });
+    
+    // Import CSV button
+    elements.importCsvBtn.addEventListener('click', () => {
+      state.mergeNextImport = false;
+      elements.csvFileInput.click();
+    });
+    
+    // Add route file button - adds another route's stops to the current day
+    elements.addRouteBtn.addEventListener('click', () => {
+      state.mergeNextImport = true;
+      elements.csvFileInput.click();
+    });
+    
+    // Handle CSV file selection
+    elements.csvFileInput.addEventListener('change', async (event) => {
+      if (event.target.files.length > 0) {
+        // Several route files, or a customers file and an order-lines file,
+        // can be chosen together
+        await importFiles(Array.from(event.target.files), { merge: state.mergeNextImport });
+        
+        // Reset the file input
+        elements.csvFileInput.value = '';
+      }
+      state.mergeNextImport = false;
+    });
+    
+    // Paste route text button
+    elements.pasteRouteBtn.addEventListener('click', () => {
+      elements.menuDropdown.classList.add('hidden');
+      showPasteArea();
+    });
+    
+    // Dispatcher button
+    elements.dispatcherSettingsBtn.addEventListener('click', () => {
+      elements.menuDropdown.classList.add('hidden');
+      showDispatcherSettings();
+    });
+    
+    // Extra columns button
+    elements.customFieldsBtn.addEventListener('click', () => {
+      elements.menuDropdown.classList.add('hidden');
+      showCustomFieldsSettings();
+    });
+    
+    // Item categories button
+    elements.itemCategoriesBtn.addEventListener('click', () => {
+      elements.menuDropdown.classList.add('hidden');
+      showItemCategorySettings();
+    });
+    
+    // Area settings button
+    elements.areaSettingsBtn.addEventListener('click', () => {
+      elements.menuDropdown.classList.add('hidden');
+      showAreaSettings();
+    });
+    
+    // Optimize route button
+    elements.optimizeRouteBtn.addEventListener('click', () => {
+      elements.menuDropdown.classList.add('hidden');
+      showRouteOptimizer();
+    });
+    
+    // Split route button
+    elements.splitRouteBtn.addEventListener('click', () => {
+      elements.menuDropdown.classList.add('hidden');
+      showRouteSplitter();
+    });
+    
+    // Export CSV button
+    elements.exportCsvBtn.addEventListener('click', () => {
+      try {
+        const result = ExportUtils.exportToCSV(filterBySource(state.routeData), state.checkedItems, {
+          sourceRoute: state.sourceFilter
+        });
+        elements.menuDropdown.classList.add('hidden');
+        showToast(`CSV exported as ${result.filename}`);
+      } catch (error) {
+        console.error("Error exporting CSV:", error);
+        showToast('Failed to export CSV', true);
+      }
+    });
+    
+    // Reset button
+    elements.resetBtn.addEventListener('click', () => {
+      if (confirm('Are you sure you want to reset all progress? This cannot be undone.')) {
+        // Show options for what to reset
+        const resetType = confirm(
+          'Would you like to:\n\n' +
+          '• Click OK to reset completion status only (keep route data)\n' +
+          '• Click Cancel to reset EVERYTHING (route data and completion status)'
+        );
+        
+        if (resetType) {
+          // Reset completion status only
+          state.completionStats = DataHandler.resetCheckedItems();
+          updateStats();
+          renderContent();
+          elements.menuDropdown.classList.add('hidden');
+          showToast('All progress has been reset');
+        } else {
+          // Reset everything including route data
+          localStorage.removeItem('route33Data');
+          localStorage.removeItem('route33RawData');
+          showToast('All data has been reset');
+          
+          // Reload the page after a brief delay
+          setTimeout(() => {
+            window.location.reload();
+          }, 1500);
+        }
+      }
+    });
+  }
+  
+  /**
+   * Switch between the summary, detailed and load list views
+   */
+  function setView(view) {
+    if (state.view === view) {
+      return;
+    }
+    state.view = view;
+    
+    [
+      [elements.summaryViewBtn, 'summary'],
+      [elements.detailedViewBtn, 'detailed'],
+      [elements.loadListViewBtn, 'loadlist']
+    ].forEach(([button, buttonView]) => {
+      const active = buttonView === view;
+      button.classList.toggle('border-blue-500', active);
+      button.classList.toggle('text-blue-500', active);
+      button.classList.toggle('border-transparent', !active);
+      button.classList.toggle('text-gray-400', !active);
+    });
+    
+    renderContent();
+  }
+  
+  /**
+   * Import one or more files (chosen, dropped or pasted) and show the result
+   * With options.merge the stops are added to the current day
+   */
+  async function importFiles(files, options = {}) {
+    const fileNames = files.map(file => file.name).join(' + ');
+    
+    // A transfer file from another driver replaces the day on its own
+    const transferFile = files.find(file => DataHandler.isTransferFile(file));
+    if (transferFile) {
+      if (files.length > 1) {
+        elements.menuDropdown.classList.add('hidden');
+        showToast(`${transferFile.name} is a transfer file and must be opened on its own`, true);
+        return;
+      }
+      return importTransferFile(transferFile);
+    }
+    
+    try {
+      elements.menuDropdown.classList.add('hidden');
+      
+      // Show loading spinner
+      elements.mainContent.innerHTML = `
+        <div class="text-center p-8">
+          <div class="mx-auto mb-4 w-12 h-12 border-t-2 border-b-2 border-blue-500 rounded-full animate-spin"></div>
+          <p class="text-gray-400">Importing route data...</p>
+        </div>
+      `;
+      
+      // Import the CSV, asking the user to match columns if the headers are unfamiliar
+      // and to review any problems the validation pass finds
+      const data = await DataHandler.importCSV(files.length > 1 ? files : files[0], {
+        onMappingNeeded: (headers, proposal, sampleRows, file) =>
+          showColumnMappingWizard(headers, proposal, sampleRows, file.name.replace(/\.[^.]+$/, '')),
+        onValidationReport: report => showImportReport(report),
+        onDiff: diff => showRouteDiff(diff),
+        onSheetSelect: sheets => showSheetPicker(sheets),
+        onProgress: (loaded, total) => showImportProgress(loaded, total),
+        merge: options.merge === true,
+        consolidate: UIConfigManager.getConfig().import.consolidateItemLines
+      });
+      
+      if (!data) {
+        showToast('Import cancelled');
+        restoreContent();
+        return;
+      }
+      
+      state.routeData = data.routeData;
+      state.customersByArea = data.customersByArea;
+      state.areaStats = data.areaStats;
+      
+      // Get completion stats
+      state.completionStats = DataHandler.getCompletionStats();
+      
+      // Update UI
+      updateStats();
+      updateSourceFilter();
+      renderContent();
+      
+      // Update the last updated date
+      const lastUpdated = new Date().toLocaleDateString("en-US", { 
+        year: 'numeric', 
+        month: 'long', 
+        day: 'numeric' 
+      });
+      elements.lastUpdated.textContent = lastUpdated;
+      
+      showToast(`Imported ${fileNames} successfully`);
+    } catch (error) {
+      const errorObj = ErrorHandler.processError(
+        error,
+        ErrorHandler.ERROR_TYPES.CSV_PARSING,
+        ErrorHandler.ERROR_LEVELS.ERROR,
+        { fileName: fileNames }
+      );
+      showToast(errorObj.userMessage, true);
+      restoreContent(); // Render the original content
+    }
+  }
+  
+  /**
+   * Load a sub-route another driver split off and sent as a transfer file
+   */
+  async function importTransferFile(file) {
+    elements.menuDropdown.classList.add('hidden');
+    if (state.routeData.length > 0 && !confirm(`Replace the current route with the stops in ${file.name}?`)) {
+      return;
+    }
+    
+    try {
+      const data = await DataHandler.importTransfer(file);
+      state.routeData = data.routeData;
+      state.customersByArea = data.customersByArea;
+      state.areaStats = data.areaStats;
+      state.completionStats = DataHandler.getCompletionStats();
+      
+      updateStats();
+      updateSourceFilter();
+      renderContent();
+      
+      elements.lastUpdated.textContent = new Date().toLocaleDateString("en-US", {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+      });
+      
+      showToast(`Loaded ${data.transferName || 'transfer file'}: ${data.routeData.length} stops`);
+    } catch (error) {
+      const errorObj = ErrorHandler.processError(
+        error,
+        ErrorHandler.ERROR_TYPES.CSV_PARSING,
+        ErrorHandler.ERROR_LEVELS.ERROR,
+        { fileName: file.name }
+      );
+      showToast(errorObj.userMessage, true);
+      restoreContent();
+    }
+  }
+  
+  /**
+   * Import route text pasted from a spreadsheet or message
+   * Comma- and tab-separated text are both accepted (PapaParse detects the delimiter)
+   */
+  function importPastedText(text) {
+    const file = new File([text], 'pasted-route.csv', { type: 'text/csv' });
+    return importFiles([file]);
+  }
+  
+  /**
+   * Show a text area for pasting route data
+   */
+  function showPasteArea() {
+    elements.mainContent.innerHTML = `
+      <div class="bg-gray-800 p-4 rounded-lg animate-fadeIn" id="paste-route">
+        <h2 class="text-lg font-semibold mb-1">Paste Route Data</h2>
+        <p class="text-sm text-gray-400 mb-3">Paste rows copied from a spreadsheet or message, including the header row. Comma- or tab-separated text both work.</p>
+        <textarea id="paste-route-text" rows="12"
+                  class="w-full p-2 rounded bg-gray-900 border border-gray-700 text-gray-100 font-mono text-xs"
+                  placeholder="CustomerNumber,AccountName,Address,ItemID,Description,Quantity"></textarea>
+        <p id="paste-route-error" class="hidden text-sm text-red-400 mt-2">Paste some route data first.</p>
+        <div class="flex justify-end gap-2 mt-4">
+          <button id="cancel-paste-btn" class="px-3 py-1.5 bg-gray-700 rounded text-sm">Cancel</button>
+          <button id="import-paste-btn" class="px-3 py-1.5 bg-blue-600 rounded text-sm">Import</button>
+        </div>
+      </div>
+    `;
+    
+    const textArea = document.getElementById('paste-route-text');
+    textArea.focus();
+    
+    document.getElementById('cancel-paste-btn').addEventListener('click', () => restoreContent());
+    document.getElementById('import-paste-btn').addEventListener('click', () => {
+      if (!textArea.value.trim()) {
+        document.getElementById('paste-route-error').classList.remove('hidden');
+        return;
+      }
+      
+      importPastedText(textArea.value);
+    });
+  }
+  
+  /**
+   * Let files (or text) be dropped onto an element to import them
+   */
+  function setupDropZone(zone) {
+    const importable = /\.(csv|tsv|txt|xlsx|xls|json)$/i;
+    
+    zone.addEventListener('dragover', (event) => {
+      event.preventDefault();
+      zone.classList.add('ring-2', 'ring-blue-500');
+    });
+    
+    zone.addEventListener('dragleave', () => {
+      zone.classList.remove('ring-2', 'ring-blue-500');
+    });
+    
+    zone.addEventListener('drop', (event) => {
+      event.preventDefault();
+      zone.classList.remove('ring-2', 'ring-blue-500');
+      
+      const dropped = Array.from(event.dataTransfer.files || []);
+      if (dropped.length === 0) {
+        // Text dragged from another app is treated like pasted text
+        const text = event.dataTransfer.getData('text/plain');
+        if (text && text.trim()) {
+          importPastedText(text);
+        }
+        return;
+      }
+      
+      const files = dropped.filter(file => importable.test(file.name));
+      if (files.length === 0) {
+        showToast('Drop a CSV, Excel or transfer file to import it', true);
+        return;
+      }
+      
+      importFiles(files);
+    });
+  }
+  
+  /**
+   * Show the column mapping wizard and resolve with the confirmed mapping
+   * (or null if the user cancels)
+   */
+  function showColumnMappingWizard(headers, proposal, sampleRows, sourceName) {
+    return new Promise(resolve => {
+      elements.mainContent.innerHTML = ColumnMapper.renderMappingUI(headers, proposal, sampleRows, sourceName);
+      lucide.createIcons();
+      
+      document.getElementById('cancel-mapping-btn').addEventListener('click', () => {
+        resolve(null);
+      });
+      
+      document.getElementById('confirm-mapping-btn').addEventListener('click', () => {
+        const mapping = {};
+        document.querySelectorAll('#column-mapping-wizard [data-field]').forEach(select => {
+          if (select.value) {
+            mapping[select.getAttribute('data-field')] = select.value;
+          }
+        });
+        
+        if (!ColumnMapper.isComplete(mapping)) {
+          document.getElementById('mapping-error').classList.remove('hidden');
+          return;
+        }
+        
+        // Remember this layout so the next import from the same source is automatic
+        const profileName = document.getElementById('mapping-profile-name').value;
+        ColumnMapper.saveProfile(profileName, headers, mapping);
+        
+        resolve(mapping);
+      });
+    });
+  }
+  
+  /**
+   * Show the import validation report and resolve with the user's choice:
+   * true to import anyway, false to fix the file and retry
+   */
+  function showImportReport(report) {
+    return new Promise(resolve => {
+      elements.mainContent.innerHTML = ImportValidator.renderReportUI(report);
+      lucide.createIcons();
+      
+      document.getElementById('fix-retry-btn').addEventListener('click', () => {
+        resolve(false);
+        
+        // Open the file picker straight away so the fixed file can be chosen
+        elements.csvFileInput.value = '';
+        elements.csvFileInput.click();
+      });
+      
+      const importAnywayBtn = document.getElementById('import-anyway-btn');
+      if (importAnywayBtn) {
+        importAnywayBtn.addEventListener('click', () => resolve(true));
+      }
+    });
+  }
+  
+  /**
+   * Ask which worksheet of an Excel workbook to import
+   * Resolves with the sheet name, or null if the user cancels
+   */
+  function showSheetPicker(sheets) {
+    return new Promise(resolve => {
+      elements.mainContent.innerHTML = `
+        <div class="bg-gray-800 p-4 rounded-lg animate-fadeIn max-w-md mx-auto">
+          <h2 class="text-lg font-semibold mb-1">Choose a Worksheet</h2>
+          <p class="text-sm text-gray-400 mb-4">This workbook has more than one sheet. Which one holds the route?</p>
+          <div class="space-y-2">
+            ${sheets.map(sheet => `
+              <button class="sheet-option w-full px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded text-left flex justify-between items-center"
+                      data-sheet="${sheet.name.replace(/"/g, '&quot;')}">
+                <span class="flex items-center gap-2">
+                  <i data-lucide="sheet" class="h-4 w-4 text-green-400"></i>
+                  ${sanitizeHTML(sheet.name)}
+                </span>
+                <span class="text-xs text-gray-400">${sheet.rowCount} rows</span>
+              </button>
+            `).join('')}
+          </div>
+          <div class="flex justify-end mt-4">
+            <button id="cancel-sheet-btn" class="px-3 py-1.5 bg-gray-700 rounded text-sm">Cancel</button>
+          </div>
+        </div>
+      `;
+      lucide.createIcons();
+      
+      document.querySelectorAll('.sheet-option').forEach(button => {
+        button.addEventListener('click', () => resolve(button.getAttribute('data-sheet')));
+      });
+      document.getElementById('cancel-sheet-btn').addEventListener('click', () => resolve(null));
+    });
+  }
+  
+  /**
+   * Show what changed in a re-imported route and resolve with the user's choice
+   */
+  function showRouteDiff(diff) {
+    return new Promise(resolve => {
+      elements.mainContent.innerHTML = RouteDiff.renderDiffUI(diff);
+      lucide.createIcons();
+      
+      document.getElementById('cancel-diff-btn').addEventListener('click', () => resolve(false));
+      document.getElementById('accept-diff-btn').addEventListener('click', () => resolve(true));
+    });
+  }
+  
+  /**
+   * Show progress while a large file is parsed, with a button to cancel
+   */
+  function showImportProgress(loaded, total) {
+    const percent = total > 0 ? Math.round((loaded / total) * 100) : 0;
+    
+    // The mapping wizard may have replaced the loading spinner
+    if (!document.getElementById('import-progress')) {
+      elements.mainContent.innerHTML = `
+        <div class="text-center p-8" id="import-progress">
+          <p class="text-gray-400 mb-3">Importing route data...</p>
+          <div class="w-full max-w-xs mx-auto bg-gray-700 rounded-full h-2.5">
+            <div id="import-progress-bar" class="bg-blue-600 h-2.5 rounded-full transition-all duration-300" style="width: 0%"></div>
+          </div>
+          <p id="import-progress-text" class="text-xs text-gray-500 mt-2">0%</p>
+          <button id="cancel-import-btn" class="mt-4 px-3 py-1.5 bg-gray-700 rounded text-sm">Cancel</button>
+        </div>
+      `;
+      
+      document.getElementById('cancel-import-btn').addEventListener('click', () => {
+        DataHandler.cancelImport();
+      });
+    }
+    
+    document.getElementById('import-progress-bar').style.width = `${percent}%`;
+    document.getElementById('import-progress-text').textContent =
+      `${percent}% (${(loaded / 1048576).toFixed(1)} of ${(total / 1048576).toFixed(1)} MB)`;
+  }
+  
+  /**
+   * Show the dispatcher settings for the menu's call/text/email links
+   */
+  function showDispatcherSettings() {
+    elements.mainContent.innerHTML = UIConfigManager.renderDispatcherUI();
+    
+    document.getElementById('close-dispatcher-btn').addEventListener('click', () => restoreContent());
+    document.getElementById('save-dispatcher-btn').addEventListener('click', () => {
+      const errors = UIConfigManager.setDispatcher({
+        name: document.getElementById('dispatcher-name').value,
+        phone: document.getElementById('dispatcher-phone').value,
+        sms: document.getElementById('dispatcher-sms').value,
+        email: document.getElementById('dispatcher-email').value
+      });
+      if (errors.length > 0) {
+        showToast(errors[0], true);
+        return;
+      }
+      
+      applyDispatcherLinks();
+      showToast('Dispatcher saved');
+      restoreContent();
+    });
+  }
+  
+  /**
+   * Show the extra column visibility settings
+   */
+  function showCustomFieldsSettings() {
+    const fieldNames = DataHandler.getCustomFieldNames();
+    const allFields = [...fieldNames.customer, ...fieldNames.item];
+    
+    elements.mainContent.innerHTML = UIConfigManager.renderCustomFieldsUI(allFields);
+    
+    document.querySelectorAll('.custom-field-toggle').forEach(toggle => {
+      toggle.addEventListener('change', () => {
+        UIConfigManager.setCustomFieldVisible(toggle.getAttribute('data-field'), toggle.getAttribute('data-view'), toggle.checked);
+      });
+    });
+    
+    document.getElementById('close-custom-fields-btn').addEventListener('click', () => restoreContent());
+  }
+  
+  /**
+   * Area configuration with one area changed, for dry runs
+   */
+  function withAreaUpdate(id, updates) {
+    return AreaClassifier.exportAreaConfig().map(area => area.id === id ? { ...area, ...updates } : area);
+  }
+  
+  /**
+   * Dry-run an area configuration against the loaded stops and ask before
+   * saving when stops would move. Returns true to go ahead.
+   */
+  function confirmAreaChange(config) {
+    if (state.routeData.length === 0) return true;
+    
+    const { errors, moves } = AreaClassifier.previewAreaConfig(config, state.routeData);
+    if (errors.length > 0) {
+      showToast(errors[0], true);
+      return false;
+    }
+    if (moves.length === 0) return true;
+    
+    const listed = moves.slice(0, 10).map(move => `${move.accountName || move.customerNumber}: ${move.from} → ${move.to}`);
+    const more = moves.length > listed.length ? `\n…and ${moves.length - listed.length} more` : '';
+    return confirm(`${moves.length} stop${moves.length === 1 ? '' : 's'} would move:\n${listed.join('\n')}${more}\n\nSave this change?`);
+  }
+  
+  /**
+   * Show the area settings
+   * Stops are regrouped whenever the areas change. editing is the area
+   * being edited, or 'new' to add one.
+   */
+  function showAreaSettings(editing = null) {
+    // Keep the tester's addresses when the screen is re-rendered after an edit
+    const testerInput = document.getElementById('area-tester-input');
+    const testerText = testerInput ? testerInput.value : '';
+    
+    // Suggest areas for the stops no area claims
+    const defaultArea = AreaClassifier.getDefaultAreaName();
+    const suggestions = AreaClassifier.suggestAreas(state.routeData.filter(customer => customer.area === defaultArea));
+    
+    const accountNames = {};
+    state.routeData.forEach(customer => {
+      accountNames[customer.customerNumber] = customer.accountName;
+    });
+    
+    const editedArea = editing && editing !== 'new' ? AreaClassifier.getAreaById(editing) : null;
+    elements.mainContent.innerHTML = (editing ? AreaClassifier.renderAreaEditorUI(editedArea) : '') +
+      AreaClassifier.renderAreaConfigUI() +
+      AreaClassifier.renderOverridesUI(accountNames) +
+      AreaClassifier.renderSuggestionsUI(suggestions);
+    
+    // Classify each "address | latitude, longitude" line
+    const runTester = () => {
+      const explanations = document.getElementById('area-tester-input').value
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+          const [address, coordinates = ''] = line.split('|');
+          const [lat, lng] = coordinates.split(',');
+          return AreaClassifier.explainAddress(address.trim(), { lat, lng });
+        });
+      document.getElementById('area-tester-results').innerHTML = AreaClassifier.renderExplanationsUI(explanations);
+    };
+    
+    document.getElementById('area-tester-btn').addEventListener('click', runTester);
+    if (testerText) {
+      document.getElementById('area-tester-input').value = testerText;
+      runTester();
+    }
+    
+    // Saving re-renders this screen through 'areas:updated'
+    document.querySelectorAll('.accept-suggestion-btn').forEach(button => {
+      button.addEventListener('click', () => {
+        const index = parseInt(button.closest('[data-suggestion-index]').getAttribute('data-suggestion-index'));
+        const suggestion = suggestions[index];
+        if (AreaClassifier.addArea(suggestion.area)) {
+          showToast(`Added ${suggestion.label} (${suggestion.count} stops)`);
+        }
+      });
+    });
+    
+    document.querySelectorAll('.clear-override-btn').forEach(button => {
+      button.addEventListener('click', () => {
+        AreaClassifier.clearAreaOverride(button.closest('[data-override-customer]').getAttribute('data-override-customer'));
+      });
+    });
+    
+    const clearOverridesButton = document.getElementById('clear-overrides-btn');
+    if (clearOverridesButton) {
+      clearOverridesButton.addEventListener('click', () => {
+        if (confirm('Clear all moved stops? They will follow the area rules again.')) {
+          AreaClassifier.clearAllAreaOverrides();
+        }
+      });
+    }
+    
+    document.querySelectorAll('.save-geofence-btn').forEach(button => {
+      button.addEventListener('click', () => {
+        const areaElement = button.closest('[data-area-id]');
+        const id = areaElement.getAttribute('data-area-id');
+        const { geofence, error } = AreaClassifier.parseGeofence(areaElement.querySelector('.geofence-input').value);
+        
+        if (error) {
+          showToast(error, true);
+        } else if (confirmAreaChange(withAreaUpdate(id, { geofence })) && AreaClassifier.updateArea(id, { geofence })) {
+          showToast(`Geofence saved for ${AreaClassifier.getAreaById(id).name}`);
+        }
+      });
+    });
+    
+    document.querySelectorAll('.clear-geofence-btn').forEach(button => {
+      button.addEventListener('click', () => {
+        const id = button.closest('[data-area-id]').getAttribute('data-area-id');
+        if (confirmAreaChange(withAreaUpdate(id, { geofence: null }))) {
+          AreaClassifier.updateArea(id, { geofence: null });
+        }
+      });
+    });
+    
+    if (editing) {
+      setupAreaEditor(editedArea);
+    }
+    
+    document.querySelectorAll('.edit-area-btn').forEach(button => {
+      button.addEventListener('click', () => {
+        showAreaSettings(button.closest('[data-area-id]').getAttribute('data-area-id'));
+        elements.mainContent.scrollIntoView();
+      });
+    });
+    
+    document.getElementById('add-area-btn').addEventListener('click', () => {
+      showAreaSettings('new');
+      elements.mainContent.scrollIntoView();
+    });
+    
+    document.querySelectorAll('.delete-area-btn').forEach(button => {
+      button.addEventListener('click', () => {
+        const id = button.closest('[data-area-id]').getAttribute('data-area-id');
+        const area = AreaClassifier.getAreaById(id);
+        const config = AreaClassifier.exportAreaConfig().filter(existing => existing.id !== id);
+        if (confirm(`Delete the "${area.name}" area?`) && confirmAreaChange(config)) {
+          AreaClassifier.removeArea(id);
+          showToast(`Deleted ${area.name}`);
+        }
+      });
+    });
+    
+    document.getElementById('reset-areas-btn').addEventListener('click', () => {
+      if (confirm('Reset areas to the defaults? Your own areas will be removed.')) {
+        AreaClassifier.resetToDefaults();
+        showToast('Areas reset');
+      }
+    });
+    
+    document.getElementById('export-areas-btn').addEventListener('click', () => {
+      const json = JSON.stringify(AreaClassifier.exportAreaConfig(), null, 2);
+      saveAs(new Blob([json], { type: 'application/json' }), 'areas.json');
+    });
+    
+    document.getElementById('import-areas-btn').addEventListener('click', () => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = '.json,application/json';
+      input.addEventListener('change', async () => {
+        if (!input.files.length) return;
+        try {
+          const config = JSON.parse(await input.files[0].text());
+          if (AreaClassifier.importAreaConfig(config)) {
+            showToast('Areas imported');
+          } else {
+            showToast('That file is not an area list', true);
+          }
+        } catch (error) {
+          console.error("Error importing areas:", error);
+          showToast('Could not read the area file', true);
+        }
+      });
+      input.click();
+    });
+    
+    setupAreaDragAndDrop();
+    
+    document.getElementById('close-areas-btn').addEventListener('click', () => restoreContent());
+    
+    lucide.createIcons();
+  }
+  
+  /**
+   * Wire the add/edit area form; area is null when adding
+   */
+  function setupAreaEditor(area) {
+    document.getElementById('cancel-area-btn').addEventListener('click', () => showAreaSettings());
+    
+    document.getElementById('save-area-btn').addEventListener('click', () => {
+      const name = document.getElementById('area-name').value.trim();
+      if (!name) {
+        showToast('Give the area a name', true);
+        return;
+      }
+      
+      const updates = {
+        name,
+        color: document.getElementById('area-color').value,
+        icon: document.getElementById('area-icon').value.trim() || 'map-pin'
+      };
+      
+      // The default area has no rules or priority to edit
+      if (!area || area.id !== 'other') {
+        const patterns = AreaClassifier.parseRuleLines(document.getElementById('area-patterns').value);
+        const exclude = AreaClassifier.parseRuleLines(document.getElementById('area-exclude').value);
+        const errors = [...patterns.errors.map(error => `Patterns: ${error}`), ...exclude.errors.map(error => `Except: ${error}`)];
+        if (errors.length > 0) {
+          showToast(errors[0], true);
+          return;
+        }
+        
+        updates.patterns = patterns.rules;
+        updates.exclude = exclude.rules;
+        
+        // A blank priority puts the area last, before the default area
+        const priority = parseInt(document.getElementById('area-priority').value);
+        if (!isNaN(priority)) {
+          updates.priority = priority;
+        } else if (!area) {
+          const defaultPriority = (AreaClassifier.getAreaById('other') || {}).priority || 1000;
+          const priorities = AreaClassifier.getAllAreas()
+            .filter(existing => existing.id !== 'other')
+            .map(existing => existing.priority);
+          updates.priority = Math.min(Math.max(0, ...priorities) + 10, defaultPriority - 1);
+        }
+      }
+      
+      const newArea = area ? null : {
+        id: `${name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-${Date.now()}`,
+        ...updates
+      };
+      const errors = AreaClassifier.validateArea(area ? { ...area, ...updates } : newArea);
+      if (errors.length > 0) {
+        showToast(errors[0], true);
+        return;
+      }
+      
+      // Saving re-renders the screen (without the form) through 'areas:updated'
+      if (area) {
+        if (confirmAreaChange(withAreaUpdate(area.id, updates)) && AreaClassifier.updateArea(area.id, updates)) {
+          showToast(`Saved ${name}`);
+        }
+      } else if (confirmAreaChange([...AreaClassifier.exportAreaConfig(), newArea]) && AreaClassifier.addArea(newArea)) {
+        showToast(`Added ${name}`);
+      }
+    });
+  }
+  
+  /**
+   * Let areas be dragged into a new priority order by their handles
+   */
+  function setupAreaDragAndDrop() {
+    const list = document.getElementById('area-list');
+    let dragged = null;
+    
+    list.querySelectorAll('.area-drag-handle').forEach(handle => {
+      const card = handle.closest('[data-area-id]');
+      
+      // Only the handle starts a drag, so text in the card stays selectable
+      handle.addEventListener('mousedown', () => card.setAttribute('draggable', 'true'));
+      card.addEventListener('dragstart', (event) => {
+        dragged = card;
+        event.dataTransfer.effectAllowed = 'move';
+        card.classList.add('opacity-50');
+      });
+      card.addEventListener('dragend', () => {
+        card.removeAttribute('draggable');
+        card.classList.remove('opacity-50');
+        dragged = null;
+      });
+    });
+    
+    list.addEventListener('dragover', (event) => {
+      const target = event.target.closest('[data-area-id]');
+      if (!dragged || !target || target === dragged || target.getAttribute('data-area-id') === 'other') return;
+      
+      event.preventDefault();
+      const { top, height } = target.getBoundingClientRect();
+      list.insertBefore(dragged, event.clientY < top + height / 2 ? target : target.nextSibling);
+    });
+    
+    list.addEventListener('drop', (event) => {
+      if (!dragged) return;
+      event.preventDefault();
+      const ids = Array.from(list.querySelectorAll('[data-area-id]')).map(card => card.getAttribute('data-area-id'));
+      AreaClassifier.reorderAreas(ids);
+    });
+  }
+  
+  /**
+   * Let stops in the summary view be dragged into a new order, within an
+   * area or into another one (which moves the stop to that area)
+   */
+  function setupStopDragAndDrop() {
+    let dragged = null;
+    let fromArea = null;
+    
+    document.querySelectorAll('.stop-drag-handle').forEach(handle => {
+      const row = handle.closest('[data-stop]');
+      
+      // Only the handle starts a drag, so the links and checkbox still work
+      handle.addEventListener('mousedown', () => row.setAttribute('draggable', 'true'));
+      row.addEventListener('dragstart', (event) => {
+        dragged = row;
+        fromArea = row.parentElement;
+        event.dataTransfer.effectAllowed = 'move';
+        row.classList.add('opacity-50');
+      });
+      row.addEventListener('dragend', () => {
+        row.removeAttribute('draggable');
+        row.classList.remove('opacity-50');
+        dragged = null;
+      });
+    });
+    
+    document.querySelectorAll('[data-stop-area]').forEach(list => {
+      list.addEventListener('dragover', (event) => {
+        if (!dragged) return;
+        event.preventDefault();
+        
+        const target = event.target.closest('[data-stop]');
+        if (!target) {
+          list.appendChild(dragged);
+        } else if (target !== dragged) {
+          const { top, height } = target.getBoundingClientRect();
+          list.insertBefore(dragged, event.clientY < top + height / 2 ? target : target.nextSibling);
+        }
+      });
+      
+      list.addEventListener('drop', (event) => {
+        if (!dragged) return;
+        event.preventDefault();
+        
+        const customerNumber = dragged.getAttribute('data-stop');
+        const order = Array.from(document.querySelectorAll('[data-stop]')).map(row => row.getAttribute('data-stop'));
+        const data = DataHandler.setStopOrder(order, customerNumber);
+        state.routeData = data.routeData;
+        state.customersByArea = data.customersByArea;
+        state.areaStats = data.areaStats;
+        
+        // Dropped in another area: keep it there on later imports too
+        // (the stops re-render through 'areas:updated')
+        if (list !== fromArea) {
+          const areaName = DataHandler.getAreaOrder()[parseInt(list.getAttribute('data-stop-area'))];
+          const area = AreaClassifier.sortedAreas().find(a => a.name === areaName);
+          if (area && AreaClassifier.setAreaOverride(customerNumber, area.id)) {
+            showToast(`Moved to ${area.name}`);
+            return;
+          }
+        }
+        
+        renderContent();
+      });
+    });
+  }
+  
+  /**
+   * Show the route optimizer
+   * The start and finish points are kept in the routing config
+   */
+  function showRouteOptimizer(result = null) {
+    const settings = UIConfigManager.getConfig().routing;
+    updateProjectedFinish();
+    const status = {
+      stops: state.routeData.length,
+      located: state.routeData.filter(customer => RouteOptimizer.getStopPoint(customer)).length,
+      distance: RouteOptimizer.routeDistance(state.routeData, settings),
+      sequenced: DataHandler.hasAreaSequence()
+    };
+    
+    elements.mainContent.innerHTML = RouteOptimizer.renderOptimizerUI(settings, status, result) +
+      RouteSchedule.renderScheduleUI(settings, DataHandler.getSchedule(settings), DataHandler.getAreaOrder());
+    
+    document.getElementById('optimize-route-btn').addEventListener('click', () => {
+      const depot = document.getElementById('route-depot').value.trim();
+      const end = document.getElementById('route-end').value.trim();
+      const invalid = [['Start', depot], ['Finish', end]].find(([, value]) => value && !RouteOptimizer.parsePoint(value));
+      if (invalid) {
+        showToast(`${invalid[0]} should be "latitude, longitude"`, true);
+        return;
+      }
+      if (status.located === 0) {
+        showToast('No stops have coordinates to optimize by', true);
+        return;
+      }
+      
+      UIConfigManager.updateConfig({ routing: { depot, end } });
+      UIConfigManager.saveConfigToStorage();
+      
+      const data = DataHandler.optimizeRoute({
+        depot,
+        end,
+        keepAreaOrder: document.getElementById('keep-area-order').checked
+      });
+      state.routeData = data.routeData;
+      state.customersByArea = data.customersByArea;
+      state.areaStats = data.areaStats;
+      
+      showRouteOptimizer(data);
+      showToast(`Route optimized: ${RouteOptimizer.formatDistance(data.distanceBefore)} to ${RouteOptimizer.formatDistance(data.distanceAfter)}`);
+    });
+    
+    const resetButton = document.getElementById('reset-area-order-btn');
+    if (resetButton) {
+      resetButton.addEventListener('click', () => {
+        DataHandler.resetAreaSequence();
+        showRouteOptimizer();
+        showToast('Areas are back in priority order');
+      });
+    }
+    
+    // Save the schedule settings; false if the start time isn't a time
+    const saveScheduleSettings = () => {
+      const startTime = document.getElementById('schedule-start').value;
+      if (RouteSchedule.parseTime(startTime) === null) {
+        showToast('Start time should be a time of day', true);
+        return false;
+      }
+      
+      const minutes = id => Math.max(0, parseFloat(document.getElementById(id).value) || 0);
+      const areaHopMinutes = {};
+      document.querySelectorAll('[data-area-hop]').forEach(input => {
+        areaHopMinutes[input.getAttribute('data-area-hop')] = input.value.trim();
+      });
+      
+      UIConfigManager.updateConfig({
+        routing: {
+          startTime,
+          serviceMinutes: minutes('schedule-service'),
+          minutesPerItem: minutes('schedule-per-item'),
+          speedKmh: parseFloat(document.getElementById('schedule-speed').value) || RouteSchedule.DEFAULTS.speedKmh,
+          hopMinutes: minutes('schedule-hop'),
+          areaHopMinutes
+        }
+      });
+      UIConfigManager.saveConfigToStorage();
+      return true;
+    };
+    
+    document.getElementById('check-schedule-btn').addEventListener('click', () => {
+      if (saveScheduleSettings()) {
+        showRouteOptimizer(result);
+      }
+    });
+    
+    document.getElementById('fit-windows-btn').addEventListener('click', () => {
+      if (!saveScheduleSettings()) return;
+      
+      const data = DataHandler.fitTimeWindows(UIConfigManager.getConfig().routing);
+      state.routeData = data.routeData;
+      state.customersByArea = data.customersByArea;
+      state.areaStats = data.areaStats;
+      
+      showRouteOptimizer();
+      showToast(data.violations.length > 0
+        ? `${data.violations.length} time windows still can't be met`
+        : 'Every time window is met');
+    });
+    
+    document.getElementById('close-optimizer-btn').addEventListener('click', () => restoreContent());
+    
+    lucide.createIcons();
+  }
+  
+  /**
+   * Show the route split: how many drivers, what to balance by, and each
+   * driver's stops with their exports
+   */
+  function showRouteSplitter() {
+    const settings = UIConfigManager.getConfig().routing;
+    const split = DataHandler.getSplit(settings);
+    
+    elements.mainContent.innerHTML = RouteSplitter.renderSplitUI(split);
+    
+    document.getElementById('split-route-btn').addEventListener('click', () => {
+      const parts = parseInt(document.getElementById('split-parts').value, 10);
+      if (!(parts >= 2 && parts <= RouteSplitter.MAX_PARTS)) {
+        showToast(`Split between 2 and ${RouteSplitter.MAX_PARTS} drivers`, true);
+        return;
+      }
+      if (state.routeData.length < parts) {
+        showToast(`Only ${state.routeData.length} stops to split`, true);
+        return;
+      }
+      
+      DataHandler.splitRoute({
+        parts,
+        measure: document.getElementById('split-measure').value,
+        schedule: settings
+      });
+      updateStats();
+      showRouteSplitter();
+      showToast(`Route split between ${parts} drivers`);
+    });
+    
+    const clearButton = document.getElementById('clear-split-btn');
+    if (clearButton) {
+      clearButton.addEventListener('click', () => {
+        DataHandler.clearSplit();
+        updateStats();
+        showRouteSplitter();
+        showToast('Route is back to one driver');
+      });
+    }
+    
+    document.querySelectorAll('[data-split-part]').forEach(row => {
+      const index = parseInt(row.getAttribute('data-split-part'), 10);
+      const part = split.parts[index];
+      
+      row.querySelector('.export-part-pdf-btn').addEventListener('click', () => {
+        try {
+          const etas = {};
+          part.projection.stops.forEach(entry => {
+            etas[entry.customerNumber] = RouteSchedule.formatTime(entry.arrival);
+          });
+          
+          const result = ExportUtils.exportToPDF(part.customers, state.checkedItems, part.stats, {
+            customFields: getVisibleCustomFields('detailed'),
+            areaOrder: part.areas,
+            etas,
+            projectedFinish: part.projection.remaining > 0 ? RouteSchedule.formatTime(part.projection.finish) : null,
+            routeName: part.name
+          });
+          showToast(`PDF saved as ${result.filename}`);
+        } catch (error) {
+          console.error("Error exporting PDF:", error);
+          showToast('Failed to export PDF', true);
+        }
+      });
+      
+      row.querySelector('.export-part-csv-btn').addEventListener('click', () => {
+        try {
+          const result = ExportUtils.exportToCSV(part.customers, state.checkedItems, { routeName: part.name });
+          showToast(`CSV exported as ${result.filename}`);
+        } catch (error) {
+          console.error("Error exporting CSV:", error);
+          showToast('Failed to export CSV', true);
+        }
+      });
+      
+      row.querySelector('.export-part-transfer-btn').addEventListener('click', () => {
+        try {
+          const result = ExportUtils.exportTransferFile(DataHandler.getTransferData(index));
+          showToast(`Transfer file saved as ${result.filename}`);
+        } catch (error) {
+          console.error("Error exporting transfer file:", error);
+          showToast('Failed to export transfer file', true);
+        }
+      });
+    });
+    
+    document.getElementById('close-split-btn').addEventListener('click', () => restoreContent());
+    
+    lucide.createIcons();
+  }
+  
+  /**
+   * Show the item category editor
+   * Items are re-classified whenever the categories change
+   */
+  function showItemCategorySettings() {
+    const { consolidateItemLines } = UIConfigManager.getConfig().import;
+    elements.mainContent.innerHTML = ItemClassifier.renderCategoryConfigUI() + `
+      <div class="bg-gray-800 p-4 rounded-lg mt-4">
+        <label class="flex items-start gap-2 text-sm cursor-pointer">
+          <input type="checkbox" id="consolidate-lines-toggle" class="mt-1" ${consolidateItemLines ? 'checked' : ''}>
+          <span>
+            Combine a stop's identical item lines (same item ID and description) into one line with the total quantity
+            <span class="block text-gray-400">Applies from the next import.</span>
+          </span>
+        </label>
+      </div>
+    `;
+    
+    document.getElementById('consolidate-lines-toggle').addEventListener('change', (event) => {
+      UIConfigManager.updateConfig({ import: { consolidateItemLines: event.target.checked } });
+      UIConfigManager.saveConfigToStorage();
+    });
+    
+    const applyChanges = (message) => {
+      ItemClassifier.saveToStorage();
+      DataHandler.reclassifyItems();
+      showItemCategorySettings();
+      if (message) {
+        showToast(message);
+      }
+    };
+    
+    const splitList = text => String(text || '').split(',').map(value => value.trim()).filter(Boolean);
+    
+    // Patterns go one per line, since commas are part of expressions like \d{2,3}
+    const splitLines = text => String(text || '').split(/\r?\n/).map(value => value.trim()).filter(Boolean);
+    
+    // Edit a category's name and rules; onSave gets them once the name is
+    // set and every pattern is a valid regular expression
+    const showCategoryForm = (category, onSave) => {
+      elements.mainContent.innerHTML = `
+        <div class="bg-gray-800 p-4 rounded-lg animate-fadeIn" id="item-category-form">
+          <h2 class="text-lg font-semibold mb-3">${category.id ? 'Edit Category' : 'Add Category'}</h2>
+          <div class="space-y-3 text-sm">
+            <label class="block">Name
+              <input id="category-name" type="text" class="w-full mt-1 p-2 bg-gray-900 rounded" value="${sanitizeHTML(category.name || '')}">
+            </label>
+            <label class="block">Item ID prefixes <span class="text-gray-400">(comma separated)</span>
+              <input id="category-prefixes" type="text" class="w-full mt-1 p-2 bg-gray-900 rounded" value="${sanitizeHTML((category.prefixes || []).join(', '))}">
+            </label>
+            <label class="block">Description keywords <span class="text-gray-400">(comma separated)</span>
+              <input id="category-keywords" type="text" class="w-full mt-1 p-2 bg-gray-900 rounded" value="${sanitizeHTML((category.keywords || []).join(', '))}">
+            </label>
+            <label class="block">Patterns <span class="text-gray-400">(regular expressions, one per line)</span>
+              <textarea id="category-patterns" rows="4" class="w-full mt-1 p-2 bg-gray-900 rounded font-mono text-xs">${sanitizeHTML((category.patterns || []).join('\n'))}</textarea>
+            </label>
+          </div>
+          <p id="category-form-error" class="hidden text-sm text-red-400 mt-2"></p>
+          <div class="flex justify-end gap-2 mt-4">
+            <button id="cancel-category-btn" class="px-3 py-1.5 bg-gray-700 rounded text-sm">Cancel</button>
+            <button id="save-category-btn" class="px-3 py-1.5 bg-blue-600 rounded text-sm">Save</button>
+          </div>
+        </div>
+      `;
+      
+      const showError = (message) => {
+        const error = document.getElementById('category-form-error');
+        error.textContent = message;
+        error.classList.remove('hidden');
+      };
+      
+      document.getElementById('cancel-category-btn').addEventListener('click', () => showItemCategorySettings());
+      document.getElementById('save-category-btn').addEventListener('click', () => {
+        const name = document.getElementById('category-name').value.trim();
+        if (!name) {
+          showError('Enter a name for the category.');
+          return;
+        }
+        
+        const patterns = splitLines(document.getElementById('category-patterns').value);
+        for (const pattern of patterns) {
+          const patternError = ItemClassifier.getPatternError(pattern);
+          if (patternError) {
+            showError(`Pattern "${pattern}" isn't a valid regular expression: ${patternError}`);
+            return;
+          }
+        }
+        
+        onSave({
+          name,
+          prefixes: splitList(document.getElementById('category-prefixes').value),
+          keywords: splitList(document.getElementById('category-keywords').value),
+          patterns
+        });
+      });
+      
+      document.getElementById('category-name').focus();
+    };
+    
+    document.querySelectorAll('.edit-category-btn').forEach(button => {
+      button.addEventListener('click', () => {
+        const id = button.closest('[data-category-id]').getAttribute('data-category-id');
+        const category = ItemClassifier.getCategoryById(id);
+        
+        // The catch-all category can only be renamed
+        if (id === 'other') {
+          const name = prompt('Category name:', category.name);
+          if (name && name.trim()) {
+            ItemClassifier.updateCategory(id, { name: name.trim() });
+            applyChanges();
+          }
+          return;
+        }
+        
+        showCategoryForm(category, updates => {
+          ItemClassifier.updateCategory(id, updates);
+          applyChanges();
+        });
+      });
+    });
+    
+    document.querySelectorAll('.delete-category-btn').forEach(button => {
+      button.addEventListener('click', () => {
+        const id = button.closest('[data-category-id]').getAttribute('data-category-id');
+        const category = ItemClassifier.getCategoryById(id);
+        if (confirm(`Delete the "${category.name}" category? Its items will move to other categories.`)) {
+          ItemClassifier.removeCategory(id);
+          applyChanges();
+        }
+      });
+    });
+    
+    document.getElementById('add-category-btn').addEventListener('click', () => {
+      showCategoryForm({}, category => {
+        // New categories go after the existing ones, before the catch-all
+        const otherPriority = (ItemClassifier.getCategoryById('other') || {}).priority || 1000;
+        const priorities = ItemClassifier.getAllCategories()
+          .filter(existing => existing.id !== 'other')
+          .map(existing => existing.priority);
+        const id = `${category.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-${Date.now()}`;
+        
+        ItemClassifier.addCategory({
+          id,
+          ...category,
+          priority: Math.min(Math.max(0, ...priorities) + 10, otherPriority - 1)
+        });
+        applyChanges(`Added ${category.name}`);
+      });
+    });
+    
+    document.getElementById('reset-categories-btn').addEventListener('click', () => {
+      if (confirm('Reset item categories to the defaults?')) {
+        ItemClassifier.resetToDefaults();
+        applyChanges('Item categories reset');
+      }
+    });
+    
+    document.getElementById('export-categories-btn').addEventListener('click', () => {
+      const json = JSON.stringify(ItemClassifier.exportCategoryConfig(), null, 2);
+      saveAs(new Blob([json], { type: 'application/json' }), 'item_categories.json');
+    });
+    
+    document.getElementById('import-categories-btn').addEventListener('click', () => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = '.json,application/json';
+      input.addEventListener('change', async () => {
+        if (!input.files.length) return;
+        try {
+          const config = JSON.parse(await input.files[0].text());
+          if (ItemClassifier.importCategoryConfig(config)) {
+            applyChanges('Item categories imported');
+          } else {
+            showToast('That file is not an item category list', true);
+          }
+        } catch (error) {
+          console.error("Error importing item categories:", error);
+          showToast('Could not read the item category file', true);
+        }
+      });
+      input.click();
+    });
+    
+    document.getElementById('close-categories-btn').addEventListener('click', () => restoreContent());
+    
+    lucide.createIcons();
+  }
+  
+  /**
+   * Get the extra columns shown in a view
+   */
+  function getVisibleCustomFields(view) {
+    const fieldNames = DataHandler.getCustomFieldNames();
+    return [...fieldNames.customer, ...fieldNames.item]
+      .filter(field => UIConfigManager.isCustomFieldVisible(field, view));
+  }
+  
+  /**
+   * Render the visible custom fields of a customer or item as small labels
+   */
+  function renderCustomFields(customFields, view) {
+    const visible = Object.entries(customFields || {})
+      .filter(([field]) => UIConfigManager.isCustomFieldVisible(field, view));
+    
+    if (visible.length === 0) {
+      return '';
+    }
+    
+    return `
+      <div class="flex flex-wrap gap-x-3 gap-y-1 text-xs text-gray-400 mt-1">
+        ${visible.map(([field, value]) => `<span><span class="text-gray-500">${sanitizeHTML(field)}:</span> ${sanitizeHTML(value)}</span>`).join('')}
+      </div>
+    `;
+  }
+  
+  /**
+   * Render call/text/email links for a stop (contact from CustomerMaster.getContact)
+   */
+  function renderContactLinks(contact, communications) {
+    const channels = [
+      ['phone', contact.phone],
+      ['sms', contact.sms],
+      ['email', contact.email]
+    ];
+    
+    return channels.map(([channel, target]) => {
+      const settings = communications[channel];
+      if (!settings || !settings.enabled || !target) {
+        return '';
+      }
+      
+      return `
+        <a href="${settings.protocol}${encodeURI(target)}" class="hover:text-blue-400 flex items-center gap-1 no-print" title="${target.replace(/"/g, '&quot;')}">
+          <i data-lucide="${settings.icon}" class="h-3 w-3"></i> ${settings.label}
+        </a>
+      `;
+    }).join('');
+  }
+  
+  /**
+   * Ask for a stop's contact details and save them to the customer profile
+   */
+  function editCustomerContact(customerNumber) {
+    const customer = state.routeData.find(c => c.customerNumber.toString() === customerNumber.toString());
+    if (!customer) return;
+    
+    const current = CustomerMaster.getContact(customer);
+    const phone = prompt(`Phone number for ${customer.accountName}:`, current.phone);
+    if (phone === null) return;
+    const sms = prompt(`Text (SMS) number for ${customer.accountName}:`, current.sms);
+    if (sms === null) return;
+    const email = prompt(`Email for ${customer.accountName}:`, current.email);
+    if (email === null) return;
+    
+    if (CustomerMaster.saveContact(customerNumber, { phone, sms, email })) {
+      showToast('Contact details saved');
+      renderContent();
+    } else {
+      showToast('Failed to save contact details', true);
+    }
+  }
+  
+  /**
+   * Ask for a stop's delivery time window and save it to the customer profile
+   */
+  function editTimeWindow(customerNumber) {
+    const customer = state.routeData.find(c => c.customerNumber.toString() === customerNumber.toString());
+    if (!customer) return;
+    
+    const timeWindow = prompt(
+      `Delivery time window for ${customer.accountName}\n(e.g. "before 10am", "1pm-4pm", "7-10, 2-4"; blank to use the file's):`,
+      CustomerMaster.getTimeWindow(customer)
+    );
+    if (timeWindow === null) return;
+    
+    const { error } = RouteSchedule.parseTimeWindow(timeWindow);
+    if (error) {
+      showToast(error, true);
+      return;
+    }
+    
+    if (CustomerMaster.saveContact(customerNumber, { timeWindow })) {
+      showToast('Time window saved');
       renderContent();
-      showToast('All items unchecked');
+    } else {
+      showToast('Failed to save the time window', true);
+    }
+  }
+  
+  /**
+   * ETAs for the stops not yet done, with the schedule settings from the
+   * routing config; byCustomer looks entries up by customer number
+   */
+  function getStopSchedule() {
+    const result = DataHandler.getProjection(UIConfigManager.getConfig().routing);
+    const byCustomer = {};
+    result.stops.forEach(entry => {
+      byCustomer[entry.customerNumber] = entry;
     });
+    return { ...result, byCustomer };
+  }
+  
+  /**
+   * Badge with a stop's time window; red when the stop is reached too late
+   */
+  function renderTimeWindowBadge(entry) {
+    if (!entry || entry.windows.length === 0) {
+      return '';
+    }
     
-    // Menu button
-    elements.menuBtn.addEventListener('click', () => {
-      elements.menuDropdown.classList.toggle('hidden');
-    });
+    const late = entry.minutesLate > 0;
+    return `
+      <span class="ml-2 text-xs px-2 py-0.5 rounded-full inline-flex items-center gap-1 ${late ? 'bg-red-900 text-red-200' : 'bg-gray-700 text-gray-300'}"
+            title="${late ? `Reached at ${RouteSchedule.formatTime(entry.arrival)}, after its window` : 'Delivery time window'}">
+        <i data-lucide="clock" class="h-3 w-3"></i> ${RouteSchedule.formatTimeWindow(entry.windows)}
+      </span>
+    `;
+  }
+  
+  /**
+   * Estimated arrival at a stop that isn't done yet
+   */
+  function renderEtaBadge(entry) {
+    if (!entry) {
+      return '';
+    }
     
-    // Close menu when clicking elsewhere
-    document.addEventListener('click', (event) => {
-      if (!event.target.closest('#menuBtn') && !event.target.closest('#menuDropdown')) {
-        elements.menuDropdown.classList.add('hidden');
-      }
-    });
+    return `
+      <span class="ml-2 text-xs text-blue-300 inline-flex items-center gap-1" title="Estimated arrival">
+        <i data-lucide="timer" class="h-3 w-3"></i> ${RouteSchedule.formatTime(entry.arrival)}
+      </span>
+    `;
+  }
+  
+  /**
+   * Warning above the stops when the order misses customers' time windows
+   * or some windows can't be read
+   */
+  function renderTimeWindowBar(schedule) {
+    const { violations, unreadable } = schedule;
+    if (violations.length === 0 && unreadable.length === 0) {
+      return '';
+    }
     
-    // Export PDF button
-    elements.exportPdfBtn.addEventListener('click', () => {
-      try {
-        const result = ExportUtils.exportToPDF(state.routeData, state.checkedItems, state.completionStats);
-        showToast(`PDF saved as ${result.filename}`);
-      } catch (error) {
-        console.error("Error exporting PDF:", error);
-        showToast('Failed to export PDF', true);
-      }
-    });
+    const problems = [];
+    if (violations.length > 0) {
+      problems.push(`${violations.length} ${violations.length === 1 ? 'stop is' : 'stops are'} reached after ${violations.length === 1 ? 'its' : 'their'} time window`);
+    }
+    if (unreadable.length > 0) {
+      problems.push(`${unreadable.length} ${unreadable.length === 1 ? 'time window' : 'time windows'} can't be read`);
+    }
     
-    // Save local button
-    elements.saveLocalBtn.addEventListener('click', () => {
-      const saved = DataHandler.saveRouteData();
-      if (saved) {
-        showToast('Progress saved successfully');
-      } else {
-        showToast('Failed to save progress', true);
-      }
-    });
+    return `
+      <div class="flex items-center justify-between bg-yellow-900 px-4 py-2 rounded-lg text-sm text-yellow-200 mt-2 no-print">
+        <span class="flex items-center gap-2">
+          <i data-lucide="alert-triangle" class="h-4 w-4"></i>
+          ${problems.join(' · ')}
+        </span>
+        <button id="review-windows-btn" class="text-yellow-100 hover:text-white">Review</button>
+      </div>
+    `;
+  }
+  
+  /**
+   * Button that moves a stop to another area; highlighted when the stop
+   * was already moved by hand
+   */
+  function renderMoveAreaButton(customer) {
+    const moved = !!AreaClassifier.getAreaOverride(customer.customerNumber);
+    return `
+      <button class="${moved ? 'text-blue-400' : ''} hover:text-blue-400 flex items-center gap-1 no-print" data-move-area="${customer.customerNumber}"
+              title="${moved ? 'Moved to this area by hand' : 'Move to another area'}">
+        <i data-lucide="move" class="h-3 w-3"></i>
+      </button>
+    `;
+  }
+  
+  /**
+   * Badge on a new customer slotted into a hand-set stop order
+   */
+  function renderPlacementBadge(customer) {
+    if (!customer.needsPlacement) {
+      return '';
+    }
     
-    // Import CSV button
-    elements.importCsvBtn.addEventListener('click', () => {
-      elements.csvFileInput.click();
-    });
+    return `
+      <button class="ml-2 text-xs px-2 py-0.5 rounded-full bg-yellow-900 text-yellow-200 no-print" data-place-stop="${customer.customerNumber}"
+              title="New stop, placed at the end of its area. Drag it into place, or tap to keep it here.">New: place me</button>
+    `;
+  }
+  
+  /**
+   * Notice above the summary view when stops are in a hand-set order
+   */
+  function renderStopOrderBar() {
+    const unplaced = state.routeData.filter(customer => customer.needsPlacement).length;
     
-    // Handle CSV file selection
-    elements.csvFileInput.addEventListener('change', async (event) => {
-      if (event.target.files.length > 0) {
-        try {
-          const file = event.target.files[0];
-          elements.menuDropdown.classList.add('hidden');
-          
-          // Show loading spinner
-          elements.mainContent.innerHTML = `
-            <div class="text-center p-8">
-              <div class="mx-auto mb-4 w-12 h-12 border-t-2 border-b-2 border-blue-500 rounded-full animate-spin"></div>
-              <p class="text-gray-400">Importing CSV data...</p>
-            </div>
-          `;
-          
-          // Import the CSV
-          const data = await DataHandler.importCSV(file);
-          state.routeData = data.routeData;
-          state.customersByArea = data.customersByArea;
-          state.areaStats = data.areaStats;
-          
-          // Get completion stats
-          state.completionStats = DataHandler.getCompletionStats();
-          
-          // Update UI
-          updateStats();
-          renderContent();
-          
-          // Update the last updated date
-          const lastUpdated = new Date().toLocaleDateString("en-US", { 
-            year: 'numeric', 
-            month: 'long', 
-            day: 'numeric' 
-          });
-          elements.lastUpdated.textContent = lastUpdated;
-          
-          showToast(`Imported ${file.name} successfully`);
-        } catch (error) {
-          console.error("Error importing CSV:", error);
-          showToast('Failed to import CSV file', true);
-          renderContent(); // Render the original content
-        }
-        
-        // Reset the file input
-        elements.csvFileInput.value = '';
-      }
-    });
+    return `
+      <div class="flex items-center justify-between bg-gray-800 px-4 py-2 rounded-lg text-sm text-gray-300 no-print">
+        <span class="flex items-center gap-2">
+          <i data-lucide="list-ordered" class="h-4 w-4"></i>
+          Your stop order${unplaced > 0 ? ` <span class="text-yellow-300">${unplaced} new ${unplaced === 1 ? 'stop needs' : 'stops need'} placing</span>` : ''}
+        </span>
+        <button id="clear-stop-order-btn" class="text-gray-400 hover:text-white">Clear</button>
+      </div>
+    `;
+  }
+  
+  /**
+   * Ask which area a stop belongs in and keep that choice for later imports
+   */
+  function moveCustomerToArea(customerNumber) {
+    const customer = state.routeData.find(c => c.customerNumber.toString() === customerNumber.toString());
+    if (!customer) return;
     
-    // Export CSV button
-    elements.exportCsvBtn.addEventListener('click', () => {
-      try {
-        const result = ExportUtils.exportToCSV(state.routeData, state.checkedItems);
-        elements.menuDropdown.classList.add('hidden');
-        showToast(`CSV exported as ${result.filename}`);
-      } catch (error) {
-        console.error("Error exporting CSV:", error);
-        showToast('Failed to export CSV', true);
+    const areas = AreaClassifier.sortedAreas();
+    const moved = AreaClassifier.getAreaOverride(customerNumber);
+    const choice = prompt(
+      `Move ${customer.accountName} (now in ${customer.area}) to which area?\n` +
+      areas.map((area, index) => `${index + 1}. ${area.name}`).join('\n') +
+      (moved ? '\n\nLeave blank to follow the area rules again.' : ''),
+      ''
+    );
+    if (choice === null) return;
+    
+    const answer = choice.trim();
+    if (!answer) {
+      if (moved && AreaClassifier.clearAreaOverride(customerNumber)) {
+        showToast(`${customer.accountName} follows the area rules again`);
       }
+      return;
+    }
+    
+    const area = areas[parseInt(answer) - 1] || areas.find(a => a.name.toLowerCase() === answer.toLowerCase());
+    if (!area) {
+      showToast(`No area called "${answer}"`, true);
+      return;
+    }
+    
+    // The stops re-render through 'areas:updated'
+    if (AreaClassifier.setAreaOverride(customerNumber, area.id)) {
+      showToast(`Moved ${customer.accountName} to ${area.name}`);
+    } else {
+      showToast('Failed to save the area change', true);
+    }
+  }
+  
+  /**
+   * Point the menu's call/text/email links at the dispatcher from the UI
+   * config; links without a number or address are hidden
+   */
+  function applyDispatcherLinks() {
+    const { dispatcher } = UIConfigManager.getConfig();
+    const links = [
+      [document.getElementById('dispatcherCallLink'), 'tel:', dispatcher.phone],
+      [document.getElementById('dispatcherTextLink'), 'sms:', dispatcher.sms || dispatcher.phone],
+      [document.getElementById('dispatcherEmailLink'), 'mailto:', dispatcher.email]
+    ];
+    
+    links.forEach(([link, protocol, target]) => {
+      if (!link) return;
+      link.parentElement.classList.toggle('hidden', !target);
+      link.setAttribute('href', target ? `${protocol}${encodeURI(target)}` : '#');
     });
     
-    // Reset button
-    elements.resetBtn.addEventListener('click', () => {
-      if (confirm('Are you sure you want to reset all progress? This cannot be undone.')) {
-        // Show options for what to reset
-        const resetType = confirm(
-          'Would you like to:\n\n' +
-          '• Click OK to reset completion status only (keep route data)\n' +
-          '• Click Cancel to reset EVERYTHING (route data and completion status)'
-        );
-        
-        if (resetType) {
-          // Reset completion status only
-          state.completionStats = DataHandler.resetCheckedItems();
-          updateStats();
-          renderContent();
-          elements.menuDropdown.classList.add('hidden');
-          showToast('All progress has been reset');
-        } else {
-          // Reset everything including route data
-          localStorage.removeItem('route33Data');
-          localStorage.removeItem('route33RawData');
-          showToast('All data has been reset');
-          
-          // Reload the page after a brief delay
-          setTimeout(() => {
-            window.location.reload();
-          }, 1500);
-        }
-      }
+    document.querySelectorAll('.dispatcher-name').forEach(span => {
+      span.textContent = dispatcher.name || 'Dispatch';
     });
   }
   
+  /**
+   * Re-render the current data, or the upload prompt if nothing is loaded
+   */
+  function restoreContent() {
+    if (state.routeData.length === 0) {
+      showUploadPrompt();
+    } else {
+      renderContent();
+    }
+  }
+  
+  /**
+   * Escape text for insertion into HTML
+   */
+  function sanitizeHTML(text) {
+    return (text !== undefined && text !== null ? String(text) : '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+  
   /**
    * Show a toast message
    */
@@ -402,28 +1932,126 @@ document.addEventListener("DOMContentLoaded", function() {
    * Update statistics display
    */
   function updateStats() {
+    // Keep the checkboxes in step with the saved completion checks
+    state.checkedItems = DataHandler.getCheckedItems();
+    
     // Update progress bar
     const progress = state.completionStats.stopsProgress;
     elements.progressBar.style.width = `${progress}%`;
     elements.progressText.textContent = `${progress}% (${state.completionStats.completedStops}/${state.completionStats.totalStops})`;
+    updateProjectedFinish();
+    updateSplitProgress();
     
     // Update statistics
     elements.totalStops.textContent = state.completionStats.totalStops;
     elements.itemStops.textContent = state.routeData.filter(c => c.hasItems).length;
     
-    // Update area counts in quick reference
-    if (state.areaStats['Shasta Ortho']) {
-      document.getElementById('shastoOrthoCount').textContent = state.areaStats['Shasta Ortho'];
+    updateAreaBreakdown();
+  }
+  
+  /**
+   * List each area's stop count in the quick reference, in route order
+   */
+  function updateAreaBreakdown() {
+    const areas = {};
+    AreaClassifier.getAllAreas().forEach(area => {
+      areas[area.name] = area;
+    });
+    
+    elements.areaBreakdown.innerHTML = DataHandler.getAreaOrder().map(name => {
+      const count = state.areaStats[name] || 0;
+      const area = areas[name] || {};
+      return `
+        <li class="flex items-center">
+          <i data-lucide="${sanitizeHTML(area.icon || 'map-pin')}" class="h-4 w-4 mr-2" style="color: ${sanitizeHTML(area.color || '#3B82F6')}"></i>
+          <span><strong>${sanitizeHTML(name)}:</strong> ${count} ${count === 1 ? 'stop' : 'stops'}</span>
+        </li>
+      `;
+    }).join('');
+    
+    lucide.createIcons();
+  }
+  
+  /**
+   * Show when the route should be finished under the progress bar
+   */
+  function updateProjectedFinish() {
+    if (state.routeData.length === 0) {
+      elements.projectedFinish.textContent = '';
+      return;
+    }
+    
+    const projection = DataHandler.getProjection(UIConfigManager.getConfig().routing);
+    elements.projectedFinish.textContent = projection.remaining === 0
+      ? 'All stops done'
+      : `Projected finish ${RouteSchedule.formatTime(projection.finish)} · ${projection.remaining} ${projection.remaining === 1 ? 'stop' : 'stops'} left`;
+  }
+  
+  /**
+   * Show each driver's progress under the progress bar when the route is split
+   */
+  function updateSplitProgress() {
+    const split = state.routeData.length > 0 ? DataHandler.getSplit(UIConfigManager.getConfig().routing) : null;
+    if (!split) {
+      elements.splitProgress.innerHTML = '';
+      return;
     }
-    if (state.areaStats['Bechelli Lane']) {
-      document.getElementById('bechelliCount').textContent = state.areaStats['Bechelli Lane'];
+    
+    elements.splitProgress.innerHTML = split.parts.map(part => `
+      <div class="flex justify-between gap-2">
+        <span>${part.name}: ${part.stats.stopsProgress}% (${part.stats.completedStops}/${part.stats.totalStops})</span>
+        <span>${part.projection.remaining === 0 ? 'Done' : `Finish ${RouteSchedule.formatTime(part.projection.finish)}`}</span>
+      </div>
+    `).join('');
+  }
+  
+  /**
+   * Refresh the source route filter; it is only shown when the day was
+   * merged from more than one route
+   */
+  function updateSourceFilter() {
+    const sources = DataHandler.getSourceRoutes();
+    if (!sources.includes(state.sourceFilter)) {
+      state.sourceFilter = '';
     }
-    if (state.areaStats['Downtown']) {
-      document.getElementById('downtownCount').textContent = state.areaStats['Downtown'];
+    
+    elements.sourceFilter.innerHTML = `
+      <option value="">All routes</option>
+      ${sources.map(source => `<option value="${sanitizeHTML(source)}">${sanitizeHTML(source)}</option>`).join('')}
+    `;
+    elements.sourceFilter.value = state.sourceFilter;
+    elements.sourceFilter.classList.toggle('hidden', sources.length < 2);
+  }
+  
+  /**
+   * Limit stops, and their items, to the selected source route
+   */
+  function filterBySource(customers) {
+    if (!state.sourceFilter) {
+      return customers;
     }
-    if (state.areaStats['Churn Creek']) {
-      document.getElementById('churnCreekCount').textContent = state.areaStats['Churn Creek'];
+    
+    return customers
+      .filter(customer => DataHandler.getStopSources(customer).includes(state.sourceFilter))
+      .map(customer => {
+        if (!customer.items || customer.items.every(item => !item.sourceRoute || item.sourceRoute === state.sourceFilter)) {
+          return customer;
+        }
+        const items = customer.items.filter(item => !item.sourceRoute || item.sourceRoute === state.sourceFilter);
+        return { ...customer, items, hasItems: items.length > 0 };
+      });
+  }
+  
+  /**
+   * Badge naming the routes a stop came from, shown when the day has several
+   */
+  function renderSourceBadge(customer) {
+    const sources = DataHandler.getStopSources(customer);
+    if (elements.sourceFilter.classList.contains('hidden') || sources.length === 0) {
+      return '';
     }
+    
+    return `<span class="ml-2 text-xs px-2 py-0.5 rounded-full ${sources.length > 1 ? 'bg-purple-900 text-purple-200' : 'bg-gray-700 text-gray-300'}">${sanitizeHTML(sources.join(' + '))}</span>`;
   }
   
   /**
@@ -435,22 +2063,71 @@ document.addEventListener("DOMContentLoaded", function() {
     if (state.searchQuery) {
       filteredData = DataHandler.searchCustomers(state.searchQuery);
     }
+    filteredData = filterBySource(filteredData);
     
     // Show appropriate view
     if (state.view === 'summary') {
       renderSummaryView(filteredData);
+    } else if (state.view === 'loadlist') {
+      renderLoadListView(filteredData);
     } else {
       renderDetailedView(filteredData);
     }
   }
   
+  /**
+   * Render the load list: what to put on the truck, totalled by item category
+   */
+  function renderLoadListView(filteredData) {
+    const loadList = DataHandler.getLoadList(filteredData);
+    
+    if (loadList.length === 0) {
+      elements.mainContent.innerHTML = `
+        <div class="text-center p-8">
+          <div class="mb-4 text-gray-500">
+            <i data-lucide="package-x" class="h-12 w-12 mx-auto"></i>
+          </div>
+          <p class="text-gray-400">No items to load</p>
+        </div>
+      `;
+      lucide.createIcons();
+      return;
+    }
+    
+    elements.mainContent.innerHTML = loadList.map(category => `
+      <div class="bg-gray-800 rounded-lg overflow-hidden mt-4">
+        <div class="p-3 bg-gray-700 flex justify-between items-center">
+          <h2 class="font-semibold flex items-center">
+            <i data-lucide="${sanitizeHTML(category.icon)}" class="h-4 w-4 mr-2" style="color: ${sanitizeHTML(category.color)}"></i>
+            ${sanitizeHTML(category.name)}
+          </h2>
+          <span class="text-sm text-gray-300">${category.totalQuantity} total</span>
+        </div>
+        <div class="divide-y divide-gray-700">
+          ${category.lines.map(line => `
+            <div class="p-3 flex items-center justify-between">
+              <div>
+                <p>${sanitizeHTML(line.description || line.itemId)}</p>
+                <p class="text-xs text-gray-400">${sanitizeHTML(line.itemId)} · ${line.stops} ${line.stops === 1 ? 'stop' : 'stops'}</p>
+              </div>
+              <span class="bg-blue-900 text-blue-200 text-sm px-3 py-1 rounded-full">${line.quantity}</span>
+            </div>
+          `).join('')}
+        </div>
+      </div>
+    `).join('');
+    
+    lucide.createIcons();
+  }
+  
   /**
    * Render summary view
    */
   function renderSummaryView(filteredData) {
+    const schedule = getStopSchedule();
     // Group by area
     const customersByArea = {};
-    DataHandler.areaOrder.forEach(area => {
+    DataHandler.getAreaOrder().forEach(area => {
       customersByArea[area] = [];
     });
     
@@ -459,7 +2136,7 @@ document.addEventListener("DOMContentLoaded", function() {
         // Skip if filtering completed and customer is complete
         if (state.filterCompleted) {
           const isCompleted = customer.items && customer.items.length > 0 
-            ? customer.items.every(item => state.checkedItems[`${customer.customerNumber}-${item.itemId}`])
+            ? customer.items.every(item => state.checkedItems[DataHandler.getItemKey(customer.customerNumber, item)])
             : state.checkedItems[customer.customerNumber];
           
           if (isCompleted) return;
@@ -467,7 +2144,7 @@ document.addEventListener("DOMContentLoaded", function() {
         
         customersByArea[customer.area].push(customer);
       } else {
-        customersByArea["Other"].push(customer);
+        customersByArea[AreaClassifier.getDefaultAreaName()].push(customer);
       }
     });
     
@@ -475,37 +2152,40 @@ document.addEventListener("DOMContentLoaded", function() {
     let html = '';
     
     // Add each area
-    DataHandler.areaOrder.forEach(area => {
+    DataHandler.getAreaOrder().forEach((area, areaIndex) => {
       const customers = customersByArea[area];
       
       if (customers && customers.length > 0) {
         html += `
           <div class="mt-4">
             <div class="bg-gray-800 px-4 py-2 rounded-t-lg area-header">
-              <h2 class="font-medium text-lg text-blue-400">${area}</h2>
+              <h2 class="font-medium text-lg text-blue-400">${sanitizeHTML(area)}</h2>
             </div>
-            <div class="bg-gray-800 p-2 rounded-b-lg divide-y divide-gray-700">
+            <div class="bg-gray-800 p-2 rounded-b-lg divide-y divide-gray-700" data-stop-area="${areaIndex}">
         `;
         
         // Add customers in this area
         customers.forEach(customer => {
           const isCompleted = customer.items && customer.items.length > 0 
-            ? customer.items.every(item => state.checkedItems[`${customer.customerNumber}-${item.itemId}`])
+            ? customer.items.every(item => state.checkedItems[DataHandler.getItemKey(customer.customerNumber, item)])
             : state.checkedItems[customer.customerNumber];
           
           html += `
-            <div class="p-3 flex items-start ${isCompleted ? 'opacity-70' : ''}">
+            <div class="p-3 flex items-start ${isCompleted ? 'opacity-70' : ''}" data-stop="${customer.customerNumber}">
+              <span class="stop-drag-handle mr-2 mt-1 text-gray-500 cursor-move no-print" title="Drag to reorder"><i data-lucide="grip-vertical" class="h-4 w-4"></i></span>
               <div class="flex-grow">
                 <div class="flex items-start justify-between">
                   <div>
-                    <h3 class="font-medium">${customer.accountName}</h3>
-                    <p class="text-sm text-gray-400">
+                    <h3 class="font-medium">${customer.accountName}${renderSourceBadge(customer)}${renderPlacementBadge(customer)}${renderTimeWindowBadge(schedule.byCustomer[customer.customerNumber])}${renderEtaBadge(schedule.byCustomer[customer.customerNumber])}</h3>
+                    <p class="text-sm text-gray-400 flex items-center gap-2">
                       <a href="https://maps.google.com/?q=${encodeURIComponent(customer.address)}" 
                          target="_blank" 
                          class="hover:text-blue-400 flex items-center gap-1">
                         <i data-lucide="map-pin" class="h-3 w-3"></i> ${customer.address}
                       </a>
+                      ${renderMoveAreaButton(customer)}
                     </p>
+                    ${renderCustomFields(customer.customFields, 'summary')}
                   </div>
           `;
           
@@ -513,7 +2193,7 @@ document.addEventListener("DOMContentLoaded", function() {
           if (customer.items && customer.items.length > 0) {
             const totalItems = customer.items.length;
             const completedItems = customer.items.filter(item => 
-              state.checkedItems[`${customer.customerNumber}-${item.itemId}`]
+              state.checkedItems[DataHandler.getItemKey(customer.customerNumber, item)]
             ).length;
             
             html += `
@@ -564,6 +2244,8 @@ document.addEventListener("DOMContentLoaded", function() {
           <p class="text-gray-400">No stops found matching "${state.searchQuery}"</p>
         </div>
       `;
+    } else {
+      html = (DataHandler.hasStopSequence() ? renderStopOrderBar() : '') + renderTimeWindowBar(schedule) + html;
     }
     
     elements.mainContent.innerHTML = html;
@@ -576,6 +2258,36 @@ document.addEventListener("DOMContentLoaded", function() {
       });
     });
     
+    // Move-to-area buttons
+    document.querySelectorAll('[data-move-area]').forEach(button => {
+      button.addEventListener('click', () => moveCustomerToArea(button.getAttribute('data-move-area')));
+    });
+    
+    // Keep a new stop where it was slotted in
+    document.querySelectorAll('[data-place-stop]').forEach(button => {
+      button.addEventListener('click', () => {
+        DataHandler.markStopPlaced(button.getAttribute('data-place-stop'));
+        renderContent();
+      });
+    });
+    
+    const clearOrderButton = document.getElementById('clear-stop-order-btn');
+    if (clearOrderButton) {
+      clearOrderButton.addEventListener('click', () => {
+        if (!confirm('Forget your stop order? Stops will follow the order of the file from the next import.')) return;
+        DataHandler.clearStopSequence();
+        renderContent();
+        showToast('Stop order cleared');
+      });
+    }
+    
+    const reviewWindowsButton = document.getElementById('review-windows-btn');
+    if (reviewWindowsButton) {
+      reviewWindowsButton.addEventListener('click', () => showRouteOptimizer());
+    }
+    
+    setupStopDragAndDrop();
+    
     // Initialize Lucide icons
     lucide.createIcons();
   }
@@ -586,7 +2298,7 @@ document.addEventListener("DOMContentLoaded", function() {
   function renderDetailedView(filteredData) {
     // Group by area
     const customersByArea = {};
-    DataHandler.areaOrder.forEach(area => {
+    DataHandler.getAreaOrder().forEach(area => {
       customersByArea[area] = [];
     });
     
@@ -595,7 +2307,7 @@ document.addEventListener("DOMContentLoaded", function() {
         // Skip if filtering completed and customer is complete
         if (state.filterCompleted) {
           const isCompleted = customer.items && customer.items.length > 0 
-            ? customer.items.every(item => state.checkedItems[`${customer.customerNumber}-${item.itemId}`])
+            ? customer.items.every(item => state.checkedItems[DataHandler.getItemKey(customer.customerNumber, item)])
             : state.checkedItems[customer.customerNumber];
           
           if (isCompleted) return;
@@ -603,22 +2315,34 @@ document.addEventListener("DOMContentLoaded", function() {
         
         customersByArea[customer.area].push(customer);
       } else {
-        customersByArea["Other"].push(customer);
+        customersByArea[AreaClassifier.getDefaultAreaName()].push(customer);
       }
     });
     
     // Build HTML
     let html = '';
     
+    // Load contact details once for all stops
+    const contactContext = CustomerMaster.preloadContacts();
+    const schedule = getStopSchedule();
+    const { communications } = UIConfigManager.getConfig();
+    
+    // The communications settings only fill in for stops with no details
+    const contactFallback = {
+      phone: communications.phone.defaultValue,
+      sms: communications.sms.defaultValue,
+      email: communications.email.defaultValue
+    };
+    
     // Add each area
-    DataHandler.areaOrder.forEach(area => {
+    DataHandler.getAreaOrder().forEach(area => {
       const customers = customersByArea[area];
       
       if (customers && customers.length > 0) {
         html += `
           <div class="mt-4">
             <div class="bg-gray-800 px-4 py-2 rounded-t-lg area-header">
-              <h2 class="font-medium text-lg text-blue-400">${area}</h2>
+              <h2 class="font-medium text-lg text-blue-400">${sanitizeHTML(area)}</h2>
             </div>
             <div class="bg-gray-800 rounded-b-lg divide-y divide-gray-700">
         `;
@@ -626,7 +2350,7 @@ document.addEventListener("DOMContentLoaded", function() {
         // Add customers in this area
         customers.forEach(customer => {
           const isCompleted = customer.items && customer.items.length > 0 
-            ? customer.items.every(item => state.checkedItems[`${customer.customerNumber}-${item.itemId}`])
+            ? customer.items.every(item => state.checkedItems[DataHandler.getItemKey(customer.customerNumber, item)])
             : state.checkedItems[customer.customerNumber];
           
           html += `
@@ -635,6 +2359,9 @@ document.addEventListener("DOMContentLoaded", function() {
                 <div>
                   <h3 class="font-medium text-lg flex items-center">
                     ${customer.accountName}
+                    ${renderSourceBadge(customer)}
+                    ${renderTimeWindowBadge(schedule.byCustomer[customer.customerNumber])}
+                    ${renderEtaBadge(schedule.byCustomer[customer.customerNumber])}
                     ${isCompleted ? '<span class="ml-2 text-green-500 text-sm">(Completed)</span>' : ''}
                   </h3>
                   <div class="flex space-x-2 text-sm text-gray-400 mt-1">
@@ -643,13 +2370,21 @@ document.addEventListener("DOMContentLoaded", function() {
                        class="hover:text-blue-400 flex items-center gap-1">
                       <i data-lucide="map-pin" class="h-3 w-3"></i> ${customer.address}
                     </a>
-                    <a href="tel:555-123-4567" class="hover:text-blue-400 flex items-center gap-1 no-print">
-                      <i data-lucide="phone" class="h-3 w-3"></i> Call
-                    </a>
-                    <a href="sms:555-123-4567" class="hover:text-blue-400 flex items-center gap-1 no-print">
-                      <i data-lucide="message-square" class="h-3 w-3"></i> Text
-                    </a>
+                    ${renderContactLinks(CustomerMaster.getContact(customer, contactContext, contactFallback), communications)}
+                    <button class="hover:text-blue-400 flex items-center gap-1 no-print" data-edit-contact="${customer.customerNumber}" title="Edit contact details">
+                      <i data-lucide="pencil" class="h-3 w-3"></i>
+                    </button>
+                    <button class="hover:text-blue-400 flex items-center gap-1 no-print" data-edit-window="${customer.customerNumber}" title="Set delivery time window">
+                      <i data-lucide="clock" class="h-3 w-3"></i>
+                    </button>
+                    ${renderMoveAreaButton(customer)}
                   </div>
+                  ${customer.notes ? `
+                    <p class="text-sm text-yellow-200 mt-1 flex items-center gap-1">
+                      <i data-lucide="sticky-note" class="h-3 w-3"></i> ${sanitizeHTML(customer.notes)}
+                    </p>
+                  ` : ''}
+                  ${renderCustomFields(customer.customFields, 'detailed')}
                 </div>
                 
                 <!-- Customer checkbox -->
@@ -674,7 +2409,7 @@ document.addEventListener("DOMContentLoaded", function() {
             `;
             
             customer.items.forEach(item => {
-              const isItemChecked = state.checkedItems[`${customer.customerNumber}-${item.itemId}`];
+              const isItemChecked = state.checkedItems[DataHandler.getItemKey(customer.customerNumber, item)];
               
               html += `
                 <div class="flex items-center ${isItemChecked ? 'opacity-70' : ''}">
@@ -683,8 +2418,8 @@ document.addEventListener("DOMContentLoaded", function() {
                     class="w-4 h-4 rounded bg-gray-700 border-gray-600 mr-3"
                     ${isItemChecked ? 'checked' : ''}
                     data-customer="${customer.customerNumber}"
-                    data-item="${item.itemId}"
-                    onChange="handleItemCheck(event, ${customer.customerNumber}, '${item.itemId}')"
+                    data-item="${DataHandler.getLineKey(item)}"
+                    onChange="handleItemCheck(event, ${customer.customerNumber}, '${DataHandler.getLineKey(item)}')"
                   >
                   <div class="flex-grow">
                     <div class="text-sm">
@@ -692,6 +2427,7 @@ document.addEventListener("DOMContentLoaded", function() {
                       ${item.quantity ? `<span class="text-gray-400">(${item.quantity})</span>` : ''}
                     </div>
                     <div class="text-xs text-gray-500">Item: ${item.itemId}</div>
+                    ${renderCustomFields(item.customFields, 'detailed')}
                   </div>
                 </div>
               `;
@@ -738,8 +2474,8 @@ document.addEventListener("DOMContentLoaded", function() {
       if (checkbox.hasAttribute('data-item')) {
         checkbox.addEventListener('change', (event) => {
           const customerNumber = checkbox.getAttribute('data-customer');
-          const itemId = checkbox.getAttribute('data-item');
-          handleItemCheck(event, customerNumber, itemId);
+          const lineKey = checkbox.getAttribute('data-item');
+          handleItemCheck(event, customerNumber, lineKey);
         });
       } else {
         checkbox.addEventListener('change', (event) => {
@@ -749,6 +2485,21 @@ document.addEventListener("DOMContentLoaded", function() {
       }
     });
     
+    // Contact edit buttons
+    document.querySelectorAll('[data-edit-contact]').forEach(button => {
+      button.addEventListener('click', () => editCustomerContact(button.getAttribute('data-edit-contact')));
+    });
+    
+    // Time window buttons
+    document.querySelectorAll('[data-edit-window]').forEach(button => {
+      button.addEventListener('click', () => editTimeWindow(button.getAttribute('data-edit-window')));
+    });
+    
+    // Move-to-area buttons
+    document.querySelectorAll('[data-move-area]').forEach(button => {
+      button.addEventListener('click', () => moveCustomerToArea(button.getAttribute('data-move-area')));
+    });
+    
     // Initialize Lucide icons
     lucide.createIcons();
   }
@@ -766,7 +2517,7 @@ document.addEventListener("DOMContentLoaded", function() {
       if (customer.items && customer.items.length > 0) {
         // Check/uncheck all items for this customer
         customer.items.forEach(item => {
-          state.completionStats = DataHandler.toggleItemCheck(customer.customerNumber, item.itemId, checked);
+          state.completionStats = DataHandler.toggleItemCheck(customer.customerNumber, DataHandler.getLineKey(item), checked);
         });
       } else {
         // For customers without items
@@ -782,11 +2533,11 @@ document.addEventListener("DOMContentLoaded", function() {
   /**
    * Handle item checkbox change
    */
-  function handleItemCheck(event, customerNumber, itemId) {
+  function handleItemCheck(event, customerNumber, lineKey) {
     const checked = event.target.checked;
     
     // Update data
-    state.completionStats = DataHandler.toggleItemCheck(customerNumber, itemId, checked);
+    state.completionStats = DataHandler.toggleItemCheck(customerNumber, lineKey, checked);
     
     // Update UI
     updateStats();
@@ -795,7 +2546,7 @@ document.addEventListener("DOMContentLoaded", function() {
     const customer = state.routeData.find(c => c.customerNumber.toString() === customerNumber.toString());
     if (customer && customer.items) {
       const allChecked = customer.items.every(item => 
-        state.checkedItems[`${customer.customerNumber}-${item.itemId}`]
+        state.checkedItems[DataHandler.getItemKey(customer.customerNumber, item)]
       );
       
       // If all items are now checked, we may want to update the UI accordingly
@@ -0,0 +1,239 @@
+/**
+ * Unit tests for area-classifier.js
+ */
+
+TestSuite.describe('AreaClassifier', () => {
+  
+  TestSuite.describe('classifyAddress', () => {
+    TestSuite.it('should keep plain string patterns working', () => {
+      AreaClassifier.resetToDefaults();
+      
+      TestSuite.assert.equal(AreaClassifier.classifyAddress('88 Bechelli Ln, Redding, CA 96002').name, 'Bechelli Lane', 'Substring pattern should match');
+    });
+    
+    TestSuite.it('should only match whole words on the street', () => {
+      AreaClassifier.resetToDefaults();
+      
+      TestSuite.assert.equal(AreaClassifier.classifyAddress('1255 Liberty St, Redding, CA 96001').name, 'Shasta Ortho', 'Liberty St should match');
+      TestSuite.assert.equal(AreaClassifier.classifyAddress('400 Liberty Ave, Redding, CA 96003').name, 'Other', 'Liberty Ave should not match');
+      TestSuite.assert.equal(AreaClassifier.classifyAddress('1500 Cypress Ave, Redding, CA 96001').name, 'Downtown', 'Cypress Ave should match');
+    });
+    
+    TestSuite.it('should apply exclusions', () => {
+      AreaClassifier.resetToDefaults();
+      
+      TestSuite.assert.equal(AreaClassifier.classifyAddress('12 Cypress Point Ct, Redding, CA 96003').name, 'Other', 'Cypress Point should be excluded');
+    });
+    
+    TestSuite.it('should match a specific address part', () => {
+      AreaClassifier.resetToDefaults();
+      AreaClassifier.addArea({ id: 'anderson', name: 'Anderson', patterns: [{ type: 'word', value: 'anderson', part: 'city' }], priority: 5 });
+      AreaClassifier.addArea({ id: 'zip-96007', name: 'Zip 96007', patterns: [{ type: 'regex', value: '^9600[78]$', part: 'zip' }], priority: 6 });
+      
+      TestSuite.assert.equal(AreaClassifier.classifyAddress('5 Main St, Anderson, CA 96007').name, 'Anderson', 'City rule should match');
+      TestSuite.assert.equal(AreaClassifier.classifyAddress('9 Anderson Rd, Cottonwood, CA 96022').name, 'Other', 'City rule should ignore the street');
+      TestSuite.assert.equal(AreaClassifier.classifyAddress('7 Oak St, Cottonwood, CA 96008').name, 'Zip 96007', 'Zip rule should match');
+      
+      AreaClassifier.resetToDefaults();
+    });
+    
+    TestSuite.it('should match house-number ranges and ZIP codes', () => {
+      AreaClassifier.resetToDefaults();
+      AreaClassifier.addArea({ id: 'churn-creek-north', name: 'Churn Creek North', patterns: [{ type: 'range', street: 'Churn Creek Road', from: 1000, to: 2499 }], priority: 5 });
+      AreaClassifier.addArea({ id: 'zip-96002', name: 'South Redding Zip', patterns: [{ type: 'zip', value: '96002, 96049' }], priority: 45 });
+      
+      TestSuite.assert.equal(AreaClassifier.classifyAddress('1250 Churn Creek Rd, Redding, CA 96002').name, 'Churn Creek North', 'Number inside the range should match');
+      TestSuite.assert.equal(AreaClassifier.classifyAddress('2499 Churn Creek Rd Ste 4, Redding, CA 96002').name, 'Churn Creek North', 'Range should include its last number');
+      TestSuite.assert.equal(AreaClassifier.classifyAddress('2600 Churn Creek Rd, Redding, CA 96002').name, 'Churn Creek', 'Number past the range should fall through');
+      TestSuite.assert.equal(AreaClassifier.classifyAddress('77 Oak St, Redding, CA 96002').name, 'South Redding Zip', 'ZIP rule should match');
+      TestSuite.assert.equal(AreaClassifier.classifyAddress('77 Oak St, Redding, CA 96001').name, 'Other', 'Other ZIPs should not match');
+      
+      AreaClassifier.resetToDefaults();
+    });
+    
+    TestSuite.it('should limit a range to one side of the street', () => {
+      AreaClassifier.resetToDefaults();
+      AreaClassifier.addArea({ id: 'east-side', name: 'East Side', patterns: [{ type: 'range', street: 'Churn Creek Rd', from: 1, to: 999, side: 'odd' }], priority: 5 });
+      
+      TestSuite.assert.equal(AreaClassifier.classifyAddress('501 Churn Creek Rd').name, 'East Side', 'Odd number should match');
+      TestSuite.assert.equal(AreaClassifier.classifyAddress('500 Churn Creek Rd').name, 'Churn Creek', 'Even number should not match');
+      
+      AreaClassifier.resetToDefaults();
+    });
+  });
+  
+  TestSuite.describe('geofences', () => {
+    // Square around downtown Redding, [longitude, latitude]
+    const square = { type: 'Polygon', coordinates: [[[-122.40, 40.57], [-122.38, 40.57], [-122.38, 40.59], [-122.40, 40.59], [-122.40, 40.57]]] };
+    
+    TestSuite.it('should place stops with coordinates by polygon and fall back to patterns', () => {
+      AreaClassifier.resetToDefaults();
+      AreaClassifier.updateArea('bechelli-lane', { geofence: square });
+      
+      TestSuite.assert.equal(AreaClassifier.classifyAddress('9 Oak St', { lat: 40.58, lng: -122.39 }).name, 'Bechelli Lane', 'Point inside the polygon should match');
+      TestSuite.assert.equal(AreaClassifier.classifyAddress('88 Bechelli Ln', { lat: 40.50, lng: -122.39 }).name, 'Other', 'Point outside the polygon should not match by text');
+      TestSuite.assert.equal(AreaClassifier.classifyAddress('88 Bechelli Ln', { lat: '', lng: '' }).name, 'Bechelli Lane', 'Missing coordinates should use the patterns');
+      
+      AreaClassifier.resetToDefaults();
+    });
+    
+    TestSuite.it('should match radius geofences', () => {
+      AreaClassifier.resetToDefaults();
+      const { geofence, error } = AreaClassifier.parseGeofence(JSON.stringify({
+        type: 'Feature',
+        properties: { radius: 500 },
+        geometry: { type: 'Point', coordinates: [-122.39, 40.58] }
+      }));
+      
+      TestSuite.assert.equal(error, null, 'Feature with a radius should parse');
+      AreaClassifier.updateArea('downtown', { geofence });
+      TestSuite.assert.equal(AreaClassifier.classifyAddress('1 A St', { lat: 40.582, lng: -122.39 }).name, 'Downtown', 'Point 220 m away should match');
+      TestSuite.assert.equal(AreaClassifier.classifyAddress('1 A St', { lat: 40.59, lng: -122.39 }).name, 'Other', 'Point 1.1 km away should not match');
+      TestSuite.assert.isTrue(!!AreaClassifier.exportAreaConfig().find(area => area.id === 'downtown').geofence, 'Geofence should be exported');
+      
+      AreaClassifier.resetToDefaults();
+    });
+    
+    TestSuite.it('should reject invalid GeoJSON', () => {
+      TestSuite.assert.isTrue(!!AreaClassifier.parseGeofence('{').error, 'Broken JSON should be rejected');
+      TestSuite.assert.isTrue(!!AreaClassifier.parseGeofence({ type: 'Point', coordinates: [-122.39, 40.58] }).error, 'Point without radius should be rejected');
+      TestSuite.assert.isTrue(!!AreaClassifier.parseGeofence({ type: 'Polygon', coordinates: [[[-122.4, 40.57], [-122.38, 40.57], [-122.38, 40.59]]] }).error, 'Open ring should be rejected');
+    });
+  });
+  
+  TestSuite.describe('explainAddress', () => {
+    TestSuite.it('should report the rule that fired and the areas that missed', () => {
+      AreaClassifier.resetToDefaults();
+      const explanation = AreaClassifier.explainAddress('1500 Cypress Ave, Redding, CA 96001');
+      
+      TestSuite.assert.equal(explanation.area.name, 'Downtown', 'Should classify like classifyAddress');
+      TestSuite.assert.equal(explanation.via, 'pattern', 'Should be matched by a pattern');
+      TestSuite.assert.equal(explanation.rule.value, 'cypress', 'Should return the pattern that fired');
+      TestSuite.assert.equal(explanation.missed.map(miss => miss.area.name).join(','), 'Shasta Ortho,Bechelli Lane', 'Should list higher-priority areas');
+    });
+    
+    TestSuite.it('should explain exclusions and the default area', () => {
+      AreaClassifier.resetToDefaults();
+      const explanation = AreaClassifier.explainAddress('12 Cypress Point Ct, Redding, CA 96003');
+      const downtown = explanation.missed.find(miss => miss.area.id === 'downtown');
+      
+      TestSuite.assert.equal(explanation.via, 'default', 'Should fall back to the default area');
+      TestSuite.assert.stringContains(downtown.reason, 'excluded by', 'Should say the exclusion fired');
+    });
+  });
+  
+  TestSuite.describe('previewAreaConfig', () => {
+    TestSuite.it('should list the stops an edit would move without applying it', () => {
+      AreaClassifier.resetToDefaults();
+      const stops = [
+        { customerNumber: '1', accountName: 'Clinic', address: '1500 Cypress Ave, Redding, CA 96001', area: 'Downtown' },
+        { customerNumber: '2', accountName: 'Diner', address: '20 Hartnell Ave, Redding, CA 96002', area: 'Downtown' }
+      ];
+      const config = AreaClassifier.exportAreaConfig().map(area => area.id === 'downtown'
+        ? { ...area, patterns: [{ type: 'word', value: 'cypress', part: 'street' }] }
+        : area);
+      const preview = AreaClassifier.previewAreaConfig(config, stops);
+      
+      TestSuite.assert.equal(preview.moves.length, 1, 'Only the Hartnell stop should move');
+      TestSuite.assert.equal(preview.moves[0].to, 'Other', 'It should move to Other');
+      TestSuite.assert.equal(AreaClassifier.classifyAddress('20 Hartnell Ave').name, 'Downtown', 'Live areas should not change');
+    });
+  });
+  
+  TestSuite.describe('suggestAreas', () => {
+    TestSuite.it('should group Other stops by street and ZIP', () => {
+      AreaClassifier.resetToDefaults();
+      const stops = [
+        { address: '10 Oak St, Redding, CA 96003' },
+        { address: '22 Oak Street, Redding, CA 96003' },
+        { address: '5 Pine Ave, Redding, CA 96003' },
+        { address: '9 Elm Dr, Redding, CA 96001' }
+      ];
+      const suggestions = AreaClassifier.suggestAreas(stops);
+      
+      TestSuite.assert.equal(suggestions.map(suggestion => `${suggestion.label}:${suggestion.count}`).join(','), 'ZIP 96003:3,Oak St:2', 'Groups with two or more stops should be suggested');
+      
+      TestSuite.assert.isTrue(AreaClassifier.addArea(suggestions[1].area), 'A suggestion should be accepted by addArea');
+      TestSuite.assert.equal(AreaClassifier.classifyAddress('40 Oak Street, Redding, CA 96003').name, 'Oak St', 'Either spelling of the street should match');
+      TestSuite.assert.equal(AreaClassifier.classifyAddress('88 Bechelli Ln, Redding, CA 96003').name, 'Bechelli Lane', 'Existing areas should still win');
+      
+      AreaClassifier.resetToDefaults();
+    });
+  });
+  
+  TestSuite.describe('overrides', () => {
+    TestSuite.it('should let a manual override beat the rules until cleared', () => {
+      AreaClassifier.resetToDefaults();
+      const customer = { customerNumber: '4411', address: '1500 Cypress Ave, Redding, CA 96001' };
+      
+      TestSuite.assert.isTrue(AreaClassifier.setAreaOverride('4411', 'bechelli-lane'), 'Override should be saved');
+      TestSuite.assert.equal(AreaClassifier.classifyCustomer(customer).name, 'Bechelli Lane', 'Override should beat the address');
+      TestSuite.assert.equal(AreaClassifier.previewAreaConfig(AreaClassifier.exportAreaConfig(), [{ ...customer, area: 'Bechelli Lane' }]).moves.length, 0, 'Moved stops should not show in a dry run');
+      TestSuite.assert.isFalse(AreaClassifier.setAreaOverride('4411', 'no-such-area'), 'Unknown areas should be rejected');
+      
+      AreaClassifier.clearAreaOverride('4411');
+      TestSuite.assert.equal(AreaClassifier.classifyCustomer(customer).name, 'Downtown', 'Cleared override should follow the rules');
+    });
+    
+    TestSuite.it('should ignore overrides to removed areas', () => {
+      AreaClassifier.resetToDefaults();
+      AreaClassifier.addArea({ id: 'dock', name: 'Dock', patterns: ['dock'] });
+      AreaClassifier.setAreaOverride('77', 'dock');
+      AreaClassifier.removeArea('dock');
+      
+      TestSuite.assert.equal(AreaClassifier.getAreaOverride('77'), null, 'Override to a removed area should be ignored');
+      TestSuite.assert.equal(AreaClassifier.getAreaOverrides()[0].area, null, 'It should still be listed for review');
+      
+      AreaClassifier.clearAllAreaOverrides();
+      TestSuite.assert.equal(AreaClassifier.getAreaOverrides().length, 0, 'Clear all should remove every override');
+    });
+  });
+  
+  TestSuite.describe('editing', () => {
+    TestSuite.it('should reorder areas and keep the default area last', () => {
+      AreaClassifier.resetToDefaults();
+      AreaClassifier.reorderAreas(['churn-creek', 'shasta-ortho']);
+      
+      TestSuite.assert.equal(AreaClassifier.getAreaNames().join(','), 'Churn Creek,Shasta Ortho,Bechelli Lane,Downtown,South Redding,Other', 'Listed areas should go first');
+      
+      AreaClassifier.resetToDefaults();
+    });
+    
+    TestSuite.it('should read edited rule lines', () => {
+      const parsed = AreaClassifier.parseRuleLines('bechelli\n{"type": "zip", "value": "96002"}\n\n{"type": "regex", "value": "("}\n{oops');
+      
+      TestSuite.assert.equal(parsed.rules.length, 2, 'Plain text and JSON rules should be read');
+      TestSuite.assert.equal(parsed.rules[1].type, 'zip', 'JSON lines should become rule objects');
+      TestSuite.assert.equal(parsed.errors.length, 2, 'Invalid lines should be reported');
+    });
+    
+    TestSuite.it('should save and load the configuration', async () => {
+      if (typeof DataStorageService === 'undefined') return;
+      AreaClassifier.resetToDefaults();
+      AreaClassifier.addArea({ id: 'dock', name: 'Dock', patterns: ['dock'], priority: 5 });
+      await AreaClassifier.saveToStorage();
+      
+      AreaClassifier.resetToDefaults();
+      TestSuite.assert.isTrue(await AreaClassifier.loadFromStorage(), 'Saved configuration should load');
+      TestSuite.assert.equal(AreaClassifier.getAreaById('dock').name, 'Dock', 'Added area should be restored');
+      
+      AreaClassifier.resetToDefaults();
+      await AreaClassifier.saveToStorage();
+    });
+  });
+  
+  TestSuite.describe('validation', () => {
+    TestSuite.it('should reject invalid rules when saving', () => {
+      AreaClassifier.resetToDefaults();
+      
+      TestSuite.assert.isFalse(AreaClassifier.addArea({ id: 'bad', name: 'Bad', patterns: [{ type: 'regex', value: '(' }] }), 'Bad regex should be rejected');
+      TestSuite.assert.isFalse(AreaClassifier.updateArea('downtown', { patterns: [{ type: 'word', value: 'x', part: 'county' }] }), 'Unknown part should be rejected');
+      TestSuite.assert.isFalse(AreaClassifier.importAreaConfig([{ id: 'other', name: 'Other', patterns: [], exclude: [''] }]), 'Blank exclusion should be rejected');
+      TestSuite.assert.isFalse(AreaClassifier.addArea({ id: 'bad', name: 'Bad', patterns: [{ type: 'range', street: 'Churn Creek Rd', from: 2499, to: 1000 }] }), 'Backwards range should be rejected');
+      TestSuite.assert.isFalse(AreaClassifier.addArea({ id: 'bad', name: 'Bad', patterns: [{ type: 'zip', value: '9600' }] }), 'Short ZIP should be rejected');
+      TestSuite.assert.isFalse(AreaClassifier.importAreaConfig([{ id: 'bad', name: '<img src=x onerror=alert(1)>', patterns: ['x'] }]), 'Markup in a name should be rejected');
+      TestSuite.assert.isFalse(AreaClassifier.addArea({ id: 'bad', name: 'Bad', color: 'red;background:url(x)', patterns: ['x'] }), 'A color that is not hex should be rejected');
+      TestSuite.assert.equal(AreaClassifier.getAreaById('bad'), undefined, 'Rejected area should not be added');
+    });
+  });
+});
@@ -1,15 +1,34 @@
 /**
  * area-classifier.js
  * Configurable area classification system for Route 33 Guide
+ * 
+ * An area's patterns are either plain strings (matched anywhere in the
+ * address, ignoring case) or rule objects:
+ *   { type: 'contains' | 'word' | 'regex', value, part }
+ * where part is 'any' (default), 'street', 'city' or 'zip', or
+ *   { type: 'range', street, from, to, side }  - house numbers on a street,
+ *                                                side 'odd' or 'even' optional
+ *   { type: 'zip', value }                      - one ZIP or a comma-separated list
+ * An address is in an area when it matches one of its patterns and none of
+ * its exclude rules, which take the same forms. Addresses are split with
+ * AddressParser.
+ *
+ * An area can also have a geofence, a GeoJSON geometry: a Polygon or
+ * MultiPolygon, or a Point with a radius in meters. Stops with coordinates
+ * are placed by their geofence instead of its patterns; stops without
+ * coordinates fall back to the patterns.
+ *
+ * A customer can also be moved to an area by hand; these overrides are
+ * kept per customer number and beat the rules (see classifyCustomer).
  */
 
 const AreaClassifier = (function() {
   // Default area classifications - can be modified at runtime
-  let areaClassifications = [
+  const DEFAULT_AREAS = [
     {
       id: "shasta-ortho",
       name: "Shasta Ortho",
-      patterns: ["liberty"],
+      patterns: [{ type: "regex", value: "\\bliberty\\s+st(reet)?\\b", part: "street" }],
       priority: 10,
       color: "#60A5FA",  // blue-400
       icon: "building-2"
@@ -25,7 +44,11 @@ const AreaClassifier = (function() {
     {
       id: "downtown",
       name: "Downtown",
-      patterns: ["cypress", "hartnell"],
+      patterns: [
+        { type: "word", value: "cypress", part: "street" },
+        { type: "word", value: "hartnell", part: "street" }
+      ],
+      exclude: [{ type: "word", value: "cypress point", part: "street" }],
       priority: 30,
       color: "#F87171",  // red-400
       icon: "building"
@@ -56,27 +79,657 @@ const AreaClassifier = (function() {
     }
   ];
   
+  // Rule types and the address parts a rule can look at
+  const RULE_TYPES = ['contains', 'word', 'regex', 'range', 'zip'];
+  const ADDRESS_PARTS = ['any', 'street', 'city', 'zip'];
+  const RANGE_SIDES = ['odd', 'even'];
+  const GEOFENCE_TYPES = ['Polygon', 'MultiPolygon', 'Point'];
+  
+  // Colours given to suggested areas, in turn
+  const SUGGESTION_COLORS = ["#F472B6", "#2DD4BF", "#FB923C", "#818CF8", "#A3E635", "#38BDF8"];
+  
+  // Mean earth radius, for radius geofences
+  const EARTH_RADIUS_METERS = 6371000;
+  
+  let areaClassifications = cloneAreas(DEFAULT_AREAS);
+  
+  // Compiled rule expressions, keyed by type and value
+  const expressionCache = new Map();
+  
+  // DataStorageService key for the saved configuration
+  const STORAGE_KEY = 'area_config';
+  
+  // Manual area overrides, customer number -> area id; loaded on first use
+  const OVERRIDES_KEY = 'route33AreaOverrides';
+  let areaOverrides = null;
+  
   // Safe string handling
   function safeString(str) {
     return (str !== undefined && str !== null) ? String(str).trim() : "";
   }
   
   /**
-   * Classify an address into an area
+   * Copy an area list so callers can't change the live configuration
+   */
+  function cloneAreas(areas) {
+    const cloneRules = rules => (rules || []).map(rule => typeof rule === 'object' ? { ...rule } : rule);
+    return areas.map(area => ({
+      ...area,
+      patterns: cloneRules(area.patterns),
+      exclude: cloneRules(area.exclude),
+      geofence: area.geofence ? JSON.parse(JSON.stringify(area.geofence)) : null
+    }));
+  }
+  
+  /**
+   * Turn a plain-string pattern into a rule object
+   */
+  function normalizeRule(rule) {
+    if (typeof rule === 'string') {
+      return { type: 'contains', value: rule, part: 'any' };
+    }
+    return { type: 'contains', part: 'any', ...rule };
+  }
+  
+  /**
+   * Split a ZIP rule's value into its ZIP codes
+   */
+  function getZipList(value) {
+    return safeString(value).split(',').map(zip => zip.trim()).filter(Boolean);
+  }
+  
+  /**
+   * Check a house-number range rule; returns an error message or null
+   */
+  function validateRangeRule(rule) {
+    if (!safeString(rule.street)) {
+      return "Range rules need a street";
+    }
+    if (!Number.isInteger(rule.from) || !Number.isInteger(rule.to) || rule.from < 0) {
+      return `${rule.street}: range must be whole house numbers`;
+    }
+    if (rule.from > rule.to) {
+      return `${rule.street}: range ${rule.from}–${rule.to} is backwards`;
+    }
+    if (rule.side !== undefined && !RANGE_SIDES.includes(rule.side)) {
+      return `${rule.street}: side must be "odd" or "even"`;
+    }
+    return null;
+  }
+  
+  /**
+   * Check a pattern or exclude rule; returns an error message or null
+   */
+  function validateRule(rule) {
+    if (typeof rule === 'string') {
+      return rule.trim() ? null : "Patterns can't be blank";
+    }
+    if (!rule || typeof rule !== 'object') {
+      return "Patterns must be text or rule objects";
+    }
+    
+    const { type, value, part } = normalizeRule(rule);
+    if (!RULE_TYPES.includes(type)) {
+      return `Unknown pattern type "${type}"`;
+    }
+    if (!ADDRESS_PARTS.includes(part)) {
+      return `Unknown address part "${part}"`;
+    }
+    if (type === 'range') {
+      return validateRangeRule(rule);
+    }
+    if (type === 'zip') {
+      const zips = getZipList(value);
+      if (zips.length === 0) {
+        return "ZIP rules need a ZIP code";
+      }
+      const invalid = zips.find(zip => !/^\d{5}$/.test(zip));
+      return invalid ? `"${invalid}" is not a 5-digit ZIP code` : null;
+    }
+    if (typeof value !== 'string' || !value.trim()) {
+      return "Patterns can't be blank";
+    }
+    if (type === 'regex') {
+      try {
+        new RegExp(value, 'i');
+      } catch (error) {
+        return `Invalid regular expression /${value}/: ${error.message}`;
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Check a [longitude, latitude] position
+   */
+  function isPosition(position) {
+    return Array.isArray(position) && position.length >= 2 &&
+      Number.isFinite(position[0]) && Math.abs(position[0]) <= 180 &&
+      Number.isFinite(position[1]) && Math.abs(position[1]) <= 90;
+  }
+  
+  /**
+   * Check a polygon's rings: closed, at least four positions each
+   */
+  function isPolygon(rings) {
+    return Array.isArray(rings) && rings.length > 0 && rings.every(ring =>
+      Array.isArray(ring) && ring.length >= 4 && ring.every(isPosition) &&
+      ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1]);
+  }
+  
+  /**
+   * Check a geofence; returns an error message or null
+   */
+  function validateGeofence(geofence) {
+    if (!geofence || typeof geofence !== 'object' || !GEOFENCE_TYPES.includes(geofence.type)) {
+      return "Geofence must be a GeoJSON Polygon, MultiPolygon or Point";
+    }
+    
+    if (geofence.type === 'Point') {
+      if (!isPosition(geofence.coordinates)) {
+        return "Geofence point must be [longitude, latitude]";
+      }
+      return Number.isFinite(geofence.radius) && geofence.radius > 0
+        ? null
+        : "Geofence point needs a radius in meters";
+    }
+    
+    const polygons = geofence.type === 'Polygon' ? [geofence.coordinates] : geofence.coordinates;
+    if (!Array.isArray(polygons) || polygons.length === 0 || !polygons.every(isPolygon)) {
+      return "Geofence polygons need closed rings of [longitude, latitude] positions";
+    }
+    return null;
+  }
+  
+  /**
+   * Turn pasted GeoJSON (text or object) into a geofence
+   * Takes a geometry, a Feature or a FeatureCollection. A Point needs a
+   * radius, given as "radius" on the geometry or in the Feature's
+   * properties. Several polygons are combined into one MultiPolygon.
+   * Returns { geofence, error }
+   */
+  function parseGeofence(input) {
+    let json = input;
+    if (typeof input === 'string') {
+      try {
+        json = JSON.parse(input);
+      } catch (error) {
+        return { geofence: null, error: `Not valid JSON: ${error.message}` };
+      }
+    }
+    
+    // Collect geometries, carrying a Feature's radius onto its Point
+    const toGeometry = feature => {
+      if (!feature || feature.type !== 'Feature') return feature;
+      const radius = feature.properties && feature.properties.radius;
+      return feature.geometry && radius !== undefined
+        ? { ...feature.geometry, radius: Number(radius) }
+        : feature.geometry;
+    };
+    const geometries = json && json.type === 'FeatureCollection'
+      ? (json.features || []).map(toGeometry)
+      : [toGeometry(json)];
+    
+    let geofence;
+    if (geometries.length === 1) {
+      geofence = geometries[0];
+    } else if (geometries.length > 1 && geometries.every(geometry => geometry && geometry.type === 'Polygon')) {
+      geofence = { type: 'MultiPolygon', coordinates: geometries.map(geometry => geometry.coordinates) };
+    } else {
+      return { geofence: null, error: "Paste one circle, or one or more polygons" };
+    }
+    
+    if (geofence && geofence.type === 'Point') {
+      geofence = { type: 'Point', coordinates: geofence.coordinates, radius: geofence.radius };
+    } else if (geofence) {
+      geofence = { type: geofence.type, coordinates: geofence.coordinates };
+    }
+    
+    const error = validateGeofence(geofence);
+    return error ? { geofence: null, error } : { geofence, error: null };
+  }
+  
+  /**
+   * Check an area configuration; returns a list of error messages
+   */
+  function validateArea(area) {
+    const errors = [];
+    if (!area || !area.id || !area.name) {
+      errors.push("Area must have id and name");
+      return errors;
+    }
+    
+    // Names and colors end up in the views' markup
+    if (/[<>]/.test(area.name)) {
+      errors.push(`${area.name}: names can't contain < or >`);
+    }
+    if (area.color !== undefined && !/^#[0-9a-f]{3,8}$/i.test(area.color)) {
+      errors.push(`${area.name}: color must be a hex color like #60A5FA`);
+    }
+    
+    ['patterns', 'exclude'].forEach(field => {
+      if (area[field] === undefined && field === 'exclude') return;
+      if (!Array.isArray(area[field])) {
+        errors.push(`${area.name}: ${field} must be a list`);
+        return;
+      }
+      area[field].forEach(rule => {
+        const error = validateRule(rule);
+        if (error) {
+          errors.push(`${area.name}: ${error}`);
+        }
+      });
+    });
+    
+    if (area.geofence) {
+      const error = validateGeofence(area.geofence);
+      if (error) {
+        errors.push(`${area.name}: ${error}`);
+      }
+    }
+    
+    return errors;
+  }
+  
+  /**
+   * Get a compiled, case-insensitive expression for a word or regex rule
+   */
+  function getExpression(type, value) {
+    const key = `${type}:${value}`;
+    if (!expressionCache.has(key)) {
+      const source = type === 'word'
+        ? `\\b${value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`
+        : value;
+      try {
+        expressionCache.set(key, new RegExp(source, 'i'));
+      } catch (error) {
+        console.error(`Invalid area pattern "${value}":`, error);
+        expressionCache.set(key, null);
+      }
+    }
+    return expressionCache.get(key);
+  }
+  
+  /**
+   * Split an address into the parts rules can match against
+   * "1255 Liberty St, Redding, CA 96001" -> street "liberty st",
+   * city "redding", zip "96001", house number 1255
+   */
+  function getAddressParts(address) {
+    const parsed = AddressParser.parse(address);
+    
+    return {
+      any: parsed.full.toLowerCase(),
+      street: parsed.street.toLowerCase(),
+      streetKey: AddressParser.normalizeStreet(parsed.street),
+      city: parsed.city.toLowerCase(),
+      zip: parsed.zip,
+      houseNumber: parsed.houseNumber
+    };
+  }
+  
+  /**
+   * Check whether an address is inside a house-number range rule
+   */
+  function matchesRange(rule, parts) {
+    const number = parts.houseNumber;
+    if (number === null || parts.streetKey !== AddressParser.normalizeStreet(rule.street)) {
+      return false;
+    }
+    if (rule.side && (number % 2 === 1) !== (rule.side === 'odd')) {
+      return false;
+    }
+    return number >= rule.from && number <= rule.to;
+  }
+  
+  /**
+   * Check whether an address matches one rule
+   */
+  function matchesRule(rule, parts) {
+    const { type, value, part } = normalizeRule(rule);
+    if (type === 'range') {
+      return matchesRange(rule, parts);
+    }
+    if (type === 'zip') {
+      return !!parts.zip && getZipList(value).includes(parts.zip);
+    }
+    
+    const text = parts[part] || '';
+    if (!text || !value) {
+      return false;
+    }
+    
+    if (type === 'contains') {
+      return text.includes(String(value).toLowerCase());
+    }
+    
+    const expression = getExpression(type, String(value));
+    return !!expression && expression.test(text);
+  }
+  
+  /**
+   * Read a { lat, lng } location; null when it's missing or not a real
+   * position (0,0 is how exports usually leave coordinates blank)
+   */
+  function getPoint(location) {
+    if (!location) return null;
+    const lat = parseFloat(location.lat);
+    const lng = parseFloat(location.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180 || (lat === 0 && lng === 0)) {
+      return null;
+    }
+    return { lat, lng };
+  }
+  
+  /**
+   * Ray-casting test for a point inside one ring
+   */
+  function inRing(point, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > point.lat) !== (yj > point.lat) &&
+          point.lng < (xj - xi) * (point.lat - yi) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+  
+  /**
+   * Inside the outer ring and outside any holes
+   */
+  function inPolygon(point, rings) {
+    return inRing(point, rings[0]) && !rings.slice(1).some(hole => inRing(point, hole));
+  }
+  
+  /**
+   * Great-circle distance in meters between two { lat, lng } points
+   */
+  function distanceMeters(a, b) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(b.lat - a.lat);
+    const dLng = toRadians(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+  }
+  
+  /**
+   * Check whether a point is inside a geofence
+   */
+  function inGeofence(point, geofence) {
+    if (geofence.type === 'Point') {
+      const [lng, lat] = geofence.coordinates;
+      return distanceMeters(point, { lat, lng }) <= geofence.radius;
+    }
+    const polygons = geofence.type === 'Polygon' ? [geofence.coordinates] : geofence.coordinates;
+    return polygons.some(rings => inPolygon(point, rings));
+  }
+  
+  /**
+   * Check an address (and point, if known) against one area
+   * A geofence decides for stops with coordinates; patterns decide otherwise
+   * Returns { matched, via, rule, excludedBy } where via is 'geofence' or
+   * 'pattern' and rule is the geofence or pattern that matched
+   */
+  function checkArea(area, parts, point) {
+    const via = point && area.geofence ? 'geofence' : 'pattern';
+    const rule = via === 'geofence'
+      ? (inGeofence(point, area.geofence) ? area.geofence : null)
+      : (area.patterns || []).find(pattern => matchesRule(pattern, parts)) || null;
+    if (!rule) {
+      return { matched: false, via, rule: null, excludedBy: null };
+    }
+    
+    const excludedBy = (area.exclude || []).find(exclusion => matchesRule(exclusion, parts)) || null;
+    return { matched: !excludedBy, via, rule, excludedBy };
+  }
+  
+  /**
+   * Say why an area didn't match
+   */
+  function describeMiss(area, result) {
+    if (result.excludedBy) {
+      const matched = result.via === 'geofence' ? 'inside the geofence' : `matched ${describeRule(result.rule)}`;
+      return `${matched}, but excluded by ${describeRule(result.excludedBy)}`;
+    }
+    if (result.via === 'geofence') {
+      return "outside the geofence";
+    }
+    return (area.patterns || []).length > 0 ? "no pattern matched" : "no patterns";
+  }
+  
+  /**
+   * Classify an address against a list of areas and explain the result
+   */
+  function explainWith(areas, address, location) {
+    const parts = getAddressParts(address);
+    const point = getPoint(location);
+    const sorted = [...areas].sort((a, b) => a.priority - b.priority);
+    const missed = [];
+    
+    for (const area of sorted) {
+      const result = checkArea(area, parts, point);
+      if (result.matched) {
+        const reason = result.via === 'geofence'
+          ? `inside the geofence (${describeGeofence(area.geofence)})`
+          : `matched ${describeRule(result.rule)}`;
+        return { address: safeString(address), area, via: result.via, rule: result.rule, reason, usedCoordinates: !!point, missed };
+      }
+      missed.push({ area, reason: describeMiss(area, result) });
+    }
+    
+    // Nothing matched, so the stop goes to the catch-all area
+    const fallback = areas.find(area => area.id === "other") || sorted[sorted.length - 1];
+    return {
+      address: safeString(address),
+      area: fallback,
+      via: 'default',
+      rule: null,
+      reason: "no area matched",
+      usedCoordinates: !!point,
+      missed: missed.filter(miss => miss.area !== fallback)
+    };
+  }
+  
+  /**
+   * Load the override map from localStorage (not available in the CSV worker)
+   */
+  function getOverrideMap() {
+    if (areaOverrides === null) {
+      areaOverrides = {};
+      try {
+        if (typeof localStorage !== 'undefined') {
+          areaOverrides = JSON.parse(localStorage.getItem(OVERRIDES_KEY)) || {};
+        }
+      } catch (error) {
+        console.error("Error loading area overrides:", error);
+      }
+    }
+    return areaOverrides;
+  }
+  
+  /**
+   * Save the override map to localStorage
+   */
+  function saveOverrides() {
+    try {
+      localStorage.setItem(OVERRIDES_KEY, JSON.stringify(getOverrideMap()));
+      return true;
+    } catch (error) {
+      console.error("Error saving area overrides:", error);
+      return false;
+    }
+  }
+  
+  /**
+   * Get the area a customer was moved to by hand, or null
+   * Overrides pointing at a removed area are ignored
+   */
+  function getAreaOverride(customerNumber) {
+    const areaId = getOverrideMap()[safeString(customerNumber)];
+    return areaId ? getAreaById(areaId) || null : null;
+  }
+  
+  /**
+   * List all overrides as [{ customerNumber, areaId, area }]
+   * (area is null when the area has since been removed)
+   */
+  function getAreaOverrides() {
+    return Object.entries(getOverrideMap()).map(([customerNumber, areaId]) => ({
+      customerNumber,
+      areaId,
+      area: getAreaById(areaId) || null
+    }));
+  }
+  
+  /**
+   * Move a customer to an area regardless of the rules
+   */
+  function setAreaOverride(customerNumber, areaId) {
+    const key = safeString(customerNumber);
+    if (!key || !getAreaById(areaId)) {
+      console.error(`Can't move customer ${key} to unknown area ${areaId}`);
+      return false;
+    }
+    
+    getOverrideMap()[key] = areaId;
+    const saved = saveOverrides();
+    notifyAreasUpdated();
+    return saved;
+  }
+  
+  /**
+   * Let a customer follow the area rules again
+   */
+  function clearAreaOverride(customerNumber) {
+    delete getOverrideMap()[safeString(customerNumber)];
+    const saved = saveOverrides();
+    notifyAreasUpdated();
+    return saved;
+  }
+  
+  /**
+   * Remove every override
+   */
+  function clearAllAreaOverrides() {
+    areaOverrides = {};
+    const saved = saveOverrides();
+    notifyAreasUpdated();
+    return saved;
+  }
+  
+  /**
+   * Classify a customer: their override if they have one, otherwise
+   * their address and coordinates
+   */
+  function classifyCustomer(customer) {
+    return getAreaOverride(customer.customerNumber) ||
+      classifyAddress(customer.address, { lat: customer.latitude, lng: customer.longitude });
+  }
+  
+  /**
+   * Suggest new areas from stops that fell into the default area
+   * Groups the stops by street and by ZIP; each group with at least
+   * minCount stops becomes a ready-to-add area placed just before the
+   * default area, so it only picks up stops no other area claims.
+   * Returns [{ kind: 'street' | 'zip', label, count, addresses, area }]
+   * sorted by count, where area can be passed straight to addArea.
    */
-  function classifyAddress(address) {
+  function suggestAreas(stops, options = {}) {
     try {
-      const safeAddr = safeString(address).toLowerCase();
+      const minCount = options.minCount || 2;
+      const groups = new Map();
+      const addToGroup = (key, kind, label, address) => {
+        if (!groups.has(key)) {
+          groups.set(key, { kind, labels: {}, addresses: [] });
+        }
+        const group = groups.get(key);
+        group.labels[label] = (group.labels[label] || 0) + 1;
+        group.addresses.push(address);
+      };
       
-      // Return first matching area or the default "Other"
-      for (const area of sortedAreas()) {
-        if (area.patterns.some(pattern => safeAddr.includes(pattern))) {
-          return area;
+      (stops || []).forEach(stop => {
+        const address = safeString(stop.address);
+        const parsed = AddressParser.parse(address);
+        if (parsed.street) {
+          addToGroup(`street:${AddressParser.normalizeStreet(parsed.street)}`, 'street', parsed.street, address);
         }
-      }
+        if (parsed.zip) {
+          addToGroup(`zip:${parsed.zip}`, 'zip', parsed.zip, address);
+        }
+      });
+      
+      const defaultArea = getAreaById("other");
+      const defaultPriority = defaultArea ? defaultArea.priority : 1000;
+      const priorities = areaClassifications.filter(area => area !== defaultArea).map(area => area.priority);
+      const priority = Math.min(Math.max(0, ...priorities) + 10, defaultPriority - 1);
+      const usedIds = new Set(areaClassifications.map(area => area.id));
       
-      // If no match found, return the "Other" area
-      return getAreaById("other") || areaClassifications[areaClassifications.length - 1];
+      return Array.from(groups.values())
+        .filter(group => group.addresses.length >= minCount)
+        .sort((a, b) => b.addresses.length - a.addresses.length)
+        .map((group, index) => {
+          // Name the area after the most common spelling
+          const label = Object.keys(group.labels).sort((a, b) => group.labels[b] - group.labels[a])[0];
+          const name = group.kind === 'zip' ? `ZIP ${label}` : label;
+          const pattern = group.kind === 'zip'
+            ? { type: 'zip', value: label }
+            : { type: 'regex', value: AddressParser.streetPattern(label), part: 'street' };
+          
+          const baseId = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+          let id = baseId;
+          for (let n = 2; usedIds.has(id); n++) {
+            id = `${baseId}-${n}`;
+          }
+          usedIds.add(id);
+          
+          return {
+            kind: group.kind,
+            label: name,
+            count: group.addresses.length,
+            addresses: group.addresses,
+            area: {
+              id,
+              name,
+              patterns: [pattern],
+              exclude: [],
+              priority,
+              color: SUGGESTION_COLORS[index % SUGGESTION_COLORS.length],
+              icon: "map-pin"
+            }
+          };
+        });
+    } catch (error) {
+      console.error("Error suggesting areas:", error);
+      return [];
+    }
+  }
+  
+  /**
+   * Tell the rest of the app the areas changed (views, stats and exports
+   * regroup on 'areas:updated'). Not available inside the CSV worker.
+   */
+  function notifyAreasUpdated() {
+    if (typeof document === 'undefined' || typeof CustomEvent === 'undefined') {
+      return;
+    }
+    
+    document.dispatchEvent(new CustomEvent('areas:updated', {
+      detail: { areas: exportAreaConfig() }
+    }));
+  }
+  
+  /**
+   * Classify an address into an area
+   * location is an optional { lat, lng } for geofenced areas
+   */
+  function classifyAddress(address, location) {
+    try {
+      // First matching area, or the default "Other"
+      return explainWith(areaClassifications, address, location).area;
     } catch (error) {
       console.error("Error classifying address:", error);
       // Fallback to last area (should be "Other")
@@ -84,6 +737,54 @@ const AreaClassifier = (function() {
     }
   }
   
+  /**
+   * Classify an address and say why
+   * Returns { address, area, via, rule, reason, usedCoordinates, missed }:
+   * via is 'pattern', 'geofence' or 'default', rule is what matched, and
+   * missed lists the higher-priority areas checked first, each with a reason
+   */
+  function explainAddress(address, location) {
+    try {
+      return explainWith(areaClassifications, address, location);
+    } catch (error) {
+      console.error("Error explaining address:", error);
+      return null;
+    }
+  }
+  
+  /**
+   * Dry-run an area configuration against the current stops
+   * stops are customers ({ customerNumber, accountName, address, latitude,
+   * longitude, area }). Returns { errors, moves } where moves lists the
+   * stops whose area would change ({ customerNumber, accountName, from, to })
+   */
+  function previewAreaConfig(configArray, stops) {
+    try {
+      const errors = Array.isArray(configArray)
+        ? configArray.reduce((all, area) => all.concat(validateArea(area)), [])
+        : ["Area configuration must be an array"];
+      if (errors.length > 0) {
+        return { errors, moves: [] };
+      }
+      
+      const moves = [];
+      (stops || []).forEach(stop => {
+        // Stops moved by hand stay where they are
+        if (getAreaOverride(stop.customerNumber)) return;
+        
+        const to = explainWith(configArray, stop.address, { lat: stop.latitude, lng: stop.longitude }).area.name;
+        if (to !== stop.area) {
+          moves.push({ customerNumber: stop.customerNumber, accountName: stop.accountName, from: stop.area, to });
+        }
+      });
+      
+      return { errors: [], moves };
+    } catch (error) {
+      console.error("Error previewing area configuration:", error);
+      return { errors: ["Could not check the change"], moves: [] };
+    }
+  }
+  
   /**
    * Get all areas in priority order
    */
@@ -104,7 +805,7 @@ const AreaClassifier = (function() {
   function addArea(areaConfig) {
     try {
       // Validate required fields
-      if (!areaConfig.id || !areaConfig.name) {
+      if (!areaConfig || !areaConfig.id || !areaConfig.name) {
         console.error("Area must have id and name");
         return false;
       }
@@ -118,14 +819,22 @@ const AreaClassifier = (function() {
       // Set defaults for optional fields
       const newArea = {
         patterns: [],
+        exclude: [],
         priority: 500,
         color: "#9CA3AF",
         icon: "map-pin",
         ...areaConfig
       };
       
+      const errors = validateArea(newArea);
+      if (errors.length > 0) {
+        console.error("Invalid area:", errors.join('; '));
+        return false;
+      }
+      
       // Add to classifications
       areaClassifications.push(newArea);
+      notifyAreasUpdated();
       return true;
     } catch (error) {
       console.error("Error adding area:", error);
@@ -148,12 +857,21 @@ const AreaClassifier = (function() {
       // Don't allow changing the id
       const { id: _, ...allowedUpdates } = updates;
       
-      // Update area
-      areaClassifications[areaIndex] = {
+      const updatedArea = {
         ...areaClassifications[areaIndex],
         ...allowedUpdates
       };
       
+      const errors = validateArea(updatedArea);
+      if (errors.length > 0) {
+        console.error("Invalid area:", errors.join('; '));
+        return false;
+      }
+      
+      // Update area
+      areaClassifications[areaIndex] = updatedArea;
+      
+      notifyAreasUpdated();
       return true;
     } catch (error) {
       console.error("Error updating area:", error);
@@ -175,7 +893,11 @@ const AreaClassifier = (function() {
       const initialLength = areaClassifications.length;
       areaClassifications = areaClassifications.filter(area => area.id !== id);
       
-      return areaClassifications.length !== initialLength;
+      const removed = areaClassifications.length !== initialLength;
+      if (removed) {
+        notifyAreasUpdated();
+      }
+      return removed;
     } catch (error) {
       console.error("Error removing area:", error);
       return false;
@@ -187,58 +909,8 @@ const AreaClassifier = (function() {
    */
   function resetToDefaults() {
     try {
-      // Call the function again to reinitialize with closure defaults
-      areaClassifications = [
-        {
-          id: "shasta-ortho",
-          name: "Shasta Ortho",
-          patterns: ["liberty"],
-          priority: 10,
-          color: "#60A5FA",
-          icon: "building-2"
-        },
-        {
-          id: "bechelli-lane",
-          name: "Bechelli Lane",
-          patterns: ["bechelli"],
-          priority: 20,
-          color: "#34D399",
-          icon: "map-pin"
-        },
-        {
-          id: "downtown",
-          name: "Downtown",
-          patterns: ["cypress", "hartnell"],
-          priority: 30,
-          color: "#F87171",
-          icon: "building"
-        },
-        {
-          id: "churn-creek",
-          name: "Churn Creek",
-          patterns: ["churn creek"],
-          priority: 40,
-          color: "#FBBF24",
-          icon: "map-pin"
-        },
-        {
-          id: "south-redding",
-          name: "South Redding",
-          patterns: ["bonnyview"],
-          priority: 50,
-          color: "#A78BFA",
-          icon: "map-pin"
-        },
-        {
-          id: "other",
-          name: "Other",
-          patterns: [],
-          priority: 1000,
-          color: "#9CA3AF",
-          icon: "map"
-        }
-      ];
-      
+      areaClassifications = cloneAreas(DEFAULT_AREAS);
+      notifyAreasUpdated();
       return true;
     } catch (error) {
       console.error("Error resetting areas:", error);
@@ -246,20 +918,117 @@ const AreaClassifier = (function() {
     }
   }
   
+  /**
+   * Put areas in a new priority order (a list of area ids, top first)
+   * The default area stays last; areas not listed keep their place after
+   * the listed ones
+   */
+  function reorderAreas(ids) {
+    try {
+      const defaultArea = getAreaById("other");
+      const ordered = ids.map(id => getAreaById(id)).filter(area => area && area !== defaultArea);
+      const rest = sortedAreas().filter(area => area !== defaultArea && !ordered.includes(area));
+      const maxPriority = defaultArea ? defaultArea.priority - 1 : Infinity;
+      
+      [...ordered, ...rest].forEach((area, index) => {
+        area.priority = Math.min((index + 1) * 10, maxPriority);
+      });
+      
+      notifyAreasUpdated();
+      return true;
+    } catch (error) {
+      console.error("Error reordering areas:", error);
+      return false;
+    }
+  }
+  
+  /**
+   * Save the configuration through DataStorageService
+   */
+  async function saveToStorage() {
+    if (typeof DataStorageService === 'undefined') {
+      return false;
+    }
+    return DataStorageService.storeData(STORAGE_KEY, exportAreaConfig());
+  }
+  
+  /**
+   * Load the saved configuration, keeping the defaults if none is saved
+   */
+  async function loadFromStorage() {
+    if (typeof DataStorageService === 'undefined') {
+      return false;
+    }
+    try {
+      const saved = await DataStorageService.retrieveData(STORAGE_KEY);
+      return saved ? importAreaConfig(saved) : false;
+    } catch (error) {
+      console.error("Error loading area configuration:", error);
+      return false;
+    }
+  }
+  
+  /**
+   * Write rules one per line for editing: plain text patterns as they
+   * are, rule objects as JSON
+   */
+  function formatRuleLines(rules) {
+    return (rules || []).map(rule => typeof rule === 'string' ? rule : JSON.stringify(rule)).join('\n');
+  }
+  
+  /**
+   * Read rules written by formatRuleLines; lines starting with "{" are JSON
+   * Returns { rules, errors }
+   */
+  function parseRuleLines(text) {
+    const rules = [];
+    const errors = [];
+    
+    safeString(text).split('\n').map(line => line.trim()).filter(Boolean).forEach((line, index) => {
+      let rule = line;
+      if (line.startsWith('{')) {
+        try {
+          rule = JSON.parse(line);
+        } catch (error) {
+          errors.push(`Line ${index + 1}: not valid JSON`);
+          return;
+        }
+      }
+      
+      const error = validateRule(rule);
+      if (error) {
+        errors.push(`Line ${index + 1}: ${error}`);
+      } else {
+        rules.push(rule);
+      }
+    });
+    
+    return { rules, errors };
+  }
+  
   /**
    * Get a list of all areas
    */
   function getAllAreas() {
-    return [...areaClassifications];
+    return cloneAreas(areaClassifications);
   }
   
   /**
    * Get only area names in priority order
+   * This is the order stops are grouped in on screen and in exports
    */
   function getAreaNames() {
     return sortedAreas().map(area => area.name);
   }
   
+  /**
+   * Name of the catch-all area used for unmatched addresses
+   */
+  function getDefaultAreaName() {
+    const other = getAreaById("other");
+    return other ? other.name : "Other";
+  }
+  
   /**
    * Import area configurations (useful for user-defined configurations)
    */
@@ -271,12 +1040,10 @@ const AreaClassifier = (function() {
       }
       
       // Validate configuration
-      const validConfig = configArray.every(area => {
-        return area.id && area.name && Array.isArray(area.patterns);
-      });
+      const errors = configArray.reduce((all, area) => all.concat(validateArea(area)), []);
       
-      if (!validConfig) {
-        console.error("Invalid area configuration format");
+      if (errors.length > 0) {
+        console.error("Invalid area configuration format:", errors.join('; '));
         return false;
       }
       
@@ -288,7 +1055,8 @@ const AreaClassifier = (function() {
       }
       
       // Replace existing configuration
-      areaClassifications = [...configArray];
+      areaClassifications = cloneAreas(configArray);
+      notifyAreasUpdated();
       return true;
     } catch (error) {
       console.error("Error importing area configuration:", error);
@@ -300,7 +1068,178 @@ const AreaClassifier = (function() {
    * Export current area configuration
    */
   function exportAreaConfig() {
-    return [...areaClassifications];
+    return cloneAreas(areaClassifications);
+  }
+  
+  /**
+   * Short label for a rule, e.g. 'street: word "cypress"' or '/^96\d+/'
+   */
+  function describeRule(rule) {
+    const { type, value, part } = normalizeRule(rule);
+    if (type === 'range') {
+      const side = rule.side ? ` (${rule.side})` : '';
+      return `${rule.street} ${rule.from}–${rule.to}${side}`;
+    }
+    if (type === 'zip') {
+      return `ZIP ${getZipList(value).join(', ')}`;
+    }
+    const text = type === 'regex' ? `/${value}/` : type === 'word' ? `word "${value}"` : value;
+    return part === 'any' ? text : `${part}: ${text}`;
+  }
+  
+  /**
+   * Short label for a geofence, e.g. "Polygon, 6 points" or "500 m around 40.5865, -122.3917"
+   */
+  function describeGeofence(geofence) {
+    if (!geofence) return '';
+    if (geofence.type === 'Point') {
+      const [lng, lat] = geofence.coordinates;
+      return `${Math.round(geofence.radius)} m around ${lat.toFixed(4)}, ${lng.toFixed(4)}`;
+    }
+    if (geofence.type === 'MultiPolygon') {
+      return `${geofence.coordinates.length} polygons`;
+    }
+    return `Polygon, ${geofence.coordinates[0].length - 1} points`;
+  }
+  
+  /**
+   * Sanitize text for safe HTML insertion
+   */
+  function sanitizeHTML(text) {
+    return safeString(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+  
+  /**
+   * Render explainAddress results for the tester panel
+   */
+  function renderExplanationsUI(explanations) {
+    return explanations.filter(Boolean).map(explanation => `
+      <div class="p-2 bg-gray-900 rounded text-sm">
+        <div class="flex items-center justify-between gap-2">
+          <span class="truncate">${sanitizeHTML(explanation.address)}</span>
+          <span class="flex items-center flex-shrink-0">
+            <span class="w-3 h-3 rounded-full mr-1" style="background-color: ${sanitizeHTML(explanation.area.color)}"></span>
+            ${sanitizeHTML(explanation.area.name)}
+          </span>
+        </div>
+        <div class="text-xs text-gray-400 mt-1">
+          ${sanitizeHTML(explanation.reason)}${explanation.usedCoordinates ? ' (using coordinates)' : ''}
+        </div>
+        ${explanation.missed.length > 0 ? `
+          <ul class="text-xs text-gray-500 mt-1">
+            ${explanation.missed.map(miss => `<li>${sanitizeHTML(miss.area.name)}: ${sanitizeHTML(miss.reason)}</li>`).join('')}
+          </ul>
+        ` : ''}
+      </div>
+    `).join('');
+  }
+  
+  /**
+   * Render the list of manual area overrides
+   * accountNames maps customer numbers to names, for customers on the loaded route
+   */
+  function renderOverridesUI(accountNames = {}) {
+    const overrides = getAreaOverrides();
+    
+    return `
+      <div class="bg-gray-800 p-4 rounded-lg mt-4" id="area-overrides">
+        <div class="flex justify-between items-center mb-1">
+          <h2 class="text-lg font-semibold">Moved Stops</h2>
+          ${overrides.length > 0 ? `<button id="clear-overrides-btn" class="px-2 py-1 bg-gray-700 rounded text-xs">Clear All</button>` : ''}
+        </div>
+        <p class="text-sm text-gray-400 mb-3">Customers moved to an area by hand stay there on every import.</p>
+        ${overrides.length > 0 ? `
+          <div class="divide-y divide-gray-700">
+            ${overrides.map(override => `
+              <div class="flex items-center justify-between gap-2 py-2" data-override-customer="${sanitizeHTML(override.customerNumber)}">
+                <div class="min-w-0">
+                  <div class="truncate">${sanitizeHTML(accountNames[override.customerNumber] || `Customer ${override.customerNumber}`)}</div>
+                  <div class="text-xs ${override.area ? 'text-gray-400' : 'text-yellow-400'}">
+                    ${override.area ? `→ ${sanitizeHTML(override.area.name)}` : `Area "${sanitizeHTML(override.areaId)}" was removed; using the rules`}
+                  </div>
+                </div>
+                <button class="px-2 py-1 bg-gray-700 rounded text-xs flex-shrink-0 clear-override-btn">Clear</button>
+              </div>
+            `).join('')}
+          </div>
+        ` : `<p class="text-sm text-gray-500">No stops have been moved. Use the move button on a stop to put it in a different area.</p>`}
+      </div>
+    `;
+  }
+  
+  /**
+   * Render the form for adding (area null) or editing an area
+   */
+  function renderAreaEditorUI(area) {
+    const isNew = !area;
+    const current = area || { name: '', color: "#9CA3AF", icon: "map-pin", priority: '', patterns: [], exclude: [] };
+    const isDefault = current.id === "other";
+    
+    return `
+      <div class="bg-gray-800 p-4 rounded-lg mb-4" id="area-editor" data-area-id="${isNew ? '' : sanitizeHTML(current.id)}">
+        <h2 class="text-lg font-semibold mb-3">${isNew ? 'New Area' : `Edit ${sanitizeHTML(current.name)}`}</h2>
+        <div class="grid grid-cols-2 gap-3 text-sm">
+          <label class="col-span-2">Name
+            <input id="area-name" type="text" class="w-full mt-1 p-2 bg-gray-900 rounded" value="${sanitizeHTML(current.name)}">
+          </label>
+          <label>Colour
+            <input id="area-color" type="color" class="w-full mt-1 h-9 bg-gray-900 rounded" value="${sanitizeHTML(current.color)}">
+          </label>
+          <label>Icon (<a href="https://lucide.dev/icons" target="_blank" class="text-blue-400">Lucide</a> name)
+            <input id="area-icon" type="text" class="w-full mt-1 p-2 bg-gray-900 rounded" value="${sanitizeHTML(current.icon)}">
+          </label>
+          ${isDefault ? '' : `
+            <label class="col-span-2">Priority (lower is checked first; blank puts a new area last)
+              <input id="area-priority" type="number" min="0" class="w-full mt-1 p-2 bg-gray-900 rounded" value="${sanitizeHTML(current.priority)}">
+            </label>
+            <label class="col-span-2">Patterns, one per line
+              <textarea id="area-patterns" rows="4" class="w-full mt-1 p-2 bg-gray-900 rounded font-mono text-xs"
+                placeholder='bechelli&#10;{"type": "word", "value": "cypress", "part": "street"}'>${sanitizeHTML(formatRuleLines(current.patterns))}</textarea>
+            </label>
+            <label class="col-span-2">Except, one per line
+              <textarea id="area-exclude" rows="2" class="w-full mt-1 p-2 bg-gray-900 rounded font-mono text-xs">${sanitizeHTML(formatRuleLines(current.exclude))}</textarea>
+            </label>
+          `}
+        </div>
+        <p class="text-xs text-gray-400 mt-2">Plain text matches anywhere in the address. Other rules are written as JSON; see "Area rules" in the readme.</p>
+        <div class="flex justify-end gap-2 mt-3">
+          <button id="cancel-area-btn" class="px-3 py-1.5 bg-gray-700 rounded text-sm">Cancel</button>
+          <button id="save-area-btn" class="px-3 py-1.5 bg-blue-600 rounded text-sm">${isNew ? 'Add Area' : 'Save'}</button>
+        </div>
+      </div>
+    `;
+  }
+  
+  /**
+   * Render area suggestions with an Add button each
+   */
+  function renderSuggestionsUI(suggestions) {
+    return `
+      <div class="bg-gray-800 p-4 rounded-lg mt-4" id="area-suggestions">
+        <h2 class="text-lg font-semibold mb-1">Suggested Areas</h2>
+        <p class="text-sm text-gray-400 mb-3">Streets and ZIP codes shared by stops that are in ${sanitizeHTML(getDefaultAreaName())}.</p>
+        ${suggestions.length > 0 ? `
+          <div class="space-y-2">
+            ${suggestions.map((suggestion, index) => `
+              <div class="flex items-center justify-between gap-2 p-2 bg-gray-700 rounded" data-suggestion-index="${index}">
+                <div class="min-w-0">
+                  <div class="font-medium">${sanitizeHTML(suggestion.label)}
+                    <span class="text-xs text-gray-400 ml-1">${suggestion.count} stops</span>
+                  </div>
+                  <div class="text-xs text-gray-400 truncate">${sanitizeHTML(suggestion.addresses.slice(0, 3).join('; '))}${suggestion.count > 3 ? '…' : ''}</div>
+                </div>
+                <button class="px-2 py-1 bg-blue-600 rounded text-xs flex-shrink-0 accept-suggestion-btn">Add Area</button>
+              </div>
+            `).join('')}
+          </div>
+        ` : `<p class="text-sm text-gray-500">No suggestions; load a route with stops in ${sanitizeHTML(getDefaultAreaName())} that share a street or ZIP.</p>`}
+      </div>
+    `;
   }
   
   /**
@@ -310,26 +1249,28 @@ const AreaClassifier = (function() {
     const areas = sortedAreas();
     
     let html = `
-      <div class="bg-gray-800 p-4 rounded-lg">
-        <h2 class="text-lg font-semibold mb-4">Area Configuration</h2>
-        <div class="space-y-4">
+      <div class="bg-gray-800 p-4 rounded-lg" id="area-config">
+        <h2 class="text-lg font-semibold mb-1">Area Configuration</h2>
+        <p class="text-sm text-gray-400 mb-4">Areas are checked from the top down; drag an area to change its priority.</p>
+        <div class="space-y-4" id="area-list">
     `;
     
     // Add each area
     areas.forEach(area => {
       html += `
-        <div class="p-3 bg-gray-700 rounded-lg" data-area-id="${area.id}">
+        <div class="p-3 bg-gray-700 rounded-lg" data-area-id="${sanitizeHTML(area.id)}">
           <div class="flex justify-between items-center mb-2">
             <div class="flex items-center">
-              <div class="w-4 h-4 rounded-full mr-2" style="background-color: ${area.color}"></div>
-              <h3 class="font-medium">${area.name}</h3>
+              ${area.id !== "other" ? `<span class="area-drag-handle mr-1 text-gray-500 cursor-move" title="Drag to reorder"><i data-lucide="grip-vertical" class="h-4 w-4"></i></span>` : ''}
+              <div class="w-4 h-4 rounded-full mr-2" style="background-color: ${sanitizeHTML(area.color)}"></div>
+              <h3 class="font-medium">${sanitizeHTML(area.name)}</h3>
             </div>
             <div class="flex items-center">
               <span class="text-xs text-gray-400 mr-2">Priority: ${area.priority}</span>
+              <button class="p-1 hover:bg-gray-600 rounded edit-area-btn">
+                <i data-lucide="edit" class="h-4 w-4"></i>
+              </button>
               ${area.id !== "other" ? `
-                <button class="p-1 hover:bg-gray-600 rounded edit-area-btn">
-                  <i data-lucide="edit" class="h-4 w-4"></i>
-                </button>
                 <button class="p-1 hover:bg-gray-600 rounded ml-1 delete-area-btn">
                   <i data-lucide="trash-2" class="h-4 w-4"></i>
                 </button>
@@ -340,9 +1281,30 @@ const AreaClassifier = (function() {
             <div class="text-sm text-gray-400 mb-1">Address patterns:</div>
             <div class="flex flex-wrap gap-1">
               ${area.patterns.length > 0 ? area.patterns.map(pattern => `
-                <span class="px-2 py-0.5 bg-gray-600 rounded-full text-xs">${pattern}</span>
+                <span class="px-2 py-0.5 bg-gray-600 rounded-full text-xs">${sanitizeHTML(describeRule(pattern))}</span>
               `).join('') : `<span class="text-sm text-gray-500">No patterns (default catchall)</span>`}
             </div>
+            ${(area.exclude || []).length > 0 ? `
+              <div class="text-sm text-gray-400 mt-2 mb-1">Except:</div>
+              <div class="flex flex-wrap gap-1">
+                ${area.exclude.map(rule => `
+                  <span class="px-2 py-0.5 bg-red-900 text-red-200 rounded-full text-xs">${sanitizeHTML(describeRule(rule))}</span>
+                `).join('')}
+              </div>
+            ` : ''}
+            ${area.id !== "other" ? `
+              <details class="mt-2" ${area.geofence ? 'open' : ''}>
+                <summary class="text-sm text-gray-400 cursor-pointer">
+                  Geofence: ${area.geofence ? sanitizeHTML(describeGeofence(area.geofence)) : 'none'}
+                </summary>
+                <textarea class="geofence-input w-full mt-2 p-2 bg-gray-900 rounded text-xs font-mono" rows="4"
+                  placeholder='Paste GeoJSON: a Polygon, or a Point with "radius" in meters'>${area.geofence ? sanitizeHTML(JSON.stringify(area.geofence)) : ''}</textarea>
+                <div class="flex justify-end gap-2 mt-1">
+                  ${area.geofence ? `<button class="px-2 py-1 bg-gray-600 rounded text-xs clear-geofence-btn">Remove Geofence</button>` : ''}
+                  <button class="px-2 py-1 bg-blue-600 rounded text-xs save-geofence-btn">Save Geofence</button>
+                </div>
+              </details>
+            ` : ''}
           </div>
         </div>
       `;
@@ -351,18 +1313,38 @@ const AreaClassifier = (function() {
     // Add button to create new area
     html += `
       </div>
+      <div class="mt-4 p-3 bg-gray-700 rounded-lg" id="area-tester">
+        <h3 class="font-medium mb-2">Test Addresses</h3>
+        <textarea id="area-tester-input" rows="3" class="w-full p-2 bg-gray-900 rounded text-sm"
+          placeholder="One address per line; add | latitude, longitude to test geofences"></textarea>
+        <div class="flex justify-end mt-1">
+          <button id="area-tester-btn" class="px-3 py-1.5 bg-blue-600 rounded text-sm">Test</button>
+        </div>
+        <div id="area-tester-results" class="mt-2 space-y-2"></div>
+      </div>
       <div class="mt-4">
         <button id="add-area-btn" class="px-3 py-1.5 bg-blue-600 rounded text-sm flex items-center gap-1">
           <i data-lucide="plus" class="h-4 w-4"></i>
           Add New Area
         </button>
       </div>
-      <div class="mt-2">
+      <div class="mt-2 flex flex-wrap gap-2">
+        <button id="import-areas-btn" class="px-3 py-1.5 bg-gray-700 rounded text-sm flex items-center gap-1">
+          <i data-lucide="upload" class="h-4 w-4"></i>
+          Import
+        </button>
+        <button id="export-areas-btn" class="px-3 py-1.5 bg-gray-700 rounded text-sm flex items-center gap-1">
+          <i data-lucide="download" class="h-4 w-4"></i>
+          Export
+        </button>
         <button id="reset-areas-btn" class="px-3 py-1.5 bg-gray-700 rounded text-sm flex items-center gap-1">
           <i data-lucide="refresh-cw" class="h-4 w-4"></i>
           Reset to Defaults
         </button>
       </div>
+      <div class="flex justify-end mt-4">
+        <button id="close-areas-btn" class="px-3 py-1.5 bg-gray-700 rounded text-sm">Close</button>
+      </div>
     </div>
     `;
     
@@ -372,17 +1354,39 @@ const AreaClassifier = (function() {
   // Public API
   return {
     classifyAddress,
+    classifyCustomer,
+    explainAddress,
+    previewAreaConfig,
+    suggestAreas,
     sortedAreas,
     getAreaById,
     addArea,
     updateArea,
     removeArea,
     resetToDefaults,
+    reorderAreas,
+    saveToStorage,
+    loadFromStorage,
+    parseRuleLines,
     getAllAreas,
     getAreaNames,
+    getDefaultAreaName,
+    getAreaOverride,
+    getAreaOverrides,
+    setAreaOverride,
+    clearAreaOverride,
+    clearAllAreaOverrides,
+    validateArea,
+    parseGeofence,
+    describeRule,
+    describeGeofence,
     importAreaConfig,
     exportAreaConfig,
-    renderAreaConfigUI
+    renderAreaConfigUI,
+    renderAreaEditorUI,
+    renderExplanationsUI,
+    renderSuggestionsUI,
+    renderOverridesUI
   };
 })();
           
\ No newline at end of file
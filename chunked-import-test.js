@@ -0,0 +1,79 @@
+/**
+ * Unit tests for chunked-import.js
+ */
+
+TestSuite.describe('ChunkedImport', () => {
+  const mapping = {
+    CustomerNumber: 'Cust #',
+    AccountName: 'Ship To Name',
+    Address: 'Street',
+    ItemID: 'Item',
+    Description: 'Description',
+    Quantity: 'Qty'
+  };
+  
+  // Rows as the file's own headers, with a blank line and problems spread
+  // over what will be several chunks
+  const fileRows = [
+    { 'Cust #': '1', 'Ship To Name': 'Corner Cafe', 'Street': '1 Main St', 'Item': 'MAT-1', 'Description': 'Mat 3x5', 'Qty': 2 },
+    { 'Cust #': '2', 'Ship To Name': 'Hill Diner', 'Street': '', 'Item': 'TWL-1', 'Description': 'Towel', 'Qty': 10 },
+    { 'Cust #': '' },
+    { 'Cust #': '1', 'Ship To Name': 'Corner Cafe', 'Street': '1 Main St', 'Item': 'MAT-2', 'Description': 'Mat 4x6', 'Qty': 'two' },
+    { 'Cust #': '3', 'Ship To Name': 'Quiet Bar', 'Street': '3 Low St', 'Item': '', 'Description': 'Mop', 'Qty': 1 },
+    { 'Cust #': '1', 'Ship To Name': 'Corner Cafe', 'Street': '9 Other Rd', 'Item': 'MAT-3', 'Description': 'Mat 2x3', 'Qty': 1 }
+  ];
+  
+  // Papa.parse is replaced so the test chooses where chunks break
+  const parseInChunks = (rows, rowsPerChunk, options = {}) => {
+    const realPapa = globalThis.Papa;
+    globalThis.Papa = {
+      parse: (file, config) => {
+        for (let start = 0; start < rows.length; start += rowsPerChunk) {
+          config.chunk({ data: rows.slice(start, start + rowsPerChunk), meta: { cursor: start + rowsPerChunk } }, { abort: () => {} });
+        }
+        config.complete();
+      }
+    };
+    
+    try {
+      return ChunkedImport.parseFile({ name: 'route.csv', size: rows.length }, { mapping, ...options }).promise;
+    } finally {
+      globalThis.Papa = realPapa;
+    }
+  };
+  
+  const issueLines = report => report.issues.map(issue => `${issue.line}:${issue.type}`).join(',');
+  
+  TestSuite.describe('parseFile', () => {
+    TestSuite.it('should number lines across chunk boundaries', async () => {
+      const expected = '3:missingField,5:invalidQuantity,6:blankItemId,7:conflict';
+      
+      for (const size of [1, 2, 4]) {
+        const result = await parseInChunks(fileRows, size);
+        TestSuite.assert.equal(issueLines(result.report), expected, `Chunks of ${size} rows should keep CSV line numbers`);
+      }
+    });
+    
+    TestSuite.it('should report the same as validating the whole file at once', async () => {
+      const result = await parseInChunks(fileRows, 2);
+      const onePass = ImportValidator.validateRows(ColumnMapper.applyMapping(fileRows, mapping), { fields: Object.keys(mapping) });
+      
+      TestSuite.assert.equal(JSON.stringify(result.report), JSON.stringify(onePass), 'Reports should match');
+    });
+    
+    TestSuite.it('should build the same stops as processing the whole file at once', async () => {
+      const result = await parseInChunks(fileRows, 2, { sourceRoute: 'Route 33' });
+      const onePass = OptimizedDataProcessor.processCSVData(ColumnMapper.applyMapping(fileRows, mapping), { sourceRoute: 'Route 33' });
+      
+      TestSuite.assert.equal(JSON.stringify(result.customers), JSON.stringify(onePass.customers), 'Stops should match');
+      TestSuite.assert.equal(JSON.stringify(result.stats), JSON.stringify(onePass.stats), 'Stats should match');
+    });
+    
+    TestSuite.it('should report progress after each chunk', async () => {
+      const progress = [];
+      await parseInChunks(fileRows, 4, { onProgress: (loaded, total) => progress.push(`${loaded}/${total}`) });
+      
+      TestSuite.assert.equal(progress.join(','), '4/6,6/6', 'Progress should never pass the file size');
+    });
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * chunked-import.js
+ * Chunked parsing of large route files for Route 33 Guide
+ * Rows are mapped, validated and aggregated as each chunk arrives, so the
+ * whole file is never held in memory as one array. Runs in a Web Worker
+ * (csv-worker.js) when possible, otherwise on the main thread.
+ */
+
+const ChunkedImport = (function() {
+  // Bytes read per chunk
+  const DEFAULT_CHUNK_SIZE = 512 * 1024;
+  
+  // Worker script, relative to the page
+  const WORKER_URL = 'csv-worker.js';
+  
+  /**
+   * Parse a CSV file chunk by chunk
+   * 
+   * Options:
+   *   mapping - column mapping from ColumnMapper
+   *   sourceRoute - route name to tag stops with
+   *   consolidate - combine identical item lines (see OptimizedDataProcessor)
+   *   chunkSize - bytes per chunk
+   *   onProgress(loaded, total) - called after each chunk
+   * 
+   * Returns { promise, cancel }. The promise resolves to
+   * { customers, stats, report }, or null if cancelled.
+   */
+  function parseFile(file, options = {}) {
+    const mapping = options.mapping || {};
+    const aggregator = OptimizedDataProcessor.createAggregator({
+      sourceRoute: options.sourceRoute,
+      consolidate: options.consolidate
+    });
+    const validator = ImportValidator.createValidator({ fields: Object.keys(mapping) });
+    let cancelled = false;
+    let activeParser = null;
+    
+    const promise = new Promise((resolve, reject) => {
+      Papa.parse(file, {
+        header: true,
+        dynamicTyping: true,
+        skipEmptyLines: false,
+        chunkSize: options.chunkSize || DEFAULT_CHUNK_SIZE,
+        chunk: (results, parser) => {
+          activeParser = parser;
+          if (cancelled) {
+            parser.abort();
+            return;
+          }
+          
+          const rows = ColumnMapper.applyMapping(results.data, mapping);
+          validator.addRows(rows);
+          aggregator.addRows(rows);
+          
+          if (options.onProgress) {
+            options.onProgress(Math.min(results.meta.cursor, file.size), file.size);
+          }
+        },
+        complete: () => {
+          if (cancelled) {
+            resolve(null);
+            return;
+          }
+          
+          const processed = aggregator.finish();
+          resolve({
+            customers: processed.customers,
+            stats: processed.stats,
+            report: validator.finish()
+          });
+        },
+        error: error => reject(error)
+      });
+    });
+    
+    return {
+      promise,
+      cancel: () => {
+        cancelled = true;
+        if (activeParser) {
+          activeParser.abort();
+        }
+      }
+    };
+  }
+  
+  /**
+   * Parse a CSV file chunk by chunk in a Web Worker
+   * Falls back to the main thread if workers aren't available (for example
+   * when the page is opened from file://) or the worker fails to start.
+   * Takes the same options and returns the same { promise, cancel } as parseFile.
+   */
+  function parseFileInWorker(file, options = {}) {
+    let worker = null;
+    let fallback = null;
+    let cancelled = false;
+    let settle = null;
+    
+    const promise = new Promise((resolve, reject) => {
+      settle = resolve;
+      
+      const runOnMainThread = () => {
+        if (worker) {
+          worker.terminate();
+          worker = null;
+        }
+        fallback = parseFile(file, options);
+        fallback.promise.then(resolve, reject);
+      };
+      
+      if (typeof Worker === 'undefined') {
+        runOnMainThread();
+        return;
+      }
+      
+      try {
+        worker = new Worker(WORKER_URL);
+      } catch (error) {
+        console.error("Error starting CSV worker, parsing on the main thread:", error);
+        runOnMainThread();
+        return;
+      }
+      
+      let started = false;
+      
+      worker.onmessage = event => {
+        const message = event.data;
+        
+        if (message.type === 'progress') {
+          started = true;
+          if (options.onProgress) {
+            options.onProgress(message.loaded, message.total);
+          }
+        } else if (message.type === 'done') {
+          worker.terminate();
+          resolve(message.result);
+        } else if (message.type === 'error') {
+          worker.terminate();
+          reject(new Error(message.message));
+        }
+      };
+      
+      worker.onerror = event => {
+        // A worker that fails before reading anything (e.g. PapaParse couldn't
+        // be loaded offline) is retried on the main thread
+        console.error("CSV worker error:", event.message);
+        event.preventDefault();
+        if (!started && !cancelled) {
+          runOnMainThread();
+        } else {
+          worker.terminate();
+          reject(new Error(event.message || "CSV worker failed"));
+        }
+      };
+      
+      worker.postMessage({
+        file,
+        mapping: options.mapping,
+        sourceRoute: options.sourceRoute,
+        consolidate: options.consolidate,
+        chunkSize: options.chunkSize,
+        areas: typeof AreaClassifier !== 'undefined' ? AreaClassifier.exportAreaConfig() : null,
+        itemCategories: typeof ItemClassifier !== 'undefined' ? ItemClassifier.exportCategoryConfig() : null
+      });
+    });
+    
+    return {
+      promise,
+      cancel: () => {
+        cancelled = true;
+        if (worker) {
+          worker.terminate();
+          worker = null;
+          settle(null);
+        }
+        if (fallback) {
+          fallback.cancel();
+        }
+      }
+    };
+  }
+  
+  // Public API
+  return {
+    parseFile,
+    parseFileInWorker
+  };
+})();
@@ -0,0 +1,71 @@
+/**
+ * Unit tests for column-mapper.js
+ */
+
+TestSuite.describe('ColumnMapper', () => {
+  
+  TestSuite.describe('detectMapping', () => {
+    // Headers as exported by the dispatch system
+    const dispatchHeaders = ['Cust #', 'Ship To Name', 'Street', 'Item', 'Desc', 'Qty', 'Route Day'];
+    const dispatchRows = [
+      { 'Cust #': '10234', 'Ship To Name': 'Save Mart', 'Street': '1250 Churn Creek Rd', 'Item': 'MAT-34', 'Desc': 'Mat - 3x4', 'Qty': '2', 'Route Day': 'Fri' }
+    ];
+    
+    TestSuite.it('should map dispatch export headers to fields', () => {
+      const result = ColumnMapper.detectMapping(dispatchHeaders, dispatchRows);
+      
+      TestSuite.assert.equal(result.mapping.CustomerNumber, 'Cust #', 'Should map customer number');
+      TestSuite.assert.equal(result.mapping.AccountName, 'Ship To Name', 'Should map account name');
+      TestSuite.assert.equal(result.mapping.Address, 'Street', 'Should map address');
+      TestSuite.assert.equal(result.mapping.Quantity, 'Qty', 'Should map quantity');
+      TestSuite.assert.isTrue(result.complete, 'Mapping should be complete');
+    });
+    
+    TestSuite.it('should leave unknown headers unmapped', () => {
+      const result = ColumnMapper.detectMapping(dispatchHeaders, dispatchRows);
+      
+      TestSuite.assert.contains(result.unmapped, 'Route Day', 'Route Day should be unmapped');
+    });
+    
+    TestSuite.it('should report an incomplete mapping', () => {
+      const result = ColumnMapper.detectMapping(['Foo', 'Bar'], []);
+      
+      TestSuite.assert.isFalse(result.complete, 'Mapping should not be complete');
+    });
+  });
+  
+  TestSuite.describe('applyMapping', () => {
+    TestSuite.it('should rename mapped columns and keep the rest', () => {
+      const rows = [{ 'Cust #': '1', 'Ship To Name': 'A', 'Street': '1 Main St', 'Gate Code': '1234#' }];
+      const mapping = { CustomerNumber: 'Cust #', AccountName: 'Ship To Name', Address: 'Street' };
+      
+      const result = ColumnMapper.applyMapping(rows, mapping);
+      
+      TestSuite.assert.equal(result[0].CustomerNumber, '1', 'Should rename customer number');
+      TestSuite.assert.equal(result[0].Address, '1 Main St', 'Should rename address');
+      TestSuite.assert.equal(result[0]['Gate Code'], '1234#', 'Should keep unmapped columns');
+      TestSuite.assert.isUndefined(result[0]['Cust #'], 'Should drop the original header');
+    });
+  });
+  
+  TestSuite.describe('resolveMapping', () => {
+    TestSuite.it('should not need confirmation for expected headers', () => {
+      const result = ColumnMapper.resolveMapping(['CustomerNumber', 'AccountName', 'Address', 'ItemID'], []);
+      
+      TestSuite.assert.isFalse(result.needsConfirmation, 'Should not need confirmation');
+      TestSuite.assert.equal(result.mapping.ItemID, 'ItemID', 'Should map ItemID to itself');
+    });
+    
+    TestSuite.it('should reuse a saved profile for the same layout', () => {
+      const headers = ['Acct', 'Customer', 'Location'];
+      const mapping = { CustomerNumber: 'Acct', AccountName: 'Customer', Address: 'Location' };
+      ColumnMapper.saveProfile('Test source', headers, mapping);
+      
+      const result = ColumnMapper.resolveMapping(['Location', 'Acct', 'Customer'], []);
+      
+      TestSuite.assert.equal(result.source, 'profile', 'Should use the saved profile');
+      TestSuite.assert.isFalse(result.needsConfirmation, 'Should not need confirmation');
+      TestSuite.assert.equal(result.mapping.CustomerNumber, 'Acct', 'Should use the saved mapping');
+    });
+  });
+});
@@ -0,0 +1,530 @@
+/**
+ * column-mapper.js
+ * Maps arbitrary CSV headers onto the fields the Route 33 Guide expects
+ * and remembers confirmed mappings as per-source profiles
+ */
+
+const ColumnMapper = (function() {
+  // Fields the processors read, with common header spellings from dispatch exports
+  const FIELDS = [
+    {
+      key: "CustomerNumber",
+      label: "Customer Number",
+      required: true,
+      aliases: ["customer number", "cust number", "cust no", "customer no", "customer id", "cust id", "account number", "acct number", "account no", "customer", "cust"]
+    },
+    {
+      key: "AccountName",
+      label: "Account Name",
+      required: true,
+      aliases: ["account name", "ship to name", "customer name", "business name", "company", "company name", "name", "account"]
+    },
+    {
+      key: "Address",
+      label: "Address",
+      required: true,
+      aliases: ["address", "street", "street address", "ship to address", "ship to street", "delivery address", "location", "addr", "address 1", "address line 1"]
+    },
+    {
+      key: "ItemID",
+      label: "Item ID",
+      required: false,
+      aliases: ["item id", "item number", "item no", "item", "sku", "product id", "product number", "part number", "part no", "material"]
+    },
+    {
+      key: "Description",
+      label: "Description",
+      required: false,
+      aliases: ["description", "item description", "desc", "product", "product name", "item name", "product description"]
+    },
+    {
+      key: "Quantity",
+      label: "Quantity",
+      required: false,
+      aliases: ["quantity", "qty", "count", "units", "amount", "order qty", "ship qty", "pieces"]
+    },
+    {
+      key: "Phone",
+      label: "Phone",
+      required: false,
+      aliases: ["phone", "phone number", "telephone", "tel", "contact phone", "phone no"]
+    },
+    {
+      key: "Mobile",
+      label: "Mobile (SMS)",
+      required: false,
+      aliases: ["mobile", "cell", "cell phone", "mobile phone", "mobile number", "sms", "text number"]
+    },
+    {
+      key: "Email",
+      label: "Email",
+      required: false,
+      aliases: ["email", "e-mail", "email address", "contact email", "mail"]
+    },
+    {
+      key: "Notes",
+      label: "Notes",
+      required: false,
+      aliases: ["notes", "note", "comments", "instructions", "delivery notes", "special instructions", "delivery instructions"]
+    },
+    {
+      key: "TimeWindow",
+      label: "Time Window",
+      required: false,
+      aliases: ["time window", "delivery window", "delivery hours", "receiving hours", "receiving window", "receiving", "open hours", "opening hours", "hours", "window"]
+    },
+    {
+      key: "Latitude",
+      label: "Latitude",
+      required: false,
+      aliases: ["latitude", "lat", "gps latitude", "gps lat", "geo lat"]
+    },
+    {
+      key: "Longitude",
+      label: "Longitude",
+      required: false,
+      aliases: ["longitude", "lng", "lon", "long", "gps longitude", "gps lng", "gps long", "geo lng"]
+    }
+  ];
+  
+  // Kinds of file the mapping can describe
+  const FILE_TYPES = {
+    ROUTE: 'route',          // One row per item, customer details repeated
+    CUSTOMERS: 'customers',  // Customer master, one row per customer
+    ORDERS: 'orders'         // Order lines keyed by customer number only
+  };
+  
+  // Fields each kind of file must have
+  const REQUIRED_BY_TYPE = {
+    [FILE_TYPES.ROUTE]: ["CustomerNumber", "AccountName", "Address"],
+    [FILE_TYPES.CUSTOMERS]: ["CustomerNumber", "AccountName", "Address"],
+    [FILE_TYPES.ORDERS]: ["CustomerNumber", "ItemID"]
+  };
+  
+  // Minimum score for a header to be proposed for a field
+  const MATCH_THRESHOLD = 0.5;
+  
+  // Storage key for saved mapping profiles
+  const PROFILES_KEY = 'route33_column_profiles';
+  
+  // Safe string handling
+  function safeString(str) {
+    return (str !== undefined && str !== null) ? String(str).trim() : "";
+  }
+  
+  /**
+   * Normalize a header for comparison ("Cust #" -> "cust number")
+   */
+  function normalizeHeader(header) {
+    return safeString(header)
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .toLowerCase()
+      .replace(/#/g, ' number ')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+  
+  /**
+   * Dice coefficient over character bigrams, used for fuzzy header matching
+   */
+  function similarity(a, b) {
+    if (a === b) return 1;
+    if (a.length < 2 || b.length < 2) return 0;
+    
+    const bigrams = new Map();
+    for (let i = 0; i < a.length - 1; i++) {
+      const bigram = a.substr(i, 2);
+      bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+    }
+    
+    let intersection = 0;
+    for (let i = 0; i < b.length - 1; i++) {
+      const bigram = b.substr(i, 2);
+      const count = bigrams.get(bigram) || 0;
+      if (count > 0) {
+        bigrams.set(bigram, count - 1);
+        intersection++;
+      }
+    }
+    
+    return (2 * intersection) / (a.length + b.length - 2);
+  }
+  
+  /**
+   * Score how well a header name matches a field (0-1)
+   */
+  function scoreHeaderName(header, field) {
+    const normalized = normalizeHeader(header);
+    if (!normalized) return 0;
+    
+    const candidates = [normalizeHeader(field.key), ...field.aliases];
+    let best = 0;
+    
+    for (const candidate of candidates) {
+      if (normalized === candidate) {
+        return 1;
+      }
+      best = Math.max(best, similarity(normalized, candidate) * 0.9);
+    }
+    
+    return best;
+  }
+  
+  /**
+   * Score how well a column's sample values fit a field (0-1)
+   */
+  function scoreSampleValues(header, field, sampleRows) {
+    const values = sampleRows
+      .map(row => safeString(row[header]))
+      .filter(value => value !== '');
+    
+    if (values.length === 0) return 0;
+    
+    const ratio = test => values.filter(test).length / values.length;
+    
+    switch (field.key) {
+      case "CustomerNumber":
+        return ratio(value => /^[A-Za-z]{0,3}-?\d{2,}$/.test(value));
+      case "Quantity":
+        return ratio(value => /^\d{1,4}(\.\d+)?$/.test(value));
+      case "Address":
+        return ratio(value => /^\d+\s+\S+/.test(value) && /[A-Za-z]/.test(value));
+      case "ItemID":
+        return ratio(value => /^[A-Za-z0-9-]{2,15}$/.test(value) && /\d/.test(value));
+      case "AccountName":
+      case "Description":
+        return ratio(value => /[A-Za-z]{3,}/.test(value) && !/^\d+\s/.test(value)) * 0.6;
+      default:
+        return 0;
+    }
+  }
+  
+  /**
+   * Check whether headers already use the expected field names
+   */
+  function hasCanonicalHeaders(headers) {
+    return isComplete(identityMapping(headers));
+  }
+  
+  /**
+   * Propose a mapping from CSV headers to fields
+   * Returns { mapping, confidence, unmapped, complete }
+   */
+  function detectMapping(headers, sampleRows = []) {
+    const safeHeaders = (headers || []).map(safeString).filter(Boolean);
+    const samples = Array.isArray(sampleRows) ? sampleRows.slice(0, 25) : [];
+    
+    // Score every header against every field
+    const scored = [];
+    FIELDS.forEach(field => {
+      safeHeaders.forEach(header => {
+        const nameScore = scoreHeaderName(header, field);
+        const valueScore = scoreSampleValues(header, field, samples);
+        const score = nameScore === 1 ? 1 : nameScore * 0.75 + valueScore * 0.25;
+        
+        if (score >= MATCH_THRESHOLD) {
+          scored.push({ field: field.key, header, score });
+        }
+      });
+    });
+    
+    // Greedily assign the strongest pairs so each header is used once
+    scored.sort((a, b) => b.score - a.score);
+    
+    const mapping = {};
+    const confidence = {};
+    const usedHeaders = new Set();
+    
+    scored.forEach(({ field, header, score }) => {
+      if (mapping[field] || usedHeaders.has(header)) return;
+      mapping[field] = header;
+      confidence[field] = Math.round(score * 100) / 100;
+      usedHeaders.add(header);
+    });
+    
+    return {
+      mapping,
+      confidence,
+      unmapped: safeHeaders.filter(header => !usedHeaders.has(header)),
+      complete: isComplete(mapping)
+    };
+  }
+  
+  /**
+   * Work out what kind of file a mapping describes
+   * A file with item columns but no name/address is treated as order lines
+   */
+  function detectFileType(mapping) {
+    const has = field => mapping && safeString(mapping[field]) !== '';
+    
+    if (has("AccountName") && has("Address")) {
+      return has("ItemID") ? FILE_TYPES.ROUTE : FILE_TYPES.CUSTOMERS;
+    }
+    
+    return has("ItemID") ? FILE_TYPES.ORDERS : FILE_TYPES.ROUTE;
+  }
+  
+  /**
+   * Check that every required field has a column
+   */
+  function isComplete(mapping) {
+    return REQUIRED_BY_TYPE[detectFileType(mapping)]
+      .every(field => mapping && safeString(mapping[field]) !== '');
+  }
+  
+  /**
+   * Rename mapped columns to field names, keeping any other columns as-is
+   */
+  function applyMapping(rows, mapping) {
+    if (!Array.isArray(rows)) return [];
+    if (!mapping) return rows;
+    
+    const mappedHeaders = new Set(Object.values(mapping).filter(Boolean));
+    
+    return rows.map(row => {
+      const mapped = {};
+      
+      Object.keys(row).forEach(header => {
+        if (!mappedHeaders.has(header)) {
+          mapped[header] = row[header];
+        }
+      });
+      
+      Object.entries(mapping).forEach(([field, header]) => {
+        if (header) {
+          mapped[field] = row[header];
+        }
+      });
+      
+      return mapped;
+    });
+  }
+  
+  /**
+   * Identity mapping for files that already use the expected headers
+   */
+  function identityMapping(headers) {
+    const mapping = {};
+    FIELDS.forEach(field => {
+      if (headers.includes(field.key)) {
+        mapping[field.key] = field.key;
+      }
+    });
+    return mapping;
+  }
+  
+  /**
+   * Build a signature identifying a header layout, independent of column order
+   */
+  function getHeaderSignature(headers) {
+    return (headers || [])
+      .map(normalizeHeader)
+      .filter(Boolean)
+      .sort()
+      .join('|');
+  }
+  
+  /**
+   * Load saved mapping profiles
+   */
+  function getProfiles() {
+    try {
+      const saved = localStorage.getItem(PROFILES_KEY);
+      return saved ? JSON.parse(saved) : [];
+    } catch (error) {
+      console.error("Error loading column mapping profiles:", error);
+      return [];
+    }
+  }
+  
+  /**
+   * Persist mapping profiles
+   */
+  function storeProfiles(profiles) {
+    try {
+      localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+      return true;
+    } catch (error) {
+      console.error("Error saving column mapping profiles:", error);
+      return false;
+    }
+  }
+  
+  /**
+   * Save a confirmed mapping as a profile for this header layout
+   */
+  function saveProfile(name, headers, mapping) {
+    if (!isComplete(mapping)) {
+      console.error("Cannot save an incomplete column mapping");
+      return null;
+    }
+    
+    const signature = getHeaderSignature(headers);
+    const profiles = getProfiles().filter(profile => profile.signature !== signature);
+    
+    const profile = {
+      id: `profile-${Date.now()}`,
+      name: safeString(name) || "Unnamed source",
+      signature,
+      headers: [...headers],
+      mapping: { ...mapping },
+      savedAt: new Date().toISOString()
+    };
+    
+    profiles.push(profile);
+    return storeProfiles(profiles) ? profile : null;
+  }
+  
+  /**
+   * Find a saved profile matching this header layout
+   */
+  function findProfile(headers) {
+    const signature = getHeaderSignature(headers);
+    return getProfiles().find(profile => profile.signature === signature) || null;
+  }
+  
+  /**
+   * Delete a saved profile
+   */
+  function deleteProfile(id) {
+    const profiles = getProfiles();
+    const remaining = profiles.filter(profile => profile.id !== id);
+    
+    if (remaining.length === profiles.length) {
+      return false;
+    }
+    
+    return storeProfiles(remaining);
+  }
+  
+  /**
+   * Work out the mapping for a file: expected headers, a saved profile,
+   * or a detected proposal that the user needs to confirm
+   */
+  function resolveMapping(headers, sampleRows = []) {
+    const safeHeaders = (headers || []).map(safeString).filter(Boolean);
+    
+    if (hasCanonicalHeaders(safeHeaders)) {
+      const mapping = identityMapping(safeHeaders);
+      return {
+        mapping,
+        fileType: detectFileType(mapping),
+        source: 'headers',
+        needsConfirmation: false
+      };
+    }
+    
+    const profile = findProfile(safeHeaders);
+    if (profile) {
+      return {
+        mapping: { ...profile.mapping },
+        fileType: detectFileType(profile.mapping),
+        source: 'profile',
+        profile,
+        needsConfirmation: false
+      };
+    }
+    
+    const proposal = detectMapping(safeHeaders, sampleRows);
+    return {
+      mapping: proposal.mapping,
+      confidence: proposal.confidence,
+      fileType: detectFileType(proposal.mapping),
+      source: 'detected',
+      needsConfirmation: true
+    };
+  }
+  
+  /**
+   * Get the list of fields that can be mapped
+   */
+  function getFields() {
+    return FIELDS.map(field => ({ ...field, aliases: [...field.aliases] }));
+  }
+  
+  /**
+   * Sanitize text for safe HTML insertion
+   */
+  function sanitizeHTML(text) {
+    return safeString(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+  
+  /**
+   * Render the column mapping wizard
+   */
+  function renderMappingUI(headers, proposal, sampleRows = [], sourceName = '') {
+    const mapping = proposal.mapping || {};
+    const confidence = proposal.confidence || {};
+    const firstRow = sampleRows[0] || {};
+    
+    let html = `
+      <div class="bg-gray-800 p-4 rounded-lg animate-fadeIn" id="column-mapping-wizard">
+        <h2 class="text-lg font-semibold mb-1">Match Your Columns</h2>
+        <p class="text-sm text-gray-400 mb-4">
+          This file's headers don't match the expected format. Check the proposed matches below.
+        </p>
+        <div class="space-y-3">
+    `;
+    
+    FIELDS.forEach(field => {
+      const selected = mapping[field.key] || '';
+      const score = confidence[field.key];
+      
+      html += `
+        <div class="grid grid-cols-1 sm:grid-cols-3 gap-2 items-center">
+          <label class="text-sm font-medium" for="map-${field.key}">
+            ${field.label}${field.required ? ' <span class="text-red-400">*</span>' : ''}
+          </label>
+          <select id="map-${field.key}" data-field="${field.key}" class="p-2 rounded bg-gray-700 border border-gray-600 text-sm">
+            <option value="">— Not in this file —</option>
+            ${headers.map(header => `
+              <option value="${sanitizeHTML(header)}" ${header === selected ? 'selected' : ''}>${sanitizeHTML(header)}</option>
+            `).join('')}
+          </select>
+          <span class="text-xs text-gray-400">
+            ${selected ? `e.g. "${sanitizeHTML(firstRow[selected])}"${score !== undefined ? ` · ${Math.round(score * 100)}% match` : ''}` : ''}
+          </span>
+        </div>
+      `;
+    });
+    
+    html += `
+        </div>
+        <label class="block mt-4">
+          <span class="text-sm text-gray-400">Save this layout as</span>
+          <input type="text" id="mapping-profile-name" value="${sanitizeHTML(sourceName)}" placeholder="e.g. Dispatch export"
+                 class="mt-1 block w-full p-2 rounded bg-gray-700 border border-gray-600 text-sm">
+        </label>
+        <p id="mapping-error" class="text-sm text-red-400 mt-2 hidden">Customer Number is required, plus Account Name and Address (or Item ID for an order-lines file).</p>
+        <div class="flex justify-end gap-2 mt-4">
+          <button id="cancel-mapping-btn" class="px-3 py-1.5 bg-gray-700 rounded text-sm">Cancel</button>
+          <button id="confirm-mapping-btn" class="px-3 py-1.5 bg-blue-600 rounded text-sm">Use These Columns</button>
+        </div>
+      </div>
+    `;
+    
+    return html;
+  }
+  
+  // Public API
+  return {
+    detectMapping,
+    resolveMapping,
+    applyMapping,
+    isComplete,
+    detectFileType,
+    getFields,
+    getHeaderSignature,
+    getProfiles,
+    saveProfile,
+    findProfile,
+    deleteProfile,
+    renderMappingUI,
+    FILE_TYPES
+  };
+})();
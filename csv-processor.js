@@ -17,27 +17,9 @@ const CSVProcessor = (function() {
     return isNaN(parsed) ? 0 : parsed;
   }
   
-  // Area classification configuration - moved to a configurable object
-  const areaClassification = [
-    { area: "Shasta Ortho", patterns: ["liberty"] },
-    { area: "Bechelli Lane", patterns: ["bechelli"] },
-    { area: "Downtown", patterns: ["cypress", "hartnell"] },
-    { area: "Churn Creek", patterns: ["churn creek"] },
-    { area: "South Redding", patterns: ["bonnyview"] },
-    { area: "Other", patterns: [] }  // Default
-  ];
-  
-  // Determine area from address using configuration
+  // Determine area from address using the AreaClassifier registry
   function determineArea(address) {
-    const safeAddress = safeString(address).toLowerCase();
-    
-    for (const areaConfig of areaClassification) {
-      if (areaConfig.patterns.some(pattern => safeAddress.includes(pattern))) {
-        return areaConfig.area;
-      }
-    }
-    
-    return "Other";
+    return AreaClassifier.classifyAddress(safeString(address)).name;
   }
   
   /**
@@ -68,9 +50,9 @@ const CSVProcessor = (function() {
     let totalItems = 0;
     
     // Initialize area containers
-    areaClassification.forEach(config => {
-      customersByArea[config.area] = [];
-      areaStats[config.area] = 0;
+    getAreaOrder().forEach(area => {
+      customersByArea[area] = [];
+      areaStats[area] = 0;
     });
     
     // Single-pass analysis
@@ -97,9 +79,11 @@ const CSVProcessor = (function() {
           totalItems++;
           customersWithItems.add(customerNumber);
           
-          // Extract item type
+          // Categorize item using ItemClassifier if available
           const description = safeString(row.Description);
-          const itemType = description.split('-')[0].trim() || "Unknown";
+          const itemType = typeof ItemClassifier !== 'undefined'
+            ? ItemClassifier.classifyItem({ itemId, description }).name
+            : "Other";
           
           if (!itemsByType[itemType]) {
             itemsByType[itemType] = 0;
@@ -151,19 +135,24 @@ const CSVProcessor = (function() {
         typeBreakdown: Object.entries(insights.itemsByType)
           .sort((a, b) => b[1] - a[1]) // Sort by count
           .slice(0, 5) // Top 5 types
-          .map(([type, count]) => ({
-            type,
-            count,
-            icon: "check"
-          }))
+          .map(([type, count]) => {
+            const category = typeof ItemClassifier !== 'undefined' ? ItemClassifier.getCategoryByName(type) : null;
+            return {
+              type,
+              count,
+              icon: category ? category.icon : "check"
+            };
+          })
       }
     };
   }
   
   /**
    * Optimize route order with improved error handling
+   * With options.optimizeDistance, stops with coordinates are sequenced by
+   * distance (options as RouteOptimizer.optimize)
    */
-  function suggestOptimalRoute(csvData) {
+  function suggestOptimalRoute(csvData, options = {}) {
     if (!Array.isArray(csvData)) {
       console.error("CSV data is not an array:", csvData);
       return [];
@@ -188,13 +177,15 @@ const CSVProcessor = (function() {
             customerNumber: customerNumber,
             accountName: safeString(row.AccountName),
             address: address,
-            area: area
+            area: area,
+            latitude: row.Latitude,
+            longitude: row.Longitude
           });
         }
       });
       
       // Get optimal area order
-      const areaOrder = areaClassification.map(config => config.area);
+      const areaOrder = getAreaOrder();
       
       // Sort stops by area in the optimal order
       stops.sort((a, b) => {
@@ -209,6 +200,10 @@ const CSVProcessor = (function() {
         return safeString(a.accountName).localeCompare(safeString(b.accountName));
       });
       
+      if (options.optimizeDistance && typeof RouteOptimizer !== 'undefined') {
+        return RouteOptimizer.optimize(stops, options).stops;
+      }
+      
       return stops;
     } catch (error) {
       console.error("Error generating optimal route:", error);
@@ -220,12 +215,13 @@ const CSVProcessor = (function() {
    * Get all available areas in configured order
    */
   function getAreaOrder() {
-    return areaClassification.map(config => config.area);
+    return AreaClassifier.getAreaNames();
   }
   
   /**
    * Update area classification rules
-   * Allows runtime configuration of area classification
+   * Takes [{ area, patterns }] and replaces the AreaClassifier areas, so the
+   * change applies everywhere areas are used
    */
   function updateAreaClassification(newClassification) {
     if (!Array.isArray(newClassification)) {
@@ -245,17 +241,23 @@ const CSVProcessor = (function() {
         return false;
       }
       
-      // Update classification rules
-      while (areaClassification.length > 0) {
-        areaClassification.pop();
-      }
-      
-      newClassification.forEach(item => {
-        areaClassification.push(item);
+      // Convert to AreaClassifier areas, in the given order; the "Other"
+      // entry (or the last one) is the catch-all
+      const otherIndex = newClassification.findIndex(item => item.area === "Other");
+      const areas = newClassification.map((item, index) => {
+        const isOther = otherIndex === -1 ? index === newClassification.length - 1 : index === otherIndex;
+        const id = isOther ? "other" : item.area.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+        const existing = AreaClassifier.getAreaById(id) || {};
+        return {
+          ...existing,
+          id,
+          name: item.area,
+          patterns: isOther ? [] : item.patterns,
+          priority: isOther ? 1000 : (index + 1) * 10
+        };
       });
       
-      console.log("Updated area classification rules:", areaClassification);
-      return true;
+      return AreaClassifier.importAreaConfig(areas);
     } catch (error) {
       console.error("Error updating area classification:", error);
       return false;
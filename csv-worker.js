@@ -0,0 +1,39 @@
+/**
+ * csv-worker.js
+ * Web Worker for Route 33 Guide that parses large route files off the main
+ * thread, posting progress as each chunk is processed (see chunked-import.js)
+ */
+
+importScripts(
+  'https://cdnjs.cloudflare.com/ajax/libs/PapaParse/5.4.1/papaparse.min.js',
+  'error-handler.js',
+  'address-parser.js',
+  'area-classifier.js',
+  'item-classifier.js',
+  'column-mapper.js',
+  'import-validator.js',
+  'optimized-data-processor.js',
+  'chunked-import.js'
+);
+
+self.onmessage = function(event) {
+  const { file, mapping, sourceRoute, consolidate, chunkSize, areas, itemCategories } = event.data;
+  
+  // Classify with the same areas and item categories as the page
+  if (areas) {
+    AreaClassifier.importAreaConfig(areas);
+  }
+  if (itemCategories) {
+    ItemClassifier.importCategoryConfig(itemCategories);
+  }
+  
+  ChunkedImport.parseFile(file, {
+    mapping,
+    sourceRoute,
+    consolidate,
+    chunkSize,
+    onProgress: (loaded, total) => self.postMessage({ type: 'progress', loaded, total })
+  }).promise
+    .then(result => self.postMessage({ type: 'done', result }))
+    .catch(error => self.postMessage({ type: 'error', message: error.message || String(error) }));
+};
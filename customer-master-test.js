@@ -0,0 +1,153 @@
+/**
+ * Unit tests for customer-master.js
+ */
+
+TestSuite.describe('CustomerMaster', () => {
+  
+  TestSuite.describe('getContact', () => {
+    const fallback = { phone: '555-0100', sms: '555-0101', email: 'office@example.com' };
+    const customer = { customerNumber: '100', phone: '555-0200', mobile: '555-0201', email: 'file@example.com' };
+    
+    // Customer 100 in the saved customers file, with nothing edited in the app
+    const resetContacts = () => {
+      localStorage.clear();
+      CustomerMaster.save([{ CustomerNumber: '100', Phone: '555-0300', Mobile: '555-0301', Email: 'master@example.com' }]);
+    };
+    
+    TestSuite.it('should prefer details edited in the app', () => {
+      resetContacts();
+      CustomerMaster.saveContact('100', { phone: '555-0400', sms: '555-0401', email: 'edited@example.com' });
+      
+      const contact = CustomerMaster.getContact(customer, {}, fallback);
+      TestSuite.assert.equal(contact.phone, '555-0400', 'Edited phone should win');
+      TestSuite.assert.equal(contact.sms, '555-0401', 'Edited SMS should win');
+      TestSuite.assert.equal(contact.email, 'edited@example.com', 'Edited email should win');
+    });
+    
+    TestSuite.it('should use the file before the customers file', () => {
+      resetContacts();
+      
+      const contact = CustomerMaster.getContact(customer, {}, fallback);
+      TestSuite.assert.equal(contact.phone, '555-0200', 'File phone should be used');
+      TestSuite.assert.equal(contact.sms, '555-0201', 'File mobile should be used for texts');
+      TestSuite.assert.equal(contact.email, 'file@example.com', 'File email should be used');
+    });
+    
+    TestSuite.it('should use the customers file when the route file has no details', () => {
+      resetContacts();
+      
+      const contact = CustomerMaster.getContact({ customerNumber: '100' }, {}, fallback);
+      TestSuite.assert.equal(contact.phone, '555-0300', 'Master phone should be used');
+      TestSuite.assert.equal(contact.sms, '555-0301', 'Master mobile should be used for texts');
+      TestSuite.assert.equal(contact.email, 'master@example.com', 'Master email should be used');
+    });
+    
+    TestSuite.it('should fall back only when nothing else has a value', () => {
+      resetContacts();
+      
+      const contact = CustomerMaster.getContact({ customerNumber: '999' }, {}, fallback);
+      TestSuite.assert.equal(contact.phone, '555-0100', 'Fallback phone should be used');
+      TestSuite.assert.equal(contact.sms, '555-0101', 'Fallback SMS should be used');
+      TestSuite.assert.equal(contact.email, 'office@example.com', 'Fallback email should be used');
+      TestSuite.assert.equal(CustomerMaster.getContact({ customerNumber: '999' }).phone, '', 'No fallback should leave it blank');
+    });
+    
+    TestSuite.it('should mix sources field by field', () => {
+      resetContacts();
+      CustomerMaster.saveContact('100', { email: 'edited@example.com' });
+      
+      const contact = CustomerMaster.getContact({ customerNumber: '100', phone: '555-0200' }, CustomerMaster.preloadContacts(), fallback);
+      TestSuite.assert.equal(contact.phone, '555-0200', 'Phone should come from the file');
+      TestSuite.assert.equal(contact.sms, '555-0301', 'Texts should go to the master mobile');
+      TestSuite.assert.equal(contact.email, 'edited@example.com', 'Email should come from the app');
+    });
+    
+    TestSuite.it('should text the phone number when there is no mobile', () => {
+      resetContacts();
+      
+      const contact = CustomerMaster.getContact({ customerNumber: '999', phone: '555-0200' }, {}, fallback);
+      TestSuite.assert.equal(contact.sms, '555-0200', 'Texts should go to the stop\'s phone before the fallback');
+    });
+    
+    TestSuite.it('should go back to the file when an edit is cleared', () => {
+      resetContacts();
+      CustomerMaster.saveContact('100', { phone: '555-0400' });
+      CustomerMaster.saveContact('100', { phone: '' });
+      
+      TestSuite.assert.equal(CustomerMaster.getContact(customer, {}, fallback).phone, '555-0200', 'File phone should be used again');
+    });
+  });
+  
+  TestSuite.describe('joinOrders', () => {
+    const customers = [
+      { CustomerNumber: '1', AccountName: 'Corner Cafe', Address: '1 Main St', Phone: '555-0101' },
+      { CustomerNumber: '2', AccountName: 'Hill Diner', Address: '2 Hill Rd', Phone: '555-0102' },
+      { CustomerNumber: '3', AccountName: 'Quiet Bar', Address: '3 Low St', Phone: '555-0103' }
+    ];
+    const orders = [
+      { CustomerNumber: '1', ItemID: 'MAT-1', Description: 'Mat 3x5', Quantity: 2 },
+      { CustomerNumber: '2', ItemID: 'TWL-1', Description: 'Towel', Quantity: 10 },
+      { CustomerNumber: '9', ItemID: 'MOP-1', Description: 'Mop', Quantity: 1 },
+      { CustomerNumber: '1', ItemID: 'TWL-1', Description: 'Towel', Quantity: 5 },
+      { CustomerNumber: '', ItemID: '', Description: '', Quantity: '' }
+    ];
+    
+    TestSuite.it('should give each order line its customer\'s details', () => {
+      const joined = CustomerMaster.joinOrders(customers, orders);
+      const lines = joined.rows.filter(row => row.ItemID);
+      
+      TestSuite.assert.equal(lines.map(row => `${row.CustomerNumber}:${row.ItemID}`).join(','), '1:MAT-1,2:TWL-1,1:TWL-1', 'Order lines should keep their order');
+      TestSuite.assert.equal(lines[0].AccountName, 'Corner Cafe', 'Lines should get the customer name');
+      TestSuite.assert.equal(lines[1].Address, '2 Hill Rd', 'Lines should get the address');
+      TestSuite.assert.equal(lines[2].Phone, '555-0101', 'Lines should get other customer columns');
+    });
+    
+    TestSuite.it('should let order values win but not blank out customer details', () => {
+      const joined = CustomerMaster.joinOrders(customers, [
+        { CustomerNumber: '1', ItemID: 'MAT-1', Quantity: 1, Address: '1 Side Door, Main St' },
+        { CustomerNumber: '2', ItemID: 'MAT-1', Quantity: 1, Address: '', Phone: null }
+      ]);
+      
+      TestSuite.assert.equal(joined.rows[0].Address, '1 Side Door, Main St', 'An order\'s own value should win');
+      TestSuite.assert.equal(joined.rows[1].Address, '2 Hill Rd', 'A blank order value should not hide the address');
+      TestSuite.assert.equal(joined.rows[1].Phone, '555-0102', 'A missing order value should not hide the phone');
+    });
+    
+    TestSuite.it('should list order lines whose customer is unknown', () => {
+      const joined = CustomerMaster.joinOrders(customers, orders, { customerFile: 'customers.csv', orderFile: 'orders.csv' });
+      
+      TestSuite.assert.equal(joined.orphanLines.length, 1, 'One line has an unknown customer');
+      TestSuite.assert.equal(joined.orphanLines[0].customerNumber, '9', 'The unknown customer should be named');
+      TestSuite.assert.equal(joined.orphanLines[0].itemId, 'MOP-1', 'The dropped item should be named');
+      TestSuite.assert.equal(`${joined.orphanLines[0].file}:${joined.orphanLines[0].line}`, 'orders.csv:4', 'The line is counted from the header');
+      TestSuite.assert.isFalse(joined.rows.some(row => row.CustomerNumber === '9'), 'Orphan lines should be dropped');
+    });
+    
+    TestSuite.it('should keep customers without orders as stops without items', () => {
+      const joined = CustomerMaster.joinOrders(customers, orders, { customerFile: 'customers.csv', orderFile: 'orders.csv' });
+      
+      TestSuite.assert.equal(joined.customersWithoutOrders.map(customer => customer.customerNumber).join(','), '3', 'Customer 3 has no orders');
+      TestSuite.assert.equal(joined.customersWithoutOrders[0].accountName, 'Quiet Bar', 'The customer should be named');
+      
+      const index = joined.rows.findIndex(row => row.CustomerNumber === '3');
+      TestSuite.assert.isTrue(index >= 0 && !joined.rows[index].ItemID, 'The customer should be a row without an item');
+      TestSuite.assert.equal(`${joined.origins[index].file}:${joined.origins[index].line}`, 'customers.csv:4', 'The row should point at the customers file');
+      TestSuite.assert.equal(`${joined.origins[0].file}:${joined.origins[0].line}`, 'orders.csv:2', 'Order rows should point at the orders file');
+    });
+    
+    TestSuite.it('should join an order file alone against the saved customers', () => {
+      localStorage.clear();
+      CustomerMaster.save(customers.concat({ CustomerNumber: '1', AccountName: 'Duplicate Cafe', Address: '99 Elsewhere' }));
+      TestSuite.assert.isTrue(CustomerMaster.hasCustomers(), 'The customers file should be saved');
+      TestSuite.assert.equal(CustomerMaster.get('1').AccountName, 'Corner Cafe', 'The first row for a customer should be kept');
+      
+      // Next week only the order lines are imported
+      const joined = CustomerMaster.joinOrders(CustomerMaster.getRows(), orders.slice(0, 2));
+      const stops = OptimizedDataProcessor.processCSVData(joined.rows).customers;
+      
+      TestSuite.assert.equal(stops.map(stop => `${stop.customerNumber}:${stop.accountName}:${stop.items.length}`).join(','),
+        '1:Corner Cafe:1,2:Hill Diner:1,3:Quiet Bar:0', 'Stops should come from the saved customers');
+      TestSuite.assert.equal(stops[1].address, '2 Hill Rd', 'The saved address should be used');
+    });
+  });
+});
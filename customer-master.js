@@ -0,0 +1,270 @@
+/**
+ * customer-master.js
+ * Customer master records for Route 33 Guide
+ * Keeps the customers file (number, name, address, phone, notes) between
+ * imports and joins it with order-lines files on CustomerNumber. Also holds
+ * contact details entered in the app for each customer.
+ */
+
+const CustomerMaster = (function() {
+  // localStorage key for the saved customer master
+  const STORAGE_KEY = 'route33CustomerMaster';
+  
+  // localStorage key for contact details edited in the app
+  const CONTACTS_KEY = 'route33CustomerContacts';
+  
+  // Header row is line 1, so the first data row is line 2
+  const FIRST_DATA_LINE = 2;
+  
+  // Safe string handling
+  function safeString(str) {
+    return (str !== undefined && str !== null) ? String(str).trim() : "";
+  }
+  
+  /**
+   * Index customer rows by customer number (first row wins)
+   */
+  function indexRows(customerRows) {
+    const index = {};
+    
+    (customerRows || []).forEach(row => {
+      const customerNumber = safeString(row && row.CustomerNumber);
+      if (customerNumber && !index[customerNumber]) {
+        index[customerNumber] = row;
+      }
+    });
+    
+    return index;
+  }
+  
+  /**
+   * Get all saved customer rows
+   */
+  function getRows() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      if (saved) {
+        const data = JSON.parse(saved);
+        return Array.isArray(data.customers) ? data.customers : [];
+      }
+    } catch (error) {
+      console.error("Error loading customer master:", error);
+    }
+    
+    return [];
+  }
+  
+  /**
+   * Save mapped customer rows as the customer master
+   * Rows use the expected field names (see ColumnMapper.applyMapping)
+   */
+  function save(customerRows) {
+    const index = indexRows(customerRows);
+    const dataToSave = {
+      customers: Object.values(index),
+      lastUpdated: new Date().toISOString()
+    };
+    
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(dataToSave));
+      return true;
+    } catch (error) {
+      console.error("Error saving customer master:", error);
+      return false;
+    }
+  }
+  
+  /**
+   * Get one saved customer by number
+   */
+  function get(customerNumber) {
+    const key = safeString(customerNumber);
+    return getRows().find(row => safeString(row.CustomerNumber) === key) || null;
+  }
+  
+  /**
+   * Check whether a customer master has been saved
+   */
+  function hasCustomers() {
+    return getRows().length > 0;
+  }
+  
+  /**
+   * Remove the saved customer master
+   */
+  function clear() {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+  
+  /**
+   * Get all contact details edited in the app, keyed by customer number
+   */
+  function getContacts() {
+    try {
+      const saved = localStorage.getItem(CONTACTS_KEY);
+      if (saved) {
+        return JSON.parse(saved);
+      }
+    } catch (error) {
+      console.error("Error loading customer contacts:", error);
+    }
+    
+    return {};
+  }
+  
+  /**
+   * Save contact details for a customer ({ phone, sms, email, timeWindow })
+   * Fields not given are left as they were. Blank values are removed so the
+   * file or fallback value is used again
+   */
+  function saveContact(customerNumber, contact) {
+    const key = safeString(customerNumber);
+    const contacts = getContacts();
+    const cleaned = { ...contacts[key] };
+    
+    ['phone', 'sms', 'email', 'timeWindow'].forEach(field => {
+      if (!contact || !(field in contact)) return;
+      delete cleaned[field];
+      const value = safeString(contact[field]);
+      if (value) {
+        cleaned[field] = value;
+      }
+    });
+    
+    if (Object.keys(cleaned).length > 0) {
+      contacts[key] = cleaned;
+    } else {
+      delete contacts[key];
+    }
+    
+    try {
+      localStorage.setItem(CONTACTS_KEY, JSON.stringify(contacts));
+      return true;
+    } catch (error) {
+      console.error("Error saving customer contact:", error);
+      return false;
+    }
+  }
+  
+  /**
+   * Work out a customer's phone, SMS and email
+   * Details edited in the app win, then the imported file, then the saved
+   * customer master, then the fallback ({ phone, sms, email }, e.g. the
+   * communications defaults). Pass preloaded contacts/master index when
+   * resolving many customers at once.
+   */
+  function getContact(customer, preloaded = {}, fallback = {}) {
+    const customerNumber = safeString(customer && customer.customerNumber);
+    const edited = (preloaded.contacts || getContacts())[customerNumber] || {};
+    const master = (preloaded.masterIndex || indexRows(getRows()))[customerNumber] || {};
+    
+    const phone = edited.phone || safeString(customer.phone) || safeString(master.Phone);
+    const mobile = safeString(customer.mobile) || safeString(master.Mobile);
+    
+    return {
+      phone: phone || safeString(fallback.phone),
+      sms: edited.sms || mobile || phone || safeString(fallback.sms),
+      email: edited.email || safeString(customer.email) || safeString(master.Email) || safeString(fallback.email)
+    };
+  }
+  
+  /**
+   * A customer's delivery time window text
+   * A window set in the app wins, then the imported file, then the saved
+   * customer master. Takes the same preloaded data as getContact.
+   */
+  function getTimeWindow(customer, preloaded = {}) {
+    const customerNumber = safeString(customer && customer.customerNumber);
+    const edited = (preloaded.contacts || getContacts())[customerNumber] || {};
+    const master = (preloaded.masterIndex || indexRows(getRows()))[customerNumber] || {};
+    
+    return edited.timeWindow || safeString(customer.timeWindow) || safeString(master.TimeWindow);
+  }
+  
+  /**
+   * Load everything getContact and getTimeWindow need in one go
+   */
+  function preloadContacts() {
+    return {
+      contacts: getContacts(),
+      masterIndex: indexRows(getRows())
+    };
+  }
+  
+  /**
+   * Join customer rows with order-line rows on CustomerNumber
+   * Each order line gets its customer's details; customers with no order
+   * lines are kept as stops without items
+   * 
+   * Returns:
+   *   rows - joined rows in the single-file route format
+   *   origins - { file, line } for each joined row, for validation messages
+   *   orphanLines - order lines whose customer isn't in the master
+   *   customersWithoutOrders - customers that have no order lines
+   */
+  function joinOrders(customerRows, orderRows, options = {}) {
+    const customerFile = options.customerFile || 'customers';
+    const orderFile = options.orderFile || 'orders';
+    const index = indexRows(customerRows);
+    
+    const rows = [];
+    const origins = [];
+    const orphanLines = [];
+    const customersWithOrders = new Set();
+    
+    (orderRows || []).forEach((order, i) => {
+      const customerNumber = safeString(order && order.CustomerNumber);
+      if (!customerNumber) return;
+      
+      const line = i + FIRST_DATA_LINE;
+      const customer = index[customerNumber];
+      if (!customer) {
+        orphanLines.push({ file: orderFile, line, customerNumber, itemId: safeString(order.ItemID) });
+        return;
+      }
+      
+      // Order values win, but blanks don't hide the customer's details
+      const joined = { ...customer };
+      Object.keys(order).forEach(key => {
+        if (safeString(order[key]) !== '') {
+          joined[key] = order[key];
+        }
+      });
+      
+      customersWithOrders.add(customerNumber);
+      rows.push(joined);
+      origins.push({ file: orderFile, line });
+    });
+    
+    const customersWithoutOrders = [];
+    (customerRows || []).forEach((customer, i) => {
+      const customerNumber = safeString(customer && customer.CustomerNumber);
+      if (!customerNumber || customersWithOrders.has(customerNumber) || index[customerNumber] !== customer) return;
+      
+      customersWithoutOrders.push({ customerNumber, accountName: safeString(customer.AccountName) });
+      rows.push({ ...customer });
+      origins.push({ file: customerFile, line: i + FIRST_DATA_LINE });
+    });
+    
+    return {
+      rows,
+      origins,
+      orphanLines,
+      customersWithoutOrders
+    };
+  }
+  
+  // Public API
+  return {
+    save,
+    getRows,
+    get,
+    hasCustomers,
+    clear,
+    getContact,
+    getTimeWindow,
+    saveContact,
+    preloadContacts,
+    joinOrders
+  };
+})();
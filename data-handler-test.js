@@ -0,0 +1,287 @@
+/**
+ * Unit tests for data-handler.js
+ */
+
+TestSuite.describe('DataHandler', () => {
+  const makeCustomer = (customerNumber, area = 'Downtown') => ({
+    customerNumber,
+    accountName: `Customer ${customerNumber}`,
+    address: `${customerNumber} Main St`,
+    area,
+    items: []
+  });
+  
+  const withItems = (customer, itemIds) => ({
+    ...customer,
+    items: itemIds.map(itemId => ({ itemId, description: `Item ${itemId}`, quantity: 1 }))
+  });
+  
+  // Start a day from saved stops, with no hand-set order unless given
+  const loadDay = async (customers, sequence = null) => {
+    localStorage.clear();
+    if (sequence) {
+      localStorage.setItem('route33StopSequence', JSON.stringify(sequence));
+    }
+    localStorage.setItem('route33Data', JSON.stringify({ routeData: customers, checkedItems: {} }));
+    return DataHandler.initData();
+  };
+  
+  const numbersOf = customers => customers.map(customer => customer.customerNumber).join(',');
+  
+  // Transfer files are read with FileReader, which is replaced while the
+  // file is read so the test can hand over its text
+  const importTransfer = async data => {
+    const realFileReader = globalThis.FileReader;
+    globalThis.FileReader = class {
+      readAsText(file) {
+        setTimeout(() => this.onload({ target: { result: file.text } }), 0);
+      }
+    };
+    
+    try {
+      return await DataHandler.importTransfer({ name: 'route-a.json', text: typeof data === 'string' ? data : JSON.stringify(data) });
+    } finally {
+      globalThis.FileReader = realFileReader;
+    }
+  };
+  
+  // Four stops of two items; the first driver has 1 done and half of 2,
+  // the second has half of 3
+  const loadSplitDay = async () => {
+    await loadDay(['1', '2', '3', '4'].map(number => withItems(makeCustomer(number), ['A1', 'B2'])));
+    DataHandler.toggleItemCheck('1', 'A1', true);
+    DataHandler.toggleItemCheck('1', 'B2', true);
+    DataHandler.toggleItemCheck('2', 'A1', true);
+    DataHandler.toggleItemCheck('3', 'B2', true);
+    return DataHandler.splitRoute({ parts: 2 });
+  };
+  
+  TestSuite.describe('stop order', () => {
+    TestSuite.it('should put a re-imported route in the hand-set order', async () => {
+      await loadDay(['1', '2', '3', '4'].map(number => makeCustomer(number)));
+      DataHandler.setStopOrder(['3', '1', '4', '2']);
+      
+      // Next week's file lists the same customers in file order
+      const imported = ['1', '2', '3', '4'].map(number => makeCustomer(number));
+      DataHandler.applyStopSequence(imported);
+      
+      TestSuite.assert.equal(numbersOf(imported), '3,1,4,2', 'The import should follow the saved order');
+      TestSuite.assert.isFalse(imported.some(customer => customer.needsPlacement), 'Known customers need no placement');
+    });
+    
+    TestSuite.it('should leave the file order alone without a hand-set order', async () => {
+      await loadDay([]);
+      
+      const imported = ['2', '1'].map(number => makeCustomer(number));
+      DataHandler.applyStopSequence(imported);
+      
+      TestSuite.assert.equal(numbersOf(imported), '2,1', 'File order should be kept');
+      TestSuite.assert.isFalse(DataHandler.hasStopSequence(), 'No order should be saved');
+    });
+    
+    TestSuite.it('should place new customers after the last stop in their area', async () => {
+      await loadDay([], ['1', '2', '3', '4']);
+      
+      const imported = [
+        makeCustomer('1', 'North'),
+        makeCustomer('5', 'North'),
+        makeCustomer('2', 'North'),
+        makeCustomer('3', 'South'),
+        makeCustomer('6', 'East'),
+        makeCustomer('4', 'South')
+      ];
+      DataHandler.applyStopSequence(imported);
+      
+      TestSuite.assert.equal(numbersOf(imported), '1,2,5,3,4,6', 'New stops should follow their area, or go last');
+      TestSuite.assert.equal(imported.filter(customer => customer.needsPlacement).map(customer => customer.customerNumber).join(','), '5,6',
+        'Only new customers should need placement');
+    });
+    
+    TestSuite.it('should keep the places of customers missing from a route', async () => {
+      await loadDay(['1', '3'].map(number => makeCustomer(number)), ['1', '2', '3']);
+      
+      DataHandler.setStopOrder(['3', '1']);
+      
+      TestSuite.assert.equal(JSON.parse(localStorage.getItem('route33StopSequence')).join(','), '3,1,2',
+        'A missing customer should stay after the stop it followed');
+    });
+    
+    TestSuite.it('should only reorder the stops listed from a filtered view', async () => {
+      await loadDay(['1', '2', '3', '4', '5'].map(number => makeCustomer(number)));
+      
+      // A search shows stops 2 and 4; stop 4 is dragged above stop 2
+      const result = DataHandler.setStopOrder(['4', '2'], '4');
+      
+      TestSuite.assert.equal(numbersOf(result.routeData), '1,4,3,2,5', 'Hidden stops should keep their places');
+      TestSuite.assert.equal(JSON.parse(localStorage.getItem('route33StopSequence')).join(','), '1,4,3,2,5',
+        'The whole order should be saved');
+    });
+    
+    TestSuite.it('should ignore unknown customers in an order list', async () => {
+      await loadDay(['1', '2', '3'].map(number => makeCustomer(number)));
+      
+      const result = DataHandler.setStopOrder(['3', '9', '1']);
+      
+      TestSuite.assert.equal(numbersOf(result.routeData), '3,2,1', 'Unknown customers should be skipped');
+    });
+    
+    TestSuite.it('should clear the placement flag when a new stop is moved or placed', async () => {
+      await loadDay([
+        { ...makeCustomer('1'), needsPlacement: true },
+        { ...makeCustomer('2'), needsPlacement: true },
+        makeCustomer('3')
+      ]);
+      
+      const result = DataHandler.setStopOrder(['2', '1', '3'], '1');
+      TestSuite.assert.isFalse(!!result.routeData.find(customer => customer.customerNumber === '1').needsPlacement, 'The moved stop should be placed');
+      TestSuite.assert.isTrue(!!result.routeData.find(customer => customer.customerNumber === '2').needsPlacement, 'Other new stops should still need placement');
+      
+      TestSuite.assert.isTrue(DataHandler.markStopPlaced('2'), 'A stop on the route can be placed');
+      TestSuite.assert.isFalse(!!result.routeData.find(customer => customer.customerNumber === '2').needsPlacement, 'The placed stop should lose its flag');
+      TestSuite.assert.isFalse(DataHandler.markStopPlaced('9'), 'An unknown stop cannot be placed');
+    });
+    
+    TestSuite.it('should forget the hand-set order when cleared', async () => {
+      await loadDay(['1', '2'].map(number => makeCustomer(number)));
+      DataHandler.setStopOrder(['2', '1']);
+      TestSuite.assert.isTrue(DataHandler.hasStopSequence(), 'Reordering should save the order');
+      
+      DataHandler.clearStopSequence();
+      TestSuite.assert.isFalse(DataHandler.hasStopSequence(), 'The order should be gone');
+    });
+  });
+  
+  TestSuite.describe('split and transfer', () => {
+    TestSuite.it('should give each part its own completion stats', async () => {
+      const split = await loadSplitDay();
+      
+      TestSuite.assert.equal(split.parts.map(part => numbersOf(part.customers)).join(' | '), '1,2 | 3,4', 'Stops should be shared in route order');
+      
+      const [first, second] = split.parts.map(part => part.stats);
+      TestSuite.assert.equal(first.totalStops, 2, 'First part should have 2 stops');
+      TestSuite.assert.equal(first.completedStops, 1, 'First part should have 1 stop done');
+      TestSuite.assert.equal(first.totalItems, 4, 'First part should have 4 items');
+      TestSuite.assert.equal(first.completedItems, 3, 'First part should have 3 items done');
+      TestSuite.assert.equal(second.completedStops, 0, 'Second part should have no stops done');
+      TestSuite.assert.equal(second.completedItems, 1, 'Second part should have 1 item done');
+      TestSuite.assert.equal(DataHandler.getSplit().parts[1].name, 'Route B', 'The split should be kept');
+    });
+    
+    TestSuite.it('should carry a part\'s stops and checks through a transfer file', async () => {
+      await loadSplitDay();
+      const data = DataHandler.getTransferData(0);
+      TestSuite.assert.isTrue(DataHandler.getTransferData(5) === null, 'A part that does not exist has no transfer data');
+      
+      // The other driver starts from an empty day
+      await loadDay([]);
+      const result = await importTransfer(data);
+      
+      TestSuite.assert.equal(result.transferName, 'Route A', 'The part name should come across');
+      TestSuite.assert.equal(numbersOf(result.routeData), '1,2', 'Only the part\'s stops should come across');
+      TestSuite.assert.equal(Object.keys(DataHandler.getCheckedItems()).sort().join(','), '1-A1,1-B2,2-A1', 'Only the part\'s checks should come across');
+      
+      const stats = DataHandler.getCompletionStats();
+      TestSuite.assert.equal(stats.completedItems, 3, 'Checked items should count as done');
+      TestSuite.assert.equal(stats.completedStops, 1, 'The finished stop should count as done');
+      TestSuite.assert.isTrue(DataHandler.getSplit() === null, 'The imported day should not be split');
+    });
+    
+    TestSuite.it('should reject a transfer file with an incomplete stop', async () => {
+      await loadSplitDay();
+      const data = DataHandler.getTransferData(0);
+      delete data.routeData[1].address;
+      
+      await loadDay([makeCustomer('9')]);
+      let message = '';
+      try {
+        await importTransfer(data);
+      } catch (error) {
+        message = error.message;
+      }
+      
+      TestSuite.assert.stringContains(message, 'Stop 2 (customer 2) is missing address', 'The message should name the stop and field');
+      TestSuite.assert.equal(DataHandler.getCompletionStats().totalStops, 1, 'The day should be unchanged');
+    });
+    
+    TestSuite.it('should reject files that are not transfer files', async () => {
+      await loadDay([]);
+      
+      const files = [
+        'not json',
+        JSON.stringify({ type: 'other', routeData: [] }),
+        JSON.stringify({ type: 'route33-transfer', version: 1, routeData: [{ customerNumber: '1', accountName: 'A', address: '1 Main St' }] })
+      ];
+      for (const text of files) {
+        let message = '';
+        try {
+          await importTransfer(text);
+        } catch (error) {
+          message = error.message;
+        }
+        TestSuite.assert.stringContains(message, 'ransfer file', `"${text}" should be rejected`);
+      }
+    });
+  });
+  
+  TestSuite.describe('merging route files', () => {
+    const routeRows = (customers, itemId, quantity) => customers.map(([customerNumber, accountName]) => ({
+      CustomerNumber: customerNumber,
+      AccountName: accountName,
+      Address: `${customerNumber} Main St`,
+      ItemID: itemId,
+      Description: `Item ${itemId}`,
+      Quantity: quantity
+    }));
+    
+    const route33 = () => OptimizedDataProcessor.processCSVData(routeRows([['1', 'Corner Cafe'], ['2', 'Hill Diner']], 'MAT-1', 2), { sourceRoute: 'Route 33' }).customers;
+    const route34 = () => OptimizedDataProcessor.processCSVData(routeRows([['2', 'Hill Diner'], ['3', 'Quiet Bar']], 'MAT-1', 5), { sourceRoute: 'Route 34' }).customers;
+    
+    const sourcesOf = customers => customers.map(customer => `${customer.customerNumber}:${DataHandler.getStopSources(customer).join('+')}`).join(',');
+    
+    TestSuite.it('should add a second route\'s stops to the day', () => {
+      const merged = DataHandler.mergeRouteData(route33(), route34());
+      
+      TestSuite.assert.equal(sourcesOf(merged), '1:Route 33,2:Route 33+Route 34,3:Route 34', 'Each stop should be tagged with its routes');
+      
+      const shared = merged.find(customer => customer.customerNumber === '2');
+      TestSuite.assert.equal(shared.items.map(item => `${item.sourceRoute}:${item.quantity}`).join(','), 'Route 33:2,Route 34:5',
+        'A customer on both routes should have the items from both');
+      TestSuite.assert.equal(new Set(shared.items.map(item => item.lineKey)).size, 2, 'The combined lines should have their own keys');
+    });
+    
+    TestSuite.it('should tag stops with a SourceRoute column over the file name', () => {
+      const rows = routeRows([['4', 'Dock Store']], 'TWL-1', 1).map(row => ({ ...row, SourceRoute: 'Route 40' }));
+      const merged = DataHandler.mergeRouteData(route33(), OptimizedDataProcessor.processCSVData(rows, { sourceRoute: 'extra.csv' }).customers);
+      
+      TestSuite.assert.equal(sourcesOf(merged).split(',').pop(), '4:Route 40', 'The column should name the route');
+    });
+    
+    TestSuite.it('should replace a route that is added again', () => {
+      const day = DataHandler.mergeRouteData(route33(), route34());
+      const updated = OptimizedDataProcessor.processCSVData(routeRows([['3', 'Quiet Bar']], 'MAT-1', 7), { sourceRoute: 'Route 34' }).customers;
+      const merged = DataHandler.mergeRouteData(day, updated);
+      
+      TestSuite.assert.equal(sourcesOf(merged), '1:Route 33,2:Route 33,3:Route 34', 'Customer 2 is no longer on Route 34');
+      TestSuite.assert.equal(merged.find(customer => customer.customerNumber === '2').items.length, 1, 'Route 34\'s old items should be gone');
+      TestSuite.assert.equal(merged.find(customer => customer.customerNumber === '3').items[0].quantity, 7, 'The new file\'s items should be used');
+    });
+    
+    TestSuite.it('should leave the current day\'s stops unchanged', () => {
+      const current = route33();
+      const before = JSON.stringify(current);
+      DataHandler.mergeRouteData(current, route34());
+      
+      TestSuite.assert.equal(JSON.stringify(current), before, 'The current stops should not be modified');
+    });
+    
+    TestSuite.it('should find customers on more than one route', () => {
+      const duplicates = DataHandler.findDuplicateStops(DataHandler.mergeRouteData(route33(), route34()));
+      
+      TestSuite.assert.equal(duplicates.length, 1, 'One customer is on both routes');
+      TestSuite.assert.equal(duplicates[0].customerNumber, '2', 'The shared customer should be found');
+      TestSuite.assert.equal(duplicates[0].accountName, 'Hill Diner', 'The customer should be named');
+      TestSuite.assert.equal(duplicates[0].sources.join(','), 'Route 33,Route 34', 'Both routes should be listed');
+      TestSuite.assert.equal(DataHandler.findDuplicateStops(route33()).length, 0, 'One route has no duplicates');
+    });
+  });
+});
@@ -4,15 +4,17 @@
  */
 
 const DataHandler = (function() {
-  // Area order for consistent display
-  const areaOrder = [
-    "Shasta Ortho", 
-    "Bechelli Lane", 
-    "Downtown", 
-    "Churn Creek", 
-    "South Redding", 
-    "Other"
-  ];
+  // CSV files larger than this are parsed in chunks in a Web Worker
+  const STREAMING_THRESHOLD = 1024 * 1024;
+  
+  // Rows read from a streamed file for the column mapping step
+  const PREVIEW_ROWS = 20;
+  
+  // Stop order set by hand, as customer numbers; kept across imports
+  const STOP_SEQUENCE_KEY = 'route33StopSequence';
+  
+  // Marks a JSON file as a sub-route handed to another driver
+  const TRANSFER_FILE_TYPE = 'route33-transfer';
   
   // State storage
   let routeData = [];
@@ -20,71 +22,41 @@ const DataHandler = (function() {
   let customersByArea = {};
   let checkedItems = {};
   let areaStats = {};
+  let activeImport = null;
+  
+  // Area order chosen by the route optimizer; null uses area priority
+  let areaSequence = null;
+  
+  // Drivers the day is split between: { measure, parts: [{ name, customerNumbers }] }
+  let routeSplit = null;
   
   /**
    * Process CSV data into route data
+   * Rows are renamed through the column mapping before processing, so
+   * files with non-standard headers are handled the same way. Stops are
+   * tagged with sourceRoute unless the rows have their own SourceRoute.
+   * 
+   * Options: mapping, sourceRoute, consolidate (see
+   * OptimizedDataProcessor.createAggregator)
    */
-  function processCSVData(csvData) {
-    // Group by customer
-    const customers = {};
-    const processed = [];
-    
-    csvData.forEach(row => {
-  // Skip rows without customer number
-  if (!row.CustomerNumber || safeString(row.CustomerNumber) === '') {
-    return;
+  function processCSVData(csvData, options = {}) {
+    const processed = OptimizedDataProcessor.processCSVData(csvData, options);
+    return processed.customers;
   }
   
-  const customerNumber = safeString(row.CustomerNumber);  // Ensure it's a string
-  console.log(`Processing customer: ${customerNumber}`);
-      
-      // If this is first entry for this customer
-      if (!customers[customerNum]) {
-        // Determine area based on address
-        let area = "Other";
-        
-        const address = row.Address.toLowerCase();
-        if (address.includes("liberty")) {
-          area = "Shasta Ortho";
-        } else if (address.includes("bechelli")) {
-          area = "Bechelli Lane";
-        } else if (address.includes("cypress") || address.includes("hartnell")) {
-          area = "Downtown";
-        } else if (address.includes("churn creek")) {
-          area = "Churn Creek";
-        } else if (address.includes("bonnyview")) {
-          area = "South Redding";
-        }
-        
-        // Create customer entry
-        customers[customerNum] = {
-          customerNumber: customerNum,
-          accountName: row.AccountName.trim(),
-          address: row.Address.trim(),
-          area: area,
-          items: [],
-          hasItems: row.ItemID && row.ItemID.trim() !== '',
-          completed: false
-        };
-        
-        processed.push(customers[customerNum]);
-      }
-      
-      // Add item if exists
-      if (row.ItemID && row.ItemID.trim() !== '') {
-        customers[customerNum].items.push({
-          itemId: row.ItemID.trim(),
-          description: row.Description ? row.Description.trim() : '',
-          quantity: parseInt(row.Quantity) || 0,
-          completed: false
-        });
-        
-        // Ensure customer has items flag is set
-        customers[customerNum].hasItems = true;
-      }
-    });
+  /**
+   * Area names in display order, from the AreaClassifier registry
+   * After the route is optimized, areas follow the optimized order and any
+   * others follow in priority order
+   */
+  function getAreaOrder() {
+    const names = AreaClassifier.getAreaNames();
+    if (!areaSequence) {
+      return names;
+    }
     
-    return processed;
+    const sequenced = areaSequence.filter(name => names.includes(name));
+    return sequenced.concat(names.filter(name => !sequenced.includes(name)));
   }
   
   /**
@@ -94,7 +66,7 @@ const DataHandler = (function() {
     const grouped = {};
     
     // Initialize all areas
-    areaOrder.forEach(area => {
+    getAreaOrder().forEach(area => {
       grouped[area] = [];
     });
     
@@ -119,33 +91,131 @@ const DataHandler = (function() {
   }
   
   /**
-   * Load CSV data from file
+   * Parse CSV text, keeping the header row for column mapping
+   * Empty lines are kept (and skipped later) so row indexes match CSV line numbers
+   */
+  function parseCSVText(csv) {
+    return new Promise((resolve, reject) => {
+      Papa.parse(csv, {
+        header: true,
+        dynamicTyping: true,
+        skipEmptyLines: false,
+        complete: function(results) {
+          resolve({
+            rows: results.data,
+            headers: results.meta.fields || []
+          });
+        },
+        error: function(error) {
+          reject(error);
+        }
+      });
+    });
+  }
+  
+  /**
+   * Parse the first rows of a CSV file without reading the rest of it
+   */
+  function previewCSVFile(file) {
+    return new Promise((resolve, reject) => {
+      Papa.parse(file, {
+        header: true,
+        dynamicTyping: true,
+        skipEmptyLines: false,
+        preview: PREVIEW_ROWS,
+        complete: function(results) {
+          resolve({
+            rows: results.data,
+            headers: results.meta.fields || []
+          });
+        },
+        error: function(error) {
+          reject(error);
+        }
+      });
+    });
+  }
+  
+  /**
+   * Check whether a file is an Excel workbook rather than CSV
    */
-  async function loadCSVFile(file) {
+  function isWorkbookFile(file) {
+    return /\.(xlsx|xls)$/i.test(file.name || '');
+  }
+  
+  /**
+   * Read a file as text or as an ArrayBuffer
+   */
+  function readFile(file, asArrayBuffer = false) {
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
+      reader.onload = e => resolve(e.target.result);
+      reader.onerror = e => reject(e);
       
-      reader.onload = function(e) {
-        const csv = e.target.result;
-        Papa.parse(csv, {
-          header: true,
-          dynamicTyping: true,
-          skipEmptyLines: true,
-          complete: function(results) {
-            resolve(results.data);
-          },
-          error: function(error) {
-            reject(error);
-          }
-        });
-      };
-      
-      reader.onerror = function(e) {
-        reject(e);
+      if (asArrayBuffer) {
+        reader.readAsArrayBuffer(file);
+      } else {
+        reader.readAsText(file);
+      }
+    });
+  }
+  
+  /**
+   * Convert one worksheet of an Excel workbook to CSV text
+   * Resolves to null if the user cancels the worksheet choice
+   */
+  async function loadWorkbookAsCSV(file, options = {}) {
+    if (typeof XLSX === 'undefined') {
+      throw new Error("Excel support is not available, please save the file in CSV format");
+    }
+    
+    // Parsed entirely in the browser, nothing leaves the device
+    const data = await readFile(file, true);
+    const workbook = XLSX.read(data, { type: 'array' });
+    
+    const sheets = workbook.SheetNames.map(name => {
+      const sheet = workbook.Sheets[name];
+      const range = sheet['!ref'] ? XLSX.utils.decode_range(sheet['!ref']) : null;
+      return {
+        name,
+        rowCount: range ? range.e.r - range.s.r : 0
       };
-      
-      reader.readAsText(file);
     });
+    
+    if (sheets.length === 0) {
+      throw new Error("The workbook is empty");
+    }
+    
+    // Let the user pick when there is more than one worksheet
+    let sheetName = sheets[0].name;
+    if (sheets.length > 1 && options.onSheetSelect) {
+      sheetName = await options.onSheetSelect(sheets);
+      if (!sheetName) {
+        return null;
+      }
+    }
+    
+    return XLSX.utils.sheet_to_csv(workbook.Sheets[sheetName]);
+  }
+  
+  /**
+   * Load CSV data from file
+   * Excel workbooks (.xlsx/.xls) are converted to CSV first, so they go
+   * through the same header mapping and processing as CSV files
+   * 
+   * Resolves to null if the user cancels the worksheet choice
+   */
+  async function loadCSVFile(file, options = {}) {
+    const rawCsv = isWorkbookFile(file)
+      ? await loadWorkbookAsCSV(file, options)
+      : await readFile(file);
+    
+    if (rawCsv === null) {
+      return null;
+    }
+    
+    const parsed = await parseCSVText(rawCsv);
+    return { ...parsed, rawCsv };
   }
   
   /**
@@ -157,20 +227,14 @@ const DataHandler = (function() {
     
     if (savedDataString) {
       try {
-        // Parse the saved CSV
-        return new Promise((resolve, reject) => {
-          Papa.parse(savedDataString, {
-            header: true,
-            dynamicTyping: true,
-            skipEmptyLines: true,
-            complete: function(results) {
-              resolve(results.data);
-            },
-            error: function(error) {
-              reject(error);
-            }
-          });
-        });
+        // Parse the saved CSV and reuse the mapping confirmed when it was imported
+        const parsed = await parseCSVText(savedDataString);
+        const savedMapping = localStorage.getItem('route33ColumnMapping');
+        const mapping = savedMapping
+          ? JSON.parse(savedMapping)
+          : ColumnMapper.resolveMapping(parsed.headers, parsed.rows).mapping;
+        
+        return { rows: parsed.rows, mapping };
       } catch (error) {
         console.error("Error loading saved CSV data:", error);
         // If there's an error, fall through to prompt for upload
@@ -179,7 +243,7 @@ const DataHandler = (function() {
     
     // If no saved data or error parsing, return empty array
     // The app will show the upload prompt when no data is found
-    return [];
+    return { rows: [], mapping: null };
   }
   
   /**
@@ -189,6 +253,8 @@ const DataHandler = (function() {
     const dataToSave = {
       routeData: routeData,
       checkedItems: checkedItems,
+      areaOrder: areaSequence,
+      split: routeSplit,
       lastUpdated: new Date().toISOString()
     };
     
@@ -228,10 +294,17 @@ const DataHandler = (function() {
     if (savedData && savedData.routeData) {
       routeData = savedData.routeData;
       checkedItems = savedData.checkedItems || {};
+      areaSequence = savedData.areaOrder || null;
+      routeSplit = savedData.split || null;
+      
+      // Saved stops follow the current area rules
+      classifyAreas(routeData);
     } else {
       // Load from CSV if no saved data
       const csvData = await loadDefaultCSV();
-      routeData = processCSVData(csvData);
+      routeData = processCSVData(csvData.rows, { mapping: csvData.mapping });
+      applyAreaOverrides(routeData);
+      applyStopSequence(routeData);
       checkedItems = {};
     }
     
@@ -259,34 +332,480 @@ const DataHandler = (function() {
   }
   
   /**
-   * Import data from uploaded CSV file
+   * Keep existing checked items if possible
+   * Stops are matched by customer number and items by line key; item checks
+   * are only kept when the line is still on the stop with the same quantity
    */
-  async function importCSV(file) {
-    try {
-      // First read the file as text to save the raw CSV
-      const reader = new FileReader();
-      const rawCsv = await new Promise((resolve, reject) => {
-        reader.onload = e => resolve(e.target.result);
-        reader.onerror = e => reject(e);
-        reader.readAsText(file);
+  function carryOverCheckedItems(oldRouteData, newRouteData) {
+    const oldCustomers = {};
+    oldRouteData.forEach(customer => {
+      oldCustomers[customer.customerNumber] = customer;
+    });
+    
+    const newCheckedItems = {};
+    newRouteData.forEach(customer => {
+      if (checkedItems[customer.customerNumber]) {
+        newCheckedItems[customer.customerNumber] = checkedItems[customer.customerNumber];
+      }
+      
+      const oldCustomer = oldCustomers[customer.customerNumber];
+      if (!oldCustomer || !customer.items) return;
+      
+      const oldItems = oldCustomer.items || [];
+      customer.items.forEach(item => {
+        const key = getItemKey(customer.customerNumber, item);
+        const lineKey = OptimizedDataProcessor.getLineKey(item);
+        
+        // A line keyed by its plain item ID gains its description once the
+        // item ID repeats on the stop
+        const oldItem = oldItems.find(old => OptimizedDataProcessor.getLineKey(old) === lineKey) ||
+          oldItems.find(old => OptimizedDataProcessor.getLineKey(old) === old.itemId &&
+            old.itemId === item.itemId && old.description === item.description);
+        const oldKey = oldItem && getItemKey(customer.customerNumber, oldItem);
+        
+        if (oldItem && checkedItems[oldKey] && oldItem.quantity === item.quantity) {
+          newCheckedItems[key] = checkedItems[oldKey];
+        }
+      });
+    });
+    
+    return newCheckedItems;
+  }
+  
+  /**
+   * Work out which columns of a file hold which fields, asking the user
+   * when the headers are unfamiliar
+   * Resolves to null if the user cancels
+   */
+  async function resolveFileMapping(file, headers, sampleRows, options = {}) {
+    const resolved = ColumnMapper.resolveMapping(headers, sampleRows);
+    if (!resolved.needsConfirmation) {
+      return resolved.mapping;
+    }
+    
+    if (!options.onMappingNeeded) {
+      throw new Error("CSV header row does not match the expected columns");
+    }
+    
+    return options.onMappingNeeded(headers, resolved, sampleRows.slice(0, 5), file);
+  }
+  
+  /**
+   * Read one import file and work out its column mapping
+   * Resolves to null if the user cancels
+   */
+  async function readImportFile(file, options = {}, knownMapping = null) {
+    // Read the raw CSV (or Excel worksheet) and parse it
+    const parsed = await loadCSVFile(file, options);
+    if (!parsed) {
+      return null;
+    }
+    
+    const mapping = knownMapping || await resolveFileMapping(file, parsed.headers, parsed.rows, options);
+    if (!mapping) {
+      return null;
+    }
+    
+    return {
+      fileName: file.name,
+      sourceRoute: getSourceLabel(file),
+      rawCsv: parsed.rawCsv,
+      mapping,
+      fileType: ColumnMapper.detectFileType(mapping),
+      rows: ColumnMapper.applyMapping(parsed.rows, mapping)
+    };
+  }
+  
+  /**
+   * Route name used to tag stops from a file (the file name without extension)
+   */
+  function getSourceLabel(file) {
+    return String(file.name || 'Route').replace(/\.[^.]+$/, '');
+  }
+  
+  /**
+   * Every column used by any of the rows, in first-seen order
+   */
+  function columnsOf(rows) {
+    const columns = new Set();
+    rows.forEach(row => Object.keys(row).forEach(key => columns.add(key)));
+    return Array.from(columns);
+  }
+  
+  /**
+   * Turn the imported files into one set of route rows
+   * Order-lines files are joined with the customers file imported alongside
+   * them, or with the saved customer master when imported on their own
+   */
+  function combineSources(sources) {
+    const { FILE_TYPES } = ColumnMapper;
+    
+    if (sources.length === 1 && sources[0].fileType !== FILE_TYPES.ORDERS) {
+      const source = sources[0];
+      return {
+        rows: source.rows,
+        fields: Object.keys(source.mapping),
+        sourceRoute: source.sourceRoute,
+        rawCsv: source.rawCsv,
+        mapping: source.mapping,
+        customerRows: source.fileType === FILE_TYPES.CUSTOMERS ? source.rows : null
+      };
+    }
+    
+    // Several route files are merged into one day, each row tagged with its file
+    if (sources.every(source => source.fileType === FILE_TYPES.ROUTE)) {
+      const rows = [];
+      const rowOrigins = [];
+      const fields = new Set(["SourceRoute"]);
+      
+      sources.forEach(source => {
+        Object.keys(source.mapping).forEach(field => fields.add(field));
+        source.rows.forEach((row, i) => {
+          rows.push(row.SourceRoute ? row : { ...row, SourceRoute: source.sourceRoute });
+          rowOrigins.push({ file: source.fileName, line: i + 2 });
+        });
       });
       
-      // Save the raw CSV to localStorage for future use
-      localStorage.setItem('route33RawData', rawCsv);
+      return {
+        rows,
+        fields: Array.from(fields),
+        rowOrigins,
+        rawCsv: Papa.unparse(rows, { columns: columnsOf(rows) }),
+        mapping: null,
+        customerRows: null
+      };
+    }
+    
+    const customerSources = sources.filter(source => source.fileType === FILE_TYPES.CUSTOMERS);
+    const orderSources = sources.filter(source => source.fileType === FILE_TYPES.ORDERS);
+    
+    if (orderSources.length !== 1 || customerSources.length > 1 || sources.length > 2 ||
+        (sources.length === 2 && customerSources.length !== 1)) {
+      throw new Error("Choose route files, or one customers file and one order-lines file");
+    }
+    
+    const orders = orderSources[0];
+    const customers = customerSources[0];
+    const customerRows = customers ? customers.rows : CustomerMaster.getRows();
+    
+    if (customerRows.length === 0) {
+      throw new Error("No saved customer list to match the order lines against");
+    }
+    
+    const joined = CustomerMaster.joinOrders(customerRows, orders.rows, {
+      customerFile: customers ? customers.fileName : 'saved customers',
+      orderFile: orders.fileName
+    });
+    
+    const fields = new Set([...Object.keys(orders.mapping), "AccountName", "Address"]);
+    if (customers) {
+      Object.keys(customers.mapping).forEach(field => fields.add(field));
+    }
+    
+    return {
+      rows: joined.rows,
+      fields: Array.from(fields),
+      sourceRoute: orders.sourceRoute,
+      rowOrigins: joined.origins,
+      rawCsv: Papa.unparse(joined.rows, { columns: columnsOf(joined.rows) }),
+      mapping: null,
+      customerRows: customers ? customers.rows : null,
+      orphanIssues: joined.orphanLines.map(orphan => ({
+        file: orphan.file,
+        line: orphan.line,
+        field: "CustomerNumber",
+        severity: ImportValidator.SEVERITY.WARNING,
+        type: 'orphanOrderLine',
+        message: `Customer ${orphan.customerNumber} is not in the customer list, order line${orphan.itemId ? ` for item ${orphan.itemId}` : ''} dropped`
+      })),
+      joinSummary: {
+        orderLines: orders.rows.filter(row => String(row.CustomerNumber || '').trim() !== '').length,
+        customers: customerRows.length,
+        usedSavedMaster: !customers,
+        orphanLines: joined.orphanLines.length,
+        customersWithoutOrders: joined.customersWithoutOrders
+      }
+    };
+  }
+  
+  /**
+   * Route names a stop came from
+   */
+  function getStopSources(customer) {
+    if (customer.sourceRoutes && customer.sourceRoutes.length > 0) {
+      return customer.sourceRoutes;
+    }
+    return customer.sourceRoute ? [customer.sourceRoute] : [];
+  }
+  
+  /**
+   * Add newly imported stops to the current day
+   * Customers already on the route get the new items added to their stop;
+   * a route that is imported again replaces its earlier stops and items
+   */
+  function mergeRouteData(currentRouteData, importedRouteData) {
+    const replaced = new Set();
+    importedRouteData.forEach(customer => getStopSources(customer).forEach(source => replaced.add(source)));
+    
+    const merged = [];
+    currentRouteData.forEach(customer => {
+      const sources = getStopSources(customer);
+      const keptSources = sources.filter(source => !replaced.has(source));
+      if (sources.length > 0 && keptSources.length === 0) {
+        return;
+      }
       
-      // Now parse the CSV
-      const csvData = await loadCSVFile(file);
-      routeData = processCSVData(csvData);
+      const items = (customer.items || []).filter(item => !replaced.has(item.sourceRoute));
+      merged.push({
+        ...customer,
+        items,
+        hasItems: items.length > 0,
+        sourceRoutes: keptSources
+      });
+    });
+    
+    const byNumber = {};
+    merged.forEach(customer => {
+      byNumber[customer.customerNumber] = customer;
+    });
+    
+    importedRouteData.forEach(customer => {
+      const existing = byNumber[customer.customerNumber];
+      if (!existing) {
+        merged.push(customer);
+        byNumber[customer.customerNumber] = customer;
+        return;
+      }
       
-      // Keep existing checked items if possible
-      const newCheckedItems = {};
-      routeData.forEach(customer => {
-        if (checkedItems[customer.customerNumber]) {
-          newCheckedItems[customer.customerNumber] = checkedItems[customer.customerNumber];
+      getStopSources(customer).forEach(source => {
+        if (!existing.sourceRoutes.includes(source)) {
+          existing.sourceRoutes.push(source);
         }
       });
+      // Lines from another route may repeat an item ID already on the stop,
+      // so the combined lines are keyed again (on copies, so the current
+      // day's lines keep their keys for carrying checks over)
+      existing.items = OptimizedDataProcessor.assignLineKeys(
+        existing.items.concat(customer.items || []).map(item => ({ ...item }))
+      );
+      existing.hasItems = existing.items.length > 0;
+    });
+    
+    return merged;
+  }
+  
+  /**
+   * Customers that appear on more than one source route
+   */
+  function findDuplicateStops(customers) {
+    return customers
+      .filter(customer => getStopSources(customer).length > 1)
+      .map(customer => ({
+        customerNumber: customer.customerNumber,
+        accountName: customer.accountName,
+        sources: getStopSources(customer)
+      }));
+  }
+  
+  /**
+   * Get the names of the source routes in the current day
+   */
+  function getSourceRoutes() {
+    const sources = new Set();
+    routeData.forEach(customer => getStopSources(customer).forEach(source => sources.add(source)));
+    return Array.from(sources);
+  }
+  
+  /**
+   * Read, join, validate and process files that fit in memory
+   * Resolves to { combined, report, newRouteData }, or null if cancelled
+   */
+  async function loadImportFiles(fileList, options = {}, knownMapping = null) {
+    const sources = [];
+    for (const file of fileList) {
+      const source = await readImportFile(file, options, knownMapping);
+      if (!source) {
+        return null;
+      }
+      sources.push(source);
+    }
+    
+    const combined = combineSources(sources);
+    
+    // Check every row before anything is replaced
+    let report = ImportValidator.validateRows(combined.rows, {
+      fields: combined.fields,
+      rowOrigins: combined.rowOrigins
+    });
+    
+    if (combined.joinSummary) {
+      report = ImportValidator.addIssues({ ...report, joinSummary: combined.joinSummary }, combined.orphanIssues);
+    }
+    
+    return {
+      combined,
+      report,
+      newRouteData: processCSVData(combined.rows, {
+        sourceRoute: combined.sourceRoute,
+        consolidate: options.consolidate === true
+      })
+    };
+  }
+  
+  /**
+   * Parse a large CSV file in chunks in a Web Worker, validating and
+   * processing rows as they arrive
+   * Resolves to { combined, report, newRouteData }, or null if cancelled
+   */
+  async function streamImportFile(file, options = {}) {
+    // Only the first rows are needed to match the columns
+    const preview = await previewCSVFile(file);
+    const mapping = await resolveFileMapping(file, preview.headers, preview.rows, options);
+    if (!mapping) {
+      return null;
+    }
+    
+    // Customer and order-line files are joined in memory
+    if (ColumnMapper.detectFileType(mapping) !== ColumnMapper.FILE_TYPES.ROUTE) {
+      return loadImportFiles([file], options, mapping);
+    }
+    
+    activeImport = ChunkedImport.parseFileInWorker(file, {
+      mapping,
+      sourceRoute: getSourceLabel(file),
+      consolidate: options.consolidate === true,
+      onProgress: options.onProgress
+    });
+    
+    let result;
+    try {
+      result = await activeImport.promise;
+    } finally {
+      activeImport = null;
+    }
+    
+    if (!result) {
+      return null;
+    }
+    
+    return {
+      // Too large to keep a raw copy in localStorage
+      combined: { rawCsv: null, mapping, customerRows: null },
+      report: result.report,
+      newRouteData: result.customers
+    };
+  }
+  
+  /**
+   * Stop a streamed import that is in progress
+   * The pending importCSV call resolves to null
+   */
+  function cancelImport() {
+    if (!activeImport) {
+      return false;
+    }
+    
+    activeImport.cancel();
+    return true;
+  }
+  
+  /**
+   * Import data from uploaded CSV file(s)
+   * 
+   * Accepts a single file or an array of files. A customers file and an
+   * order-lines file can be imported together and are joined on
+   * CustomerNumber; the customers file is kept so later order-lines files
+   * can be imported on their own.
+   * 
+   * Options:
+   *   onMappingNeeded(headers, proposal, sampleRows, file) - async, called when
+   *     the headers don't match and no saved profile exists. Resolves to the
+   *     confirmed mapping, or null to cancel the import.
+   *   onValidationReport(report) - async, called when the validation pass finds
+   *     problems or files were joined. Resolves to true to import anyway, or
+   *     false to cancel.
+   *   onDiff(diff) - async, called when the new file differs from the current
+   *     route. Resolves to true to accept the changes, or false to cancel.
+   *   onSheetSelect(sheets) - async, called for Excel workbooks with more than
+   *     one worksheet. Resolves to the chosen sheet name, or null to cancel.
+   *   onProgress(loaded, total) - called as a large CSV file is parsed in
+   *     chunks; cancelImport() stops it.
+   *   merge - add the file's stops to the current day instead of replacing
+   *     it. Several route files chosen together are always merged.
+   * 
+   * Resolves to null if the import was cancelled.
+   */
+  async function importCSV(files, options = {}) {
+    try {
+      const fileList = Array.isArray(files) ? files : [files];
+      const streamed = fileList.length === 1 && !isWorkbookFile(fileList[0]) &&
+        fileList[0].size > STREAMING_THRESHOLD;
+      
+      const loaded = streamed
+        ? await streamImportFile(fileList[0], options)
+        : await loadImportFiles(fileList, options);
+      if (!loaded) {
+        return null;
+      }
+      
+      const { combined } = loaded;
+      let { report, newRouteData } = loaded;
+      
+      if (options.merge && routeData.length > 0) {
+        newRouteData = mergeRouteData(routeData, newRouteData);
+      }
       
-      checkedItems = newCheckedItems;
+      // Customers on more than one route are combined into one stop
+      const duplicates = findDuplicateStops(newRouteData);
+      if (duplicates.length > 0) {
+        report = { ...report, mergeSummary: { duplicates } };
+      }
+      
+      if (!report.canImport && !options.onValidationReport) {
+        throw new Error(report.status === ImportValidator.STATUS.EMPTY_FILE
+          ? "CSV file is empty"
+          : "CSV file is missing required header columns");
+      }
+      
+      if ((report.status !== ImportValidator.STATUS.OK || report.joinSummary || report.mergeSummary) && options.onValidationReport) {
+        const proceed = await options.onValidationReport(report);
+        if (!proceed || !report.canImport) {
+          return null;
+        }
+      }
+      
+      // Show what changed before the current route is replaced
+      if (routeData.length > 0 && options.onDiff) {
+        const diff = RouteDiff.diffRoutes(routeData, newRouteData);
+        if (diff.hasChanges && !(await options.onDiff(diff))) {
+          return null;
+        }
+      }
+      
+      // Save the raw CSV and its mapping to localStorage for future use
+      // (joined files are saved with the expected headers, so need no mapping;
+      // a merged day has no single raw file)
+      if (combined.rawCsv !== null && !options.merge) {
+        localStorage.setItem('route33RawData', combined.rawCsv);
+      } else {
+        localStorage.removeItem('route33RawData');
+      }
+      if (combined.mapping && !options.merge) {
+        localStorage.setItem('route33ColumnMapping', JSON.stringify(combined.mapping));
+      } else {
+        localStorage.removeItem('route33ColumnMapping');
+      }
+      
+      if (combined.customerRows) {
+        CustomerMaster.save(combined.customerRows);
+      }
+      
+      checkedItems = carryOverCheckedItems(routeData, newRouteData);
+      routeData = newRouteData;
+      applyAreaOverrides(routeData);
+      applyStopSequence(routeData);
+      areaSequence = null;
+      routeSplit = null;
       
       // Process and group data
       customersByArea = groupByArea(routeData);
@@ -310,7 +829,8 @@ const DataHandler = (function() {
         routeData,
         customersByArea,
         customerStops,
-        areaStats
+        areaStats,
+        importReport: report
       };
     } catch (error) {
       console.error("Error importing CSV:", error);
@@ -319,15 +839,15 @@ const DataHandler = (function() {
   }
   
   /**
-   * Get completion statistics
+   * Get completion statistics, for the whole day or the given stops
    */
-  function getCompletionStats() {
+  function getCompletionStats(customers = routeData) {
     let totalStops = 0;
     let completedStops = 0;
     let totalItems = 0;
     let completedItems = 0;
     
-    routeData.forEach(customer => {
+    customers.forEach(customer => {
       totalStops++;
       
       // Check if all items are completed for this customer
@@ -339,7 +859,7 @@ const DataHandler = (function() {
           totalItems++;
           
           // Check if item is marked as completed
-          if (checkedItems[`${customer.customerNumber}-${item.itemId}`]) {
+          if (checkedItems[getItemKey(customer.customerNumber, item)]) {
             completedItems++;
             hasCheckedItems = true;
           } else {
@@ -368,10 +888,32 @@ const DataHandler = (function() {
   }
   
   /**
-   * Mark item as checked/unchecked
+   * Identity of an item line within its stop (usually the item ID)
+   */
+  function getLineKey(item) {
+    return OptimizedDataProcessor.getLineKey(item);
+  }
+  
+  /**
+   * Completion key for one of a customer's item lines
+   */
+  function getItemKey(customerNumber, item) {
+    return OptimizedDataProcessor.getItemKey(customerNumber, item);
+  }
+  
+  /**
+   * Get the current completion checks, keyed by getItemKey (or customer
+   * number for stops without items)
+   */
+  function getCheckedItems() {
+    return { ...checkedItems };
+  }
+  
+  /**
+   * Mark an item line (or a stop without items) as checked/unchecked
    */
-  function toggleItemCheck(customerNumber, itemId, checked) {
-    const key = itemId ? `${customerNumber}-${itemId}` : customerNumber;
+  function toggleItemCheck(customerNumber, lineKey, checked) {
+    const key = lineKey ? `${customerNumber}-${lineKey}` : customerNumber;
     
     if (checked) {
       checkedItems[key] = true;
@@ -401,7 +943,7 @@ const DataHandler = (function() {
     routeData.forEach(customer => {
       if (customer.items && customer.items.length > 0) {
         customer.items.forEach(item => {
-          checkedItems[`${customer.customerNumber}-${item.itemId}`] = true;
+          checkedItems[getItemKey(customer.customerNumber, item)] = true;
         });
       } else {
         checkedItems[customer.customerNumber] = true;
@@ -422,21 +964,31 @@ const DataHandler = (function() {
     
     const term = searchTerm.toLowerCase().trim();
     
+    // "churn creek road" also finds "Churn Creek Rd"
+    const addressTerm = AddressParser.normalizeAddress(term);
+    
     return routeData.filter(customer => {
       // Check customer info
       if (
         customer.accountName.toLowerCase().includes(term) ||
         customer.address.toLowerCase().includes(term) ||
+        (addressTerm && AddressParser.normalizeAddress(customer.address).includes(addressTerm)) ||
         customer.customerNumber.toString().includes(term)
       ) {
         return true;
       }
       
+      // Check extra columns
+      if (matchesCustomFields(customer.customFields, term)) {
+        return true;
+      }
+      
       // Check items
       if (customer.items && customer.items.length > 0) {
         return customer.items.some(item => 
           item.description.toLowerCase().includes(term) ||
-          item.itemId.toString().includes(term)
+          item.itemId.toString().includes(term) ||
+          matchesCustomFields(item.customFields, term)
         );
       }
       
@@ -444,16 +996,644 @@ const DataHandler = (function() {
     });
   }
   
+  /**
+   * Check whether any custom field value contains the search term
+   */
+  function matchesCustomFields(customFields, term) {
+    return Object.values(customFields || {}).some(value => String(value).toLowerCase().includes(term));
+  }
+  
+  /**
+   * Get the names of the extra columns kept on customers and items
+   */
+  function getCustomFieldNames() {
+    const customer = new Set();
+    const item = new Set();
+    
+    routeData.forEach(stop => {
+      Object.keys(stop.customFields || {}).forEach(field => customer.add(field));
+      (stop.items || []).forEach(stopItem => {
+        Object.keys(stopItem.customFields || {}).forEach(field => item.add(field));
+      });
+    });
+    
+    return {
+      customer: Array.from(customer),
+      item: Array.from(item)
+    };
+  }
+  
+  /**
+   * Set each stop's area from the AreaClassifier registry
+   */
+  function classifyAreas(customers) {
+    customers.forEach(customer => {
+      const areaObject = AreaClassifier.classifyCustomer(customer);
+      customer.area = areaObject.name;
+      customer.areaObject = areaObject;
+    });
+  }
+  
+  /**
+   * Put customers that were moved by hand into their chosen area
+   * (imports classify by address only)
+   */
+  function applyAreaOverrides(customers) {
+    customers.forEach(customer => {
+      const areaObject = AreaClassifier.getAreaOverride(customer.customerNumber);
+      if (areaObject) {
+        customer.area = areaObject.name;
+        customer.areaObject = areaObject;
+      }
+    });
+  }
+  
+  /**
+   * Re-run area classification after the area rules change
+   * Returns the regrouped data for the views
+   */
+  function reclassifyAreas() {
+    classifyAreas(routeData);
+    customersByArea = groupByArea(routeData);
+    customerStops.forEach(stop => {
+      const customer = routeData.find(c => c.customerNumber === stop.customerNumber);
+      if (customer) {
+        stop.area = customer.area;
+      }
+    });
+    saveRouteData();
+    
+    return {
+      routeData,
+      customersByArea,
+      areaStats
+    };
+  }
+  
+  /**
+   * Sequence the stops by distance from their coordinates
+   * Areas stay together; the area order is optimized too unless
+   * options.keepAreaOrder is set. Takes depot and end as RouteOptimizer.optimize.
+   * Returns the regrouped data for the views and the distances before and after
+   */
+  function optimizeRoute(options = {}) {
+    const result = RouteOptimizer.optimize(routeData, {
+      depot: options.depot,
+      end: options.end,
+      areaOrder: options.keepAreaOrder ? getAreaOrder() : null
+    });
+    
+    routeData = result.stops;
+    areaSequence = result.areaOrder;
+    regroupStops();
+    saveRouteData();
+    
+    // A hand-set order follows the optimized one from now on
+    if (hasStopSequence()) {
+      saveStopSequence();
+    }
+    
+    return {
+      routeData,
+      customersByArea,
+      areaStats,
+      distanceBefore: result.distanceBefore,
+      distanceAfter: result.distanceAfter,
+      unlocated: result.unlocated
+    };
+  }
+  
+  /**
+   * Stops in the order they're shown and driven: by area, then route order
+   */
+  function getStopsInOrder() {
+    const grouped = groupByArea(routeData);
+    const order = getAreaOrder();
+    const areas = order.concat(Object.keys(grouped).filter(area => !order.includes(area)));
+    return areas.reduce((stops, area) => stops.concat(grouped[area] || []), []);
+  }
+  
+  /**
+   * Schedule options with each customer's time window from their profile
+   */
+  function withTimeWindows(options) {
+    const profiles = CustomerMaster.preloadContacts();
+    return {
+      ...options,
+      getTimeWindow: customer => CustomerMaster.getTimeWindow(customer, profiles)
+    };
+  }
+  
+  /**
+   * When each stop is reached in the current order, and which stops miss
+   * their time windows (options as RouteSchedule.schedule)
+   */
+  function getSchedule(options = {}) {
+    return RouteSchedule.schedule(getStopsInOrder(), withTimeWindows(options));
+  }
+  
+  /**
+   * Whether every item on a stop is checked (or the stop itself, when it
+   * has no items)
+   */
+  function isStopComplete(customer) {
+    return customer.items && customer.items.length > 0
+      ? customer.items.every(item => checkedItems[getItemKey(customer.customerNumber, item)])
+      : !!checkedItems[customer.customerNumber];
+  }
+  
+  /**
+   * ETAs for the stops not yet done and the projected finish, from now
+   * once stops are being checked off (options as RouteSchedule.project)
+   */
+  function getProjection(options = {}) {
+    return RouteSchedule.project(getStopsInOrder(), withTimeWindows({ ...options, isDone: isStopComplete }));
+  }
+  
+  /**
+   * Reorder stops within their areas to meet customers' time windows
+   * Returns the regrouped data for the views and the windows still missed
+   */
+  function fitTimeWindows(options = {}) {
+    const result = RouteSchedule.sequenceWithWindows(getStopsInOrder(), withTimeWindows(options));
+    
+    routeData = result.stops;
+    regroupStops();
+    saveRouteData();
+    if (hasStopSequence()) {
+      saveStopSequence();
+    }
+    
+    return {
+      routeData,
+      customersByArea,
+      areaStats,
+      violations: result.violations
+    };
+  }
+  
+  /**
+   * Go back to showing areas in priority order
+   */
+  function resetAreaSequence() {
+    areaSequence = null;
+    saveRouteData();
+  }
+  
+  /**
+   * Whether areas are shown in an optimized order rather than by priority
+   */
+  function hasAreaSequence() {
+    return areaSequence !== null;
+  }
+  
+  /**
+   * Split the day's stops between drivers (see RouteSplitter.split)
+   * Options: parts, measure, and schedule options for the time measure.
+   * The split is kept until the next import. Returns getSplit()
+   */
+  function splitRoute(options = {}) {
+    const parts = RouteSplitter.split(getStopsInOrder(), {
+      parts: options.parts,
+      measure: options.measure,
+      schedule: withTimeWindows(options.schedule || {})
+    });
+    
+    routeSplit = {
+      measure: options.measure === RouteSplitter.MEASURES.TIME ? RouteSplitter.MEASURES.TIME : RouteSplitter.MEASURES.ITEMS,
+      parts: parts.map(part => ({
+        name: part.name,
+        customerNumbers: part.stops.map(customer => String(customer.customerNumber))
+      }))
+    };
+    saveRouteData();
+    
+    return getSplit(options.schedule);
+  }
+  
+  /**
+   * The current split with each driver's stops in route order, the areas
+   * they cover, their own completion stats, estimated minutes and live
+   * projection (schedule options as RouteSchedule.project); null when the
+   * route isn't split
+   */
+  function getSplit(scheduleOptions = {}) {
+    if (!routeSplit) {
+      return null;
+    }
+    
+    const stops = getStopsInOrder();
+    const startTime = RouteSchedule.parseTime(scheduleOptions.startTime || RouteSchedule.DEFAULTS.startTime);
+    const options = withTimeWindows(scheduleOptions);
+    
+    return {
+      measure: routeSplit.measure,
+      parts: routeSplit.parts.map(part => {
+        const members = new Set(part.customerNumbers);
+        const customers = stops.filter(customer => members.has(String(customer.customerNumber)));
+        const planned = RouteSchedule.schedule(customers, options);
+        
+        return {
+          name: part.name,
+          customers,
+          areas: customers.reduce((areas, customer) => (areas.includes(customer.area) ? areas : areas.concat(customer.area)), []),
+          stats: getCompletionStats(customers),
+          minutes: customers.length > 0 ? planned.finish - startTime : 0,
+          projection: RouteSchedule.project(customers, { ...options, isDone: isStopComplete })
+        };
+      })
+    };
+  }
+  
+  /**
+   * Go back to one driver for the whole route
+   */
+  function clearSplit() {
+    routeSplit = null;
+    saveRouteData();
+  }
+  
+  /**
+   * Contents of a transfer file for one part of the split: its stops, their
+   * checks and the area order, so another driver's import picks up where
+   * this one stands
+   */
+  function getTransferData(partIndex) {
+    const split = getSplit();
+    const part = split && split.parts[partIndex];
+    if (!part) {
+      return null;
+    }
+    
+    const transferChecks = {};
+    part.customers.forEach(customer => {
+      const keys = (customer.items || []).map(item => getItemKey(customer.customerNumber, item));
+      keys.concat(String(customer.customerNumber)).forEach(key => {
+        if (checkedItems[key]) {
+          transferChecks[key] = true;
+        }
+      });
+    });
+    
+    return {
+      type: TRANSFER_FILE_TYPE,
+      version: 1,
+      name: part.name,
+      exportedAt: new Date().toISOString(),
+      routeData: part.customers,
+      checkedItems: transferChecks,
+      areaOrder: getAreaOrder().filter(area => part.areas.includes(area))
+    };
+  }
+  
+  /**
+   * Whether a file looks like a transfer file rather than a route file
+   */
+  function isTransferFile(file) {
+    return /\.json$/i.test(file.name || '');
+  }
+  
+  /**
+   * What's wrong with a stop from a transfer file, or null when it has
+   * everything the views need
+   */
+  function checkTransferStop(stop, index) {
+    if (!stop || typeof stop !== 'object') {
+      return `Stop ${index + 1} is not a stop`;
+    }
+    
+    const label = stop.customerNumber !== undefined && stop.customerNumber !== null && stop.customerNumber !== ''
+      ? `Stop ${index + 1} (customer ${stop.customerNumber})`
+      : `Stop ${index + 1}`;
+    const missing = ['customerNumber', 'accountName', 'address']
+      .filter(field => typeof stop[field] !== 'string' && typeof stop[field] !== 'number');
+    if (!Array.isArray(stop.items)) {
+      missing.push('items');
+    }
+    if (missing.length > 0) {
+      return `${label} is missing ${missing.join(', ')}`;
+    }
+    
+    if (stop.items.some(item => !item || typeof item !== 'object' || item.itemId === undefined || item.itemId === null)) {
+      return `${label} has an item without an ItemID`;
+    }
+    return null;
+  }
+  
+  /**
+   * Replace the day with a sub-route from a transfer file
+   * Stops take this device's area rules; the stops' order and checks come
+   * from the file. A file with a stop missing its customer, name, address
+   * or items is rejected without changing the day. Returns the regrouped
+   * data for the views and the name of the sub-route
+   */
+  async function importTransfer(file) {
+    try {
+      let data = null;
+      try {
+        data = JSON.parse(await readFile(file));
+      } catch (error) {
+        data = null;
+      }
+      if (!data || data.type !== TRANSFER_FILE_TYPE || !Array.isArray(data.routeData)) {
+        throw new Error("File is not a Route 33 transfer file");
+      }
+      
+      const problem = data.routeData.map(checkTransferStop).find(message => message !== null);
+      if (problem) {
+        throw new Error(`Transfer file can't be loaded: ${problem}`);
+      }
+      
+      routeData = data.routeData;
+      checkedItems = data.checkedItems || {};
+      areaSequence = Array.isArray(data.areaOrder) && data.areaOrder.length > 0 ? data.areaOrder : null;
+      routeSplit = null;
+      classifyAreas(routeData);
+      regroupStops();
+      
+      // The day no longer comes from a single route file
+      localStorage.removeItem('route33RawData');
+      localStorage.removeItem('route33ColumnMapping');
+      saveRouteData();
+      
+      return {
+        routeData,
+        customersByArea,
+        customerStops,
+        areaStats,
+        transferName: data.name || ''
+      };
+    } catch (error) {
+      console.error("Error importing transfer file:", error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Rebuild the area groups and stop list after routeData is reordered
+   */
+  function regroupStops() {
+    customersByArea = groupByArea(routeData);
+    customerStops = routeData.map(customer => {
+      return {
+        customerNumber: customer.customerNumber,
+        accountName: customer.accountName,
+        address: customer.address,
+        area: customer.area,
+        hasItems: customer.hasItems,
+        itemCount: customer.items ? customer.items.length : 0
+      };
+    });
+  }
+  
+  /**
+   * Load the hand-set stop order (customer numbers)
+   */
+  function loadStopSequence() {
+    try {
+      const saved = localStorage.getItem(STOP_SEQUENCE_KEY);
+      return saved ? JSON.parse(saved) : [];
+    } catch (error) {
+      console.error("Error loading stop order:", error);
+      return [];
+    }
+  }
+  
+  /**
+   * Save the current stop order
+   * Customers missing from this route keep their place after the stop they
+   * followed before, since most are back the week after
+   */
+  function saveStopSequence() {
+    const sequence = routeData.map(customer => String(customer.customerNumber));
+    const present = new Set(sequence);
+    
+    let previous = null;
+    loadStopSequence().forEach(customerNumber => {
+      if (!present.has(customerNumber)) {
+        sequence.splice(previous === null ? 0 : sequence.indexOf(previous) + 1, 0, customerNumber);
+      }
+      previous = customerNumber;
+    });
+    
+    try {
+      localStorage.setItem(STOP_SEQUENCE_KEY, JSON.stringify(sequence));
+      return true;
+    } catch (error) {
+      console.error("Error saving stop order:", error);
+      return false;
+    }
+  }
+  
+  /**
+   * Whether a stop order has been set by hand
+   */
+  function hasStopSequence() {
+    return loadStopSequence().length > 0;
+  }
+  
+  /**
+   * Put imported stops in the hand-set order
+   * Customers not in it are new: each goes after the last placed stop in
+   * its area and is flagged with needsPlacement until it's moved or placed
+   */
+  function applyStopSequence(customers) {
+    const sequence = loadStopSequence();
+    if (sequence.length === 0) {
+      return;
+    }
+    
+    const positions = new Map(sequence.map((customerNumber, index) => [customerNumber, index]));
+    const position = customer => positions.get(String(customer.customerNumber));
+    
+    const placed = customers.filter(customer => position(customer) !== undefined)
+      .sort((a, b) => position(a) - position(b));
+    const newCustomers = customers.filter(customer => position(customer) === undefined);
+    
+    newCustomers.forEach(customer => {
+      customer.needsPlacement = true;
+      
+      let index = placed.length;
+      for (let i = placed.length - 1; i >= 0; i--) {
+        if (placed[i].area === customer.area) {
+          index = i + 1;
+          break;
+        }
+      }
+      placed.splice(index, 0, customer);
+    });
+    
+    customers.splice(0, customers.length, ...placed);
+  }
+  
+  /**
+   * Reorder stops by hand
+   * customerNumbers lists stops in their new order; stops not listed (hidden
+   * by a search or filter) keep their places. The moved stop, if given, is no
+   * longer flagged for placement. The order is saved for later imports.
+   * Returns the regrouped data for the views
+   */
+  function setStopOrder(customerNumbers, movedCustomerNumber = null) {
+    const byNumber = new Map(routeData.map(customer => [String(customer.customerNumber), customer]));
+    const ordered = customerNumbers.map(String).filter(customerNumber => byNumber.has(customerNumber));
+    const listed = new Set(ordered);
+    
+    let next = 0;
+    routeData = routeData.map(customer => (listed.has(String(customer.customerNumber))
+      ? byNumber.get(ordered[next++])
+      : customer));
+    
+    if (movedCustomerNumber !== null && byNumber.has(String(movedCustomerNumber))) {
+      delete byNumber.get(String(movedCustomerNumber)).needsPlacement;
+    }
+    
+    regroupStops();
+    saveRouteData();
+    saveStopSequence();
+    
+    return {
+      routeData,
+      customersByArea,
+      areaStats
+    };
+  }
+  
+  /**
+   * Accept a new stop where it was slotted in
+   */
+  function markStopPlaced(customerNumber) {
+    const customer = routeData.find(c => String(c.customerNumber) === String(customerNumber));
+    if (!customer) {
+      return false;
+    }
+    
+    delete customer.needsPlacement;
+    saveRouteData();
+    return true;
+  }
+  
+  /**
+   * Forget the hand-set order; later imports follow the file again
+   */
+  function clearStopSequence() {
+    localStorage.removeItem(STOP_SEQUENCE_KEY);
+    routeData.forEach(customer => {
+      delete customer.needsPlacement;
+    });
+    saveRouteData();
+  }
+  
+  /**
+   * Category of an item, classifying it if it was saved before categories existed
+   */
+  function getItemCategory(item) {
+    if (item.category) {
+      return item.category;
+    }
+    return typeof ItemClassifier !== 'undefined'
+      ? ItemClassifier.classifyItem(item).name
+      : "Other";
+  }
+  
+  /**
+   * Re-run item classification after the category rules change
+   */
+  function reclassifyItems() {
+    if (typeof ItemClassifier === 'undefined') {
+      return false;
+    }
+    
+    routeData.forEach(customer => {
+      (customer.items || []).forEach(item => {
+        item.category = ItemClassifier.classifyItem(item).name;
+      });
+    });
+    
+    return saveRouteData();
+  }
+  
+  /**
+   * Build the load list: item totals grouped by category, in category order
+   * Each line sums the quantity of one item across all stops
+   */
+  function getLoadList(customers = routeData) {
+    const categories = {};
+    
+    customers.forEach(customer => {
+      (customer.items || []).forEach(item => {
+        const categoryName = getItemCategory(item);
+        if (!categories[categoryName]) {
+          categories[categoryName] = { name: categoryName, totalQuantity: 0, lines: {} };
+        }
+        const category = categories[categoryName];
+        
+        const lineKey = `${item.itemId}|${item.description}`;
+        if (!category.lines[lineKey]) {
+          category.lines[lineKey] = { itemId: item.itemId, description: item.description, quantity: 0, stops: 0 };
+        }
+        const quantity = Number(item.quantity) || 0;
+        category.lines[lineKey].quantity += quantity;
+        category.lines[lineKey].stops++;
+        category.totalQuantity += quantity;
+      });
+    });
+    
+    const order = typeof ItemClassifier !== 'undefined' ? ItemClassifier.getCategoryNames() : [];
+    const position = name => order.includes(name) ? order.indexOf(name) : order.length;
+    
+    return Object.values(categories)
+      .sort((a, b) => position(a.name) - position(b.name))
+      .map(category => {
+        const config = typeof ItemClassifier !== 'undefined' ? ItemClassifier.getCategoryByName(category.name) : null;
+        return {
+          name: category.name,
+          color: config ? config.color : "#9CA3AF",
+          icon: config ? config.icon : "package",
+          totalQuantity: category.totalQuantity,
+          lines: Object.values(category.lines).sort((a, b) => String(a.description).localeCompare(String(b.description)))
+        };
+      });
+  }
+  
   // Public API
   return {
     initData,
     importCSV,
+    cancelImport,
     saveRouteData,
     getCompletionStats,
     toggleItemCheck,
     resetCheckedItems,
     checkAllItems,
     searchCustomers,
-    areaOrder
+    getCustomFieldNames,
+    getLoadList,
+    getLineKey,
+    getItemKey,
+    getCheckedItems,
+    reclassifyItems,
+    getSourceRoutes,
+    getStopSources,
+    mergeRouteData,
+    findDuplicateStops,
+    getAreaOrder,
+    reclassifyAreas,
+    optimizeRoute,
+    resetAreaSequence,
+    hasAreaSequence,
+    getSchedule,
+    getProjection,
+    fitTimeWindows,
+    applyStopSequence,
+    setStopOrder,
+    markStopPlaced,
+    hasStopSequence,
+    clearStopSequence,
+    splitRoute,
+    getSplit,
+    clearSplit,
+    getTransferData,
+    isTransferFile,
+    importTransfer
   };
 })();
@@ -33,7 +33,9 @@ const ErrorHandler = (function() {
       default: "There was a problem reading your CSV file. Please check its format and try again.",
       missingHeaders: "Your CSV file is missing required headers. Please ensure it includes CustomerNumber, AccountName, and Address columns.",
       dataFormat: "Some data in your CSV file appears to be in an unexpected format.",
-      emptyFile: "The CSV file appears to be empty."
+      emptyFile: "The CSV file appears to be empty.",
+      noCustomerMaster: "This looks like an order-lines file, but no customer list has been saved yet. Import the customers file together with it.",
+      fileCombination: "To import several files at once, choose route files, or one customers file and one order-lines file."
     },
     [ERROR_TYPES.DATA_PROCESSING]: {
       default: "There was a problem processing your data.",
@@ -93,6 +95,15 @@ const ErrorHandler = (function() {
         message = typeMessages.missingHeaders;
       } else if (error.message && error.message.includes('format')) {
         message = typeMessages.dataFormat;
+      } else if (error.message && error.message.includes('empty')) {
+        message = typeMessages.emptyFile;
+      } else if (error.message && error.message.includes('customer list')) {
+        message = typeMessages.noCustomerMaster;
+      } else if (error.message && error.message.includes('order-lines file')) {
+        message = typeMessages.fileCombination;
+      } else if (error.message && /transfer file/i.test(error.message)) {
+        // Transfer file problems name the stop to fix, so show them as they are
+        message = error.message;
       }
     } else if (type === ERROR_TYPES.STORAGE) {
       if (error.name === 'QuotaExceededError') {
@@ -103,6 +114,14 @@ const ErrorHandler = (function() {
     return message;
   }
   
+  /**
+   * Look up a specific user-friendly message, e.g. getMessage(CSV_PARSING, 'emptyFile')
+   */
+  function getMessage(type, key = 'default') {
+    const typeMessages = errorMessages[type] || errorMessages[ERROR_TYPES.UNKNOWN];
+    return typeMessages[key] || typeMessages.default;
+  }
+  
   /**
    * Add error to log, maintaining maximum size
    */
@@ -201,6 +220,7 @@ const ErrorHandler = (function() {
   return {
     processError,
     showUserError,
+    getMessage,
     getRecentErrors,
     clearLog,
     ERROR_TYPES,
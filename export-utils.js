@@ -5,18 +5,68 @@
 
 const ExportUtils = (function() {
   
+  /**
+   * Get the names of all extra columns on customers and items
+   */
+  function getCustomFieldNames(routeData) {
+    const names = new Set();
+    
+    routeData.forEach(customer => {
+      Object.keys(customer.customFields || {}).forEach(field => names.add(field));
+      (customer.items || []).forEach(item => {
+        Object.keys(item.customFields || {}).forEach(field => names.add(field));
+      });
+    });
+    
+    return Array.from(names);
+  }
+  
+  /**
+   * Format custom fields as "Name: value" text
+   */
+  function formatCustomFields(customFields, fieldNames) {
+    return fieldNames
+      .filter(field => customFields && customFields[field])
+      .map(field => `${field}: ${customFields[field]}`)
+      .join(' · ');
+  }
+  
+  /**
+   * Filename part for an export limited to one source route
+   */
+  function getFileSuffix(sourceRoute) {
+    const slug = String(sourceRoute || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    return slug ? `_${slug}` : '';
+  }
+  
   /**
    * Export route data as CSV
+   * 
+   * Options:
+   *   sourceRoute - name of the source route the data was filtered to,
+   *                 added to the filename
+   *   routeName - name of a split-off sub-route, added to the filename
    */
-  function exportToCSV(routeData, checkedItems) {
+  function exportToCSV(routeData, checkedItems, options = {}) {
     // Prepare data
     const exportData = [];
+    const fieldNames = getCustomFieldNames(routeData);
+    
+    // Extra columns from the imported file, item values first
+    const customColumns = (customer, item = {}) => {
+      const columns = {};
+      fieldNames.forEach(field => {
+        columns[field] = (item.customFields && item.customFields[field]) ||
+          (customer.customFields && customer.customFields[field]) || "";
+      });
+      return columns;
+    };
     
     routeData.forEach(customer => {
       if (customer.items && customer.items.length > 0) {
         // Add each item as a row
         customer.items.forEach(item => {
-          const isCompleted = checkedItems[`${customer.customerNumber}-${item.itemId}`] ? true : false;
+          const isCompleted = checkedItems[OptimizedDataProcessor.getItemKey(customer.customerNumber, item)] ? true : false;
           
           exportData.push({
             CustomerNumber: customer.customerNumber,
@@ -26,8 +76,14 @@ const ExportUtils = (function() {
             ItemID: item.itemId,
             Description: item.description,
             Quantity: item.quantity,
+            Phone: customer.phone || "",
+            Mobile: customer.mobile || "",
+            Email: customer.email || "",
+            Notes: customer.notes || "",
+            SourceRoute: item.sourceRoute || customer.sourceRoute || "",
             Completed: isCompleted ? "Yes" : "No",
-            CompletedDate: isCompleted ? new Date().toLocaleDateString() : ""
+            CompletedDate: isCompleted ? new Date().toLocaleDateString() : "",
+            ...customColumns(customer, item)
           });
         });
       } else {
@@ -42,8 +98,14 @@ const ExportUtils = (function() {
           ItemID: "",
           Description: "No items",
           Quantity: "",
+          Phone: customer.phone || "",
+          Mobile: customer.mobile || "",
+          Email: customer.email || "",
+          Notes: customer.notes || "",
+          SourceRoute: (customer.sourceRoutes || []).join(', ') || customer.sourceRoute || "",
           Completed: isCompleted ? "Yes" : "No",
-          CompletedDate: isCompleted ? new Date().toLocaleDateString() : ""
+          CompletedDate: isCompleted ? new Date().toLocaleDateString() : "",
+          ...customColumns(customer)
         });
       }
     });
@@ -54,7 +116,7 @@ const ExportUtils = (function() {
     // Create blob and download
     const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
     const now = new Date();
-    const filename = `route_33_export_${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}${String(now.getDate()).padStart(2, '0')}.csv`;
+    const filename = `route_33_export_${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}${String(now.getDate()).padStart(2, '0')}${getFileSuffix(options.sourceRoute)}${getFileSuffix(options.routeName)}.csv`;
     
     // Use FileSaver.js
     saveAs(blob, filename);
@@ -67,8 +129,19 @@ const ExportUtils = (function() {
   
   /**
    * Export route data as PDF
+   * 
+   * Options:
+   *   customFields - names of the extra columns to print (defaults to all)
+   *   sourceRoute - name of the source route the data was filtered to,
+   *                 added to the filename
+   *   areaOrder - area names in the order they're driven (defaults to
+   *               area priority)
+   *   etas - { customerNumber: "9:05 AM" } printed on stops not yet done
+   *   projectedFinish - time the route should be done, for the header
+   *   routeName - name of a split-off sub-route ("Route A"), printed in
+   *               the title and added to the filename
    */
-  function exportToPDF(routeData, checkedItems, stats) {
+  function exportToPDF(routeData, checkedItems, stats, options = {}) {
     // Initialize jsPDF
     const { jsPDF } = window.jspdf;
     const doc = new jsPDF({
@@ -85,21 +158,24 @@ const ExportUtils = (function() {
     
     // Helpers
     let yPos = margin;
+    const fieldNames = options.customFields || getCustomFieldNames(routeData);
+    const etas = options.etas || {};
     
     // Add header
     doc.setFontSize(18);
     doc.setTextColor(0, 0, 0);
-    doc.text("Route 33 Friday Guide", margin, yPos);
+    doc.text(options.routeName ? `Route 33 Friday Guide - ${options.routeName}` : "Route 33 Friday Guide", margin, yPos);
     
     yPos += 7;
     doc.setFontSize(10);
     doc.setTextColor(100, 100, 100);
-    doc.text(`Generated on ${new Date().toLocaleDateString()} - ${stats.completedStops}/${stats.totalStops} stops completed`, margin, yPos);
+    doc.text(`Generated on ${new Date().toLocaleDateString()} - ${stats.completedStops}/${stats.totalStops} stops completed${options.projectedFinish ? ` - projected finish ${options.projectedFinish}` : ''}`, margin, yPos);
     
     yPos += 10;
     
-    // Group by area
-    const areaOrder = ["Shasta Ortho", "Bechelli Lane", "Downtown", "Churn Creek", "South Redding", "Other"];
+    // Group by area, in the same order as the views
+    const areaOrder = options.areaOrder || AreaClassifier.getAreaNames();
+    const defaultArea = AreaClassifier.getDefaultAreaName();
     
     // Create an object to group customers by area
     const customersByArea = {};
@@ -109,7 +185,7 @@ const ExportUtils = (function() {
       if (customersByArea[customer.area]) {
         customersByArea[customer.area].push(customer);
       } else {
-        customersByArea["Other"].push(customer);
+        customersByArea[defaultArea].push(customer);
       }
     });
     
@@ -144,7 +220,7 @@ const ExportUtils = (function() {
         
         // Customer header
         const isCompleted = customer.items && customer.items.length > 0 
-          ? customer.items.every(item => checkedItems[`${customer.customerNumber}-${item.itemId}`])
+          ? customer.items.every(item => checkedItems[OptimizedDataProcessor.getItemKey(customer.customerNumber, item)])
           : checkedItems[customer.customerNumber];
         
         doc.setFontSize(11);
@@ -156,10 +232,13 @@ const ExportUtils = (function() {
         
         doc.text(`${customer.accountName}`, margin, yPos);
         
-        // Completion status indicator
+        // Completion status indicator, or when the stop should be reached
         if (isCompleted) {
           doc.setTextColor(0, 150, 0);
           doc.text("✓ Completed", pageWidth - margin - 25, yPos);
+        } else if (etas[customer.customerNumber]) {
+          doc.setTextColor(0, 90, 180);
+          doc.text(`ETA ${etas[customer.customerNumber]}`, pageWidth - margin - 25, yPos);
         }
         
         yPos += 5;
@@ -169,6 +248,14 @@ const ExportUtils = (function() {
         doc.setTextColor(80, 80, 80);
         doc.text(customer.address, margin, yPos);
         
+        // Extra columns for the stop
+        const customerFields = formatCustomFields(customer.customFields, fieldNames);
+        if (customerFields) {
+          yPos += 4;
+          doc.setFontSize(8);
+          doc.text(customerFields, margin, yPos);
+        }
+        
         yPos += 7;
         
         // Items
@@ -182,7 +269,7 @@ const ExportUtils = (function() {
               yPos = margin;
             }
             
-            const itemCompleted = checkedItems[`${customer.customerNumber}-${item.itemId}`];
+            const itemCompleted = checkedItems[OptimizedDataProcessor.getItemKey(customer.customerNumber, item)];
             
             if (itemCompleted) {
               doc.setTextColor(100, 100, 100);
@@ -196,6 +283,11 @@ const ExportUtils = (function() {
               itemText += ` (${item.quantity})`;
             }
             
+            const itemFields = formatCustomFields(item.customFields, fieldNames);
+            if (itemFields) {
+              itemText += ` - ${itemFields}`;
+            }
+            
             doc.text(itemText, margin + 5, yPos);
             
             if (itemCompleted) {
@@ -224,7 +316,7 @@ const ExportUtils = (function() {
     
     // Save the PDF
     const now = new Date();
-    const filename = `route_33_guide_${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}${String(now.getDate()).padStart(2, '0')}.pdf`;
+    const filename = `route_33_guide_${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}${String(now.getDate()).padStart(2, '0')}${getFileSuffix(options.sourceRoute)}${getFileSuffix(options.routeName)}.pdf`;
     
     doc.save(filename);
     
@@ -234,6 +326,23 @@ const ExportUtils = (function() {
     };
   }
   
+  /**
+   * Save a transfer file: a sub-route another driver opens with Import
+   * to pick up its stops and progress (see DataHandler.getTransferData)
+   */
+  function exportTransferFile(transferData) {
+    const blob = new Blob([JSON.stringify(transferData, null, 2)], { type: "application/json;charset=utf-8;" });
+    const now = new Date();
+    const filename = `route_33_transfer_${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}${String(now.getDate()).padStart(2, '0')}${getFileSuffix(transferData.name)}.json`;
+    
+    saveAs(blob, filename);
+    
+    return {
+      filename,
+      stopCount: transferData.routeData.length
+    };
+  }
+  
   /**
    * Copy current status to clipboard
    */
@@ -248,7 +357,7 @@ const ExportUtils = (function() {
     
     routeData.forEach(customer => {
       const isCompleted = customer.items && customer.items.length > 0 
-        ? customer.items.every(item => checkedItems[`${customer.customerNumber}-${item.itemId}`])
+        ? customer.items.every(item => checkedItems[OptimizedDataProcessor.getItemKey(customer.customerNumber, item)])
         : checkedItems[customer.customerNumber];
       
       if (isCompleted) {
@@ -266,7 +375,7 @@ const ExportUtils = (function() {
     
     routeData.forEach(customer => {
       const isCompleted = customer.items && customer.items.length > 0 
-        ? customer.items.every(item => checkedItems[`${customer.customerNumber}-${item.itemId}`])
+        ? customer.items.every(item => checkedItems[OptimizedDataProcessor.getItemKey(customer.customerNumber, item)])
         : checkedItems[customer.customerNumber];
       
       if (!isCompleted) {
@@ -308,6 +417,7 @@ const ExportUtils = (function() {
   return {
     exportToCSV,
     exportToPDF,
+    exportTransferFile,
     copyStatusToClipboard
   };
 })();
\ No newline at end of file
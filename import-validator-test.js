@@ -0,0 +1,148 @@
+/**
+ * Unit tests for import-validator.js
+ */
+
+TestSuite.describe('ImportValidator', () => {
+  const row = (customerNumber, fields = {}) => ({
+    CustomerNumber: customerNumber,
+    AccountName: `Customer ${customerNumber}`,
+    Address: `${customerNumber} Main St`,
+    ItemID: 'MAT-1',
+    Description: 'Mat 3x5',
+    Quantity: '2',
+    ...fields
+  });
+  
+  // A blank CSV line, as PapaParse returns it when empty lines are kept
+  const blank = { CustomerNumber: '' };
+  
+  const issuesOfType = (report, type) => report.issues.filter(issue => issue.type === type);
+  
+  TestSuite.describe('validateRows', () => {
+    TestSuite.it('should pass a clean file', () => {
+      const report = ImportValidator.validateRows([row('1'), row('1', { ItemID: 'MAT-2' }), row('2')]);
+      
+      TestSuite.assert.equal(report.status, ImportValidator.STATUS.OK, 'Status should be ok');
+      TestSuite.assert.isTrue(report.canImport, 'File should be importable');
+      TestSuite.assert.equal(report.rowCount, 3, 'All rows should be counted');
+      TestSuite.assert.equal(report.issues.length, 0, 'There should be no issues');
+    });
+    
+    TestSuite.it('should report CSV line numbers, counting blank lines', () => {
+      const report = ImportValidator.validateRows([row('1'), blank, blank, row('2', { Address: '' })]);
+      
+      TestSuite.assert.equal(report.rowCount, 2, 'Blank lines should not be counted as rows');
+      TestSuite.assert.equal(report.issues.length, 1, 'There should be one issue');
+      TestSuite.assert.equal(report.issues[0].line, 5, 'The header is line 1, so the fourth row is line 5');
+    });
+    
+    TestSuite.it('should report missing required fields', () => {
+      const report = ImportValidator.validateRows([
+        row('', { AccountName: 'No Number' }),
+        row('2', { AccountName: ' ' }),
+        row('3', { Address: null })
+      ]);
+      
+      TestSuite.assert.equal(report.status, ImportValidator.STATUS.DATA_FORMAT, 'Status should be dataFormat');
+      TestSuite.assert.isTrue(report.canImport, 'Rows with problems can still be imported');
+      TestSuite.assert.equal(report.errorCount, 3, 'Each missing field should be an error');
+      TestSuite.assert.equal(report.skippedRows, 1, 'A row without a customer number is skipped');
+      TestSuite.assert.equal(report.issues.map(issue => `${issue.line}:${issue.field}`).join(','), '2:CustomerNumber,3:AccountName,4:Address',
+        'Issues should name the line and field');
+      TestSuite.assert.stringContains(report.issues[2].message, 'customer 3', 'The message should name the customer');
+    });
+    
+    TestSuite.it('should warn about quantities that are not numbers', () => {
+      const report = ImportValidator.validateRows([
+        row('1', { Quantity: 'two' }),
+        row('1', { ItemID: 'MAT-2', Quantity: '3 cases' }),
+        row('1', { ItemID: 'MAT-3', Quantity: '1,000' }),
+        row('1', { ItemID: 'MAT-4', Quantity: '-1.5' })
+      ]);
+      
+      const warnings = issuesOfType(report, 'invalidQuantity');
+      TestSuite.assert.equal(warnings.length, 2, 'Only the non-numeric quantities should be reported');
+      TestSuite.assert.equal(warnings[0].severity, ImportValidator.SEVERITY.WARNING, 'Quantities should be warnings');
+      TestSuite.assert.stringContains(warnings[0].message, 'treated as 0', 'Unreadable quantities become 0');
+      TestSuite.assert.stringContains(warnings[1].message, 'treated as 3', 'Leading numbers are kept');
+      TestSuite.assert.equal(warnings[1].line, 3, 'The warning should have the row\'s line');
+    });
+    
+    TestSuite.it('should warn once when a customer number has different names or addresses', () => {
+      const report = ImportValidator.validateRows([
+        row('1'),
+        row('1', { ItemID: 'MAT-2', AccountName: 'Someone Else' }),
+        row('1', { ItemID: 'MAT-3', AccountName: 'Third Name', Address: '9 Other Rd' }),
+        row('1', { ItemID: 'MAT-4', AccountName: 'CUSTOMER 1' })
+      ]);
+      
+      const conflicts = issuesOfType(report, 'conflict');
+      TestSuite.assert.equal(conflicts.map(issue => `${issue.line}:${issue.field}`).join(','), '3:AccountName,4:Address',
+        'Each field should be reported once, at its first conflict');
+      TestSuite.assert.stringContains(conflicts[0].message, 'line 2', 'The message should point at the first line');
+      TestSuite.assert.stringContains(conflicts[1].message, '9 Other Rd', 'The message should show the other value');
+    });
+    
+    TestSuite.it('should warn about blank item IDs on item lines', () => {
+      const report = ImportValidator.validateRows([
+        row('1', { ItemID: '', Description: 'Towel' }),
+        row('2', { ItemID: '', Description: '', Quantity: '' })
+      ]);
+      
+      const warnings = issuesOfType(report, 'blankItemId');
+      TestSuite.assert.equal(warnings.length, 1, 'A stop without item fields is not an item line');
+      TestSuite.assert.equal(warnings[0].line, 2, 'The warning should have the row\'s line');
+      TestSuite.assert.stringContains(warnings[0].message, '"Towel"', 'The message should name the item');
+    });
+    
+    TestSuite.it('should warn once per customer about time windows it cannot read', () => {
+      const report = ImportValidator.validateRows([
+        row('1', { TimeWindow: 'whenever' }),
+        row('1', { ItemID: 'MAT-2', TimeWindow: 'whenever' }),
+        row('2', { TimeWindow: 'before 10am' })
+      ]);
+      
+      const warnings = issuesOfType(report, 'invalidTimeWindow');
+      TestSuite.assert.equal(warnings.length, 1, 'Only the unreadable window should be reported, once');
+      TestSuite.assert.equal(warnings[0].field, 'TimeWindow', 'The warning should name the field');
+      TestSuite.assert.stringContains(warnings[0].message, 'treated as any time', 'The message should say what happens');
+    });
+    
+    TestSuite.it('should stop at missing columns', () => {
+      const report = ImportValidator.validateRows([{ CustomerNumber: '1', Name: 'Customer 1' }]);
+      
+      TestSuite.assert.equal(report.status, ImportValidator.STATUS.MISSING_HEADERS, 'Status should be missingHeaders');
+      TestSuite.assert.isFalse(report.canImport, 'File should not be importable');
+      TestSuite.assert.equal(report.issues.map(issue => `${issue.line}:${issue.field}`).join(','), '1:AccountName,1:Address',
+        'Missing columns are reported on the header line');
+    });
+    
+    TestSuite.it('should report an empty file', () => {
+      TestSuite.assert.equal(ImportValidator.validateRows([]).status, ImportValidator.STATUS.EMPTY_FILE, 'No rows is an empty file');
+      TestSuite.assert.equal(ImportValidator.validateRows([blank, blank]).status, ImportValidator.STATUS.EMPTY_FILE, 'Blank lines only is an empty file');
+      TestSuite.assert.isFalse(ImportValidator.validateRows(null).canImport, 'Nothing to read cannot be imported');
+    });
+    
+    TestSuite.it('should report joined rows against the file they came from', () => {
+      const report = ImportValidator.validateRows([row('1', { Quantity: 'lots' }), row('2', { Address: '' })], {
+        rowOrigins: [{ file: 'orders.csv', line: 7 }, { file: 'customers.csv', line: 3 }]
+      });
+      
+      TestSuite.assert.equal(report.issues.map(issue => `${issue.file}:${issue.line}`).join(','), 'orders.csv:7,customers.csv:3',
+        'Issues should carry the file and line of the source row');
+    });
+  });
+  
+  TestSuite.describe('addIssues', () => {
+    TestSuite.it('should add issues and mark a clean report as having problems', () => {
+      const report = ImportValidator.validateRows([row('1')]);
+      const updated = ImportValidator.addIssues(report, [
+        { file: 'orders.csv', line: 4, field: 'CustomerNumber', severity: ImportValidator.SEVERITY.WARNING, type: 'orphanLine', message: 'No customer 9' }
+      ]);
+      
+      TestSuite.assert.equal(updated.status, ImportValidator.STATUS.DATA_FORMAT, 'Status should change to dataFormat');
+      TestSuite.assert.equal(updated.warningCount, 1, 'The added issue should be counted');
+      TestSuite.assert.isTrue(ImportValidator.addIssues(report, []) === report, 'No issues should leave the report alone');
+    });
+  });
+});
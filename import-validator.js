@@ -0,0 +1,326 @@
+/**
+ * import-validator.js
+ * Row-level validation of imported route data for Route 33 Guide
+ * Produces a structured report with CSV line numbers so drivers can see
+ * why stops or items would be dropped
+ */
+
+const ImportValidator = (function() {
+  // Issue severities
+  const SEVERITY = {
+    ERROR: 'error',
+    WARNING: 'warning'
+  };
+  
+  // Fields every stop needs
+  const REQUIRED_FIELDS = ["CustomerNumber", "AccountName", "Address"];
+  
+  // Report statuses, named after ErrorHandler's CSV_PARSING messages
+  const STATUS = {
+    OK: 'ok',
+    EMPTY_FILE: 'emptyFile',
+    MISSING_HEADERS: 'missingHeaders',
+    DATA_FORMAT: 'dataFormat'
+  };
+  
+  // Header row is line 1, so the first data row is line 2
+  const FIRST_DATA_LINE = 2;
+  
+  // Safe string handling
+  function safeString(str) {
+    return (str !== undefined && str !== null) ? String(str).trim() : "";
+  }
+  
+  /**
+   * Check whether a row has no values at all
+   */
+  function isBlankRow(row) {
+    return Object.values(row || {}).every(value => safeString(value) === '');
+  }
+  
+  /**
+   * Look up the user-facing message for a report status
+   */
+  function getStatusMessage(status) {
+    if (status === STATUS.OK) {
+      return "Your file looks good.";
+    }
+    
+    if (typeof ErrorHandler !== 'undefined') {
+      return ErrorHandler.getMessage(ErrorHandler.ERROR_TYPES.CSV_PARSING, status);
+    }
+    
+    return "There was a problem reading your CSV file.";
+  }
+  
+  /**
+   * Build a report object from collected issues
+   */
+  function buildReport(status, rowCount, issues, skippedRows = 0) {
+    const errorCount = issues.filter(issue => issue.severity === SEVERITY.ERROR).length;
+    
+    return {
+      status,
+      message: getStatusMessage(status),
+      canImport: status !== STATUS.EMPTY_FILE && status !== STATUS.MISSING_HEADERS,
+      rowCount,
+      skippedRows,
+      errorCount,
+      warningCount: issues.length - errorCount,
+      issues
+    };
+  }
+  
+  /**
+   * Create a validator that checks rows as they arrive
+   * Used for large files that are parsed in chunks; finish() returns the
+   * same report as validateRows
+   *
+   * Options:
+   *   fields - the fields present in the file; defaults to the keys of the first row
+   *   rowOrigins - { file, line } for each row, when rows were joined from
+   *                several files (see CustomerMaster.joinOrders)
+   */
+  function createValidator(options = {}) {
+    const origins = options.rowOrigins || [];
+    const issues = [];
+    const firstSeen = {};
+    const reportedConflicts = new Set();
+    const reportedWindows = new Set();
+    let skippedRows = 0;
+    let rowCount = 0;
+    let nextIndex = 0;
+    let missingFields = null;
+    
+    /**
+     * Check one non-blank row
+     */
+    function checkRow(row, index) {
+      const origin = origins[index];
+      const line = origin ? origin.line : index + FIRST_DATA_LINE;
+      const addIssue = (field, severity, type, message) => {
+        issues.push(origin
+          ? { file: origin.file, line, field, severity, type, message }
+          : { line, field, severity, type, message });
+      };
+      
+      const customerNumber = safeString(row.CustomerNumber);
+      const accountName = safeString(row.AccountName);
+      const address = safeString(row.Address);
+      
+      // Required fields
+      if (!customerNumber) {
+        addIssue("CustomerNumber", SEVERITY.ERROR, 'missingField', "Missing customer number, row skipped");
+        skippedRows++;
+        return;
+      }
+      if (!accountName) {
+        addIssue("AccountName", SEVERITY.ERROR, 'missingField', `Missing account name for customer ${customerNumber}`);
+      }
+      if (!address) {
+        addIssue("Address", SEVERITY.ERROR, 'missingField', `Missing address for customer ${customerNumber}`);
+      }
+      
+      // Item fields
+      const itemId = safeString(row.ItemID);
+      const description = safeString(row.Description);
+      const quantity = safeString(row.Quantity);
+      
+      if (!itemId && (description || quantity)) {
+        addIssue("ItemID", SEVERITY.WARNING, 'blankItemId', `Blank item ID${description ? ` for "${description}"` : ''}, item dropped`);
+      }
+      
+      if (quantity && !/^-?\d+(\.\d+)?$/.test(quantity.replace(/,/g, ''))) {
+        const parsedQuantity = parseInt(quantity);
+        addIssue("Quantity", SEVERITY.WARNING, 'invalidQuantity',
+          `Quantity "${quantity}" is not a number, treated as ${isNaN(parsedQuantity) ? 0 : parsedQuantity}`);
+      }
+      
+      // Time windows that can't be read would be treated as any time
+      const timeWindow = safeString(row.TimeWindow);
+      if (timeWindow && typeof RouteSchedule !== 'undefined' && !reportedWindows.has(customerNumber)) {
+        const { error } = RouteSchedule.parseTimeWindow(timeWindow);
+        if (error) {
+          reportedWindows.add(customerNumber);
+          addIssue("TimeWindow", SEVERITY.WARNING, 'invalidTimeWindow',
+            `Time window "${timeWindow}" for customer ${customerNumber} can't be read (${error}), treated as any time`);
+        }
+      }
+      
+      // Conflicting stop details for the same customer
+      const first = firstSeen[customerNumber];
+      if (!first) {
+        firstSeen[customerNumber] = { accountName, address, line, file: origin && origin.file };
+        return;
+      }
+      
+      [["AccountName", accountName, first.accountName], ["Address", address, first.address]].forEach(([field, value, firstValue]) => {
+        const conflictKey = `${customerNumber}-${field}`;
+        if (value && firstValue && value.toLowerCase() !== firstValue.toLowerCase() && !reportedConflicts.has(conflictKey)) {
+          reportedConflicts.add(conflictKey);
+          const firstLine = first.file ? `${first.file} line ${first.line}` : `line ${first.line}`;
+          addIssue(field, SEVERITY.WARNING, 'conflict',
+            `Customer ${customerNumber} has ${field} "${value}" but ${firstLine} has "${firstValue}", using ${firstLine}`);
+        }
+      });
+    }
+    
+    /**
+     * Check a chunk of rows, continuing the line numbering of earlier chunks
+     */
+    function addRows(rows) {
+      rows.forEach(row => {
+        const index = nextIndex++;
+        if (isBlankRow(row)) return;
+        
+        rowCount++;
+        
+        // Check the file has a column for each required field
+        if (missingFields === null) {
+          const fields = options.fields || Object.keys(row);
+          missingFields = REQUIRED_FIELDS.filter(field => !fields.includes(field));
+        }
+        
+        if (missingFields.length === 0) {
+          checkRow(row, index);
+        }
+      });
+    }
+    
+    /**
+     * Build the report for all rows added so far
+     */
+    function finish() {
+      if (rowCount === 0) {
+        return buildReport(STATUS.EMPTY_FILE, 0, []);
+      }
+      
+      if (missingFields.length > 0) {
+        const columnIssues = missingFields.map(field => ({
+          line: 1,
+          field,
+          severity: SEVERITY.ERROR,
+          type: 'missingColumn',
+          message: `No ${field} column found`
+        }));
+        return buildReport(STATUS.MISSING_HEADERS, rowCount, columnIssues);
+      }
+      
+      const status = issues.length > 0 ? STATUS.DATA_FORMAT : STATUS.OK;
+      return buildReport(status, rowCount, issues, skippedRows);
+    }
+    
+    return {
+      addRows,
+      finish
+    };
+  }
+  
+  /**
+   * Validate mapped rows (rows already using the expected field names)
+   * Takes the same options as createValidator
+   */
+  function validateRows(rows, options = {}) {
+    if (!Array.isArray(rows)) {
+      return buildReport(STATUS.EMPTY_FILE, 0, []);
+    }
+    
+    const validator = createValidator(options);
+    validator.addRows(rows);
+    return validator.finish();
+  }
+  
+  /**
+   * Add issues found outside the row pass (e.g. orphan order lines) to a report
+   */
+  function addIssues(report, extraIssues) {
+    if (!extraIssues || extraIssues.length === 0) {
+      return report;
+    }
+    
+    const issues = report.issues.concat(extraIssues);
+    const status = report.status === STATUS.OK ? STATUS.DATA_FORMAT : report.status;
+    const updated = buildReport(status, report.rowCount, issues, report.skippedRows);
+    
+    return report.joinSummary ? { ...updated, joinSummary: report.joinSummary } : updated;
+  }
+  
+  /**
+   * Sanitize text for safe HTML insertion
+   */
+  function sanitizeHTML(text) {
+    return safeString(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+  
+  /**
+   * Render the validation report with "import anyway / fix and retry" choices
+   */
+  function renderReportUI(report, maxIssues = 50) {
+    const shownIssues = report.issues.slice(0, maxIssues);
+    const hiddenCount = report.issues.length - shownIssues.length;
+    const join = report.joinSummary;
+    const merge = report.mergeSummary;
+    
+    return `
+      <div class="bg-gray-800 p-4 rounded-lg animate-fadeIn" id="import-report">
+        <div class="flex items-center mb-2">
+          <i data-lucide="${report.canImport ? 'alert-circle' : 'alert-triangle'}" class="h-5 w-5 mr-2 ${report.canImport ? 'text-yellow-500' : 'text-red-500'}"></i>
+          <h2 class="text-lg font-semibold">Import Check</h2>
+        </div>
+        <p class="text-sm text-gray-300 mb-3">${sanitizeHTML(report.message)}</p>
+        <div class="flex flex-wrap gap-2 text-xs mb-4">
+          <span class="px-2 py-1 rounded-full bg-gray-700">${report.rowCount} rows</span>
+          <span class="px-2 py-1 rounded-full bg-red-900 text-red-200">${report.errorCount} errors</span>
+          <span class="px-2 py-1 rounded-full bg-yellow-900 text-yellow-200">${report.warningCount} warnings</span>
+          ${report.skippedRows > 0 ? `<span class="px-2 py-1 rounded-full bg-gray-700">${report.skippedRows} rows skipped</span>` : ''}
+        </div>
+        ${join ? `
+          <div class="bg-gray-900 rounded p-2 text-sm text-gray-300 mb-3">
+            <p>Joined ${join.orderLines} order lines with ${join.customers} customers${join.usedSavedMaster ? ' from the saved customer list' : ''}.</p>
+            ${join.orphanLines > 0 ? `<p class="text-yellow-400">${join.orphanLines} order lines have no matching customer and were dropped.</p>` : ''}
+            ${join.customersWithoutOrders.length > 0 ? `
+              <p class="text-gray-400">${join.customersWithoutOrders.length} customers have no orders and will show as stops without items:
+                ${sanitizeHTML(join.customersWithoutOrders.slice(0, 10).map(customer => customer.accountName || customer.customerNumber).join(', '))}${join.customersWithoutOrders.length > 10 ? '…' : ''}</p>
+            ` : ''}
+          </div>
+        ` : ''}
+        ${merge ? `
+          <div class="bg-gray-900 rounded p-2 text-sm text-gray-300 mb-3">
+            <p>${merge.duplicates.length} customers are on more than one route; their items are combined into one stop:</p>
+            <p class="text-gray-400">${sanitizeHTML(merge.duplicates.slice(0, 10).map(stop => `${stop.accountName || stop.customerNumber} (${stop.sources.join(', ')})`).join(', '))}${merge.duplicates.length > 10 ? '…' : ''}</p>
+          </div>
+        ` : ''}
+        ${shownIssues.length > 0 ? `
+          <div class="max-h-80 overflow-y-auto bg-gray-900 rounded divide-y divide-gray-800 text-sm">
+            ${shownIssues.map(issue => `
+              <div class="flex items-start p-2">
+                <span class="${issue.file ? 'w-32' : 'w-16'} flex-shrink-0 text-gray-500">${issue.file ? `${sanitizeHTML(issue.file)}:` : 'Line '}${issue.line}</span>
+                <span class="${issue.severity === SEVERITY.ERROR ? 'text-red-400' : 'text-yellow-400'}">${sanitizeHTML(issue.message)}</span>
+              </div>
+            `).join('')}
+          </div>
+          ${hiddenCount > 0 ? `<p class="text-xs text-gray-500 mt-2">…and ${hiddenCount} more</p>` : ''}
+        ` : ''}
+        <div class="flex justify-end gap-2 mt-4">
+          <button id="fix-retry-btn" class="px-3 py-1.5 bg-gray-700 rounded text-sm">Fix and Retry</button>
+          ${report.canImport ? `<button id="import-anyway-btn" class="px-3 py-1.5 bg-blue-600 rounded text-sm">${report.issues.length > 0 ? 'Import Anyway' : 'Import'}</button>` : ''}
+        </div>
+      </div>
+    `;
+  }
+  
+  // Public API
+  return {
+    validateRows,
+    createValidator,
+    addIssues,
+    renderReportUI,
+    SEVERITY,
+    STATUS
+  };
+})();
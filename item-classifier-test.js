@@ -0,0 +1,59 @@
+/**
+ * Unit tests for item-classifier.js
+ */
+
+TestSuite.describe('ItemClassifier', () => {
+  
+  TestSuite.describe('classifyItem', () => {
+    TestSuite.it('should match description keywords as whole words', () => {
+      ItemClassifier.resetToDefaults();
+      
+      TestSuite.assert.equal(ItemClassifier.classifyItem({ itemId: 'MAT-34', description: 'Mat - 3x4' }).name, 'Mats', 'Mat should be a mat');
+      TestSuite.assert.equal(ItemClassifier.classifyItem({ itemId: 'X1', description: 'Format sheet' }).name, 'Other', 'Format should not match mat');
+    });
+    
+    TestSuite.it('should match item ID prefixes and patterns', () => {
+      ItemClassifier.resetToDefaults();
+      ItemClassifier.addCategory({ id: 'soap', name: 'Soap', prefixes: ['sp-'], priority: 5 });
+      ItemClassifier.addCategory({ id: 'paper', name: 'Paper', patterns: ['^pt\\d+$'], priority: 6 });
+      
+      TestSuite.assert.equal(ItemClassifier.classifyItem({ itemId: 'SP-100', description: 'Hand wash' }).name, 'Soap', 'Should match prefix');
+      TestSuite.assert.equal(ItemClassifier.classifyItem({ itemId: 'PT42', description: 'Roll' }).name, 'Paper', 'Should match pattern');
+      
+      ItemClassifier.resetToDefaults();
+    });
+    
+    TestSuite.it('should fall back to Other for unmatched or invalid rules', () => {
+      ItemClassifier.resetToDefaults();
+      ItemClassifier.addCategory({ id: 'broken', name: 'Broken', patterns: ['('], priority: 1 });
+      
+      TestSuite.assert.equal(ItemClassifier.classifyItem({ itemId: 'Z9', description: 'Widget' }).name, 'Other', 'Should use Other');
+      
+      ItemClassifier.resetToDefaults();
+    });
+  });
+  
+  TestSuite.describe('getPatternError', () => {
+    TestSuite.it('should explain patterns that are not regular expressions', () => {
+      TestSuite.assert.isTrue(ItemClassifier.getPatternError('^MAT-\\d{2,3}$') === null, 'Quantifiers with commas should be valid');
+      TestSuite.assert.isTrue(typeof ItemClassifier.getPatternError('(') === 'string', 'An unclosed group should have an error');
+      TestSuite.assert.isTrue(typeof ItemClassifier.getPatternError('[a-') === 'string', 'An unclosed class should have an error');
+    });
+  });
+  
+  TestSuite.describe('importCategoryConfig', () => {
+    TestSuite.it('should require an other category', () => {
+      const imported = ItemClassifier.importCategoryConfig([{ id: 'mats', name: 'Mats', keywords: ['mat'] }]);
+      
+      TestSuite.assert.isFalse(imported, 'Config without other should be rejected');
+    });
+    
+    TestSuite.it('should round-trip an exported config', () => {
+      ItemClassifier.resetToDefaults();
+      const exported = ItemClassifier.exportCategoryConfig();
+      
+      TestSuite.assert.isTrue(ItemClassifier.importCategoryConfig(exported), 'Exported config should import');
+      TestSuite.assert.equal(ItemClassifier.getCategoryNames().length, exported.length, 'Should keep every category');
+    });
+  });
+});
@@ -0,0 +1,449 @@
+/**
+ * item-classifier.js
+ * Configurable item categories for Route 33 Guide
+ * Items are matched on item ID prefixes, description keywords or regular
+ * expressions; the categories drive the load list and item statistics
+ */
+
+const ItemClassifier = (function() {
+  // localStorage key for the user's categories
+  const STORAGE_KEY = 'route33ItemCategories';
+  
+  // Default item categories - can be edited, imported and exported
+  const DEFAULT_CATEGORIES = [
+    {
+      id: "mats",
+      name: "Mats",
+      prefixes: [],
+      keywords: ["mat", "mats", "rug"],
+      patterns: [],
+      priority: 10,
+      color: "#60A5FA",  // blue-400
+      icon: "square"
+    },
+    {
+      id: "towels",
+      name: "Towels",
+      prefixes: [],
+      keywords: ["towel", "towels", "rag", "rags"],
+      patterns: [],
+      priority: 20,
+      color: "#34D399",  // green-400
+      icon: "layers"
+    },
+    {
+      id: "mops",
+      name: "Mops",
+      prefixes: [],
+      keywords: ["mop", "mops", "dust mop", "wet mop"],
+      patterns: [],
+      priority: 30,
+      color: "#FBBF24",  // yellow-400
+      icon: "brush"
+    },
+    {
+      id: "garments",
+      name: "Garments",
+      prefixes: [],
+      keywords: ["shirt", "shirts", "pant", "pants", "coat", "coats", "jacket", "apron", "smock", "scrub", "scrubs"],
+      patterns: [],
+      priority: 40,
+      color: "#A78BFA",  // purple-400
+      icon: "shirt"
+    },
+    {
+      id: "other",
+      name: "Other",
+      prefixes: [],
+      keywords: [],
+      patterns: [],  // Default fallback
+      priority: 1000,
+      color: "#9CA3AF",  // gray-400
+      icon: "package"
+    }
+  ];
+  
+  let itemCategories = cloneCategories(DEFAULT_CATEGORIES);
+  
+  // Compiled keyword and pattern expressions, keyed by their source text
+  const expressionCache = new Map();
+  
+  // Safe string handling
+  function safeString(str) {
+    return (str !== undefined && str !== null) ? String(str).trim() : "";
+  }
+  
+  /**
+   * Deep-copy a category list so callers can't change the live rules
+   */
+  function cloneCategories(categories) {
+    return categories.map(category => ({
+      ...category,
+      prefixes: [...(category.prefixes || [])],
+      keywords: [...(category.keywords || [])],
+      patterns: [...(category.patterns || [])]
+    }));
+  }
+  
+  /**
+   * Get a compiled, case-insensitive expression (null if the pattern is invalid)
+   */
+  function getExpression(key, source) {
+    if (!expressionCache.has(key)) {
+      try {
+        expressionCache.set(key, new RegExp(source, 'i'));
+      } catch (error) {
+        console.error(`Invalid item pattern "${source}":`, error);
+        expressionCache.set(key, null);
+      }
+    }
+    return expressionCache.get(key);
+  }
+  
+  /**
+   * Why a pattern can't be used as a regular expression, or null if it can
+   */
+  function getPatternError(pattern) {
+    try {
+      new RegExp(pattern, 'i');
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+  
+  /**
+   * Check whether an item matches a category's rules
+   * Keywords match whole words of the description, prefixes the start of the
+   * item ID, and patterns either the description or the item ID
+   */
+  function matchesCategory(category, itemId, description) {
+    const lowerId = itemId.toLowerCase();
+    if ((category.prefixes || []).some(prefix => prefix && lowerId.startsWith(prefix.toLowerCase()))) {
+      return true;
+    }
+    
+    const keywordMatch = (category.keywords || []).some(keyword => {
+      const escaped = safeString(keyword).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const expression = escaped && getExpression(`keyword:${escaped}`, `\\b${escaped}\\b`);
+      return expression && expression.test(description);
+    });
+    if (keywordMatch) {
+      return true;
+    }
+    
+    return (category.patterns || []).some(pattern => {
+      const expression = pattern && getExpression(`pattern:${pattern}`, pattern);
+      return expression && (expression.test(description) || expression.test(itemId));
+    });
+  }
+  
+  /**
+   * Classify an item ({ itemId, description }) into a category
+   */
+  function classifyItem(item) {
+    try {
+      const itemId = safeString(item && item.itemId);
+      const description = safeString(item && item.description);
+      
+      // Return first matching category or the default "Other"
+      for (const category of sortedCategories()) {
+        if (category.id !== "other" && matchesCategory(category, itemId, description)) {
+          return category;
+        }
+      }
+      
+      return getCategoryById("other") || itemCategories[itemCategories.length - 1];
+    } catch (error) {
+      console.error("Error classifying item:", error);
+      return itemCategories[itemCategories.length - 1];
+    }
+  }
+  
+  /**
+   * Get all categories in priority order
+   */
+  function sortedCategories() {
+    return [...itemCategories].sort((a, b) => a.priority - b.priority);
+  }
+  
+  /**
+   * Get category by ID
+   */
+  function getCategoryById(id) {
+    return itemCategories.find(category => category.id === id);
+  }
+  
+  /**
+   * Get category by name
+   */
+  function getCategoryByName(name) {
+    return itemCategories.find(category => category.name === name);
+  }
+  
+  /**
+   * Add a new item category
+   */
+  function addCategory(categoryConfig) {
+    try {
+      if (!categoryConfig.id || !categoryConfig.name) {
+        console.error("Item category must have id and name");
+        return false;
+      }
+      
+      if (getCategoryById(categoryConfig.id)) {
+        console.error(`Item category with id ${categoryConfig.id} already exists`);
+        return false;
+      }
+      
+      itemCategories.push({
+        prefixes: [],
+        keywords: [],
+        patterns: [],
+        priority: 500,
+        color: "#9CA3AF",
+        icon: "package",
+        ...categoryConfig
+      });
+      return true;
+    } catch (error) {
+      console.error("Error adding item category:", error);
+      return false;
+    }
+  }
+  
+  /**
+   * Update an existing item category
+   */
+  function updateCategory(id, updates) {
+    try {
+      const index = itemCategories.findIndex(category => category.id === id);
+      
+      if (index === -1) {
+        console.error(`Item category with id ${id} not found`);
+        return false;
+      }
+      
+      // Don't allow changing the id
+      const { id: _, ...allowedUpdates } = updates;
+      
+      itemCategories[index] = {
+        ...itemCategories[index],
+        ...allowedUpdates
+      };
+      return true;
+    } catch (error) {
+      console.error("Error updating item category:", error);
+      return false;
+    }
+  }
+  
+  /**
+   * Remove an item category
+   */
+  function removeCategory(id) {
+    try {
+      // Don't allow removing the "other" catchall category
+      if (id === "other") {
+        console.error("Cannot remove 'other' item category");
+        return false;
+      }
+      
+      const initialLength = itemCategories.length;
+      itemCategories = itemCategories.filter(category => category.id !== id);
+      
+      return itemCategories.length !== initialLength;
+    } catch (error) {
+      console.error("Error removing item category:", error);
+      return false;
+    }
+  }
+  
+  /**
+   * Reset categories to default
+   */
+  function resetToDefaults() {
+    itemCategories = cloneCategories(DEFAULT_CATEGORIES);
+    return true;
+  }
+  
+  /**
+   * Get a list of all categories
+   */
+  function getAllCategories() {
+    return cloneCategories(itemCategories);
+  }
+  
+  /**
+   * Get only category names in priority order
+   */
+  function getCategoryNames() {
+    return sortedCategories().map(category => category.name);
+  }
+  
+  /**
+   * Import a category configuration (e.g. from an exported JSON file)
+   */
+  function importCategoryConfig(configArray) {
+    try {
+      if (!Array.isArray(configArray)) {
+        console.error("Item category configuration must be an array");
+        return false;
+      }
+      
+      const validConfig = configArray.every(category => {
+        return category.id && category.name &&
+          ['prefixes', 'keywords', 'patterns'].every(rule => category[rule] === undefined || Array.isArray(category[rule]));
+      });
+      
+      if (!validConfig) {
+        console.error("Invalid item category configuration format");
+        return false;
+      }
+      
+      if (!configArray.some(category => category.id === "other")) {
+        console.error("Item category configuration must include an 'other' category");
+        return false;
+      }
+      
+      itemCategories = cloneCategories(configArray.map(category => ({ priority: 500, ...category })));
+      return true;
+    } catch (error) {
+      console.error("Error importing item category configuration:", error);
+      return false;
+    }
+  }
+  
+  /**
+   * Export current category configuration
+   */
+  function exportCategoryConfig() {
+    return cloneCategories(itemCategories);
+  }
+  
+  /**
+   * Save the categories to localStorage
+   */
+  function saveToStorage() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(itemCategories));
+      return true;
+    } catch (error) {
+      console.error("Error saving item categories:", error);
+      return false;
+    }
+  }
+  
+  /**
+   * Load the saved categories, keeping the defaults if none are saved
+   */
+  function loadFromStorage() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      return saved ? importCategoryConfig(JSON.parse(saved)) : false;
+    } catch (error) {
+      console.error("Error loading item categories:", error);
+      return false;
+    }
+  }
+  
+  /**
+   * Sanitize text for safe HTML insertion
+   */
+  function sanitizeHTML(text) {
+    return safeString(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+  
+  /**
+   * Render the item category editor
+   */
+  function renderCategoryConfigUI() {
+    const ruleChips = (label, rules) => rules.length > 0 ? `
+      <div class="text-xs text-gray-400 mt-1">${label}:</div>
+      <div class="flex flex-wrap gap-1">
+        ${rules.map(rule => `<span class="px-2 py-0.5 bg-gray-600 rounded-full text-xs">${sanitizeHTML(rule)}</span>`).join('')}
+      </div>
+    ` : '';
+    
+    return `
+      <div class="bg-gray-800 p-4 rounded-lg animate-fadeIn" id="item-categories-settings">
+        <h2 class="text-lg font-semibold mb-1">Item Categories</h2>
+        <p class="text-sm text-gray-400 mb-4">Items go in the first category whose item ID prefix, description keyword or pattern matches.</p>
+        <div class="space-y-3">
+          ${sortedCategories().map(category => `
+            <div class="p-3 bg-gray-700 rounded-lg" data-category-id="${sanitizeHTML(category.id)}">
+              <div class="flex justify-between items-center">
+                <div class="flex items-center">
+                  <div class="w-4 h-4 rounded-full mr-2" style="background-color: ${sanitizeHTML(category.color)}"></div>
+                  <h3 class="font-medium">${sanitizeHTML(category.name)}</h3>
+                </div>
+                <div class="flex items-center">
+                  <span class="text-xs text-gray-400 mr-2">Priority: ${sanitizeHTML(category.priority)}</span>
+                  <button class="p-1 hover:bg-gray-600 rounded edit-category-btn" title="Edit">
+                    <i data-lucide="edit" class="h-4 w-4"></i>
+                  </button>
+                  ${category.id !== "other" ? `
+                    <button class="p-1 hover:bg-gray-600 rounded ml-1 delete-category-btn" title="Delete">
+                      <i data-lucide="trash-2" class="h-4 w-4"></i>
+                    </button>
+                  ` : ''}
+                </div>
+              </div>
+              ${category.id === "other" ? `
+                <div class="text-sm text-gray-500 mt-1">Items that match no other category</div>
+              ` : `
+                ${ruleChips('Item ID prefixes', category.prefixes || [])}
+                ${ruleChips('Description keywords', category.keywords || [])}
+                ${ruleChips('Patterns', category.patterns || [])}
+              `}
+            </div>
+          `).join('')}
+        </div>
+        <div class="flex flex-wrap gap-2 mt-4">
+          <button id="add-category-btn" class="px-3 py-1.5 bg-blue-600 rounded text-sm flex items-center gap-1">
+            <i data-lucide="plus" class="h-4 w-4"></i>
+            Add Category
+          </button>
+          <button id="import-categories-btn" class="px-3 py-1.5 bg-gray-700 rounded text-sm flex items-center gap-1">
+            <i data-lucide="upload" class="h-4 w-4"></i>
+            Import
+          </button>
+          <button id="export-categories-btn" class="px-3 py-1.5 bg-gray-700 rounded text-sm flex items-center gap-1">
+            <i data-lucide="download" class="h-4 w-4"></i>
+            Export
+          </button>
+          <button id="reset-categories-btn" class="px-3 py-1.5 bg-gray-700 rounded text-sm flex items-center gap-1">
+            <i data-lucide="refresh-cw" class="h-4 w-4"></i>
+            Reset to Defaults
+          </button>
+          <button id="close-categories-btn" class="px-3 py-1.5 bg-blue-600 rounded text-sm ml-auto">Done</button>
+        </div>
+      </div>
+    `;
+  }
+  
+  // Public API
+  return {
+    classifyItem,
+    sortedCategories,
+    getCategoryById,
+    getCategoryByName,
+    addCategory,
+    updateCategory,
+    removeCategory,
+    resetToDefaults,
+    getAllCategories,
+    getCategoryNames,
+    getPatternError,
+    importCategoryConfig,
+    exportCategoryConfig,
+    saveToStorage,
+    loadFromStorage,
+    renderCategoryConfigUI
+  };
+})();
@@ -62,6 +62,123 @@ TestSuite.describe('OptimizedDataProcessor', () => {
       TestSuite.assert.equal(result.stats.totalCustomers, 2, 'Should have 2 valid customers');
       TestSuite.assert.equal(result.stats.totalItems, 0, 'Should have 0 valid items');
     });
+    
+    // Test extra columns
+    TestSuite.it('should keep extra columns as custom fields', () => {
+      const sampleData = [
+        { CustomerNumber: '123', AccountName: 'Test Customer', Address: '123 Test St', ItemID: 'A1', Quantity: '5', 'Gate Code': '4411', 'PO Number': 'PO-1' },
+        { CustomerNumber: '123', AccountName: 'Test Customer', Address: '123 Test St', ItemID: 'A2', Quantity: '3', 'Gate Code': '4411', 'PO Number': 'PO-2' }
+      ];
+      
+      const result = OptimizedDataProcessor.processCSVData(sampleData);
+      const customer = result.customers[0];
+      
+      TestSuite.assert.equal(customer.customFields['Gate Code'], '4411', 'Gate code should be kept on the customer');
+      TestSuite.assert.equal(customer.customFields['PO Number'], undefined, 'Varying column should not be on the customer');
+      TestSuite.assert.equal(customer.items[1].customFields['PO Number'], 'PO-2', 'Varying column should be kept on each item');
+    });
+    
+    TestSuite.it('should give repeated item lines their own keys', () => {
+      const sampleData = [
+        { CustomerNumber: '123', AccountName: 'Test Customer', Address: '123 Test St', ItemID: 'A1', Description: 'Mat 3x5', Quantity: '2' },
+        { CustomerNumber: '123', AccountName: 'Test Customer', Address: '123 Test St', ItemID: 'A1', Description: 'Mat 4x6', Quantity: '1' },
+        { CustomerNumber: '123', AccountName: 'Test Customer', Address: '123 Test St', ItemID: 'A1', Description: 'Mat 4x6', Quantity: '1' }
+      ];
+      
+      const items = OptimizedDataProcessor.processCSVData(sampleData).customers[0].items;
+      const keys = items.map(item => OptimizedDataProcessor.getItemKey('123', item));
+      
+      TestSuite.assert.equal(items.length, 3, 'Should keep every line');
+      TestSuite.assert.equal(keys[0], '123-A1~mat-3x5', 'A repeated item ID should be keyed by description');
+      TestSuite.assert.equal(keys[2], '123-A1~mat-4x6~2', 'Only identical lines should be counted');
+      TestSuite.assert.equal(new Set(keys).size, 3, 'Each line should have its own key');
+      
+      const single = OptimizedDataProcessor.processCSVData([sampleData[0]]).customers[0].items[0];
+      TestSuite.assert.equal(OptimizedDataProcessor.getLineKey(single), 'A1', 'An item ID on one line should keep the plain key');
+    });
+    
+    TestSuite.it('should keep checks on their own lines when a re-import reorders them', () => {
+      const row = (itemId, description) => ({ CustomerNumber: '123', AccountName: 'Test Customer', Address: '123 Test St', ItemID: itemId, Description: description, Quantity: '1' });
+      const monday = OptimizedDataProcessor.processCSVData([row('A1', 'Mat 3x5'), row('A1', 'Mat 4x6'), row('B2', 'Towels')]);
+      
+      // The driver checks off the 4x6 mat
+      const checked = new Set([OptimizedDataProcessor.getItemKey('123', monday.customers[0].items[1])]);
+      
+      const tuesday = OptimizedDataProcessor.processCSVData([row('B2', 'Towels'), row('A1', 'Mat 4x6'), row('A1', 'Mat 3x5')]);
+      const checkedLines = tuesday.customers[0].items
+        .filter(item => checked.has(OptimizedDataProcessor.getItemKey('123', item)))
+        .map(item => item.description);
+      
+      TestSuite.assert.equal(checkedLines.join(','), 'Mat 4x6', 'The check should stay on the 4x6 mat');
+    });
+    
+    TestSuite.it('should consolidate identical lines when asked', () => {
+      const sampleData = [
+        { CustomerNumber: '123', AccountName: 'Test Customer', Address: '123 Test St', ItemID: 'A1', Description: 'Mat 4x6', Quantity: '2' },
+        { CustomerNumber: '123', AccountName: 'Test Customer', Address: '123 Test St', ItemID: 'A1', Description: 'Mat 4x6', Quantity: '3' },
+        { CustomerNumber: '123', AccountName: 'Test Customer', Address: '123 Test St', ItemID: 'A1', Description: 'Mat 3x5', Quantity: '1' }
+      ];
+      
+      const result = OptimizedDataProcessor.processCSVData(sampleData, { consolidate: true });
+      const items = result.customers[0].items;
+      
+      TestSuite.assert.equal(items.length, 2, 'Identical lines should be combined');
+      TestSuite.assert.equal(items[0].quantity, 5, 'Quantities should be summed');
+      TestSuite.assert.equal(result.stats.totalItems, 2, 'Item count should count combined lines once');
+    });
+  });
+  
+  // Test adding rows in chunks, as large files are parsed
+  TestSuite.describe('createAggregator', () => {
+    // A customer's lines spread over the file, a repeated item ID, extra
+    // columns that differ by line and a blank line
+    const sampleData = [
+      { CustomerNumber: '1', AccountName: 'Corner Cafe', Address: '1 Main St', ItemID: 'MAT-1', Description: 'Mat 3x5', Quantity: 2, GateCode: '11', PO: 'A1' },
+      { CustomerNumber: '2', AccountName: 'Hill Diner', Address: '2 Hill Rd', ItemID: 'TWL-1', Description: 'Towel', Quantity: 10, GateCode: '22', PO: 'B1' },
+      { CustomerNumber: '1', AccountName: 'Corner Cafe', Address: '1 Main St', ItemID: 'MAT-1', Description: 'Mat 4x6', Quantity: 1, GateCode: '11', PO: 'A2' },
+      { CustomerNumber: '' },
+      { CustomerNumber: '3', AccountName: 'Quiet Bar', Address: '3 Low St', ItemID: '', Description: '', Quantity: '', GateCode: '', PO: '' },
+      { CustomerNumber: '2', AccountName: 'Hill Diner', Address: '2 Hill Rd', ItemID: 'TWL-1', Description: 'Towel', Quantity: 4, GateCode: '22', PO: 'B1' },
+      { CustomerNumber: '1', AccountName: 'Corner Cafe', Address: '1 Main St', ItemID: 'MAT-1', Description: 'Mat 3x5', Quantity: 3, GateCode: '11', PO: 'A3' }
+    ];
+    
+    const inChunks = (rows, size, options) => {
+      const aggregator = OptimizedDataProcessor.createAggregator(options);
+      for (let start = 0; start < rows.length; start += size) {
+        aggregator.addRows(rows.slice(start, start + size));
+      }
+      return aggregator.finish();
+    };
+    
+    const summary = result => JSON.stringify({
+      customers: result.customers,
+      stats: result.stats,
+      customFields: result.customFields
+    });
+    
+    TestSuite.it('should give the same result in chunks as in one pass', () => {
+      const onePass = summary(OptimizedDataProcessor.processCSVData(sampleData, { sourceRoute: 'Route 33' }));
+      
+      [1, 2, 3, 4, sampleData.length].forEach(size => {
+        TestSuite.assert.equal(summary(inChunks(sampleData, size, { sourceRoute: 'Route 33' })), onePass, `Chunks of ${size} should match one pass`);
+      });
+    });
+    
+    TestSuite.it('should combine lines across chunks the same way', () => {
+      const onePass = OptimizedDataProcessor.processCSVData(sampleData, { consolidate: true });
+      const chunked = inChunks(sampleData, 2, { consolidate: true });
+      
+      TestSuite.assert.equal(summary(chunked), summary(onePass), 'Consolidated chunks should match one pass');
+      TestSuite.assert.equal(chunked.customers.find(customer => customer.customerNumber === '2').items[0].quantity, 14,
+        'Lines in different chunks should be summed');
+    });
+    
+    TestSuite.it('should find extra columns that differ in a later chunk', () => {
+      const chunked = inChunks(sampleData, 2);
+      
+      TestSuite.assert.equal(chunked.customFields.customer.join(','), 'GateCode', 'Gate code is the same on every line');
+      TestSuite.assert.equal(chunked.customFields.item.join(','), 'PO', 'PO differs between lines in different chunks');
+    });
   });
   
   // Test search functionality
@@ -188,6 +305,37 @@ TestSuite.describe('OptimizedDataProcessor', () => {
       TestSuite.assert.isTrue(bechelliIndex < downtownIndex, 'Bechelli Lane should come before Downtown');
     });
     
+    // Test distance optimization
+    TestSuite.it('should sequence stops by distance when asked', () => {
+      const located = sampleProcessedData.customers.map((customer, index) => ({
+        ...customer,
+        latitude: 40.5 + [0.02, 0, 0.01][index],
+        longitude: -122.4
+      }));
+      const route = OptimizedDataProcessor.generateOptimalRoute({
+        customers: located,
+        customersByArea: { 'Downtown': [located[0]], 'Bechelli Lane': [located[1]], 'Shasta Ortho': [located[2]] }
+      }, { optimizeDistance: true, depot: '40.49, -122.4' });
+      
+      TestSuite.assert.equal(route.map(stop => stop.customerNumber).join(','), '456,789,123', 'Stops should run outward from the depot');
+      TestSuite.assert.equal(route[0].latitude, 40.5, 'Route entries should carry coordinates');
+    });
+    
+    // Test time windows
+    TestSuite.it('should reorder to meet time windows when asked', () => {
+      const downtown = [
+        { ...sampleProcessedData.customers[0], timeWindow: '' },
+        { customerNumber: '124', accountName: 'Early Cafe', address: '5 Main St', area: 'Downtown', items: [], timeWindow: 'before 7:05am' }
+      ];
+      const route = OptimizedDataProcessor.generateOptimalRoute({
+        customers: downtown,
+        customersByArea: { 'Downtown': downtown }
+      }, { respectTimeWindows: true, startTime: '07:00', serviceMinutes: 10 });
+      
+      TestSuite.assert.equal(route[0].customerNumber, '124', 'The stop with the early window should come first');
+      TestSuite.assert.equal(route[0].timeWindow, 'before 7:05am', 'Route entries should carry the time window');
+    });
+    
     // Test with empty data
     TestSuite.it('should handle empty data', () => {
       const route = OptimizedDataProcessor.generateOptimalRoute({
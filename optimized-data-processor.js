@@ -16,155 +16,302 @@ const OptimizedDataProcessor = (function() {
     return isNaN(parsed) ? 0 : parsed;
   }
   
+  // Latitude or longitude as a number, null when blank
+  function safeCoordinate(value) {
+    const parsed = parseFloat(safeString(value));
+    return isNaN(parsed) ? null : parsed;
+  }
+  
+  // Columns with their own properties; any other column is kept as a custom field
+  const KNOWN_FIELDS = ["CustomerNumber", "AccountName", "Address", "ItemID", "Description", "Quantity", "Phone", "Mobile", "Email", "Notes", "TimeWindow", "Latitude", "Longitude", "SourceRoute"];
+  
   /**
-   * Process CSV data in a single pass, extracting all needed information
-   * This is more efficient than multiple iterations over the data
+   * Get the non-empty extra columns of a row
    */
-  function processCSVData(csvData) {
-    console.time('processCSVData');
+  function getExtraFields(row) {
+    const extras = {};
     
-    if (!Array.isArray(csvData)) {
-      console.error("CSV data is not an array:", csvData);
-      console.timeEnd('processCSVData');
-      return {
-        customers: [],
-        customersByNumber: {},
-        customersByArea: {},
-        itemsByType: {},
-        stats: {
-          totalCustomers: 0,
-          totalItems: 0,
-          itemsPerCustomer: 0,
-          customersWithoutItems: 0,
-          areaDistribution: {}
-        }
-      };
-    }
+    Object.keys(row).forEach(key => {
+      // Skip blank headers and PapaParse's __parsed_extra
+      if (!key.trim() || key.startsWith('__') || KNOWN_FIELDS.includes(key)) return;
+      
+      const value = safeString(row[key]);
+      if (value) {
+        extras[key.trim()] = value;
+      }
+    });
     
-    try {
-      // Initialize data structures
-      const customers = [];
-      const customersByNumber = {};
-      const customersByArea = {};
-      const itemsByType = {};
-      const areaDistribution = {};
-      const itemCounts = new Map();
-      
-      // Track stats
-      let totalItems = 0;
-      let customersWithItems = 0;
+    return extras;
+  }
+  
+  /**
+   * Result used when there is nothing to process
+   */
+  function emptyResult() {
+    return {
+      customers: [],
+      customersByNumber: {},
+      customersByArea: {},
+      itemsByType: {},
+      stats: {
+        totalCustomers: 0,
+        totalItems: 0,
+        itemsPerCustomer: 0,
+        customersWithoutItems: 0,
+        areaDistribution: {}
+      },
+      customFields: { customer: [], item: [] }
+    };
+  }
+  
+  /**
+   * Identity of an item line within its customer
+   * Lines saved before line keys existed fall back to the item ID
+   */
+  function getLineKey(item) {
+    return item.lineKey || item.itemId;
+  }
+  
+  /**
+   * Completion key for an item line
+   */
+  function getItemKey(customerNumber, item) {
+    return `${customerNumber}-${getLineKey(item)}`;
+  }
+  
+  /**
+   * Give each of a customer's item lines a key that is unique among them
+   * and doesn't depend on the order of the rows: an item ID on one line
+   * keeps the plain ID (so older completion keys still match), and every
+   * line of a repeated item ID adds its description. Only lines with the
+   * same item ID and description are told apart by a count.
+   * Sets lineKey on the items and returns them
+   */
+  function assignLineKeys(items) {
+    const linesPerItem = new Map();
+    items.forEach(item => linesPerItem.set(item.itemId, (linesPerItem.get(item.itemId) || 0) + 1));
+    
+    const seen = new Map();
+    items.forEach(item => {
+      const descriptionKey = safeString(item.description).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+      const baseKey = linesPerItem.get(item.itemId) > 1 && descriptionKey
+        ? `${item.itemId}~${descriptionKey}`
+        : item.itemId;
+      
+      const count = (seen.get(baseKey) || 0) + 1;
+      seen.set(baseKey, count);
+      item.lineKey = count > 1 ? `${baseKey}~${count}` : baseKey;
+    });
+    
+    return items;
+  }
+  
+  /**
+   * Create an aggregator for the single-pass processing
+   * Rows can be added in chunks as a large file is parsed, and finish()
+   * returns the same result as processCSVData
+   * 
+   * Options:
+   *   mapping - column mapping from ColumnMapper, for files whose headers
+   *             don't use the expected field names
+   *   sourceRoute - route name for rows without a SourceRoute column
+   *   consolidate - combine a customer's lines with the same item ID and
+   *                 description (and source route) into one summed line
+   */
+  function createAggregator(options = {}) {
+    // Initialize data structures
+    const customers = [];
+    const customersByNumber = {};
+    const customersByArea = {};
+    const itemsByType = {};
+    const areaDistribution = {};
+    const itemCounts = new Map();
+    const consolidatedLines = new Map();
+    
+    // Extra columns, and those whose value differs between a customer's rows
+    const customFieldNames = new Set();
+    const itemLevelFields = new Set();
+    
+    // Track stats
+    let totalItems = 0;
+    
+    /**
+     * Add one row (using the expected field names) to the aggregation
+     */
+    function addRow(row) {
+      const customerNumber = safeString(row.CustomerNumber);
+      if (!customerNumber) return;
+      
+      const sourceRoute = safeString(row.SourceRoute) || safeString(options.sourceRoute);
       
-      // Single pass through CSV data
-      csvData.forEach(row => {
-        const customerNumber = safeString(row.CustomerNumber);
-        if (!customerNumber) return;
+      // Process customer if not already seen
+      if (!customersByNumber[customerNumber]) {
+        // Get area from the AreaClassifier registry if available
+        let area = "Other";
+        let areaObject = null;
         
-        // Process customer if not already seen
-        if (!customersByNumber[customerNumber]) {
-          // Get area using AreaClassifier if available
-          let area = "Other";
-          let areaObject = null;
-          
-          if (window.AreaClassifier) {
-            areaObject = AreaClassifier.classifyAddress(safeString(row.Address));
-            area = areaObject.name;
-          } else {
-            // Fallback area detection if AreaClassifier not available
-            const address = safeString(row.Address).toLowerCase();
-            if (address.includes("liberty")) {
-              area = "Shasta Ortho";
-            } else if (address.includes("bechelli")) {
-              area = "Bechelli Lane";
-            } else if (address.includes("cypress") || address.includes("hartnell")) {
-              area = "Downtown";
-            } else if (address.includes("churn creek")) {
-              area = "Churn Creek";
-            } else if (address.includes("bonnyview")) {
-              area = "South Redding";
-            }
-          }
-          
-          // Create customer object
-          const customer = {
-            customerNumber,
-            accountName: safeString(row.AccountName),
-            address: safeString(row.Address),
-            area,
-            areaObject,
-            items: [],
-            hasItems: false,
-            completed: false
-          };
-          
-          // Add to data structures
-          customers.push(customer);
-          customersByNumber[customerNumber] = customer;
-          
-          // Initialize area in customersByArea if needed
-          if (!customersByArea[area]) {
-            customersByArea[area] = [];
-            areaDistribution[area] = 0;
-          }
-          
-          customersByArea[area].push(customer);
-          areaDistribution[area]++;
-          
-          // Initialize item count for this customer
-          itemCounts.set(customerNumber, 0);
+        const latitude = safeCoordinate(row.Latitude);
+        const longitude = safeCoordinate(row.Longitude);
+        
+        if (typeof AreaClassifier !== 'undefined') {
+          areaObject = AreaClassifier.classifyAddress(safeString(row.Address), { lat: latitude, lng: longitude });
+          area = areaObject.name;
         }
         
-        // Get the customer object
-        const customer = customersByNumber[customerNumber];
+        // Create customer object
+        const customer = {
+          customerNumber,
+          accountName: safeString(row.AccountName),
+          address: safeString(row.Address),
+          phone: safeString(row.Phone),
+          mobile: safeString(row.Mobile),
+          email: safeString(row.Email),
+          notes: safeString(row.Notes),
+          timeWindow: safeString(row.TimeWindow),
+          latitude,
+          longitude,
+          sourceRoute,
+          sourceRoutes: sourceRoute ? [sourceRoute] : [],
+          area,
+          areaObject,
+          customFields: {},
+          items: [],
+          hasItems: false,
+          completed: false
+        };
         
-        // Process item data if present
-        const itemId = safeString(row.ItemID);
-        if (itemId) {
-          const quantity = safeNumber(row.Quantity);
-          const description = safeString(row.Description);
-          
-          // Create item object
-          const item = {
-            itemId,
-            description,
-            quantity,
-            completed: false
-          };
-          
-          // Add to customer's items
-          customer.items.push(item);
-          customer.hasItems = true;
-          
-          // Track statistics
-          totalItems++;
-          itemCounts.set(customerNumber, itemCounts.get(customerNumber) + 1);
-          
-          // Categorize item by type (first word of description)
-          const itemType = description.split('-')[0].trim() || "Unknown";
-          if (!itemsByType[itemType]) {
-            itemsByType[itemType] = [];
-          }
-          itemsByType[itemType].push({
-            customerNumber,
-            accountName: customer.accountName,
-            itemId,
-            description,
-            quantity
-          });
+        // Add to data structures
+        customers.push(customer);
+        customersByNumber[customerNumber] = customer;
+        
+        // Initialize area in customersByArea if needed
+        if (!customersByArea[area]) {
+          customersByArea[area] = [];
+          areaDistribution[area] = 0;
+        }
+        
+        customersByArea[area].push(customer);
+        areaDistribution[area]++;
+        
+        // Initialize item count for this customer
+        itemCounts.set(customerNumber, 0);
+      }
+      
+      // Get the customer object
+      const customer = customersByNumber[customerNumber];
+      
+      // A customer on more than one merged route keeps every source
+      if (sourceRoute && !customer.sourceRoutes.includes(sourceRoute)) {
+        customer.sourceRoutes.push(sourceRoute);
+      }
+      
+      // Keep extra columns; a column that varies within a customer belongs to the items
+      const extras = getExtraFields(row);
+      Object.entries(extras).forEach(([field, value]) => {
+        customFieldNames.add(field);
+        if (customer.customFields[field] === undefined) {
+          customer.customFields[field] = value;
+        } else if (customer.customFields[field] !== value) {
+          itemLevelFields.add(field);
         }
       });
       
+      // Process item data if present
+      const itemId = safeString(row.ItemID);
+      if (itemId) {
+        const quantity = safeNumber(row.Quantity);
+        const description = safeString(row.Description);
+        
+        // Add to an identical line when consolidating
+        const consolidateKey = `${customerNumber}|${sourceRoute}|${itemId}|${description}`;
+        if (options.consolidate && consolidatedLines.has(consolidateKey)) {
+          const line = consolidatedLines.get(consolidateKey);
+          line.item.quantity += quantity;
+          line.entry.quantity += quantity;
+          return;
+        }
+        
+        // Categorize item using ItemClassifier if available
+        const category = typeof ItemClassifier !== 'undefined'
+          ? ItemClassifier.classifyItem({ itemId, description }).name
+          : "Other";
+        
+        // Create item object
+        const item = {
+          itemId,
+          description,
+          quantity,
+          category,
+          sourceRoute,
+          customFields: extras,
+          completed: false
+        };
+        
+        // Add to customer's items
+        customer.items.push(item);
+        customer.hasItems = true;
+        
+        // Track statistics
+        totalItems++;
+        itemCounts.set(customerNumber, itemCounts.get(customerNumber) + 1);
+        
+        // Group items by category
+        if (!itemsByType[category]) {
+          itemsByType[category] = [];
+        }
+        const entry = {
+          customerNumber,
+          accountName: customer.accountName,
+          itemId,
+          description,
+          quantity
+        };
+        itemsByType[category].push(entry);
+        
+        if (options.consolidate) {
+          consolidatedLines.set(consolidateKey, { item, entry });
+        }
+      }
+    }
+    
+    /**
+     * Add a chunk of rows
+     */
+    function addRows(csvRows) {
+      // Rename mapped columns to the expected field names
+      const rows = options.mapping && typeof ColumnMapper !== 'undefined'
+        ? ColumnMapper.applyMapping(csvRows, options.mapping)
+        : csvRows;
+      
+      rows.forEach(addRow);
+    }
+    
+    /**
+     * Finish the aggregation and return the processed data and statistics
+     */
+    function finish() {
+      let customersWithItems = 0;
+      
+      // Each custom field lives on either the customer or its items
+      const customerLevelFields = Array.from(customFieldNames).filter(field => !itemLevelFields.has(field));
+      
       // Calculate additional statistics
       for (const customer of customers) {
         if (customer.hasItems) {
           customersWithItems++;
         }
+        
+        assignLineKeys(customer.items);
+        
+        itemLevelFields.forEach(field => delete customer.customFields[field]);
+        customer.items.forEach(item => {
+          customerLevelFields.forEach(field => delete item.customFields[field]);
+        });
       }
       
       const customersWithoutItems = customers.length - customersWithItems;
       const itemsPerCustomer = customers.length > 0 ? totalItems / customers.length : 0;
       
-      console.timeEnd('processCSVData');
-      
       // Return all processed data and statistics
       return {
         customers,
@@ -177,31 +324,62 @@ const OptimizedDataProcessor = (function() {
           itemsPerCustomer,
           customersWithoutItems,
           areaDistribution
+        },
+        customFields: {
+          customer: customerLevelFields,
+          item: Array.from(itemLevelFields)
         }
       };
+    }
+    
+    return {
+      addRows,
+      finish
+    };
+  }
+  
+  /**
+   * Process CSV data in a single pass, extracting all needed information
+   * This is more efficient than multiple iterations over the data
+   * 
+   * Options: see createAggregator
+   */
+  function processCSVData(csvData, options = {}) {
+    console.time('processCSVData');
+    
+    if (!Array.isArray(csvData)) {
+      console.error("CSV data is not an array:", csvData);
+      console.timeEnd('processCSVData');
+      return emptyResult();
+    }
+    
+    try {
+      const aggregator = createAggregator(options);
+      aggregator.addRows(csvData);
+      const result = aggregator.finish();
+      
+      console.timeEnd('processCSVData');
+      return result;
     } catch (error) {
       console.error("Error processing CSV data:", error);
       console.timeEnd('processCSVData');
       
       // Return empty data on error
-      return {
-        customers: [],
-        customersByNumber: {},
-        customersByArea: {},
-        itemsByType: {},
-        stats: {
-          totalCustomers: 0,
-          totalItems: 0,
-          itemsPerCustomer: 0,
-          customersWithoutItems: 0,
-          areaDistribution: {}
-        }
-      };
+      return emptyResult();
     }
   }
   
   /**
    * Generate optimal route in a performance-efficient way
+   *
+   * Options:
+   *   sortByAddress - sort each area by street and house number
+   *   optimizeDistance - sequence stops by distance from their coordinates
+   *                      (see RouteOptimizer.optimize for depot, end,
+   *                      keepAreasTogether and areaOrder)
+   *   respectTimeWindows - reorder so stops are reached inside their time
+   *                        windows (see RouteSchedule.schedule for startTime,
+   *                        serviceMinutes and speedKmh)
    */
   function generateOptimalRoute(processedData, options = {}) {
     console.time('generateOptimalRoute');
@@ -216,21 +394,14 @@ const OptimizedDataProcessor = (function() {
       
       // Get configuration 
       const sortByAddress = options.sortByAddress || false;
+      const optimizeDistance = options.optimizeDistance && typeof RouteOptimizer !== 'undefined';
+      const respectTimeWindows = options.respectTimeWindows && typeof RouteSchedule !== 'undefined';
       
-      // Get area order from AreaClassifier if available, or use default
-      let areaOrder;
-      if (window.AreaClassifier) {
-        areaOrder = AreaClassifier.getAreaNames();
-      } else {
-        areaOrder = [
-          "Shasta Ortho", 
-          "Bechelli Lane", 
-          "Downtown", 
-          "Churn Creek", 
-          "South Redding", 
-          "Other"
-        ];
-      }
+      // Get area order from AreaClassifier if available, or keep the
+      // order the areas were first seen in
+      const areaOrder = typeof AreaClassifier !== 'undefined'
+        ? AreaClassifier.getAreaNames()
+        : Object.keys(customersByArea);
       
       // Create route by iterating through areas in order
       const route = [];
@@ -240,8 +411,11 @@ const OptimizedDataProcessor = (function() {
         
         if (areaCustomers && areaCustomers.length > 0) {
           if (sortByAddress) {
-            // Sort customers within area by address
+            // Sort customers within area by street, then house number
             areaCustomers.sort((a, b) => {
+              if (typeof AddressParser !== 'undefined') {
+                return AddressParser.compareAddresses(a.address, b.address);
+              }
               return safeString(a.address).localeCompare(safeString(b.address));
             });
           }
@@ -255,14 +429,24 @@ const OptimizedDataProcessor = (function() {
               area: customer.area,
               hasItems: customer.hasItems,
               itemCount: customer.items ? customer.items.length : 0,
-              coordinates: customer.coordinates // If available
+              latitude: customer.latitude,
+              longitude: customer.longitude,
+              timeWindow: customer.timeWindow
             });
           });
         }
       }
       
+      // Sequence by distance from the coordinates, within and across areas
+      let sequenced = optimizeDistance ? RouteOptimizer.optimize(route, options).stops : route;
+      
+      // Then move stops as needed to reach them inside their time windows
+      if (respectTimeWindows) {
+        sequenced = RouteSchedule.sequenceWithWindows(sequenced, options).stops;
+      }
+      
       console.timeEnd('generateOptimalRoute');
-      return route;
+      return sequenced;
     } catch (error) {
       console.error("Error generating optimal route:", error);
       console.timeEnd('generateOptimalRoute');
@@ -357,7 +541,7 @@ const OptimizedDataProcessor = (function() {
           // Check status of each item
           customer.items.forEach(item => {
             totalItems++;
-            const itemKey = `${customer.customerNumber}-${item.itemId}`;
+            const itemKey = getItemKey(customer.customerNumber, item);
             
             if (checkedItems[itemKey]) {
               completedItems++;
@@ -406,6 +590,10 @@ const OptimizedDataProcessor = (function() {
   // Public API
   return {
     processCSVData,
+    createAggregator,
+    getItemKey,
+    getLineKey,
+    assignLineKeys,
     generateOptimalRoute,
     searchItems,
     calculateCompletionStatus
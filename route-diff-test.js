@@ -0,0 +1,113 @@
+/**
+ * Unit tests for route-diff.js
+ */
+
+TestSuite.describe('RouteDiff', () => {
+  const customer = (customerNumber, items = [], fields = {}) => ({
+    customerNumber,
+    accountName: `Customer ${customerNumber}`,
+    address: `${customerNumber} Main St`,
+    items: items.map(([itemId, quantity]) => ({ itemId, description: `Item ${itemId}`, quantity })),
+    ...fields
+  });
+  
+  const numbersOf = customers => customers.map(entry => entry.customerNumber).join(',');
+  
+  TestSuite.describe('diffRoutes', () => {
+    TestSuite.it('should find no changes in the same route', () => {
+      const route = [customer('1', [['A', 2]]), customer('2', [['B', 1]])];
+      const diff = RouteDiff.diffRoutes(route, route.map(entry => ({ ...entry })));
+      
+      TestSuite.assert.isFalse(diff.hasChanges, 'Nothing should have changed');
+      TestSuite.assert.equal(diff.unchangedCount, 2, 'Both stops should be unchanged');
+    });
+    
+    TestSuite.it('should list added and dropped customers', () => {
+      const diff = RouteDiff.diffRoutes(
+        [customer('1'), customer('2'), customer('3')],
+        [customer('2'), customer('3'), customer('4'), customer('5')]
+      );
+      
+      TestSuite.assert.isTrue(diff.hasChanges, 'The route should have changed');
+      TestSuite.assert.equal(numbersOf(diff.addedCustomers), '4,5', 'New customers should be listed');
+      TestSuite.assert.equal(numbersOf(diff.removedCustomers), '1', 'Dropped customers should be listed');
+      TestSuite.assert.equal(diff.changedCustomers.length, 0, 'Kept customers are unchanged');
+      TestSuite.assert.equal(diff.unchangedCount, 2, 'Kept customers should be counted');
+    });
+    
+    TestSuite.it('should match customer numbers whether they are numbers or text', () => {
+      const diff = RouteDiff.diffRoutes([customer(100)], [customer('100 ', [], { accountName: 'Customer 100', address: '100 Main St' })]);
+      
+      TestSuite.assert.isFalse(diff.hasChanges, 'The same customer should match');
+    });
+    
+    TestSuite.it('should report changed names and addresses', () => {
+      const diff = RouteDiff.diffRoutes(
+        [customer('1'), customer('2'), customer('3')],
+        [
+          customer('1', [], { address: '9 New Rd' }),
+          customer('2', [], { accountName: 'Renamed Cafe' }),
+          customer('3', [], { address: '3 MAIN ST' })
+        ]
+      );
+      
+      TestSuite.assert.equal(numbersOf(diff.changedCustomers), '1,2', 'A change of case is not a new address');
+      const [moved, renamed] = diff.changedCustomers;
+      TestSuite.assert.equal(moved.addressChange.from, '1 Main St', 'The old address should be kept');
+      TestSuite.assert.equal(moved.addressChange.to, '9 New Rd', 'The new address should be given');
+      TestSuite.assert.isTrue(moved.nameChange === null, 'The name did not change');
+      TestSuite.assert.equal(renamed.nameChange.to, 'Renamed Cafe', 'The new name should be given');
+      TestSuite.assert.equal(renamed.accountName, 'Renamed Cafe', 'Changes are listed under the new name');
+    });
+    
+    TestSuite.it('should report added and removed items', () => {
+      const diff = RouteDiff.diffRoutes(
+        [customer('1', [['A', 2], ['B', 1]])],
+        [customer('1', [['A', 2], ['C', 4]])]
+      );
+      
+      const [change] = diff.changedCustomers;
+      TestSuite.assert.equal(change.itemsAdded.map(item => `${item.itemId}:${item.quantity}`).join(','), 'C:4', 'The new item should be listed');
+      TestSuite.assert.equal(change.itemsRemoved.map(item => `${item.itemId}:${item.quantity}`).join(','), 'B:1', 'The dropped item should be listed');
+      TestSuite.assert.equal(change.quantityChanges.length, 0, 'Unchanged items are not listed');
+    });
+    
+    TestSuite.it('should report quantity changes', () => {
+      const diff = RouteDiff.diffRoutes(
+        [customer('1', [['A', 2], ['B', 1]])],
+        [customer('1', [['A', 5], ['B', 1]])]
+      );
+      
+      const [change] = diff.changedCustomers;
+      TestSuite.assert.equal(change.quantityChanges.length, 1, 'One quantity should have changed');
+      TestSuite.assert.equal(change.quantityChanges[0].itemId, 'A', 'The changed item should be named');
+      TestSuite.assert.equal(change.quantityChanges[0].from, 2, 'The old quantity should be given');
+      TestSuite.assert.equal(change.quantityChanges[0].to, 5, 'The new quantity should be given');
+    });
+    
+    TestSuite.it('should total an item split over several lines', () => {
+      const diff = RouteDiff.diffRoutes(
+        [customer('1', [['A', 4]])],
+        [customer('1', [['A', 1], ['A', 3]]), customer('2', [['B', 1], ['B', 2]])]
+      );
+      
+      TestSuite.assert.equal(diff.changedCustomers.length, 0, 'The same total on two lines is no change');
+      TestSuite.assert.equal(numbersOf(diff.addedCustomers), '2', 'The new customer should be listed once');
+    });
+  });
+  
+  TestSuite.describe('renderDiffUI', () => {
+    TestSuite.it('should list each kind of change', () => {
+      const diff = RouteDiff.diffRoutes(
+        [customer('1', [['A', 2]]), customer('2')],
+        [customer('1', [['A', 3]], { address: '<b>1 New Rd</b>' }), customer('3')]
+      );
+      const html = RouteDiff.renderDiffUI(diff);
+      
+      TestSuite.assert.stringContains(html, 'New Customers (1)', 'Added customers should be listed');
+      TestSuite.assert.stringContains(html, 'Dropped Customers (1)', 'Dropped customers should be listed');
+      TestSuite.assert.stringContains(html, 'Item A: 2 → 3', 'Quantity changes should be shown');
+      TestSuite.assert.stringContains(html, '&lt;b&gt;1 New Rd&lt;/b&gt;', 'Addresses should be escaped');
+    });
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * route-diff.js
+ * Compares the current route with a newly imported one for Route 33 Guide
+ * so drivers can see what changed before the old route is replaced
+ */
+
+const RouteDiff = (function() {
+  // Safe string handling
+  function safeString(str) {
+    return (str !== undefined && str !== null) ? String(str).trim() : "";
+  }
+  
+  /**
+   * Index customers by customer number
+   */
+  function indexCustomers(routeData) {
+    const index = new Map();
+    (routeData || []).forEach(customer => {
+      index.set(safeString(customer.customerNumber), customer);
+    });
+    return index;
+  }
+  
+  /**
+   * Total up a customer's items by item ID
+   * (the same item can appear on more than one line)
+   */
+  function summarizeItems(customer) {
+    const items = new Map();
+    (customer.items || []).forEach(item => {
+      const itemId = safeString(item.itemId);
+      const existing = items.get(itemId);
+      
+      if (existing) {
+        existing.quantity += item.quantity || 0;
+      } else {
+        items.set(itemId, {
+          itemId,
+          description: item.description,
+          quantity: item.quantity || 0
+        });
+      }
+    });
+    return items;
+  }
+  
+  /**
+   * Compare the items of one customer in the old and new route
+   */
+  function diffItems(oldCustomer, newCustomer) {
+    const oldItems = summarizeItems(oldCustomer);
+    const newItems = summarizeItems(newCustomer);
+    
+    const itemsAdded = [];
+    const itemsRemoved = [];
+    const quantityChanges = [];
+    
+    newItems.forEach((item, itemId) => {
+      const oldItem = oldItems.get(itemId);
+      if (!oldItem) {
+        itemsAdded.push(item);
+      } else if (oldItem.quantity !== item.quantity) {
+        quantityChanges.push({
+          itemId,
+          description: item.description,
+          from: oldItem.quantity,
+          to: item.quantity
+        });
+      }
+    });
+    
+    oldItems.forEach((item, itemId) => {
+      if (!newItems.has(itemId)) {
+        itemsRemoved.push(item);
+      }
+    });
+    
+    return { itemsAdded, itemsRemoved, quantityChanges };
+  }
+  
+  /**
+   * Compare two route data arrays
+   * Returns added/dropped customers and per-stop changes
+   */
+  function diffRoutes(oldRouteData, newRouteData) {
+    const oldIndex = indexCustomers(oldRouteData);
+    const newIndex = indexCustomers(newRouteData);
+    
+    const addedCustomers = [];
+    const removedCustomers = [];
+    const changedCustomers = [];
+    
+    newIndex.forEach((newCustomer, customerNumber) => {
+      const oldCustomer = oldIndex.get(customerNumber);
+      
+      if (!oldCustomer) {
+        addedCustomers.push(newCustomer);
+        return;
+      }
+      
+      const changes = {
+        customerNumber,
+        accountName: newCustomer.accountName,
+        nameChange: null,
+        addressChange: null,
+        ...diffItems(oldCustomer, newCustomer)
+      };
+      
+      if (safeString(oldCustomer.accountName) !== safeString(newCustomer.accountName)) {
+        changes.nameChange = { from: oldCustomer.accountName, to: newCustomer.accountName };
+      }
+      
+      if (safeString(oldCustomer.address).toLowerCase() !== safeString(newCustomer.address).toLowerCase()) {
+        changes.addressChange = { from: oldCustomer.address, to: newCustomer.address };
+      }
+      
+      if (changes.nameChange || changes.addressChange ||
+          changes.itemsAdded.length > 0 || changes.itemsRemoved.length > 0 || changes.quantityChanges.length > 0) {
+        changedCustomers.push(changes);
+      }
+    });
+    
+    oldIndex.forEach((oldCustomer, customerNumber) => {
+      if (!newIndex.has(customerNumber)) {
+        removedCustomers.push(oldCustomer);
+      }
+    });
+    
+    return {
+      addedCustomers,
+      removedCustomers,
+      changedCustomers,
+      unchangedCount: newIndex.size - addedCustomers.length - changedCustomers.length,
+      hasChanges: addedCustomers.length > 0 || removedCustomers.length > 0 || changedCustomers.length > 0
+    };
+  }
+  
+  /**
+   * Sanitize text for safe HTML insertion
+   */
+  function sanitizeHTML(text) {
+    return safeString(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+  
+  /**
+   * Render a section listing whole customers
+   */
+  function renderCustomerList(title, customers, colorClass, icon) {
+    if (customers.length === 0) return '';
+    
+    return `
+      <div class="mb-4">
+        <h3 class="text-sm font-medium mb-1 ${colorClass} flex items-center">
+          <i data-lucide="${icon}" class="h-4 w-4 mr-2"></i>
+          ${title} (${customers.length})
+        </h3>
+        <ul class="text-sm space-y-1 pl-6">
+          ${customers.map(customer => `
+            <li>
+              <strong>${sanitizeHTML(customer.accountName)}</strong>
+              <span class="text-gray-400">- ${sanitizeHTML(customer.address)}</span>
+            </li>
+          `).join('')}
+        </ul>
+      </div>
+    `;
+  }
+  
+  /**
+   * Render the diff with accept/cancel choices
+   */
+  function renderDiffUI(diff) {
+    const changedHtml = diff.changedCustomers.length === 0 ? '' : `
+      <div class="mb-4">
+        <h3 class="text-sm font-medium mb-1 text-yellow-400 flex items-center">
+          <i data-lucide="edit" class="h-4 w-4 mr-2"></i>
+          Changed Stops (${diff.changedCustomers.length})
+        </h3>
+        <div class="space-y-2 pl-6">
+          ${diff.changedCustomers.map(change => `
+            <div class="text-sm">
+              <strong>${sanitizeHTML(change.accountName)}</strong>
+              <ul class="text-gray-300 pl-4 list-disc">
+                ${change.nameChange ? `<li>Name: ${sanitizeHTML(change.nameChange.from)} → ${sanitizeHTML(change.nameChange.to)}</li>` : ''}
+                ${change.addressChange ? `<li>Address: ${sanitizeHTML(change.addressChange.from)} → ${sanitizeHTML(change.addressChange.to)}</li>` : ''}
+                ${change.itemsAdded.map(item => `
+                  <li class="text-green-400">+ ${sanitizeHTML(item.description || item.itemId)} (${item.quantity})</li>
+                `).join('')}
+                ${change.itemsRemoved.map(item => `
+                  <li class="text-red-400">− ${sanitizeHTML(item.description || item.itemId)} (${item.quantity})</li>
+                `).join('')}
+                ${change.quantityChanges.map(item => `
+                  <li>${sanitizeHTML(item.description || item.itemId)}: ${item.from} → ${item.to}</li>
+                `).join('')}
+              </ul>
+            </div>
+          `).join('')}
+        </div>
+      </div>
+    `;
+    
+    return `
+      <div class="bg-gray-800 p-4 rounded-lg animate-fadeIn" id="route-diff">
+        <h2 class="text-lg font-semibold mb-1">What Changed</h2>
+        <p class="text-sm text-gray-400 mb-4">
+          Review the changes from the new file before it replaces your current route.
+          ${diff.unchangedCount} stops are unchanged.
+        </p>
+        ${renderCustomerList('New Customers', diff.addedCustomers, 'text-green-400', 'user-plus')}
+        ${renderCustomerList('Dropped Customers', diff.removedCustomers, 'text-red-400', 'user-minus')}
+        ${changedHtml}
+        <div class="flex justify-end gap-2 mt-4">
+          <button id="cancel-diff-btn" class="px-3 py-1.5 bg-gray-700 rounded text-sm">Cancel</button>
+          <button id="accept-diff-btn" class="px-3 py-1.5 bg-blue-600 rounded text-sm">Accept Changes</button>
+        </div>
+      </div>
+    `;
+  }
+  
+  // Public API
+  return {
+    diffRoutes,
+    renderDiffUI
+  };
+})();
@@ -0,0 +1,77 @@
+/**
+ * Unit tests for route-optimizer.js
+ */
+
+TestSuite.describe('RouteOptimizer', () => {
+  // Stops along a north-south line, 0.01° (about 1.1 km) apart
+  const stopAt = (customerNumber, step, area = 'Downtown') => ({
+    customerNumber,
+    area,
+    latitude: 40 + step * 0.01,
+    longitude: -122
+  });
+  
+  TestSuite.describe('optimize', () => {
+    TestSuite.it('should shorten a scrambled route', () => {
+      const stops = [stopAt('A', 0), stopAt('B', 3), stopAt('C', 1), stopAt('D', 4), stopAt('E', 2)];
+      const result = RouteOptimizer.optimize(stops);
+      const order = result.stops.map(stop => stop.customerNumber).join('');
+      
+      TestSuite.assert.isTrue(order === 'ACEBD' || order === 'DBECA', `Stops should run along the line, got ${order}`);
+      TestSuite.assert.isTrue(result.distanceAfter < result.distanceBefore, 'Distance should go down');
+      TestSuite.assert.equal(result.stops.length, 5, 'No stops should be lost');
+    });
+    
+    TestSuite.it('should start from the depot and finish at the end point', () => {
+      const stops = [stopAt('A', 0), stopAt('B', 1), stopAt('C', 2)];
+      
+      const fromNorth = RouteOptimizer.optimize(stops, { depot: '40.05, -122' });
+      TestSuite.assert.equal(fromNorth.stops[0].customerNumber, 'C', 'Nearest stop to the depot should come first');
+      
+      const endNorth = RouteOptimizer.optimize(stops, { depot: { lat: 40.01, lng: -122 }, end: '40.05, -122' });
+      TestSuite.assert.equal(endNorth.stops[2].customerNumber, 'C', 'Stop nearest the end point should come last');
+    });
+    
+    TestSuite.it('should keep areas together and order the areas by distance', () => {
+      const stops = [
+        stopAt('N1', 10, 'North'), stopAt('S1', 0, 'South'),
+        stopAt('N2', 11, 'North'), stopAt('S2', 1, 'South')
+      ];
+      const result = RouteOptimizer.optimize(stops, { depot: '39.99, -122' });
+      
+      TestSuite.assert.equal(result.stops.map(stop => stop.customerNumber).join(','), 'S1,S2,N1,N2', 'South should be done first, then North');
+      TestSuite.assert.equal(result.areaOrder.join(','), 'South,North', 'Area order should be reported');
+      
+      const fixed = RouteOptimizer.optimize(stops, { depot: '39.99, -122', areaOrder: ['North', 'South'] });
+      TestSuite.assert.equal(fixed.stops[0].area, 'North', 'A fixed area order should be kept');
+    });
+    
+    TestSuite.it('should leave stops without coordinates at the end of their area', () => {
+      const stops = [
+        { customerNumber: 'X', area: 'Downtown', latitude: null, longitude: null },
+        stopAt('B', 1), stopAt('A', 0),
+        { customerNumber: 'Y', area: 'Downtown', latitude: 0, longitude: 0 }
+      ];
+      const result = RouteOptimizer.optimize(stops, { depot: '40, -122' });
+      
+      TestSuite.assert.equal(result.stops.map(stop => stop.customerNumber).join(','), 'A,B,X,Y', 'Unlocated stops should follow in their original order');
+      TestSuite.assert.equal(result.unlocated, 2, 'Unlocated stops should be counted');
+    });
+  });
+  
+  TestSuite.describe('routeDistance', () => {
+    TestSuite.it('should add the legs from the depot to the end point', () => {
+      const leg = RouteOptimizer.distanceMeters({ lat: 40, lng: -122 }, { lat: 40.01, lng: -122 });
+      const distance = RouteOptimizer.routeDistance([stopAt('A', 1)], { depot: '40, -122', end: '40.02, -122' });
+      
+      TestSuite.assert.isTrue(Math.abs(leg - 1112) < 5, `0.01° of latitude should be about 1.1 km, got ${leg}`);
+      TestSuite.assert.isTrue(Math.abs(distance - 2 * leg) < 1, 'Both legs should be counted');
+    });
+    
+    TestSuite.it('should reject invalid points', () => {
+      TestSuite.assert.equal(RouteOptimizer.parsePoint('not a point'), null, 'Text should not parse');
+      TestSuite.assert.equal(RouteOptimizer.parsePoint('95, 10'), null, 'Latitude should be in range');
+      TestSuite.assert.equal(RouteOptimizer.formatDistance(1500), '1.5 km', 'Distances should format in km');
+    });
+  });
+});
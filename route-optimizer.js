@@ -0,0 +1,340 @@
+/**
+ * route-optimizer.js
+ * Distance-based stop sequencing for Route 33 Guide
+ * Orders stops that have coordinates with a nearest-neighbour tour improved
+ * by 2-opt and Or-opt moves. Runs entirely in the browser (straight-line
+ * distances, no map service).
+ */
+
+const RouteOptimizer = (function() {
+  // Mean earth radius
+  const EARTH_RADIUS_METERS = 6371000;
+  
+  // Improvement passes before giving up on finding a shorter route
+  const MAX_PASSES = 50;
+  
+  // Longest run of stops Or-opt moves at once
+  const MAX_SEGMENT = 3;
+  
+  // Smallest saving counted as an improvement, so float noise can't loop
+  const EPSILON = 1e-6;
+  
+  /**
+   * Read a { lat, lng } point; null when it's missing or 0,0
+   */
+  function toPoint(lat, lng) {
+    const latitude = parseFloat(lat);
+    const longitude = parseFloat(lng);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+        Math.abs(latitude) > 90 || Math.abs(longitude) > 180 ||
+        (latitude === 0 && longitude === 0)) {
+      return null;
+    }
+    return { lat: latitude, lng: longitude };
+  }
+  
+  /**
+   * Read a point from "lat, lng" text or a { lat, lng } object
+   */
+  function parsePoint(value) {
+    if (!value) return null;
+    if (typeof value === 'object') {
+      return toPoint(value.lat, value.lng);
+    }
+    const [lat, lng] = String(value).split(',');
+    return toPoint(lat, lng);
+  }
+  
+  /**
+   * A stop's position from its latitude/longitude, or null
+   */
+  function getStopPoint(stop) {
+    return stop ? toPoint(stop.latitude, stop.longitude) : null;
+  }
+  
+  /**
+   * Great-circle distance in meters between two points
+   */
+  function distanceMeters(a, b) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(b.lat - a.lat);
+    const dLng = toRadians(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+  }
+  
+  /**
+   * Total distance of a route in meters: depot, each stop with coordinates
+   * in order, then the end point. Stops without coordinates are skipped.
+   */
+  function routeDistance(stops, options = {}) {
+    const points = [parsePoint(options.depot), ...(stops || []).map(getStopPoint), parsePoint(options.end)]
+      .filter(Boolean);
+    
+    let total = 0;
+    for (let i = 1; i < points.length; i++) {
+      total += distanceMeters(points[i - 1], points[i]);
+    }
+    return total;
+  }
+  
+  /**
+   * Order points to shorten the path from start to end
+   * start and end may be null (a free end). Returns indexes into points.
+   */
+  function solvePath(points, start, end) {
+    const n = points.length;
+    if (n < 2) {
+      return points.map((point, index) => index);
+    }
+    
+    // Distance matrix; index n is the start, n + 1 the end
+    const nodes = [...points, start, end];
+    const matrix = nodes.map(a => nodes.map(b => (a && b ? distanceMeters(a, b) : 0)));
+    const START = n;
+    const END = n + 1;
+    const d = (i, j) => matrix[i][j];
+    
+    // Nearest-neighbour construction, from the start or the first stop
+    const order = [];
+    const visited = new Array(n).fill(false);
+    let current = start ? START : 0;
+    if (!start) {
+      order.push(0);
+      visited[0] = true;
+    }
+    while (order.length < n) {
+      let next = -1;
+      for (let i = 0; i < n; i++) {
+        if (!visited[i] && (next === -1 || d(current, i) < d(current, next))) {
+          next = i;
+        }
+      }
+      order.push(next);
+      visited[next] = true;
+      current = next;
+    }
+    
+    // Neighbours of a position, with the fixed ends outside the order
+    const before = (route, i) => (i === 0 ? START : route[i - 1]);
+    const after = (route, i) => (i === route.length - 1 ? END : route[i + 1]);
+    
+    for (let pass = 0; pass < MAX_PASSES; pass++) {
+      let improved = false;
+      
+      // 2-opt: reverse order[i..k] when that shortens the path
+      for (let i = 0; i < n - 1; i++) {
+        for (let k = i + 1; k < n; k++) {
+          const prev = before(order, i);
+          const next = after(order, k);
+          const delta = d(prev, order[k]) + d(order[i], next) - d(prev, order[i]) - d(order[k], next);
+          if (delta < -EPSILON) {
+            const reversed = order.slice(i, k + 1).reverse();
+            order.splice(i, reversed.length, ...reversed);
+            improved = true;
+          }
+        }
+      }
+      
+      // Or-opt: move a run of up to MAX_SEGMENT stops elsewhere, either way round
+      for (let length = 1; length <= MAX_SEGMENT && length < n; length++) {
+        for (let i = 0; i + length <= n; i++) {
+          const first = order[i];
+          const last = order[i + length - 1];
+          const prev = before(order, i);
+          const next = after(order, i + length - 1);
+          const removeGain = d(prev, first) + d(last, next) - d(prev, next);
+          
+          const rest = order.slice(0, i).concat(order.slice(i + length));
+          let best = null;
+          for (let j = 0; j <= rest.length; j++) {
+            if (j === i) continue;
+            const left = j === 0 ? START : rest[j - 1];
+            const right = j === rest.length ? END : rest[j];
+            const forward = d(left, first) + d(last, right) - d(left, right);
+            const backward = d(left, last) + d(first, right) - d(left, right);
+            const cost = Math.min(forward, backward);
+            if (cost - removeGain < -EPSILON && (!best || cost < best.cost)) {
+              best = { j, cost, reverse: backward < forward };
+            }
+          }
+          
+          if (best) {
+            const segment = order.slice(i, i + length);
+            if (best.reverse) segment.reverse();
+            rest.splice(best.j, 0, ...segment);
+            order.splice(0, n, ...rest);
+            improved = true;
+          }
+        }
+      }
+      
+      if (!improved) break;
+    }
+    
+    return order;
+  }
+  
+  /**
+   * Sequence stops by distance
+   * stops need latitude/longitude to be placed; those without stay in their
+   * current order after the placed stops (of their area, when areas are
+   * kept together).
+   *
+   * Options:
+   *   depot - where the day starts ("lat, lng" or { lat, lng })
+   *   end - where the day ends; defaults to a free end
+   *   keepAreasTogether - keep each area's stops in one block (default true)
+   *   areaOrder - fixed block order (area names); by default the blocks
+   *               follow the best overall tour
+   *
+   * Returns { stops, areaOrder, distanceBefore, distanceAfter, unlocated }
+   * with distances in meters
+   */
+  function optimize(stops, options = {}) {
+    const list = Array.isArray(stops) ? stops : [];
+    const depot = parsePoint(options.depot);
+    const end = parsePoint(options.end);
+    const keepAreasTogether = options.keepAreasTogether !== false;
+    const distanceBefore = routeDistance(list, options);
+    
+    try {
+      const sequence = (group, from, to) => {
+        const located = group.filter(stop => getStopPoint(stop));
+        const unlocated = group.filter(stop => !getStopPoint(stop));
+        const order = solvePath(located.map(getStopPoint), from, to);
+        return order.map(index => located[index]).concat(unlocated);
+      };
+      
+      // Best tour over every stop; also decides the area order
+      const tour = sequence(list, depot, end);
+      let result = tour;
+      let areaOrder = [];
+      
+      if (keepAreasTogether) {
+        const groups = new Map();
+        list.forEach(stop => {
+          if (!groups.has(stop.area)) groups.set(stop.area, []);
+          groups.get(stop.area).push(stop);
+        });
+        
+        if (Array.isArray(options.areaOrder)) {
+          areaOrder = options.areaOrder.filter(area => groups.has(area))
+            .concat(Array.from(groups.keys()).filter(area => !options.areaOrder.includes(area)));
+        } else {
+          // Areas in the order the tour passes through them, on average
+          const averagePosition = area => {
+            const positions = tour.map((stop, index) => (stop.area === area && getStopPoint(stop) ? index : -1)).filter(index => index >= 0);
+            return positions.length > 0 ? positions.reduce((sum, index) => sum + index, 0) / positions.length : Infinity;
+          };
+          areaOrder = Array.from(groups.keys()).sort((a, b) => averagePosition(a) - averagePosition(b));
+        }
+        
+        // Sequence each block from where the last one finished
+        result = [];
+        areaOrder.forEach((area, index) => {
+          const lastPlaced = [...result].reverse().find(stop => getStopPoint(stop));
+          const from = lastPlaced ? getStopPoint(lastPlaced) : depot;
+          const to = index === areaOrder.length - 1 ? end : null;
+          result = result.concat(sequence(groups.get(area), from, to));
+        });
+      } else {
+        areaOrder = tour.reduce((areas, stop) => (areas.includes(stop.area) ? areas : areas.concat(stop.area)), []);
+      }
+      
+      // Without blocks to respect, never hand back a longer route than we were given
+      let distanceAfter = routeDistance(result, options);
+      if (!keepAreasTogether && distanceAfter > distanceBefore) {
+        result = [...list];
+        distanceAfter = distanceBefore;
+      }
+      
+      return {
+        stops: result,
+        areaOrder,
+        distanceBefore,
+        distanceAfter,
+        unlocated: list.filter(stop => !getStopPoint(stop)).length
+      };
+    } catch (error) {
+      console.error("Error optimizing route:", error);
+      return { stops: [...list], areaOrder: [], distanceBefore, distanceAfter: distanceBefore, unlocated: 0 };
+    }
+  }
+  
+  /**
+   * Format a distance for display: "850 m" or "12.4 km"
+   */
+  function formatDistance(meters) {
+    return meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(1)} km`;
+  }
+  
+  /**
+   * Sanitize text for safe HTML insertion
+   */
+  function sanitizeHTML(text) {
+    return (text !== undefined && text !== null ? String(text) : '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+  
+  /**
+   * Render the route optimizer settings
+   * settings: { depot, end } as saved in the routing config
+   * status: { stops, located, distance, sequenced } for the current route
+   * result: the last optimize() result, if any
+   */
+  function renderOptimizerUI(settings, status, result = null) {
+    return `
+      <div class="bg-gray-800 p-4 rounded-lg animate-fadeIn" id="route-optimizer">
+        <div class="flex items-center mb-2">
+          <i data-lucide="route" class="h-5 w-5 mr-2 text-blue-400"></i>
+          <h2 class="text-lg font-semibold">Optimize Route</h2>
+        </div>
+        <p class="text-sm text-gray-300 mb-3">
+          Orders stops by straight-line distance between their coordinates, keeping each area together.
+          ${status.located} of ${status.stops} stops have coordinates; the others keep their place at the end of their area.
+        </p>
+        <div class="flex flex-wrap gap-2 text-xs mb-4">
+          <span class="px-2 py-1 rounded-full bg-gray-700">Current route ${formatDistance(status.distance)}</span>
+          ${result ? `
+            <span class="px-2 py-1 rounded-full bg-gray-700">Before ${formatDistance(result.distanceBefore)}</span>
+            <span class="px-2 py-1 rounded-full bg-green-900 text-green-200">After ${formatDistance(result.distanceAfter)}</span>
+          ` : ''}
+        </div>
+        <div class="grid grid-cols-2 gap-3 text-sm">
+          <label>Start (latitude, longitude)
+            <input id="route-depot" type="text" class="w-full mt-1 p-2 bg-gray-900 rounded" placeholder="40.5865, -122.3917" value="${sanitizeHTML(settings.depot)}">
+          </label>
+          <label>Finish (blank to end at the last stop)
+            <input id="route-end" type="text" class="w-full mt-1 p-2 bg-gray-900 rounded" placeholder="40.5865, -122.3917" value="${sanitizeHTML(settings.end)}">
+          </label>
+          <label class="col-span-2 flex items-center gap-2 cursor-pointer">
+            <input id="keep-area-order" type="checkbox">
+            <span>Keep the current area order, only reorder stops within each area</span>
+          </label>
+        </div>
+        <div class="flex justify-end gap-2 mt-4">
+          ${status.sequenced ? '<button id="reset-area-order-btn" class="px-3 py-1.5 bg-gray-700 rounded text-sm">Use Area Priority Order</button>' : ''}
+          <button id="close-optimizer-btn" class="px-3 py-1.5 bg-gray-700 rounded text-sm">Close</button>
+          <button id="optimize-route-btn" class="px-3 py-1.5 bg-blue-600 rounded text-sm">Optimize</button>
+        </div>
+      </div>
+    `;
+  }
+  
+  // Public API
+  return {
+    optimize,
+    routeDistance,
+    distanceMeters,
+    parsePoint,
+    getStopPoint,
+    formatDistance,
+    renderOptimizerUI
+  };
+})();
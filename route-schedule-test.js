@@ -0,0 +1,157 @@
+/**
+ * Unit tests for route-schedule.js
+ */
+
+TestSuite.describe('RouteSchedule', () => {
+  
+  TestSuite.describe('parseTimeWindow', () => {
+    TestSuite.it('should read the usual ways of writing a window', () => {
+      const before = RouteSchedule.parseTimeWindow('before 10am').windows;
+      TestSuite.assert.equal(before[0].end, 600, 'before 10am should end at 10:00');
+      
+      const after = RouteSchedule.parseTimeWindow('after 1:30 pm').windows;
+      TestSuite.assert.equal(after[0].start, 810, 'after 1:30 pm should start at 13:30');
+      
+      const two = RouteSchedule.parseTimeWindow('7-10, 13:00 to 16:00').windows;
+      TestSuite.assert.equal(two.length, 2, 'Two windows should be read');
+      TestSuite.assert.equal(two[1].end, 960, 'Second window should end at 16:00');
+      
+      const lunch = RouteSchedule.parseTimeWindow('11-2').windows;
+      TestSuite.assert.equal(lunch[0].end, 840, 'A range past noon should end in the afternoon');
+      
+      const afternoon = RouteSchedule.parseTimeWindow('1-4pm').windows;
+      TestSuite.assert.equal(afternoon[0].start, 780, '1-4pm should start at 1 PM');
+      TestSuite.assert.equal(afternoon[0].end, 960, '1-4pm should end at 4 PM');
+      
+      const overNoon = RouteSchedule.parseTimeWindow('10-2pm').windows;
+      TestSuite.assert.equal(overNoon[0].start, 600, '10-2pm should start at 10 AM');
+      TestSuite.assert.equal(overNoon[0].end, 840, '10-2pm should end at 2 PM');
+      
+      const bareAfternoon = RouteSchedule.parseTimeWindow('2-4').windows;
+      TestSuite.assert.equal(bareAfternoon[0].start, 840, '2-4 should start at 2 PM');
+      TestSuite.assert.equal(bareAfternoon[0].end, 960, '2-4 should end at 4 PM');
+      
+      TestSuite.assert.equal(RouteSchedule.parseTimeWindow('after 1').windows[0].start, 780, 'after 1 should start at 1 PM');
+      TestSuite.assert.equal(RouteSchedule.parseTimeWindow('5-11').windows[0].start, 300, '5-11 should start at 5 AM');
+      
+      const prompt = RouteSchedule.parseTimeWindow('7-10, 2-4').windows;
+      TestSuite.assert.equal(prompt.map(window => `${window.start}-${window.end}`).join(','), '420-600,840-960',
+        '7-10, 2-4 should be a morning and an afternoon window');
+    });
+    
+    TestSuite.it('should report windows it cannot read', () => {
+      TestSuite.assert.isTrue(!!RouteSchedule.parseTimeWindow('mornings').error, 'Text should be an error');
+      TestSuite.assert.isTrue(!!RouteSchedule.parseTimeWindow('before 25:00').error, 'Bad times should be an error');
+      TestSuite.assert.equal(RouteSchedule.parseTimeWindow('').windows.length, 0, 'Blank means any time');
+      TestSuite.assert.equal(RouteSchedule.formatTimeWindow(RouteSchedule.parseTimeWindow('by 9:30').windows), 'before 9:30 AM', 'Windows should format for display');
+    });
+  });
+  
+  TestSuite.describe('schedule', () => {
+    const stops = [
+      { customerNumber: '1', accountName: 'First', timeWindow: '' },
+      { customerNumber: '2', accountName: 'Late Lunch', timeWindow: 'after 7:30am' },
+      { customerNumber: '3', accountName: 'Early Bird', timeWindow: 'before 7:20am' }
+    ];
+    
+    TestSuite.it('should add service time and wait for windows to open', () => {
+      const result = RouteSchedule.schedule(stops, { startTime: '07:00', serviceMinutes: 10 });
+      
+      TestSuite.assert.equal(result.stops[1].arrival, 430, 'Second stop should be reached after the first stop\'s service');
+      TestSuite.assert.equal(result.stops[1].wait, 20, 'Should wait for the window to open');
+      TestSuite.assert.equal(result.stops[2].arrival, 460, 'Third stop should follow the wait and service');
+    });
+    
+    TestSuite.it('should list windows it cannot read', () => {
+      const result = RouteSchedule.schedule([
+        { customerNumber: '1', accountName: 'Diner', timeWindow: 'after lunch' },
+        { customerNumber: '2', accountName: 'Shop', timeWindow: 'before 9am' }
+      ], { startTime: '07:00' });
+      
+      TestSuite.assert.equal(result.unreadable.length, 1, 'One window should be unreadable');
+      TestSuite.assert.equal(result.unreadable[0].timeWindow, 'after lunch', 'The unreadable text should be kept');
+      TestSuite.assert.equal(result.stops[0].windows.length, 0, 'An unreadable window should count as any time');
+    });
+    
+    TestSuite.it('should flag stops reached after their window', () => {
+      const result = RouteSchedule.schedule(stops, { startTime: '07:00', serviceMinutes: 10 });
+      
+      TestSuite.assert.equal(result.violations.length, 1, 'One stop should be late');
+      TestSuite.assert.equal(result.violations[0].customerNumber, '3', 'Early Bird should be late');
+      TestSuite.assert.equal(result.violations[0].minutesLate, 20, 'It should be 20 minutes late');
+    });
+    
+    TestSuite.it('should add drive time between stops with coordinates', () => {
+      const located = [
+        { customerNumber: 'A', latitude: 40, longitude: -122 },
+        { customerNumber: 'B', latitude: 40.1, longitude: -122 }
+      ];
+      const result = RouteSchedule.schedule(located, { startTime: '08:00', serviceMinutes: 0, speedKmh: 60 });
+      
+      TestSuite.assert.isTrue(Math.abs(result.stops[1].arrival - 480 - 11.1) < 0.2, 'About 11 km at 60 km/h should take about 11 minutes');
+    });
+  });
+  
+  TestSuite.describe('ETAs', () => {
+    const stops = [
+      { customerNumber: 'A', area: 'Downtown', items: [{}, {}, {}] },
+      { customerNumber: 'B', area: 'Downtown', items: [] },
+      { customerNumber: 'C', area: 'Churn Creek', itemCount: 2 }
+    ];
+    const options = { startTime: '08:00', serviceMinutes: 5, minutesPerItem: 2, hopMinutes: 4, areaHopMinutes: { 'Churn Creek': 12 } };
+    
+    TestSuite.it('should scale service time with items and use hop defaults', () => {
+      const result = RouteSchedule.schedule(stops, options);
+      
+      TestSuite.assert.equal(result.stops[0].arrival, 480, 'First stop should be reached at the shift start');
+      TestSuite.assert.equal(result.stops[1].arrival, 495, 'Three items should add 6 minutes, plus the 4 minute hop');
+      TestSuite.assert.equal(result.stops[2].arrival, 512, 'The area\'s own hop time should be used');
+      TestSuite.assert.equal(result.finish, 521, 'Finish should include the last stop\'s service');
+    });
+    
+    TestSuite.it('should project the finish from now once stops are done', () => {
+      const planned = RouteSchedule.project(stops, { ...options, isDone: () => false });
+      TestSuite.assert.equal(planned.finish, 521, 'With nothing done the plan should be used');
+      
+      const now = new Date(2024, 0, 5, 9, 0);
+      const live = RouteSchedule.project(stops, { ...options, now, isDone: stop => stop.customerNumber === 'A' });
+      TestSuite.assert.equal(live.remaining, 2, 'Two stops should be left');
+      TestSuite.assert.equal(live.stops[0].arrival, 544, 'Next stop should be a hop after now');
+      TestSuite.assert.equal(live.finish, 570, 'Finish should follow from now');
+      
+      const done = RouteSchedule.project(stops, { ...options, now, isDone: () => true });
+      TestSuite.assert.equal(done.remaining, 0, 'No stops should be left');
+    });
+  });
+  
+  TestSuite.describe('sequenceWithWindows', () => {
+    TestSuite.it('should move late stops forward and waiting stops back', () => {
+      const stops = [
+        { customerNumber: '1', area: 'Downtown', timeWindow: 'after 7:30am' },
+        { customerNumber: '2', area: 'Downtown', timeWindow: '' },
+        { customerNumber: '3', area: 'Downtown', timeWindow: '' },
+        { customerNumber: '4', area: 'Downtown', timeWindow: 'before 7:15am' }
+      ];
+      const result = RouteSchedule.sequenceWithWindows(stops, { startTime: '07:00', serviceMinutes: 10 });
+      const order = result.stops.map(stop => stop.customerNumber).join(',');
+      
+      TestSuite.assert.equal(result.violations.length, 0, 'Every window should be met');
+      TestSuite.assert.equal(order, '4,2,3,1', 'The early window should come first and the late one last');
+    });
+    
+    TestSuite.it('should keep stops inside their area', () => {
+      const stops = [
+        { customerNumber: '1', area: 'North', timeWindow: '' },
+        { customerNumber: '2', area: 'North', timeWindow: '' },
+        { customerNumber: '3', area: 'South', timeWindow: 'before 7:05am' }
+      ];
+      const result = RouteSchedule.sequenceWithWindows(stops, { startTime: '07:00', serviceMinutes: 10 });
+      
+      TestSuite.assert.equal(result.stops[2].customerNumber, '3', 'The stop should stay in its area');
+      TestSuite.assert.equal(result.violations.length, 1, 'The missed window should still be reported');
+      
+      const free = RouteSchedule.sequenceWithWindows(stops, { startTime: '07:00', serviceMinutes: 10, keepAreasTogether: false });
+      TestSuite.assert.equal(free.stops[0].customerNumber, '3', 'Without areas the stop should move first');
+    });
+  });
+});
@@ -0,0 +1,564 @@
+/**
+ * route-schedule.js
+ * Delivery times for Route 33 Guide
+ * Parses customer time windows ("before 10am", "1pm-4pm"), works out when
+ * each stop is reached from a start time (the ETA), projects the finish
+ * as stops are done, and reorders stops to meet their windows
+ */
+
+const RouteSchedule = (function() {
+  const MINUTES_PER_DAY = 24 * 60;
+  
+  // Used when the routing config doesn't say
+  const DEFAULTS = {
+    startTime: '07:00',
+    serviceMinutes: 5,
+    minutesPerItem: 0,
+    speedKmh: 40,
+    hopMinutes: 0
+  };
+  
+  // Separators between several windows: "7-10, 1pm-4pm", "8-10 and 2-4"
+  const WINDOW_SEPARATOR = /\s*(?:[,;&]|\band\b)\s*/i;
+  
+  // Safe string handling
+  function safeString(str) {
+    return (str !== undefined && str !== null) ? String(str).trim() : "";
+  }
+  
+  /**
+   * Parse a time of day into minutes after midnight
+   * Accepts "7", "7:30", "07:30", "0730", "7am", "7:30 pm", "noon";
+   * returns null when the text isn't a time
+   */
+  function parseTime(text) {
+    const value = safeString(text).toLowerCase().replace(/\./g, '');
+    if (value === 'noon') return 12 * 60;
+    if (value === 'midnight') return 0;
+    
+    const match = value.match(/^(\d{1,2})(?::?(\d{2}))?\s*(am|pm|a|p)?$/);
+    if (!match) return null;
+    
+    let hours = parseInt(match[1], 10);
+    const minutes = match[2] ? parseInt(match[2], 10) : 0;
+    const meridiem = match[3] ? match[3][0] : null;
+    
+    if (minutes > 59 || hours > 23 || (meridiem && (hours === 0 || hours > 12))) {
+      return null;
+    }
+    if (meridiem === 'p' && hours < 12) hours += 12;
+    if (meridiem === 'a' && hours === 12) hours = 0;
+    
+    return hours * 60 + minutes;
+  }
+  
+  /**
+   * Whether a time is a bare hour from 1 to 6 with no am/pm ("2", "4:30"),
+   * which in a delivery window means the afternoon
+   */
+  function isAfternoonHour(text) {
+    const match = safeString(text).match(/^([1-9])(?::\d{2})?$/);
+    return !!match && parseInt(match[1], 10) <= 6;
+  }
+  
+  /**
+   * Parse a time inside a window, reading bare hours 1 to 6 as afternoon
+   */
+  function parseWindowTime(text) {
+    const time = parseTime(text);
+    return time !== null && isAfternoonHour(text) ? time + 12 * 60 : time;
+  }
+  
+  /**
+   * Format minutes after midnight as "9:05 AM"
+   */
+  function formatTime(minutes) {
+    const total = Math.round(minutes);
+    const hours = Math.floor(total / 60) % 24;
+    const mins = ((total % 60) + 60) % 60;
+    const hour12 = hours % 12 === 0 ? 12 : hours % 12;
+    return `${hour12}:${String(mins).padStart(2, '0')} ${hours < 12 ? 'AM' : 'PM'}`;
+  }
+  
+  /**
+   * Parse a time window
+   * "before 10am", "by 10", "after 1pm", "8:00-10:00", "7am to 11am",
+   * several separated by commas or "and". A range with am/pm only on its
+   * end takes it for the start too when that still makes a range ("1-4pm"
+   * is 1 PM to 4 PM, "10-2pm" stays 10 AM to 2 PM). A range whose end looks
+   * earlier than its start without am/pm ("11-2") is read as running past
+   * noon. A bare hour from 1 to 6 is afternoon ("2-4" is 2 PM to 4 PM,
+   * "after 1" is after 1 PM) unless that would put a range's start after
+   * its end ("5-11" stays 5 AM to 11 AM).
+   * Returns { windows: [{ start, end }], error } in minutes after midnight;
+   * blank text gives no windows (any time is fine).
+   */
+  function parseTimeWindow(text) {
+    const value = safeString(text);
+    if (!value) {
+      return { windows: [], error: null };
+    }
+    
+    const windows = [];
+    for (const part of value.split(WINDOW_SEPARATOR).filter(Boolean)) {
+      const lower = part.toLowerCase();
+      let start = null;
+      let end = null;
+      
+      const bound = lower.match(/^(before|by|until|till|after|from)\s+(.+)$/);
+      const range = lower.match(/^(.+?)\s*(?:-|–|to)\s*(.+)$/);
+      
+      if (bound) {
+        const time = parseWindowTime(bound[2]);
+        if (time === null) {
+          return { windows: [], error: `"${part}" isn't a time` };
+        }
+        if (['after', 'from'].includes(bound[1])) {
+          start = time;
+          end = MINUTES_PER_DAY;
+        } else {
+          start = 0;
+          end = time;
+        }
+      } else if (range) {
+        start = parseTime(range[1]);
+        end = parseWindowTime(range[2]);
+        if (start === null || end === null) {
+          return { windows: [], error: `"${part}" isn't a time range` };
+        }
+        if (isAfternoonHour(range[1]) && start + 12 * 60 < end) {
+          start += 12 * 60;
+        }
+        
+        const endMeridiem = range[2].trim().match(/([ap])m?$/);
+        if (endMeridiem && !/[ap]m?$/.test(range[1].trim())) {
+          const sameMeridiem = parseTime(`${range[1].trim()}${endMeridiem[1]}m`);
+          if (sameMeridiem !== null && sameMeridiem < end) {
+            start = sameMeridiem;
+          }
+        }
+        if (end <= start && end < 12 * 60 && !/[ap]m?$/.test(range[2].trim())) {
+          end += 12 * 60;
+        }
+        if (end <= start) {
+          return { windows: [], error: `"${part}" ends before it starts` };
+        }
+      } else {
+        return { windows: [], error: `"${part}" isn't a time window` };
+      }
+      
+      windows.push({ start, end });
+    }
+    
+    windows.sort((a, b) => a.start - b.start);
+    return { windows, error: null };
+  }
+  
+  /**
+   * Describe windows for display: "before 10:00 AM", "1:00 PM–4:00 PM"
+   */
+  function formatTimeWindow(windows) {
+    return (windows || []).map(slot => {
+      if (slot.start <= 0) return `before ${formatTime(slot.end)}`;
+      if (slot.end >= MINUTES_PER_DAY) return `after ${formatTime(slot.start)}`;
+      return `${formatTime(slot.start)}–${formatTime(slot.end)}`;
+    }).join(', ');
+  }
+  
+  /**
+   * Read a start time given as text or minutes
+   */
+  function toMinutes(value, fallback) {
+    if (typeof value === 'number' && Number.isFinite(value)) return value;
+    const parsed = parseTime(value);
+    return parsed === null ? parseTime(fallback) : parsed;
+  }
+  
+  /**
+   * Read a minutes setting; blank or invalid gives the fallback
+   */
+  function toDuration(value, fallback) {
+    const minutes = parseFloat(value);
+    return Number.isFinite(minutes) && minutes >= 0 ? minutes : fallback;
+  }
+  
+  /**
+   * Minutes after midnight of a Date
+   */
+  function minutesOfDay(date) {
+    return date.getHours() * 60 + date.getMinutes() + date.getSeconds() / 60;
+  }
+  
+  /**
+   * Work out when each stop is reached, in the given order
+   *
+   * Options:
+   *   startTime - when the first leg starts ("07:00" or minutes); default 7:00 AM
+   *   serviceMinutes - time spent at each stop; default 5
+   *   minutesPerItem - extra time at a stop for each item line; default none
+   *   speedKmh - average speed for legs between stops with coordinates
+   *   hopMinutes - time for a leg when either end has no coordinates;
+   *                default none
+   *   areaHopMinutes - { area name: minutes } for legs into that area's
+   *                    stops, instead of hopMinutes
+   *   depot - where the day starts, as RouteOptimizer.optimize; without one
+   *           the first stop is reached at the start time
+   *   afterStop - the start time is at a stop already made, so the first
+   *               leg takes time even without a depot
+   *   getTimeWindow(stop) - the stop's window text; defaults to stop.timeWindow
+   *
+   * Returns { stops, finish, violations, unreadable }. Each stop entry has
+   * { customerNumber, accountName, arrival, begin, wait, departure, windows,
+   *   minutesLate }; violations lists the stops reached after their windows,
+   * and unreadable the stops whose window text can't be read (scheduled as
+   * any time).
+   */
+  function schedule(stops, options = {}) {
+    const plan = prepareSchedule(stops, options);
+    return summarize(plan, plan.stops, timeStops(plan, plan.stops, 0, []));
+  }
+  
+  /**
+   * Settings and per-stop values the schedule needs, worked out once so
+   * reordering can re-time stops without reading windows again: each
+   * stop's point, parsed windows and time spent there
+   */
+  function prepareSchedule(stops, options) {
+    const serviceMinutes = toDuration(options.serviceMinutes, DEFAULTS.serviceMinutes);
+    const minutesPerItem = toDuration(options.minutesPerItem, DEFAULTS.minutesPerItem);
+    const getTimeWindow = options.getTimeWindow || (stop => stop.timeWindow);
+    const hasRouteOptimizer = typeof RouteOptimizer !== 'undefined';
+    
+    return {
+      startTime: toMinutes(options.startTime, DEFAULTS.startTime),
+      speedKmh: Number(options.speedKmh) > 0 ? Number(options.speedKmh) : DEFAULTS.speedKmh,
+      hopMinutes: toDuration(options.hopMinutes, DEFAULTS.hopMinutes),
+      areaHopMinutes: options.areaHopMinutes || {},
+      depot: hasRouteOptimizer ? RouteOptimizer.parsePoint(options.depot) : null,
+      fromStop: !!(options.depot || options.afterStop),
+      stops: (stops || []).map(stop => {
+        const timeWindow = getTimeWindow(stop);
+        const { windows, error } = parseTimeWindow(timeWindow);
+        const itemCount = Array.isArray(stop.items) ? stop.items.length : (Number(stop.itemCount) || 0);
+        return {
+          stop,
+          area: stop.area,
+          point: hasRouteOptimizer ? RouteOptimizer.getStopPoint(stop) : null,
+          timeWindow,
+          windows,
+          error,
+          serviceTime: serviceMinutes + minutesPerItem * itemCount
+        };
+      })
+    };
+  }
+  
+  /**
+   * Time prepared stops in order from index from on, carrying on from the
+   * entries already worked out for the stops before it
+   * Returns the entries for every stop
+   */
+  function timeStops(plan, prepared, from, entries) {
+    const timed = entries.slice(0, from);
+    let time = from > 0 ? timed[from - 1].departure : plan.startTime;
+    let position = from > 0 ? prepared[from - 1].point : plan.depot;
+    let first = from === 0 && !plan.fromStop;
+    
+    for (let index = from; index < prepared.length; index++) {
+      const { stop, point, windows, serviceTime } = prepared[index];
+      
+      // Drive from the last stop (or the depot): straight-line distance at
+      // the average speed when both ends have coordinates, else the hop time
+      if (point && position) {
+        time += RouteOptimizer.distanceMeters(position, point) / 1000 / plan.speedKmh * 60;
+      } else if (!first) {
+        time += toDuration(plan.areaHopMinutes[stop.area], plan.hopMinutes);
+      }
+      position = point;
+      first = false;
+      
+      // The first window still open when we get there; wait if it hasn't started
+      const arrival = time;
+      const openSlot = windows.find(w => w.end >= arrival);
+      const begin = openSlot ? Math.max(arrival, openSlot.start) : arrival;
+      const minutesLate = windows.length > 0 && !openSlot ? arrival - windows[windows.length - 1].end : 0;
+      time = begin + serviceTime;
+      
+      timed.push({
+        customerNumber: stop.customerNumber,
+        accountName: stop.accountName,
+        arrival,
+        begin,
+        wait: begin - arrival,
+        departure: time,
+        windows,
+        minutesLate
+      });
+    }
+    
+    return timed;
+  }
+  
+  /**
+   * schedule() result for timed entries: the finish, late stops and
+   * windows that couldn't be read
+   */
+  function summarize(plan, prepared, entries) {
+    const violations = [];
+    const unreadable = [];
+    
+    prepared.forEach(({ stop, timeWindow, error }, index) => {
+      const entry = entries[index];
+      const name = safeString(stop.accountName) || stop.customerNumber;
+      
+      if (error) {
+        unreadable.push({
+          customerNumber: stop.customerNumber,
+          accountName: stop.accountName,
+          timeWindow,
+          message: `${name} has a time window that can't be read (${error}), treated as any time`
+        });
+      }
+      if (entry.minutesLate > 0) {
+        violations.push({
+          ...entry,
+          message: `${name} is reached at ${formatTime(entry.arrival)}, ${Math.round(entry.minutesLate)} min after its window (${formatTimeWindow(entry.windows)})`
+        });
+      }
+    });
+    
+    return {
+      stops: entries,
+      finish: entries.length > 0 ? entries[entries.length - 1].departure : plan.startTime,
+      violations,
+      unreadable
+    };
+  }
+  
+  /**
+   * Live estimate of the rest of the day
+   * Stops that are done (options.isDone(stop)) are skipped and the rest are
+   * scheduled from the last stop done, starting now (options.now, a Date)
+   * or at the start time if that's later. Before any stop is done this is
+   * the planned schedule. Takes the schedule options; returns schedule()
+   * for the stops left, plus { remaining, done }.
+   */
+  function project(stops, options = {}) {
+    const list = stops || [];
+    const isDone = options.isDone || (() => false);
+    const remaining = list.filter(stop => !isDone(stop));
+    const done = list.length - remaining.length;
+    
+    if (done === 0) {
+      return { ...schedule(list, options), remaining: remaining.length, done };
+    }
+    
+    let lastDone = null;
+    list.forEach(stop => {
+      if (isDone(stop)) lastDone = stop;
+    });
+    
+    const now = minutesOfDay(options.now || new Date());
+    const startTime = Math.max(now, toMinutes(options.startTime, DEFAULTS.startTime));
+    const lastPoint = typeof RouteOptimizer !== 'undefined' ? RouteOptimizer.getStopPoint(lastDone) : null;
+    
+    const result = schedule(remaining, { ...options, startTime, depot: lastPoint, afterStop: true });
+    return { ...result, finish: remaining.length > 0 ? result.finish : startTime, remaining: remaining.length, done };
+  }
+  
+  /**
+   * Area blocks' bounds: the first and last index sharing each stop's area
+   */
+  function blockBounds(order, index, keepAreasTogether) {
+    if (!keepAreasTogether) {
+      return [0, order.length - 1];
+    }
+    
+    let first = index;
+    let last = index;
+    while (first > 0 && order[first - 1].area === order[index].area) first--;
+    while (last < order.length - 1 && order[last + 1].area === order[index].area) last++;
+    return [first, last];
+  }
+  
+  /**
+   * Copy of order with one stop moved from one index to another
+   */
+  function moveStop(order, from, to) {
+    const moved = [...order];
+    const [stop] = moved.splice(from, 1);
+    moved.splice(to, 0, stop);
+    return moved;
+  }
+  
+  /**
+   * Reorder stops so they meet their time windows, changing as little as
+   * possible: a stop reached too late moves to the latest earlier place that
+   * gets it there in time, and a stop that would wait for its window moves
+   * later when that doesn't make anyone late or finish the day later.
+   * Stops stay within their area's block unless keepAreasTogether is false.
+   * Takes the schedule options; returns { stops, violations, finish }.
+   */
+  function sequenceWithWindows(stops, options = {}) {
+    const keepAreasTogether = options.keepAreasTogether !== false;
+    const countLate = timed => timed.filter(entry => entry.minutesLate > 0).length;
+    const finishOf = timed => timed[timed.length - 1].departure;
+    
+    // Windows are read once; a move only re-times the stops from where it starts
+    const plan = prepareSchedule(stops, options);
+    let order = plan.stops;
+    let entries = timeStops(plan, order, 0, []);
+    
+    try {
+      // Bring late stops forward; a stop that can't be helped is left alone
+      const stuck = new Set();
+      for (let round = 0; round < order.length * 2; round++) {
+        const lateIndex = entries.findIndex((entry, index) => entry.minutesLate > 0 && !stuck.has(order[index]));
+        if (lateIndex === -1) break;
+        
+        const [first] = blockBounds(order, lateIndex, keepAreasTogether);
+        const lateCount = countLate(entries);
+        let improved = false;
+        for (let position = lateIndex - 1; position >= first; position--) {
+          const candidate = moveStop(order, lateIndex, position);
+          const timed = timeStops(plan, candidate, position, entries);
+          if (timed[position].minutesLate === 0 && countLate(timed) < lateCount) {
+            order = candidate;
+            entries = timed;
+            improved = true;
+            break;
+          }
+        }
+        
+        if (!improved) {
+          stuck.add(order[lateIndex]);
+        }
+      }
+      
+      // Push stops that would wait for their window later in the day
+      order.slice().forEach(prepared => {
+        const index = order.indexOf(prepared);
+        if (entries[index].wait <= 0) return;
+        
+        const [, last] = blockBounds(order, index, keepAreasTogether);
+        const lateCount = countLate(entries);
+        for (let position = index + 1; position <= last; position++) {
+          const candidate = moveStop(order, index, position);
+          const timed = timeStops(plan, candidate, index, entries);
+          if (timed[position].wait <= 0 && countLate(timed) <= lateCount && finishOf(timed) <= finishOf(entries)) {
+            order = candidate;
+            entries = timed;
+            break;
+          }
+        }
+      });
+    } catch (error) {
+      console.error("Error sequencing for time windows:", error);
+    }
+    
+    const result = summarize(plan, order, entries);
+    return {
+      stops: order.map(prepared => prepared.stop),
+      violations: result.violations,
+      finish: result.finish
+    };
+  }
+  
+  /**
+   * Sanitize text for safe HTML insertion
+   */
+  function sanitizeHTML(text) {
+    return safeString(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+  
+  /**
+   * Render the schedule settings and the time-window check
+   * settings: the routing config ({ startTime, serviceMinutes, minutesPerItem,
+   *           speedKmh, hopMinutes, areaHopMinutes })
+   * result: schedule() for the current stop order
+   * areaNames: areas that can have their own hop time
+   */
+  function renderScheduleUI(settings, result, areaNames = []) {
+    const value = (key) => sanitizeHTML(settings[key] !== undefined ? settings[key] : DEFAULTS[key]);
+    const areaHopMinutes = settings.areaHopMinutes || {};
+    
+    return `
+      <div class="bg-gray-800 p-4 rounded-lg mt-4" id="route-schedule">
+        <div class="flex items-center mb-2">
+          <i data-lucide="clock" class="h-5 w-5 mr-2 text-blue-400"></i>
+          <h2 class="text-lg font-semibold">Schedule and Time Windows</h2>
+        </div>
+        <p class="text-sm text-gray-400 mb-3">Used for the ETA on each stop, the projected finish and the time-window check.</p>
+        <div class="grid grid-cols-3 gap-3 text-sm">
+          <label>Shift start
+            <input id="schedule-start" type="time" class="w-full mt-1 p-2 bg-gray-900 rounded" value="${value('startTime')}">
+          </label>
+          <label>Minutes per stop
+            <input id="schedule-service" type="number" min="0" class="w-full mt-1 p-2 bg-gray-900 rounded" value="${value('serviceMinutes')}">
+          </label>
+          <label>Plus minutes per item
+            <input id="schedule-per-item" type="number" min="0" step="0.5" class="w-full mt-1 p-2 bg-gray-900 rounded" value="${value('minutesPerItem')}">
+          </label>
+          <label>Average speed (km/h)
+            <input id="schedule-speed" type="number" min="1" class="w-full mt-1 p-2 bg-gray-900 rounded" value="${value('speedKmh')}">
+          </label>
+          <label class="col-span-2">Minutes between stops without coordinates
+            <input id="schedule-hop" type="number" min="0" class="w-full mt-1 p-2 bg-gray-900 rounded" value="${value('hopMinutes')}">
+          </label>
+        </div>
+        ${areaNames.length > 0 ? `
+          <details class="mt-3 text-sm">
+            <summary class="cursor-pointer text-gray-300">Minutes between stops, by area</summary>
+            <div class="grid grid-cols-2 gap-2 mt-2">
+              ${areaNames.map(area => `
+                <label class="flex items-center justify-between gap-2">
+                  <span class="truncate">${sanitizeHTML(area)}</span>
+                  <input type="number" min="0" class="w-20 p-1 bg-gray-900 rounded" data-area-hop="${sanitizeHTML(area)}"
+                         placeholder="${value('hopMinutes')}" value="${sanitizeHTML(areaHopMinutes[area])}">
+                </label>
+              `).join('')}
+            </div>
+          </details>
+        ` : ''}
+        <p class="text-sm mt-3 ${result.violations.length > 0 ? 'text-yellow-300' : 'text-gray-300'}">
+          ${result.violations.length > 0
+            ? `${result.violations.length} ${result.violations.length === 1 ? 'stop is' : 'stops are'} reached after ${result.violations.length === 1 ? 'its' : 'their'} time window:`
+            : `Every stop with a time window is reached in time. Done about ${formatTime(result.finish)}.`}
+        </p>
+        ${result.violations.length > 0 ? `
+          <div class="max-h-60 overflow-y-auto bg-gray-900 rounded divide-y divide-gray-800 text-sm mt-2">
+            ${result.violations.map(violation => `<div class="p-2 text-yellow-400">${sanitizeHTML(violation.message)}</div>`).join('')}
+          </div>
+        ` : ''}
+        ${result.unreadable.length > 0 ? `
+          <p class="text-sm mt-3 text-yellow-300">${result.unreadable.length} ${result.unreadable.length === 1 ? 'time window' : 'time windows'} can't be read; fix them in the file or with the clock button on the stop:</p>
+          <div class="max-h-60 overflow-y-auto bg-gray-900 rounded divide-y divide-gray-800 text-sm mt-2">
+            ${result.unreadable.map(stop => `<div class="p-2 text-yellow-400">${sanitizeHTML(stop.message)}</div>`).join('')}
+          </div>
+        ` : ''}
+        <div class="flex justify-end gap-2 mt-4">
+          <button id="check-schedule-btn" class="px-3 py-1.5 bg-gray-700 rounded text-sm">Save and Check</button>
+          <button id="fit-windows-btn" class="px-3 py-1.5 bg-blue-600 rounded text-sm">Reorder for Time Windows</button>
+        </div>
+      </div>
+    `;
+  }
+  
+  // Public API
+  return {
+    parseTime,
+    formatTime,
+    parseTimeWindow,
+    formatTimeWindow,
+    schedule,
+    project,
+    sequenceWithWindows,
+    renderScheduleUI,
+    DEFAULTS
+  };
+})();
@@ -0,0 +1,84 @@
+/**
+ * Unit tests for route-splitter.js
+ */
+
+TestSuite.describe('RouteSplitter', () => {
+  // Stops with the given number of item lines, in one area each unless named
+  const makeStops = specs => specs.map(([area, itemCount], index) => ({
+    customerNumber: String(index + 1),
+    accountName: `Customer ${index + 1}`,
+    area,
+    items: Array.from({ length: itemCount }, (_, item) => ({ itemId: `I${item}`, quantity: 1 }))
+  }));
+  
+  const loads = parts => parts.map(part => part.load);
+  
+  TestSuite.describe('split', () => {
+    TestSuite.it('should balance item counts across drivers in route order', () => {
+      const stops = makeStops([['A', 4], ['B', 2], ['C', 2], ['D', 4], ['E', 3], ['F', 1]]);
+      const parts = RouteSplitter.split(stops, { parts: 2 });
+      
+      TestSuite.assert.equal(parts.length, 2, 'Should make two parts');
+      TestSuite.assert.equal(loads(parts).join(','), '8,8', 'Each part should have 8 items');
+      TestSuite.assert.equal(parts[0].stops.map(stop => stop.customerNumber).join(','), '1,2,3', 'Parts should keep the route order');
+      TestSuite.assert.equal(parts[1].name, 'Route B', 'Parts should be named by letter');
+    });
+    
+    TestSuite.it('should keep an area together when the balance allows', () => {
+      // The most even split (13/9) would cut Downtown after its first stop
+      const stops = makeStops([['North', 8], ['Downtown', 5], ['Downtown', 5], ['South', 4]]);
+      const parts = RouteSplitter.split(stops, { parts: 2 });
+      
+      const areasOf = part => Array.from(new Set(part.stops.map(stop => stop.area)));
+      TestSuite.assert.equal(areasOf(parts[0]).join(','), 'North', 'First driver should have North only');
+      TestSuite.assert.equal(areasOf(parts[1]).join(','), 'Downtown,South', 'Downtown should stay with one driver');
+    });
+    
+    TestSuite.it('should split an area rather than badly unbalance drivers', () => {
+      const stops = makeStops([['Downtown', 3], ['Downtown', 3], ['Downtown', 3], ['Downtown', 3]]);
+      const parts = RouteSplitter.split(stops, { parts: 2 });
+      
+      TestSuite.assert.equal(loads(parts).join(','), '6,6', 'One big area should be shared evenly');
+    });
+    
+    TestSuite.it('should balance by estimated time', () => {
+      // The first stop takes as long as the other three together
+      const stops = makeStops([['A', 9], ['B', 1], ['C', 1], ['D', 1]]);
+      const schedule = { startTime: '07:00', serviceMinutes: 0, minutesPerItem: 5, hopMinutes: 0 };
+      
+      const byTime = RouteSplitter.split(stops, { parts: 2, measure: RouteSplitter.MEASURES.TIME, schedule });
+      TestSuite.assert.equal(byTime[0].stops.length, 1, 'The long stop should be a driver\'s whole share');
+      TestSuite.assert.equal(loads(byTime).join(','), '45,15', 'Loads should be in minutes');
+    });
+    
+    TestSuite.it('should never make more parts than stops', () => {
+      const parts = RouteSplitter.split(makeStops([['A', 1], ['B', 1]]), { parts: 4 });
+      
+      TestSuite.assert.equal(parts.length, 2, 'Two stops should make two parts');
+      TestSuite.assert.equal(RouteSplitter.split([], { parts: 3 })[0].stops.length, 0, 'No stops should make one empty part');
+    });
+    
+    TestSuite.it('should spread stops without items', () => {
+      const parts = RouteSplitter.split(makeStops([['A', 0], ['A', 0], ['A', 0], ['A', 0]]), { parts: 2 });
+      
+      TestSuite.assert.equal(parts.map(part => part.stops.length).join(','), '2,2', 'Empty stops should still be shared');
+    });
+  });
+  
+  TestSuite.describe('renderSplitUI', () => {
+    TestSuite.it('should list each part with its exports', () => {
+      const html = RouteSplitter.renderSplitUI({
+        measure: RouteSplitter.MEASURES.ITEMS,
+        parts: [
+          { name: 'Route A', areas: ['North'], stats: { totalStops: 2, totalItems: 10 }, minutes: 40 },
+          { name: 'Route B', areas: ['Downtown', 'South'], stats: { totalStops: 3, totalItems: 16 }, minutes: 55 }
+        ]
+      });
+      
+      TestSuite.assert.stringContains(html, 'data-split-part="1"', 'Both parts should be listed');
+      TestSuite.assert.stringContains(html, 'Downtown, South', 'Areas should be listed');
+      TestSuite.assert.stringContains(html, 'export-part-transfer-btn', 'Transfer export should be offered');
+      TestSuite.assert.stringContains(html, 'clear-split-btn', 'A split should be removable');
+    });
+  });
+});
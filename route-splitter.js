@@ -0,0 +1,237 @@
+/**
+ * route-splitter.js
+ * Divides a day's stops between drivers for Route 33 Guide
+ * Each driver gets a run of consecutive stops in route order, balanced by
+ * item count or estimated time, with cuts kept between areas where the
+ * balance allows
+ */
+
+const RouteSplitter = (function() {
+  // Most drivers a route can be split between
+  const MAX_PARTS = 6;
+  
+  // How much heavier than the best balance a part may get to avoid
+  // splitting an area between drivers
+  const AREA_TOLERANCE = 0.15;
+  
+  // Ways to measure a stop
+  const MEASURES = {
+    ITEMS: 'items',
+    TIME: 'time'
+  };
+  
+  /**
+   * Name of a sub-route: "Route A", "Route B", ...
+   */
+  function getPartName(index) {
+    return `Route ${String.fromCharCode(65 + index)}`;
+  }
+  
+  /**
+   * Weight of each stop: its item lines, or its minutes from the schedule
+   * (drive, any wait and time at the stop)
+   */
+  function getWeights(stops, measure, scheduleOptions) {
+    if (measure === MEASURES.TIME && typeof RouteSchedule !== 'undefined') {
+      const result = RouteSchedule.schedule(stops, scheduleOptions);
+      let previous = RouteSchedule.parseTime(scheduleOptions.startTime || RouteSchedule.DEFAULTS.startTime);
+      return result.stops.map(entry => {
+        const minutes = entry.departure - previous;
+        previous = entry.departure;
+        return minutes;
+      });
+    }
+    
+    return stops.map(stop => (Array.isArray(stop.items) ? stop.items.length : (Number(stop.itemCount) || 0)));
+  }
+  
+  /**
+   * Cut points for the fewest splits inside an area, with no part heavier
+   * than limit; null when no split fits
+   * Returns the index each part ends at (exclusive)
+   */
+  function findCuts(weights, cutCosts, parts, limit) {
+    const n = weights.length;
+    const prefix = [0];
+    weights.forEach(weight => prefix.push(prefix[prefix.length - 1] + weight));
+    
+    // best[k][i]: fewest area splits putting the first i stops into k parts
+    const best = Array.from({ length: parts + 1 }, () => new Array(n + 1).fill(Infinity));
+    const from = Array.from({ length: parts + 1 }, () => new Array(n + 1).fill(-1));
+    best[0][0] = 0;
+    
+    for (let k = 1; k <= parts; k++) {
+      for (let i = k; i <= n; i++) {
+        for (let j = k - 1; j < i; j++) {
+          if (best[k - 1][j] === Infinity || prefix[i] - prefix[j] > limit) continue;
+          const cost = best[k - 1][j] + (k > 1 ? cutCosts[j] : 0);
+          if (cost < best[k][i]) {
+            best[k][i] = cost;
+            from[k][i] = j;
+          }
+        }
+      }
+    }
+    
+    if (best[parts][n] === Infinity) {
+      return null;
+    }
+    
+    const ends = [];
+    for (let k = parts, i = n; k > 0; k--) {
+      ends.unshift(i);
+      i = from[k][i];
+    }
+    return ends;
+  }
+  
+  /**
+   * Lightest possible heaviest part when stops are cut into runs
+   */
+  function findBestLimit(weights, parts) {
+    const fits = limit => {
+      let count = 1;
+      let load = 0;
+      for (const weight of weights) {
+        if (weight > limit) return false;
+        if (load + weight > limit) {
+          count++;
+          load = 0;
+        }
+        load += weight;
+      }
+      return count <= parts;
+    };
+    
+    let low = Math.max(0, ...weights);
+    let high = weights.reduce((sum, weight) => sum + weight, 0);
+    for (let step = 0; step < 50 && high - low > 1e-6; step++) {
+      const middle = (low + high) / 2;
+      if (fits(middle)) {
+        high = middle;
+      } else {
+        low = middle;
+      }
+    }
+    return high;
+  }
+  
+  /**
+   * Split stops, in route order, into balanced runs
+   *
+   * Options:
+   *   parts - number of drivers (2-6)
+   *   measure - 'items' (default) or 'time'
+   *   schedule - RouteSchedule options for the time measure
+   *
+   * Returns [{ name, stops, load }]; load is item lines or minutes.
+   * Stops with the same area stay with one driver unless that would make
+   * a part more than AREA_TOLERANCE heavier than the best balance.
+   */
+  function split(stops, options = {}) {
+    const list = Array.isArray(stops) ? stops : [];
+    const parts = Math.max(1, Math.min(MAX_PARTS, parseInt(options.parts) || 2, list.length || 1));
+    const measure = options.measure === MEASURES.TIME ? MEASURES.TIME : MEASURES.ITEMS;
+    
+    try {
+      // Every stop counts for something, so stops without items still spread out
+      const weights = getWeights(list, measure, options.schedule || {}).map(weight => Math.max(weight, 0.01));
+      
+      // Cutting before stop i costs 1 when it splits an area
+      const cutCosts = list.map((stop, i) => (i > 0 && list[i - 1].area === stop.area ? 1 : 0));
+      
+      const bestLimit = findBestLimit(weights, parts);
+      const ends = findCuts(weights, cutCosts, parts, bestLimit * (1 + AREA_TOLERANCE)) ||
+        findCuts(weights, cutCosts, parts, bestLimit + 1e-6);
+      
+      let start = 0;
+      return (ends || [list.length]).map((end, index) => {
+        const partStops = list.slice(start, end);
+        const load = weights.slice(start, end).reduce((sum, weight) => sum + weight, 0);
+        start = end;
+        return {
+          name: getPartName(index),
+          stops: partStops,
+          load: Math.round(load)
+        };
+      });
+    } catch (error) {
+      console.error("Error splitting route:", error);
+      return [{ name: getPartName(0), stops: [...list], load: 0 }];
+    }
+  }
+  
+  /**
+   * Sanitize text for safe HTML insertion
+   */
+  function sanitizeHTML(text) {
+    return (text !== undefined && text !== null ? String(text) : '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+  
+  /**
+   * Render the split settings and the current sub-routes
+   * split: { measure, parts: [{ name, areas, stats, minutes }] } or null
+   */
+  function renderSplitUI(split, options = {}) {
+    const measure = split ? split.measure : MEASURES.ITEMS;
+    const partCount = split ? split.parts.length : (options.parts || 2);
+    
+    return `
+      <div class="bg-gray-800 p-4 rounded-lg animate-fadeIn" id="route-split">
+        <div class="flex items-center mb-2">
+          <i data-lucide="split" class="h-5 w-5 mr-2 text-blue-400"></i>
+          <h2 class="text-lg font-semibold">Split Route</h2>
+        </div>
+        <p class="text-sm text-gray-300 mb-3">Divide the stops between drivers. Each gets a stretch of the route in order, keeping areas together where the balance allows.</p>
+        <div class="grid grid-cols-2 gap-3 text-sm">
+          <label>Drivers
+            <input id="split-parts" type="number" min="2" max="${MAX_PARTS}" class="w-full mt-1 p-2 bg-gray-900 rounded" value="${partCount}">
+          </label>
+          <label>Balance by
+            <select id="split-measure" class="w-full mt-1 p-2 bg-gray-900 rounded">
+              <option value="${MEASURES.ITEMS}" ${measure === MEASURES.ITEMS ? 'selected' : ''}>Item count</option>
+              <option value="${MEASURES.TIME}" ${measure === MEASURES.TIME ? 'selected' : ''}>Estimated time</option>
+            </select>
+          </label>
+        </div>
+        ${split ? `
+          <div class="space-y-2 mt-4">
+            ${split.parts.map((part, index) => `
+              <div class="bg-gray-900 rounded p-3" data-split-part="${index}">
+                <div class="flex items-center justify-between">
+                  <h3 class="font-medium">${sanitizeHTML(part.name)}</h3>
+                  <span class="text-xs text-gray-400">${part.stats.totalStops} stops · ${part.stats.totalItems} items · about ${Math.round(part.minutes)} min</span>
+                </div>
+                <p class="text-xs text-gray-400 mt-1">${sanitizeHTML(part.areas.join(', '))}</p>
+                <div class="flex justify-end gap-2 mt-2 text-xs">
+                  <button class="px-2 py-1 bg-gray-700 rounded export-part-pdf-btn">PDF</button>
+                  <button class="px-2 py-1 bg-gray-700 rounded export-part-csv-btn">CSV</button>
+                  <button class="px-2 py-1 bg-gray-700 rounded export-part-transfer-btn" title="File the other driver opens with Import to load these stops">Transfer File</button>
+                </div>
+              </div>
+            `).join('')}
+          </div>
+        ` : ''}
+        <div class="flex justify-end gap-2 mt-4">
+          ${split ? '<button id="clear-split-btn" class="px-3 py-1.5 bg-gray-700 rounded text-sm">Remove Split</button>' : ''}
+          <button id="close-split-btn" class="px-3 py-1.5 bg-gray-700 rounded text-sm">Close</button>
+          <button id="split-route-btn" class="px-3 py-1.5 bg-blue-600 rounded text-sm">${split ? 'Split Again' : 'Split'}</button>
+        </div>
+      </div>
+    `;
+  }
+  
+  // Public API
+  return {
+    split,
+    getPartName,
+    renderSplitUI,
+    MEASURES,
+    MAX_PARTS
+  };
+})();
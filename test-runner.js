@@ -4,7 +4,7 @@
  * 
  * Usage:
  *   node test-runner.js
- *   node test-runner.js --file=optimized-data-processor.test.js
+ *   node test-runner.js --file=optimized-data-processor-test.js
  *   node test-runner.js --verbose
  *   node test-runner.js --stop-on-fail
  */
@@ -19,7 +19,9 @@ global.console = {
   warn: (...args) => process.stderr.write('\x1b[33m' + args.join(' ') + '\x1b[0m\n'),
   info: (...args) => process.stdout.write('\x1b[36m' + args.join(' ') + '\x1b[0m\n'),
   group: (name) => console.log('\n--- ' + name + ' ---'),
-  groupEnd: () => console.log('-------------------\n')
+  groupEnd: () => console.log('-------------------\n'),
+  time: () => {},
+  timeEnd: () => {}
 };
 
 // Mock browser window and localStorage
@@ -39,6 +41,9 @@ global.window = {
   }
 };
 
+// Modules use localStorage without the window prefix
+global.localStorage = global.window.localStorage;
+
 // Mock document
 global.document = {
   body: {
@@ -110,32 +115,49 @@ args.forEach(arg => {
 // Import necessary modules
 const fs = require('fs');
 const path = require('path');
+const vm = require('vm');
+
+// Run a script in the global scope, as a <script> tag would, so the
+// modules it declares can be seen by the scripts loaded after it
+function loadScript(file) {
+  vm.runInThisContext(fs.readFileSync(path.join(testDir, file), 'utf8'), { filename: file });
+}
 
 // Find test files
 const testDir = '.';
 const testFiles = options.file 
   ? [options.file]
   : fs.readdirSync(testDir)
-      .filter(file => file.endsWith('.test.js'));
+      .filter(file => file.endsWith('-test.js'))
+      .sort();
 
 // Load the test suite
-const testSuiteContent = fs.readFileSync(path.join(testDir, 'test-suite.js'), 'utf8');
-eval(testSuiteContent);
+loadScript('test-suite.js');
 
 // Load modules being tested
 const moduleFiles = [
+  'data-storage-service.js',
+  'address-parser.js',
   'area-classifier.js',
+  'item-classifier.js',
+  'column-mapper.js',
+  'route-optimizer.js',
+  'route-schedule.js',
+  'route-splitter.js',
   'optimized-data-processor.js',
+  'chunked-import.js',
+  'route-diff.js',
+  'customer-master.js',
   'data-handler.js',
   'error-handler.js',
+  'import-validator.js',
   'ui-config-manager.js'
 ];
 
 moduleFiles.forEach(file => {
   if (fs.existsSync(path.join(testDir, file))) {
-    const moduleContent = fs.readFileSync(path.join(testDir, file), 'utf8');
     try {
-      eval(moduleContent);
+      loadScript(file);
     } catch (error) {
       console.error(`Error loading module ${file}:`, error);
     }
@@ -147,25 +169,35 @@ console.log('\n🧪 ROUTE 33 GUIDE TEST RUNNER 🧪');
 console.log('================================\n');
 console.log(`Running ${testFiles.length} test files...\n`);
 
-// Run tests from each file
-testFiles.forEach(file => {
-  try {
-    console.log(`\n📄 Running tests from: ${file}`);
-    const testContent = fs.readFileSync(path.join(testDir, file), 'utf8');
-    
-    eval(testContent);
+// Run tests from each file, one file at a time
+async function runTestFiles() {
+  let failed = 0;
+  
+  for (const file of testFiles) {
+    try {
+      console.log(`\n📄 Running tests from: ${file}`);
+      TestSuite.clearTests();
+      loadScript(file);
+      
+      const results = await TestSuite.runTests({
+        stopOnFail: options.stopOnFail,
+        verbose: options.verbose
+      });
+      failed += results.failed;
+    } catch (error) {
+      console.error(`Error running tests from ${file}:`, error);
+      failed++;
+    }
     
-    // Run the tests
-    TestSuite.runTests({
-      stopOnFail: options.stopOnFail,
-      verbose: options.verbose
-    }).then(results => {
-      // Tests will report their own results
-    });
-  } catch (error) {
-    console.error(`Error running tests from ${file}:`, error);
+    if (failed > 0 && options.stopOnFail) {
+      break;
+    }
   }
-});
+  
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+runTestFiles();
 
 // Add an exit handler to display final summary
 process.on('beforeExit', () => {
@@ -102,29 +102,67 @@ const UIConfigManager = (function() {
     },
     
     communications: {
+      // defaultValue is only used for stops without their own contact details
       phone: {
         enabled: true,
         label: 'Call',
         icon: 'phone',
         protocol: 'tel:',
-        defaultValue: '555-123-4567'
+        defaultValue: ''
       },
       sms: {
         enabled: true,
         label: 'Text',
         icon: 'message-square',
         protocol: 'sms:',
-        defaultValue: '555-123-4567'
+        defaultValue: ''
       },
       email: {
-        enabled: false,
+        enabled: true,
         label: 'Email',
         icon: 'mail',
         protocol: 'mailto:',
-        defaultValue: 'support@example.com'
+        defaultValue: ''
       }
     },
     
+    // Dispatch office, kept separate from customer contacts; set under
+    // Dispatcher in the menu, and each link is hidden until it has a value
+    dispatcher: {
+      name: 'Dispatch',
+      phone: '',
+      sms: '',
+      email: ''
+    },
+    
+    customFields: {
+      // Visibility of extra CSV columns per view; fields not listed use the defaults
+      defaults: {
+        summary: false,
+        detailed: true
+      },
+      fields: {}
+    },
+    
+    import: {
+      // Combine a customer's lines with the same item ID and description
+      consolidateItemLines: false
+    },
+    
+    routing: {
+      // Where the day starts and ends, as "latitude, longitude" ('' for none)
+      depot: '',
+      end: '',
+      // Schedule used for ETAs and to check customers' time windows
+      startTime: '07:00',
+      serviceMinutes: 5,
+      minutesPerItem: 1,
+      speedKmh: 40,
+      // Drive time when a stop has no coordinates; per area name, blank for the default
+      hopMinutes: 5,
+      areaHopMinutes: {}
+    },
+    
     branding: {
       title: 'Route 33 - Dynamic Guide',
       subtitle: 'Friday Guide',
@@ -461,7 +499,8 @@ const UIConfigManager = (function() {
     try {
       const savedConfig = localStorage.getItem('route33_ui_config');
       if (savedConfig) {
-        currentConfig = JSON.parse(savedConfig);
+        // Merge over the defaults so settings added since the config was saved are present
+        currentConfig = deepMerge(JSON.parse(JSON.stringify(defaultConfig)), JSON.parse(savedConfig));
         applyConfig();
         return true;
       }
@@ -472,6 +511,74 @@ const UIConfigManager = (function() {
     }
   }
   
+  /**
+   * Check whether a custom field is shown in a view ('summary' or 'detailed')
+   */
+  function isCustomFieldVisible(field, view) {
+    const { customFields } = currentConfig;
+    const fieldConfig = customFields.fields[field];
+    
+    if (fieldConfig && typeof fieldConfig[view] === 'boolean') {
+      return fieldConfig[view];
+    }
+    
+    return !!customFields.defaults[view];
+  }
+  
+  /**
+   * Show or hide a custom field in a view and save the setting
+   */
+  function setCustomFieldVisible(field, view, visible) {
+    const { fields } = currentConfig.customFields;
+    fields[field] = { ...fields[field], [view]: !!visible };
+    
+    saveConfigToStorage();
+    triggerConfigUpdate();
+    return true;
+  }
+  
+  /**
+   * Problems with dispatcher details ({ name, phone, sms, email }); empty
+   * when they can be saved. Blank numbers and email are allowed
+   */
+  function validateDispatcher(details) {
+    const errors = [];
+    const phonePattern = /^\+?[\d\s().-]{7,}$/;
+    
+    if (details.phone && !phonePattern.test(details.phone)) {
+      errors.push(`"${details.phone}" doesn't look like a phone number`);
+    }
+    if (details.sms && !phonePattern.test(details.sms)) {
+      errors.push(`"${details.sms}" doesn't look like a number for texts`);
+    }
+    if (details.email && !/^[^\s@]+@[^\s@]+$/.test(details.email)) {
+      errors.push(`"${details.email}" doesn't look like an email address`);
+    }
+    
+    return errors;
+  }
+  
+  /**
+   * Save the dispatcher's name, phone, SMS number and email
+   * Returns validateDispatcher's errors; nothing is saved when there are any
+   */
+  function setDispatcher(details) {
+    const cleaned = {};
+    ['name', 'phone', 'sms', 'email'].forEach(field => {
+      cleaned[field] = String((details && details[field]) || '').trim();
+    });
+    
+    const errors = validateDispatcher(cleaned);
+    if (errors.length > 0) {
+      return errors;
+    }
+    
+    currentConfig.dispatcher = { ...cleaned, name: cleaned.name || defaultConfig.dispatcher.name };
+    saveConfigToStorage();
+    triggerConfigUpdate();
+    return [];
+  }
+  
   /**
    * Export configuration to JSON
    */
@@ -523,6 +630,18 @@ const UIConfigManager = (function() {
     return item && typeof item === 'object' && !Array.isArray(item);
   }
   
+  /**
+   * Utility: Escape text for insertion into HTML
+   */
+  function sanitizeHTML(text) {
+    return (text !== undefined && text !== null ? String(text) : '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+  
   /**
    * Render settings UI
    */
@@ -589,6 +708,68 @@ const UIConfigManager = (function() {
     `;
   }
   
+  /**
+   * Render custom field visibility settings
+   */
+  function renderCustomFieldsUI(fieldNames) {
+    return `
+      <div class="bg-gray-800 p-4 rounded-lg animate-fadeIn" id="custom-fields-settings">
+        <h2 class="text-lg font-semibold mb-1">Extra Columns</h2>
+        <p class="text-sm text-gray-400 mb-4">Choose which extra columns from your file are shown in each view.</p>
+        ${fieldNames.length === 0 ? `
+          <p class="text-sm text-gray-400">The current route has no extra columns.</p>
+        ` : `
+          <div class="grid grid-cols-3 gap-2 text-sm">
+            <span class="text-gray-400">Column</span>
+            <span class="text-gray-400 text-center">Summary</span>
+            <span class="text-gray-400 text-center">Detailed</span>
+            ${fieldNames.map(field => `
+              <span>${sanitizeHTML(field)}</span>
+              ${['summary', 'detailed'].map(view => `
+                <label class="flex justify-center cursor-pointer">
+                  <input type="checkbox" class="custom-field-toggle" data-field="${sanitizeHTML(field)}" data-view="${view}"
+                         ${isCustomFieldVisible(field, view) ? 'checked' : ''}>
+                </label>
+              `).join('')}
+            `).join('')}
+          </div>
+        `}
+        <div class="flex justify-end mt-4">
+          <button id="close-custom-fields-btn" class="px-3 py-1.5 bg-blue-600 rounded text-sm">Done</button>
+        </div>
+      </div>
+    `;
+  }
+  
+  /**
+   * Render the dispatcher settings
+   */
+  function renderDispatcherUI() {
+    const { dispatcher } = currentConfig;
+    const field = (id, label, value, type, placeholder = '') => `
+      <label class="block">${label}
+        <input id="${id}" type="${type}" class="w-full mt-1 p-2 bg-gray-900 rounded" value="${sanitizeHTML(value)}" placeholder="${placeholder}">
+      </label>
+    `;
+    
+    return `
+      <div class="bg-gray-800 p-4 rounded-lg animate-fadeIn" id="dispatcher-settings">
+        <h2 class="text-lg font-semibold mb-1">Dispatcher</h2>
+        <p class="text-sm text-gray-400 mb-4">Used by the menu's Call, Text and Email links. A link only appears once it has a number or address.</p>
+        <div class="space-y-3 text-sm">
+          ${field('dispatcher-name', 'Name', dispatcher.name, 'text', 'Dispatch')}
+          ${field('dispatcher-phone', 'Phone', dispatcher.phone, 'tel')}
+          ${field('dispatcher-sms', 'Number for texts', dispatcher.sms, 'tel', 'Same as phone')}
+          ${field('dispatcher-email', 'Email', dispatcher.email, 'email')}
+        </div>
+        <div class="flex justify-end gap-2 mt-4">
+          <button id="close-dispatcher-btn" class="px-3 py-1.5 bg-gray-700 rounded text-sm">Cancel</button>
+          <button id="save-dispatcher-btn" class="px-3 py-1.5 bg-blue-600 rounded text-sm">Save</button>
+        </div>
+      </div>
+    `;
+  }
+  
   // Public API
   return {
     getConfig,
@@ -600,6 +781,12 @@ const UIConfigManager = (function() {
     loadConfigFromStorage,
     exportConfig,
     importConfig,
-    renderConfigUI
+    isCustomFieldVisible,
+    setCustomFieldVisible,
+    validateDispatcher,
+    setDispatcher,
+    renderConfigUI,
+    renderCustomFieldsUI,
+    renderDispatcherUI
   };
 })();
\ No newline at end of file